@@ -1,4 +1,4 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef, useCallback, useMemo } from 'react';
 import {
   PianoRoll,
   TwoVoiceViz,
@@ -8,12 +8,18 @@ import {
   DataRow,
   Select,
   ABCBox,
+  ABCTextarea,
   ScoreDashboard,
   IssuesSummary,
   ChordAnalysisDisplay,
+  VoiceTextureDisplay,
+  FileImportPanel,
+  renderAnalysisReport,
 } from './components';
 import {
   BeatFormatter,
+  withMeterChanges,
+  withPickup,
   pitchName,
   extractABCHeaders,
   parseABC,
@@ -21,6 +27,32 @@ import {
   generateAnswerABCSameKey,
   formatSubjectABC,
   validateABCTiming,
+  importMultiVoiceABC,
+  importMIDIFile,
+  importMusicXML,
+  importKern,
+  writeMIDIFile,
+  strettoVoices,
+  writeMusicXML,
+  annotatedAnalysisParts,
+  writeLilyPond,
+  lilyPondVoices,
+  serializeAnalysis,
+  parseAnalysis,
+  intervalTableRows,
+  formatIntervalTable,
+  createPlayer,
+  renderWAV,
+  tuningOffsets,
+  audibleVoices,
+  issueAuditionQueue,
+  dissonanceAuditionQueue,
+  auditionWindow,
+  AUDITION_WINDOW_BEATS,
+  downloadFile,
+  readFileBytes,
+  VOICE_SLOTS,
+  VOICE_SLOT_LABELS,
   findSimultaneities,
   testMelodicContour,
   testHarmonicImplication,
@@ -32,6 +64,7 @@ import {
   testContourIndependence,
   testModulatoryRobustness,
   testSequentialPotential,
+  testVoiceTexture,
   calculateOverallScore,
   setP4Treatment,
   setMeter,
@@ -44,11 +77,20 @@ import {
   AVAILABLE_KEYS,
   AVAILABLE_MODES,
   NOTE_LENGTH_OPTIONS,
+  ACCIDENTAL_MODE_OPTIONS,
+  PICKUP_OPTIONS,
+  MIDI_QUANTIZE_OPTIONS,
+  MIDI_TEMPO_OPTIONS,
+  LILYPOND_MARKUP_OPTIONS,
+  INTERVAL_TABLE_FORMAT_OPTIONS,
+  AUDITION_SOURCE_OPTIONS,
+  TIMBRE_OPTIONS,
+  TUNING_SYSTEM_OPTIONS,
   STRETTO_STEP_OPTIONS,
   CS_POSITION_OPTIONS,
 } from './utils/constants/uiOptions';
 import { TIME_SIGNATURE_OPTIONS } from './utils/constants/timeSignatures';
-import { VIZ_COLORS } from './utils/vizConstants';
+import { VIZ_COLORS, generateGridLines } from './utils/vizConstants';
 import {
   ACCIDENTAL_OPTIONS,
   NOTE_LETTER_OPTIONS,
@@ -74,6 +116,13 @@ const CS_SHIFT_OPTIONS = [
   { value: '-24', label: '-2 octaves' },
 ];
 
+// The file import panels: error prefix, what one voice of the file is called and the importer slot field naming it
+const FILE_IMPORTS = {
+  midi: { format: 'MIDI', sourceLabel: 'Track', indexKey: 'trackIndex' },
+  musicXML: { format: 'MusicXML', sourceLabel: 'Part', indexKey: 'partIndex' },
+  kern: { format: 'Kern', sourceLabel: 'Spine', indexKey: 'spineIndex' },
+};
+
 /**
  * Main Fugue Analyzer Application
  */
@@ -105,6 +154,8 @@ export default function App() {
   const [useSpellingKey, setUseSpellingKey] = useState(false);
   const [selNoteLen, setSelNoteLen] = useState('1/8');
   const [selTimeSig, setSelTimeSig] = useState('2/2');
+  const [accidentalMode, setAccidentalMode] = useState('note'); // 'note' or 'bar' (ABC 2.1)
+  const [pickupSetting, setPickupSetting] = useState('auto'); // 'auto' or a length in quarter notes
   const [strettoStep, setStrettoStep] = useState('1');
   const [strettoOctave, setStrettoOctave] = useState('12');
   const [selectedStretto, setSelectedStretto] = useState(null);
@@ -120,13 +171,48 @@ export default function App() {
   const [scoreProfiles, setScoreProfiles] = useState([]);
   const [selectedScoreProfile, setSelectedScoreProfile] = useState('subject_cs1');
   const [error, setError] = useState(null);
-  const [timingWarnings, setTimingWarnings] = useState([]);
+  const [accidentalWarnings, setAccidentalWarnings] = useState([]);
+  const [inputDiagnostics, setInputDiagnostics] = useState({}); // slot -> { text, items } from parseABC
 
   // Saved presets state
   const [savedPresets, setSavedPresets] = useState([]);
   const [saveName, setSaveName] = useState('');
   const [showSaveDialog, setShowSaveDialog] = useState(false);
 
+  // Multi-voice ABC import
+  const [voiceImportInput, setVoiceImportInput] = useState('');
+  const [voiceImportSummary, setVoiceImportSummary] = useState(null);
+
+  // Standard MIDI File import quantization grid (quarter notes)
+  const [midiGrid, setMidiGrid] = useState('0.25');
+  const [midiTempo, setMidiTempo] = useState('80');
+  const [lilyPondMarkup, setLilyPondMarkup] = useState('none');
+  const [intervalTableFormat, setIntervalTableFormat] = useState('csv');
+  const [analysisArchiveInfo, setAnalysisArchiveInfo] = useState(null); // { name, engineVersion, exportedAt } of an opened archive
+
+  // Playback: which voices the panel plays, tempo and range, and what is sounding
+  const playerRef = useRef(null);
+  const [playbackSlots, setPlaybackSlots] = useState(['subject', 'countersubject']);
+  const [playbackTempo, setPlaybackTempo] = useState('80');
+  const [playbackStart, setPlaybackStart] = useState('0');
+  const [playbackEnd, setPlaybackEnd] = useState('end');
+  const [playbackLoop, setPlaybackLoop] = useState(false);
+  const [playbackTuning, setPlaybackTuning] = useState('equal');
+  const [showTuningCents, setShowTuningCents] = useState(false); // cents-from-pure overlay in the two-voice views
+  const [playing, setPlaying] = useState(null); // label of the voice set sounding
+  const [playhead, setPlayhead] = useState(null); // sounding position in beats
+  const [playbackError, setPlaybackError] = useState(null);
+  const [playingVoices, setPlayingVoices] = useState([]); // names of the voices sounding, in play order
+  const [soloVoices, setSoloVoices] = useState([]); // voice names
+  const [mutedVoices, setMutedVoices] = useState([]); // voice names
+  const [voiceTimbres, setVoiceTimbres] = useState({}); // voice name -> waveform; unset for Auto
+  // Audition: a queue of trouble spots whose context loops one at a time
+  const [auditionSource, setAuditionSource] = useState('off');
+  const [auditionQueue, setAuditionQueue] = useState([]); // { onset, description, highlight, voices? }
+  const [auditionIndex, setAuditionIndex] = useState(null);
+  // Voice texture: slots checked together as one three- or four-voice texture
+  const [textureSlots, setTextureSlots] = useState(['answer', 'countersubject', 'countersubject2']);
+
   // Global highlight state - used for clicking issues/items to highlight in visualizations
   const [highlightedItem, setHighlightedItem] = useState(null);
 
@@ -146,10 +232,18 @@ export default function App() {
     }
   }, []);
 
+  // Silence playback when the app unmounts
+  useEffect(() => () => playerRef.current?.stop(), []);
+
+  // Apply solo and mute to whatever is sounding
+  useEffect(() => {
+    playerRef.current?.setMix(audibleVoices(playingVoices, { solo: soloVoices, muted: mutedVoices }));
+  }, [playingVoices, soloVoices, mutedVoices]);
+
   // Re-run analysis when octave shift settings change (if CS exists)
-  // This ensures analysis reflects the actual octave placement
+  // This ensures analysis reflects the actual octave placement; an opened archive already matches its settings
   useEffect(() => {
-    if (results?.countersubject) {
+    if (results?.countersubject && (results.settings?.csPos !== csPos || results.settings?.csShift !== csShift)) {
       // Trigger re-analysis with new octave settings
       analyze();
     }
@@ -176,19 +270,16 @@ export default function App() {
     return headers.join('\n') + '\n' + abc;
   };
 
-  // Save preset
-  const savePreset = () => {
-    if (!saveName.trim()) return;
-
-    // Include ABC headers (K, L, M) in the saved text
+  // Inputs and settings in the saved-preset shape, with ABC headers (K, L, M) included in the text
+  const currentPreset = (name) => {
     const subjectWithHeaders = prependABCHeaders(subjectInput, selKey, selMode, selNoteLen, selTimeSig, keySignatureModifiers);
     const subject2WithHeaders = subject2Input.trim() ? prependABCHeaders(subject2Input, selKey, selMode, selNoteLen, selTimeSig, keySignatureModifiers) : '';
     const csWithHeaders = csInput.trim() ? prependABCHeaders(csInput, selKey, selMode, selNoteLen, selTimeSig, keySignatureModifiers) : '';
     const cs2WithHeaders = cs2Input.trim() ? prependABCHeaders(cs2Input, selKey, selMode, selNoteLen, selTimeSig, keySignatureModifiers) : '';
     const answerWithHeaders = answerInput.trim() ? prependABCHeaders(answerInput, selKey, selMode, selNoteLen, selTimeSig, keySignatureModifiers) : '';
 
-    const preset = {
-      name: saveName.trim(),
+    return {
+      name,
       subject: subjectWithHeaders,
       secondSubject: subject2WithHeaders,
       countersubject: csWithHeaders,
@@ -200,10 +291,18 @@ export default function App() {
         noteLength: selNoteLen,
         timeSig: selTimeSig,
         keySignatureModifiers,
+        accidentalMode,
+        pickup: pickupSetting,
       },
       savedAt: new Date().toISOString(),
     };
+  };
 
+  // Save preset
+  const savePreset = () => {
+    if (!saveName.trim()) return;
+
+    const preset = currentPreset(saveName.trim());
     const newPresets = [...savedPresets.filter(p => p.name !== preset.name), preset];
     setSavedPresets(newPresets);
     localStorage.setItem('fugueAnalyzerPresets', JSON.stringify(newPresets));
@@ -224,6 +323,270 @@ export default function App() {
       if (preset.settings.noteLength) setSelNoteLen(preset.settings.noteLength);
       if (preset.settings.timeSig) setSelTimeSig(preset.settings.timeSig);
       if (Array.isArray(preset.settings.keySignatureModifiers)) setKeySignatureModifiers(preset.settings.keySignatureModifiers);
+      setAccidentalMode(preset.settings.accidentalMode || 'note');
+      setPickupSetting(preset.settings.pickup || 'auto');
+    }
+  };
+
+  // Split a multi-voice ABC file (V: fields) into the input slots
+  const importVoices = () => {
+    const { slots, unassigned } = importMultiVoiceABC(voiceImportInput);
+    if (!slots.subject) {
+      setError('Multi-voice import: no voice could be used as the subject');
+      return;
+    }
+    setError(null);
+    setSubjectInput(slots.subject.abc);
+    setAnswerInput(slots.answer?.abc || '');
+    setCsInput(slots.countersubject?.abc || '');
+    setCs2Input(slots.countersubject2?.abc || '');
+    setSubject2Input(slots.secondSubject?.abc || '');
+
+    const h = extractABCHeaders(voiceImportInput);
+    const meter = h.meter || TIME_SIGNATURE_OPTIONS.find(t => t.value === selTimeSig)?.meter || [4, 4];
+    const formatter = new BeatFormatter(h.noteLength || 1 / 8, meter);
+    setVoiceImportSummary({
+      assigned: VOICE_SLOTS.filter((slot) => slots[slot]).map((slot) => ({
+        slot,
+        ...slots[slot],
+        entry: formatter.formatBeat(slots[slot].entryOffset),
+      })),
+      unassigned,
+    });
+  };
+
+  // Fill the input slots from a file importer's slots; the pickup setting follows the file.
+  // Returns the summary shown under the import panel, or null when no voice went to the subject
+  const applyImportedSlots = ({ slots, meter, key, mode, pickup }, { format, sourceLabel, indexKey }) => {
+    if (!slots.subject) {
+      setError(`${format} import: assign a ${sourceLabel.toLowerCase()} to the subject`);
+      return null;
+    }
+    setError(null);
+    setSubjectInput(slots.subject.abc);
+    setAnswerInput(slots.answer?.abc || '');
+    setCsInput(slots.countersubject?.abc || '');
+    setCs2Input(slots.countersubject2?.abc || '');
+    setSubject2Input(slots.secondSubject?.abc || '');
+    setPickupSetting(PICKUP_OPTIONS.some((o) => o.value === String(pickup)) ? String(pickup) : 'auto');
+
+    const formatter = new BeatFormatter(1 / 8, meter);
+    return {
+      key: `${key} ${MODE_DEFINITIONS[mode]?.label || mode}`,
+      meter: `${meter[0]}/${meter[1]}${pickup ? `, ${pickup}-beat pickup` : ''}`,
+      assigned: VOICE_SLOTS.filter((slot) => slots[slot]).map((slot) => ({
+        slot,
+        name: slots[slot].name || `${sourceLabel} ${slots[slot][indexKey] + 1}`,
+        entry: formatter.formatBeat(slots[slot].entryOffset),
+      })),
+    };
+  };
+
+  // Download analyzed voices as a MIDI file, one track per voice, in the analysis key and meter
+  const exportMIDI = (fileName, voices) => {
+    const bytes = writeMIDIFile(voices.filter((v) => v.notes?.length), {
+      meter: results.meter,
+      key: results.keyInfo.key,
+      mode: results.keyInfo.mode,
+      tempo: parseFloat(midiTempo),
+      title: fileName.replace(/\.mid$/, ''),
+    });
+    downloadFile(bytes, fileName, 'audio/midi');
+  };
+
+  // Answer for notation export: the answer input, or the tonal or real answer shown in the answer section
+  const exportedAnswer = useCallback(() => {
+    if (results.answerGiven) return results.answerNotes;
+    const generatedABC = answerMode === 'real' ? results.realAnswerSameKey : results.tonalAnswerSameKey;
+    return parseABC(generatedABC, results.keyInfo.tonic, results.keyInfo.mode, results.defaultNL, null, { meter: results.meter }).notes;
+  }, [results, answerMode]);
+
+  // Download subject, answer and countersubjects as MusicXML with the analysis written into the score
+  const exportMusicXML = () => {
+    const parts = annotatedAnalysisParts({
+      subject: results.subject,
+      answer: exportedAnswer(),
+      answerType: results.answerGiven ? results.tonalAnswer.answerType : answerMode,
+      countersubjects: [
+        { name: 'Countersubject 1', notes: results.countersubject, against: 'subject' },
+        { name: 'Countersubject 2', notes: results.countersubject2, against: 'answer' },
+      ],
+      meter: results.meter,
+      formatter: results.formatter,
+      harmonicImplication: results.harmonicImplication,
+      tonalAnswer: results.tonalAnswer,
+    });
+    const xml = writeMusicXML(parts, { meter: results.meter, key: results.keyInfo.key, mode: results.keyInfo.mode, title: 'Fugue analysis' });
+    downloadFile(xml, 'fugue-analysis.musicxml', 'application/vnd.recordare.musicxml+xml');
+  };
+
+  // Download a voice set as LilyPond source, with the chosen analysis markup under the notes
+  const exportLilyPond = (fileName, voices) => {
+    const ly = writeLilyPond(voices, {
+      meter: results.meter,
+      key: results.keyInfo.key,
+      mode: results.keyInfo.mode,
+      title: fileName.replace(/\.ly$/, ''),
+      markup: lilyPondMarkup,
+    });
+    downloadFile(ly, fileName, 'text/x-lilypond');
+  };
+
+  // Download a voice pair's per-simultaneity interval data as CSV or TSV
+  const exportIntervalTable = (fileName, [voice1, voice2], sequences = {}) => {
+    const rows = intervalTableRows(voice1, voice2, { formatter: results.formatter, meter: results.meter, sequences });
+    const text = formatIntervalTable(rows, intervalTableFormat);
+    downloadFile(text, `${fileName}.${intervalTableFormat}`, intervalTableFormat === 'csv' ? 'text/csv' : 'text/tab-separated-values');
+  };
+
+  // Download the results, score profiles and inputs as a versioned JSON archive
+  const exportAnalysis = () => {
+    const json = serializeAnalysis({ results, scoreProfiles, selectedScoreProfile, inputs: currentPreset('Analysis') });
+    downloadFile(json, 'fugue-analysis.json', 'application/json');
+  };
+
+  // Download a self-contained HTML report of the inputs, scores, issues, main views and observations
+  const exportReport = () => {
+    const html = renderAnalysisReport({ results, scoreResult, scoreProfiles, selectedScoreProfile, inputs: currentPreset('Report') });
+    downloadFile(html, 'fugue-report.html', 'text/html');
+  };
+
+  // Analyzed notes of a voice slot, as played and exported (countersubjects with the current shift)
+  const slotNotes = useCallback((slot) => ({
+    subject: results.subject,
+    answer: exportedAnswer(),
+    countersubject: results.countersubject,
+    countersubject2: results.countersubject2,
+    secondSubject: results.secondSubject,
+  })[slot], [results, exportedAnswer]);
+
+  // The voices ticked in the Voice Texture section, checked together
+  const voiceTexture = useMemo(() => (results?.countersubject
+    ? testVoiceTexture(VOICE_SLOTS.filter((slot) => textureSlots.includes(slot)).map((slot) => ({ name: VOICE_SLOT_LABELS[slot], notes: slotNotes(slot) })), results.formatter)
+    : null), [results, textureSlots, slotNotes]);
+
+  // Voices ticked in the Playback panel, in slot order, with their chosen timbres
+  const playbackVoices = (slots = playbackSlots) => VOICE_SLOTS
+    .filter((slot) => slots.includes(slot))
+    .map((slot) => ({ name: VOICE_SLOT_LABELS[slot], notes: slotNotes(slot), timbre: voiceTimbres[VOICE_SLOT_LABELS[slot]] }))
+    .filter((v) => v.notes?.length);
+
+  // Render a voice set to WAV over the Playback panel's range, at the subject's Q: tempo or else the panel's
+  const exportWAV = (fileName, voices) => {
+    try {
+      setPlaybackError(null);
+      const bytes = renderWAV(voices.filter((v) => v.notes?.length), {
+        tempo: results.tempo ?? parseFloat(playbackTempo),
+        start: parseFloat(playbackStart),
+        end: playbackEnd === 'end' ? Infinity : parseFloat(playbackEnd),
+        tuning: tuningOffsets(playbackTuning, results.keyInfo.tonic),
+      });
+      downloadFile(bytes, fileName, 'audio/wav');
+    } catch (e) {
+      setPlaybackError(e.message);
+    }
+  };
+
+  const stopPlayback = () => {
+    playerRef.current?.stop();
+    setPlaying(null);
+    setPlayhead(null);
+  };
+
+  // Play a voice set with the tempo, range and loop chosen in the Playback panel, or with a range of its own
+  const startPlayback = (label, voices, range = {}) => {
+    try {
+      setPlaybackError(null);
+      const played = voices.filter((v) => v.notes?.length);
+      const names = played.map((v) => v.name);
+      playerRef.current = playerRef.current || createPlayer();
+      playerRef.current.play(played, {
+        tempo: parseFloat(playbackTempo),
+        start: range.start ?? parseFloat(playbackStart),
+        end: range.end ?? (playbackEnd === 'end' ? Infinity : parseFloat(playbackEnd)),
+        loop: range.loop ?? playbackLoop,
+        audible: audibleVoices(names, { solo: soloVoices, muted: mutedVoices }),
+        tuning: tuningOffsets(playbackTuning, results.keyInfo.tonic),
+        // Move in sixteenth-beat steps so the views re-render a few times a beat, not every frame
+        onPosition: (beat) => setPlayhead(Math.floor(beat * 16) / 16),
+        onEnd: () => {
+          setPlaying(null);
+          setPlayhead(null);
+        },
+      });
+      setPlaying(label);
+      setPlayingVoices(names);
+    } catch (e) {
+      stopPlayback();
+      setPlaybackError(e.message);
+    }
+  };
+
+  // Build the audition queue from the issue list or from the bad dissonances among the given voice slots
+  const chooseAuditionSource = (source, slots = playbackSlots) => {
+    setAuditionSource(source);
+    setAuditionIndex(null);
+    if (source === 'issues') {
+      setAuditionQueue(issueAuditionQueue(results));
+    } else if (source === 'dissonances') {
+      setAuditionQueue(dissonanceAuditionQueue(playbackVoices(slots), { formatter: results.formatter, meter: results.meter }));
+    } else {
+      setAuditionQueue([]);
+    }
+  };
+
+  // Loop the context of one queue entry (its own voice pair, or the ticked voices) and highlight it in the views
+  const auditionEntry = (index) => {
+    const entry = auditionQueue[index];
+    setAuditionIndex(index);
+    setHighlightedItem(entry.highlight);
+    const kind = auditionSource === 'issues' ? 'issue' : 'dissonance';
+    startPlayback(`${kind} ${index + 1} of ${auditionQueue.length}`, entry.voices || playbackVoices(), { ...auditionWindow(entry.onset, results.formatter), loop: true });
+  };
+
+  // A clicked issue is highlighted; while auditioning the issue list its context also loops
+  const highlightIssue = (item) => {
+    setHighlightedItem(item);
+    if (auditionSource !== 'issues') return;
+    const index = auditionQueue.findIndex((entry) => entry.highlight.sourceCategory === item.sourceCategory
+      && entry.highlight.sourceType === item.sourceType
+      && entry.highlight.sourceIndex === item.sourceIndex
+      && entry.onset === item.onset);
+    if (index >= 0) auditionEntry(index);
+  };
+
+  // Open an analysis archive: restore the inputs, settings and results without re-analyzing
+  const loadAnalysisFile = async (file) => {
+    if (!file) return;
+    try {
+      stopPlayback();
+      chooseAuditionSource('off');
+      const archive = parseAnalysis(new TextDecoder().decode(await readFileBytes(file)));
+      const { results: res, scoreProfiles: profiles } = archive;
+      const profile = profiles.find((p) => p.key === archive.selectedScoreProfile) || profiles[0];
+
+      if (archive.inputs) loadPreset(archive.inputs);
+      if (res.settings) {
+        setTreatP4Dissonant(res.settings.treatP4Dissonant);
+        setCsPos(res.settings.csPos);
+        setCsShift(res.settings.csShift);
+        setStrettoStep(res.settings.strettoStep);
+        setStrettoOctave(res.settings.strettoOctave);
+        setP4Treatment(res.settings.treatP4Dissonant);
+      }
+      setMeter(res.meter);
+      applySequenceRanges(res.sequences);
+
+      setError(null);
+      setSelectedStretto(null);
+      setResults(res);
+      setScoreProfiles(profiles);
+      setSelectedScoreProfile(profile.key);
+      setScoreResult(profile.score);
+      setAnalysisArchiveInfo({ name: file.name, engineVersion: archive.engineVersion, exportedAt: archive.exportedAt });
+    } catch (e) {
+      setAnalysisArchiveInfo(null);
+      setError(e.message);
     }
   };
 
@@ -234,13 +597,31 @@ export default function App() {
     localStorage.setItem('fugueAnalyzerPresets', JSON.stringify(newPresets));
   };
 
+  // Set sequence ranges for motion penalty mitigation (subject only for now)
+  const applySequenceRanges = (sequences) => {
+    if (sequences.subject.noteRanges?.length > 0) {
+      setSequenceRanges(sequences.subject.noteRanges);
+      const beatRanges = sequences.subject.sequences?.map(seq => ({
+        startBeat: seq.startBeat,
+        endBeat: seq.endBeat,
+      })) || [];
+      setSequenceBeatRanges(beatRanges);
+    } else {
+      setSequenceRanges([]);
+      setSequenceBeatRanges([]);
+    }
+  };
+
   /**
    * Run the analysis
    */
   const analyze = () => {
     try {
+      stopPlayback();
+      chooseAuditionSource('off');
       setError(null);
       setSelectedStretto(null);
+      setAnalysisArchiveInfo(null);
       // Apply P4 treatment setting before running analysis
       setP4Treatment(treatP4Dissonant);
 
@@ -275,44 +656,60 @@ export default function App() {
 
       // Get time signature - use parsed from ABC or selected
       const timeSigOption = TIME_SIGNATURE_OPTIONS.find(t => t.value === selTimeSig);
-      const meter = h.meter || timeSigOption?.meter || [4, 4];
-
-      // Set the meter for all analysis functions to use
-      setMeter(meter);
+      const openingMeter = h.meter || timeSigOption?.meter || [4, 4];
 
       // Parse subject with spelling key for accidentals, analysis key for scale degrees
-      const subjectParsed = parseABC(subjectInput, tonic, analysisMode, effNL, spellingKeySig);
+      const declaredPickup = pickupSetting === 'auto' ? undefined : parseFloat(pickupSetting);
+      const subjectParsed = parseABC(subjectInput, tonic, analysisMode, effNL, spellingKeySig, { meter: openingMeter, accidentals: accidentalMode, pickup: declaredPickup });
       const subject = subjectParsed.notes;
 
+      // Parse problems with their source ranges, underlined in each input box
+      const parseDiagnostics = { subject: { text: subjectInput, items: subjectParsed.diagnostics } };
+      setInputDiagnostics(parseDiagnostics);
+
       if (!subject.length) {
-        setError('No notes parsed from subject');
+        setError(subjectParsed.diagnostics.length ? 'No notes parsed from subject (see the marked problems below it)' : 'No notes parsed from subject');
         return;
       }
 
-      // Validate ABC timing against time signature
-      const subjectWarnings = validateABCTiming(subjectInput, meter, effNL);
-      const secondSubject = subject2Input.trim() ? parseABC(subject2Input, tonic, analysisMode, effNL, spellingKeySig).notes : null;
-      const secondSubjectWarnings = subject2Input.trim() ? validateABCTiming(subject2Input, meter, effNL) : [];
+      // The subject's inline [M:] changes and pickup define the metric grid shared by every voice
+      const changedMeter = withMeterChanges(openingMeter, subjectParsed.meterChanges);
 
-      const formatter = new BeatFormatter(effNL, meter);
+      // An incomplete first bar is the subject's pickup; validation also flags accidentals ABC 2.1 reads differently
+      const subjectWarnings = validateABCTiming(subjectInput, changedMeter, effNL, { accidentals: accidentalMode, pickup: declaredPickup });
+      const pickup = declaredPickup ?? subjectWarnings.find(w => w.type === 'pickup')?.actual ?? 0;
+      const meter = withPickup(changedMeter, pickup);
+      // Every voice starts at the subject's first note, so its first bar must be the same pickup
+      const voiceOptions = { meter, accidentals: accidentalMode, pickup: pickup || undefined };
 
-      // Parse countersubjects if provided (use spelling key for accidentals)
-      const cs = csInput.trim() ? parseABC(csInput, tonic, analysisMode, effNL, spellingKeySig).notes : null;
-      const csWarnings = csInput.trim() ? validateABCTiming(csInput, meter, effNL) : [];
-      const cs2 = cs2Input.trim() ? parseABC(cs2Input, tonic, analysisMode, effNL, spellingKeySig).notes : null;
-      const cs2Warnings = cs2Input.trim() ? validateABCTiming(cs2Input, meter, effNL) : [];
+      // Set the meter for all analysis functions to use
+      setMeter(meter);
+
+      // Parse the other voices (use spelling key for accidentals)
+      const parseVoice = (slot, text) => {
+        if (!text.trim()) return null;
+        const parsed = parseABC(text, tonic, analysisMode, effNL, spellingKeySig, voiceOptions);
+        parseDiagnostics[slot] = { text, items: parsed.diagnostics };
+        return parsed.notes;
+      };
+      const validateAccidentals = (text) => (text.trim() ? validateABCTiming(text, meter, effNL, voiceOptions) : [])
+        .filter(w => w.type === 'accidental');
+
+      const secondSubject = parseVoice('secondSubject', subject2Input);
+      const formatter = new BeatFormatter(effNL, meter);
+      const cs = parseVoice('countersubject', csInput);
+      const cs2 = parseVoice('countersubject2', cs2Input);
+      let answerNotes = parseVoice('answer', answerInput);
+      setInputDiagnostics({ ...parseDiagnostics });
 
-      // Combine all timing warnings
+      // Bar-length problems are marked in the inputs; accidentals that read differently under ABC 2.1 are listed
       const allWarnings = [
-        ...subjectWarnings.map(w => ({ ...w, source: 'Subject' })),
-        ...secondSubjectWarnings.map(w => ({ ...w, source: 'Second Subject' })),
-        ...csWarnings.map(w => ({ ...w, source: 'Countersubject 1' })),
-        ...cs2Warnings.map(w => ({ ...w, source: 'Countersubject 2' })),
+        ...subjectWarnings.filter(w => w.type === 'accidental').map(w => ({ ...w, source: 'Subject' })),
+        ...validateAccidentals(subject2Input).map(w => ({ ...w, source: 'Second Subject' })),
+        ...validateAccidentals(csInput).map(w => ({ ...w, source: 'Countersubject 1' })),
+        ...validateAccidentals(cs2Input).map(w => ({ ...w, source: 'Countersubject 2' })),
       ];
-      setTimingWarnings(allWarnings);
-
-      // Parse or generate answer (use spelling key for accidentals)
-      let answerNotes = answerInput.trim() ? parseABC(answerInput, tonic, analysisMode, effNL, spellingKeySig).notes : null;
+      setAccidentalWarnings(allWarnings);
 
       // Calculate octave shift for countersubject
       // This shift affects both analysis and visualization
@@ -339,6 +736,7 @@ export default function App() {
         countersubjectShift: csOctaveShiftVal, // Store shift value for display
         defaultNoteLength: effNL,
         meter,
+        tempo: h.tempo, // Q: header, quarter notes per minute, or null
         parsedInfo: {
           key: analysisKey,
           mode: analysisMode,
@@ -356,7 +754,7 @@ export default function App() {
 
       // Run subject analyses
       res.melodicContour = testMelodicContour(subject, formatter);
-      res.harmonicImplication = testHarmonicImplication(subject, tonic, analysisMode, formatter);
+      res.harmonicImplication = testHarmonicImplication(subject, tonic, analysisMode, formatter, subjectParsed.harmony);
       res.rhythmicVariety = testRhythmicVariety(subject, formatter);
 
       // Analyze sequences in all voices
@@ -379,18 +777,7 @@ export default function App() {
         }
       }
 
-      // Set sequence ranges for motion penalty mitigation (subject only for now)
-      if (res.sequences.subject.noteRanges?.length > 0) {
-        setSequenceRanges(res.sequences.subject.noteRanges);
-        const beatRanges = res.sequences.subject.sequences?.map(seq => ({
-          startBeat: seq.startBeat,
-          endBeat: seq.endBeat,
-        })) || [];
-        setSequenceBeatRanges(beatRanges);
-      } else {
-        setSequenceRanges([]);
-        setSequenceBeatRanges([]);
-      }
+      applySequenceRanges(res.sequences);
 
       res.stretto = testStrettoViability(subject, formatter, 0.5, parseFloat(strettoStep), parseInt(strettoOctave));
       res.tonalAnswer = testTonalAnswer(subject, analysisMode, keyInfo, formatter);
@@ -401,6 +788,7 @@ export default function App() {
       res.subjectABC = formatSubjectABC(subject, keyInfo, effNL, meter);
 
       // Generate answer if not provided
+      res.answerGiven = Boolean(answerNotes);
       if (!answerNotes) {
         answerNotes = subject.map(
           (n) =>
@@ -454,6 +842,8 @@ export default function App() {
       res.defaultNL = effNL;
       res.meter = meter;
       res.formatter = formatter;
+      // Settings the results depend on, restored with an opened archive
+      res.settings = { treatP4Dissonant, csPos, csShift, strettoStep, strettoOctave };
 
       // Calculate scores
       const scores = calculateOverallScore(res, !!cs?.length);
@@ -643,6 +1033,18 @@ export default function App() {
               onChange={setStrettoStep}
               options={STRETTO_STEP_OPTIONS}
             />
+            <Select
+              label="Accidentals Last"
+              value={accidentalMode}
+              onChange={setAccidentalMode}
+              options={ACCIDENTAL_MODE_OPTIONS}
+            />
+            <Select
+              label="Pickup"
+              value={pickupSetting}
+              onChange={setPickupSetting}
+              options={PICKUP_OPTIONS}
+            />
           </div>
 
           {/* Spelling Key Option */}
@@ -823,6 +1225,165 @@ export default function App() {
           )}
         </div>
 
+        {/* Multi-voice Import Panel */}
+        <div
+          style={{
+            backgroundColor: '#fff',
+            borderRadius: '6px',
+            border: '1px solid #e0e0e0',
+            padding: '12px 16px',
+            marginBottom: '14px',
+          }}
+        >
+          <div style={{ display: 'flex', alignItems: 'center', gap: '12px', marginBottom: '8px' }}>
+            <span style={{ fontSize: '12px', fontWeight: '600', color: '#546e7a' }}>Multi-voice import:</span>
+            <span style={{ fontSize: '11px', color: '#90a4ae' }}>
+              Paste an ABC file with V: voices. Voices are assigned by %%slot directives (e.g. %%slot 2 answer), then by voice name.
+            </span>
+          </div>
+          <div style={{ display: 'flex', gap: '10px', alignItems: 'flex-start' }}>
+            <textarea
+              value={voiceImportInput}
+              onChange={(e) => setVoiceImportInput(e.target.value)}
+              style={{
+                flex: 1,
+                height: '60px',
+                padding: '9px',
+                border: '1px solid #ccc',
+                borderRadius: '4px',
+                fontSize: '12px',
+                fontFamily: 'monospace',
+                resize: 'vertical',
+                boxSizing: 'border-box',
+              }}
+              placeholder={'V:1 name="Subject"\nV:2 name="Answer"\n...'}
+              aria-label="Multi-voice ABC to import"
+            />
+            <button
+              onClick={importVoices}
+              disabled={!voiceImportInput.trim()}
+              style={{
+                padding: '6px 12px',
+                backgroundColor: voiceImportInput.trim() ? '#5c6bc0' : '#ccc',
+                color: 'white',
+                border: 'none',
+                borderRadius: '4px',
+                fontSize: '12px',
+                cursor: voiceImportInput.trim() ? 'pointer' : 'default',
+              }}
+            >
+              Split into slots
+            </button>
+          </div>
+          {voiceImportSummary && (
+            <div style={{ marginTop: '8px', fontSize: '11px', color: '#546e7a' }}>
+              {voiceImportSummary.assigned.map((a) => (
+                <div key={a.slot}>
+                  {VOICE_SLOT_LABELS[a.slot]} ← V:{a.voiceId}{a.name ? ` (${a.name})` : ''}, enters at {a.entry}
+                  {a.source === 'order' && <span style={{ color: '#90a4ae' }}> (by order)</span>}
+                </div>
+              ))}
+              {voiceImportSummary.unassigned.length > 0 && (
+                <div style={{ color: '#c62828' }}>
+                  Not imported: {voiceImportSummary.unassigned.map((u) => `V:${u.voiceId}`).join(', ')}
+                </div>
+              )}
+            </div>
+          )}
+        </div>
+
+        {/* MIDI Import Panel */}
+        <FileImportPanel
+          title="MIDI import"
+          description="Load a type 0 or 1 MIDI file. Key and meter come from its meta events; chords keep their top note."
+          accept=".mid,.midi,audio/midi"
+          fileLabel="MIDI file to import"
+          buttonLabel="Fill slots"
+          {...FILE_IMPORTS.midi}
+          droppedLabel="chord notes"
+          read={(bytes) => {
+            const { tracks, slots } = importMIDIFile(bytes, { grid: parseFloat(midiGrid) });
+            return { sources: tracks, slots };
+          }}
+          fill={(bytes, assignments) => applyImportedSlots(
+            importMIDIFile(bytes, { grid: parseFloat(midiGrid), assignments }),
+            FILE_IMPORTS.midi,
+          )}
+          onError={setError}
+        >
+          <Select label="Quantize to" value={midiGrid} onChange={setMidiGrid} options={MIDI_QUANTIZE_OPTIONS} style={{ width: '120px' }} />
+        </FileImportPanel>
+
+        {/* MusicXML Import Panel */}
+        <FileImportPanel
+          title="MusicXML import"
+          description="Load an uncompressed partwise score (.musicxml/.xml). Spelling, ties, tuplets, pickups and key/time changes are kept."
+          accept=".musicxml,.xml,application/vnd.recordare.musicxml+xml"
+          fileLabel="MusicXML file to import"
+          buttonLabel="Fill slots from parts"
+          {...FILE_IMPORTS.musicXML}
+          droppedLabel="chord or extra-voice notes"
+          read={(bytes) => {
+            const { parts, slots } = importMusicXML(new TextDecoder().decode(bytes));
+            return { sources: parts, slots };
+          }}
+          fill={(bytes, assignments) => applyImportedSlots(
+            importMusicXML(new TextDecoder().decode(bytes), { assignments }),
+            FILE_IMPORTS.musicXML,
+          )}
+          onError={setError}
+        />
+
+        {/* **kern Import Panel */}
+        <FileImportPanel
+          title="**kern import"
+          description="Load a Humdrum file (.krn), e.g. a corpus fugue. Spelling, ties, tuplets, pickups and key/meter changes are kept."
+          accept=".krn,.txt"
+          fileLabel="**kern file to import"
+          buttonLabel="Fill slots from spines"
+          {...FILE_IMPORTS.kern}
+          droppedLabel="chord or sub-spine notes"
+          read={(bytes) => {
+            const { spines, slots } = importKern(new TextDecoder().decode(bytes));
+            return { sources: spines, slots };
+          }}
+          fill={(bytes, assignments) => applyImportedSlots(
+            importKern(new TextDecoder().decode(bytes), { assignments }),
+            FILE_IMPORTS.kern,
+          )}
+          onError={setError}
+        />
+
+        {/* Analysis Archive Panel */}
+        <div
+          style={{
+            backgroundColor: '#fff',
+            borderRadius: '6px',
+            border: '1px solid #e0e0e0',
+            padding: '12px 16px',
+            marginBottom: '14px',
+          }}
+        >
+          <div style={{ display: 'flex', alignItems: 'center', gap: '12px', flexWrap: 'wrap' }}>
+            <span style={{ fontSize: '12px', fontWeight: '600', color: '#546e7a' }}>Open analysis:</span>
+            <input
+              type="file"
+              accept=".json,application/json"
+              onChange={(e) => loadAnalysisFile(e.target.files[0])}
+              aria-label="Analysis JSON to open"
+              style={{ fontSize: '12px' }}
+            />
+            <span style={{ fontSize: '11px', color: '#90a4ae' }}>
+              A file from <strong>Download analysis JSON</strong>; its inputs and results are shown as saved, without re-analyzing.
+            </span>
+          </div>
+          {analysisArchiveInfo && (
+            <div style={{ marginTop: '8px', fontSize: '11px', color: '#546e7a' }}>
+              {analysisArchiveInfo.name}: analyzer {analysisArchiveInfo.engineVersion}, exported {analysisArchiveInfo.exportedAt}
+            </div>
+          )}
+        </div>
+
         {/* Input Panel */}
         <div
           style={{
@@ -844,21 +1405,12 @@ export default function App() {
             >
               Subject
             </label>
-            <textarea
+            <ABCTextarea
               value={subjectInput}
-              onChange={(e) => setSubjectInput(e.target.value)}
-              style={{
-                width: '100%',
-                height: '90px',
-                padding: '9px',
-                border: '1px solid #ccc',
-                borderRadius: '4px',
-                fontSize: '12px',
-                fontFamily: 'monospace',
-                resize: 'vertical',
-                boxSizing: 'border-box',
-              }}
-              aria-label="Subject in ABC notation"
+              onChange={setSubjectInput}
+              diagnostics={inputDiagnostics.subject?.items}
+              diagnosticsFor={inputDiagnostics.subject?.text}
+              ariaLabel="Subject in ABC notation"
             />
           </div>
           <div>
@@ -873,22 +1425,13 @@ export default function App() {
             >
               Second Subject
             </label>
-            <textarea
+            <ABCTextarea
               value={subject2Input}
-              onChange={(e) => setSubject2Input(e.target.value)}
-              style={{
-                width: '100%',
-                height: '90px',
-                padding: '9px',
-                border: '1px solid #ccc',
-                borderRadius: '4px',
-                fontSize: '12px',
-                fontFamily: 'monospace',
-                resize: 'vertical',
-                boxSizing: 'border-box',
-              }}
+              onChange={setSubject2Input}
+              diagnostics={inputDiagnostics.secondSubject?.items}
+              diagnosticsFor={inputDiagnostics.secondSubject?.text}
               placeholder="Optional"
-              aria-label="Second subject in ABC notation (optional)"
+              ariaLabel="Second subject in ABC notation (optional)"
             />
           </div>
           <div>
@@ -903,22 +1446,13 @@ export default function App() {
             >
               Countersubject
             </label>
-            <textarea
+            <ABCTextarea
               value={csInput}
-              onChange={(e) => setCsInput(e.target.value)}
-              style={{
-                width: '100%',
-                height: '90px',
-                padding: '9px',
-                border: '1px solid #ccc',
-                borderRadius: '4px',
-                fontSize: '12px',
-                fontFamily: 'monospace',
-                resize: 'vertical',
-                boxSizing: 'border-box',
-              }}
+              onChange={setCsInput}
+              diagnostics={inputDiagnostics.countersubject?.items}
+              diagnosticsFor={inputDiagnostics.countersubject?.text}
               placeholder="Optional"
-              aria-label="Countersubject in ABC notation (optional)"
+              ariaLabel="Countersubject in ABC notation (optional)"
             />
           </div>
           <div>
@@ -933,22 +1467,14 @@ export default function App() {
             >
               Countersubject 2
             </label>
-            <textarea
+            <ABCTextarea
               value={cs2Input}
-              onChange={(e) => setCs2Input(e.target.value)}
-              style={{
-                width: '100%',
-                height: '60px',
-                padding: '9px',
-                border: '1px solid #ccc',
-                borderRadius: '4px',
-                fontSize: '12px',
-                fontFamily: 'monospace',
-                resize: 'vertical',
-                boxSizing: 'border-box',
-              }}
+              onChange={setCs2Input}
+              diagnostics={inputDiagnostics.countersubject2?.items}
+              diagnosticsFor={inputDiagnostics.countersubject2?.text}
+              height="60px"
               placeholder="Optional"
-              aria-label="Second countersubject in ABC notation (optional)"
+              ariaLabel="Second countersubject in ABC notation (optional)"
             />
           </div>
           <div>
@@ -963,22 +1489,13 @@ export default function App() {
             >
               Answer (auto if empty)
             </label>
-            <textarea
+            <ABCTextarea
               value={answerInput}
-              onChange={(e) => setAnswerInput(e.target.value)}
-              style={{
-                width: '100%',
-                height: '90px',
-                padding: '9px',
-                border: '1px solid #ccc',
-                borderRadius: '4px',
-                fontSize: '12px',
-                fontFamily: 'monospace',
-                resize: 'vertical',
-                boxSizing: 'border-box',
-              }}
+              onChange={setAnswerInput}
+              diagnostics={inputDiagnostics.answer?.items}
+              diagnosticsFor={inputDiagnostics.answer?.text}
               placeholder="Leave empty for auto-generation"
-              aria-label="Answer in ABC notation (optional, auto-generated if empty)"
+              ariaLabel="Answer in ABC notation (optional, auto-generated if empty)"
             />
           </div>
         </div>
@@ -1017,8 +1534,8 @@ export default function App() {
           </div>
         )}
 
-        {/* Timing Warnings */}
-        {timingWarnings.length > 0 && (
+        {/* Accidental Warnings - notes that other ABC tools read with a carried accidental */}
+        {accidentalWarnings.length > 0 && (
           <div
             role="alert"
             style={{
@@ -1030,9 +1547,9 @@ export default function App() {
             }}
           >
             <div style={{ fontWeight: '600', marginBottom: '6px', color: '#e65100' }}>
-              Time Signature Mismatch
+              Accidentals Read Differently in ABC 2.1
             </div>
-            {timingWarnings.map((w, i) => (
+            {accidentalWarnings.map((w, i) => (
               <div key={i} style={{ fontSize: '12px', color: '#bf360c', marginBottom: '2px' }}>
                 {w.source}: {w.message}
               </div>
@@ -1071,6 +1588,308 @@ export default function App() {
               </div>
             </div>
 
+            {/* MIDI and MusicXML export of all voices */}
+            <div
+              style={{
+                backgroundColor: '#fff',
+                borderRadius: '6px',
+                border: '1px solid #e0e0e0',
+                padding: '12px 16px',
+                marginBottom: '14px',
+                display: 'flex',
+                alignItems: 'flex-end',
+                gap: '14px',
+                flexWrap: 'wrap',
+              }}
+            >
+              <div style={{ fontSize: '12px', fontWeight: '600', color: '#546e7a', alignSelf: 'center' }}>
+                Export
+              </div>
+              <Select label="Tempo" value={midiTempo} onChange={setMidiTempo} options={MIDI_TEMPO_OPTIONS} style={{ width: '120px' }} />
+              <button
+                onClick={() => exportMIDI('fugue-voices.mid', [
+                  { name: 'Subject', notes: results.subject },
+                  { name: 'Answer', notes: results.answerNotes },
+                  { name: 'Countersubject 1', notes: results.countersubject },
+                  { name: 'Countersubject 2', notes: results.countersubject2 },
+                  { name: 'Second Subject', notes: results.secondSubject },
+                ])}
+                title="Every voice on its own track, aligned as analyzed"
+                style={{
+                  padding: '8px 14px',
+                  backgroundColor: '#fff',
+                  border: '1px solid #cfd8dc',
+                  borderRadius: '4px',
+                  cursor: 'pointer',
+                  fontSize: '13px',
+                  color: '#37474f',
+                }}
+              >
+                Download all voices
+              </button>
+              <button
+                onClick={exportMusicXML}
+                title="Subject, answer and countersubjects with implied chords, the tonal mutation, dissonance labels and parallel perfects marked"
+                style={{
+                  padding: '8px 14px',
+                  backgroundColor: '#fff',
+                  border: '1px solid #cfd8dc',
+                  borderRadius: '4px',
+                  cursor: 'pointer',
+                  fontSize: '13px',
+                  color: '#37474f',
+                }}
+              >
+                Download annotated MusicXML
+              </button>
+              <Select label="LilyPond markup" value={lilyPondMarkup} onChange={setLilyPondMarkup} options={LILYPOND_MARKUP_OPTIONS} style={{ width: '160px' }} />
+              <Select label="Interval table" value={intervalTableFormat} onChange={setIntervalTableFormat} options={INTERVAL_TABLE_FORMAT_OPTIONS} style={{ width: '90px' }} />
+              <button
+                onClick={() => exportLilyPond('fugue-exposition.ly', lilyPondVoices(results, 'exposition', { answer: exportedAnswer() }))}
+                title="Subject continuing into countersubject 1 against the answer, and countersubject 2 under the answer"
+                style={{
+                  padding: '8px 14px',
+                  backgroundColor: '#fff',
+                  border: '1px solid #cfd8dc',
+                  borderRadius: '4px',
+                  cursor: 'pointer',
+                  fontSize: '13px',
+                  color: '#37474f',
+                }}
+              >
+                Download LilyPond
+              </button>
+              <button
+                onClick={exportAnalysis}
+                title="Full results, score profiles and inputs as versioned JSON, to archive or reopen without re-analyzing"
+                style={{
+                  padding: '8px 14px',
+                  backgroundColor: '#fff',
+                  border: '1px solid #cfd8dc',
+                  borderRadius: '4px',
+                  cursor: 'pointer',
+                  fontSize: '13px',
+                  color: '#37474f',
+                }}
+              >
+                Download analysis JSON
+              </button>
+              <button
+                onClick={exportReport}
+                title="One HTML file with the inputs, score breakdown, issues, piano-roll and counterpoint views and all observations; opens offline"
+                style={{
+                  padding: '8px 14px',
+                  backgroundColor: '#fff',
+                  border: '1px solid #cfd8dc',
+                  borderRadius: '4px',
+                  cursor: 'pointer',
+                  fontSize: '13px',
+                  color: '#37474f',
+                }}
+              >
+                Export report
+              </button>
+              <span style={{ fontSize: '11px', color: '#90a4ae', alignSelf: 'center' }}>
+                Stretto and counterpoint pairs download from their own sections.
+              </span>
+            </div>
+
+            {/* Playback of any set of analyzed voices */}
+            {(() => {
+              const playbackLength = Math.max(...VOICE_SLOTS.flatMap((slot) =>
+                (slot === 'answer' ? results.answerNotes : results[slot])?.map((n) => n.onset + n.duration) || []));
+              const rangeOptions = generateGridLines(playbackLength, results.meter)
+                .filter((line) => line.isMainBeat && line.time < playbackLength)
+                .map((line) => ({ value: String(line.time), label: results.formatter.formatBeat(line.time) }));
+              if (rangeOptions[0]?.value !== '0') rangeOptions.unshift({ value: '0', label: results.formatter.formatBeat(0) });
+              const slots = VOICE_SLOTS.filter((slot) => slot === 'answer' || results[slot]?.length);
+              const voices = playbackVoices();
+              const auditioned = auditionQueue[auditionIndex];
+              const toggle = (list, setList, name) => setList(list.includes(name) ? list.filter((n) => n !== name) : [...list, name]);
+              const mixButton = (pressed, color) => ({
+                padding: '0 5px',
+                fontSize: '10px',
+                fontWeight: '600',
+                lineHeight: '16px',
+                border: `1px solid ${pressed ? color : '#cfd8dc'}`,
+                borderRadius: '3px',
+                backgroundColor: pressed ? color : '#fff',
+                color: pressed ? '#fff' : '#78909c',
+                cursor: 'pointer',
+              });
+              return (
+                <div
+                  style={{
+                    backgroundColor: '#fff',
+                    borderRadius: '6px',
+                    border: '1px solid #e0e0e0',
+                    padding: '12px 16px',
+                    marginBottom: '14px',
+                    display: 'flex',
+                    alignItems: 'flex-end',
+                    gap: '14px',
+                    flexWrap: 'wrap',
+                  }}
+                >
+                  <div style={{ fontSize: '12px', fontWeight: '600', color: '#546e7a', alignSelf: 'center' }}>
+                    Playback
+                  </div>
+                  <div style={{ display: 'flex', gap: '10px', alignSelf: 'center', flexWrap: 'wrap' }}>
+                    {slots.map((slot) => {
+                      const name = VOICE_SLOT_LABELS[slot];
+                      return (
+                        <div key={slot} style={{ display: 'flex', alignItems: 'center', gap: '4px' }}>
+                          <label style={{ display: 'flex', alignItems: 'center', gap: '4px', fontSize: '12px', color: '#37474f', cursor: 'pointer' }}>
+                            <input
+                              type="checkbox"
+                              checked={playbackSlots.includes(slot)}
+                              onChange={(e) => {
+                                const next = e.target.checked ? [...playbackSlots, slot] : playbackSlots.filter((s) => s !== slot);
+                                setPlaybackSlots(next);
+                                if (auditionSource === 'dissonances') chooseAuditionSource('dissonances', next);
+                              }}
+                            />
+                            {name}
+                          </label>
+                          <button
+                            aria-label={`Solo ${name}`}
+                            aria-pressed={soloVoices.includes(name)}
+                            onClick={() => toggle(soloVoices, setSoloVoices, name)}
+                            title="Solo: only soloed voices sound"
+                            style={mixButton(soloVoices.includes(name), '#f59e0b')}
+                          >
+                            S
+                          </button>
+                          <button
+                            aria-label={`Mute ${name}`}
+                            aria-pressed={mutedVoices.includes(name)}
+                            onClick={() => toggle(mutedVoices, setMutedVoices, name)}
+                            title="Mute"
+                            style={mixButton(mutedVoices.includes(name), '#78909c')}
+                          >
+                            M
+                          </button>
+                          <select
+                            aria-label={`Timbre ${name}`}
+                            value={voiceTimbres[name] || 'auto'}
+                            onChange={(e) => setVoiceTimbres({ ...voiceTimbres, [name]: e.target.value === 'auto' ? undefined : e.target.value })}
+                            title="Waveform in playback and WAV export"
+                            style={{ fontSize: '11px', padding: '1px 2px', border: '1px solid #cfd8dc', borderRadius: '3px', color: '#546e7a' }}
+                          >
+                            {TIMBRE_OPTIONS.map((o) => <option key={o.value} value={o.value}>{o.label}</option>)}
+                          </select>
+                        </div>
+                      );
+                    })}
+                  </div>
+                  <Select label="Tempo" value={playbackTempo} onChange={setPlaybackTempo} options={MIDI_TEMPO_OPTIONS} style={{ width: '110px' }} />
+                  <Select label="Tuning" value={playbackTuning} onChange={setPlaybackTuning} options={TUNING_SYSTEM_OPTIONS} style={{ width: '170px' }} />
+                  <label
+                    title="Label each simultaneity in the counterpoint and stretto views with its cents from pure in this tuning"
+                    style={{ display: 'flex', alignItems: 'center', gap: '4px', fontSize: '12px', color: '#37474f', cursor: 'pointer', alignSelf: 'center' }}
+                  >
+                    <input type="checkbox" checked={showTuningCents} onChange={(e) => setShowTuningCents(e.target.checked)} />
+                    Cents from pure
+                  </label>
+                  <Select label="From" value={playbackStart} onChange={setPlaybackStart} options={rangeOptions} style={{ width: '130px' }} />
+                  <Select
+                    label="To"
+                    value={playbackEnd}
+                    onChange={setPlaybackEnd}
+                    options={[...rangeOptions.slice(1), { value: 'end', label: 'End' }]}
+                    style={{ width: '130px' }}
+                  />
+                  <label style={{ display: 'flex', alignItems: 'center', gap: '4px', fontSize: '12px', color: '#37474f', cursor: 'pointer', alignSelf: 'center' }}>
+                    <input type="checkbox" checked={playbackLoop} onChange={(e) => setPlaybackLoop(e.target.checked)} />
+                    Loop
+                  </label>
+                  <button
+                    onClick={() => (playing
+                      ? stopPlayback()
+                      : startPlayback(voices.map((v) => v.name).join(' + '), voices))}
+                    title="Synthesized tones; the playhead follows in the piano roll and counterpoint views"
+                    style={{
+                      padding: '8px 14px',
+                      backgroundColor: playing ? '#fff1f2' : '#fff',
+                      border: '1px solid #cfd8dc',
+                      borderRadius: '4px',
+                      cursor: 'pointer',
+                      fontSize: '13px',
+                      color: '#37474f',
+                    }}
+                  >
+                    {playing ? 'Stop' : 'Play'}
+                  </button>
+                  <button
+                    onClick={() => exportWAV('fugue-voices.wav', voices)}
+                    title={results.tempo
+                      ? `Ticked voices over the chosen range, at the Q: tempo of ${Math.round(results.tempo)}`
+                      : 'Ticked voices over the chosen range, at the chosen tempo'}
+                    style={{
+                      padding: '8px 14px',
+                      backgroundColor: '#fff',
+                      border: '1px solid #cfd8dc',
+                      borderRadius: '4px',
+                      cursor: 'pointer',
+                      fontSize: '13px',
+                      color: '#37474f',
+                    }}
+                  >
+                    Download WAV
+                  </button>
+                  {playing && (
+                    <span style={{ fontSize: '12px', color: '#546e7a', alignSelf: 'center' }}>
+                      Playing {playing}{playhead !== null ? ` · ${results.formatter.formatBeat(playhead)}` : ''}
+                    </span>
+                  )}
+                  {playbackError && (
+                    <span style={{ fontSize: '12px', color: '#c62828', alignSelf: 'center' }}>{playbackError}</span>
+                  )}
+                  <div style={{ flexBasis: '100%', display: 'flex', alignItems: 'flex-end', gap: '10px', flexWrap: 'wrap' }}>
+                    <Select
+                      label="Audition"
+                      value={auditionSource}
+                      onChange={(source) => chooseAuditionSource(source)}
+                      options={AUDITION_SOURCE_OPTIONS}
+                      style={{ width: '150px' }}
+                    />
+                    {auditionSource !== 'off' && (auditionQueue.length === 0 ? (
+                      <span style={{ fontSize: '12px', color: '#90a4ae', alignSelf: 'center' }}>
+                        {auditionSource === 'issues' ? 'No issues with a location to audition.' : 'No bad dissonances among the ticked voices.'}
+                      </span>
+                    ) : (
+                      <>
+                        {[['Prev', -1], ['Next', 1]].map(([text, step]) => (
+                          <button
+                            key={text}
+                            onClick={() => auditionEntry(auditionIndex === null
+                              ? (step > 0 ? 0 : auditionQueue.length - 1)
+                              : (auditionIndex + step + auditionQueue.length) % auditionQueue.length)}
+                            style={{
+                              padding: '8px 12px',
+                              backgroundColor: '#fff',
+                              border: '1px solid #cfd8dc',
+                              borderRadius: '4px',
+                              cursor: 'pointer',
+                              fontSize: '13px',
+                              color: '#37474f',
+                            }}
+                          >
+                            {text}
+                          </button>
+                        ))}
+                        <span style={{ fontSize: '12px', color: '#546e7a', alignSelf: 'center' }}>
+                          {auditioned
+                            ? `${auditionIndex + 1} of ${auditionQueue.length}: ${auditioned.description}`
+                            : `${auditionQueue.length} to audition; each loops ${results.formatter.formatDistance(AUDITION_WINDOW_BEATS)} around its spot${auditionSource === 'issues' ? ', or click an issue' : ''}`}
+                        </span>
+                      </>
+                    ))}
+                  </div>
+                </div>
+              );
+            })()}
+
             {/* Parsed Info Summary */}
             <div
               style={{
@@ -1113,7 +1932,7 @@ export default function App() {
             {/* Issues Summary - Show problems first */}
             <IssuesSummary
               results={results}
-              onHighlight={setHighlightedItem}
+              onHighlight={highlightIssue}
               highlightedItem={highlightedItem}
             />
 
@@ -1125,6 +1944,7 @@ export default function App() {
                 activeSequenceRange={activeSequenceVoice === 'subject' ? activeSequenceRange : null}
                 highlightedItem={highlightedItem}
                 meter={results.meter}
+                playhead={playhead}
               />
             </Section>
 
@@ -1145,6 +1965,11 @@ export default function App() {
                     meter={results.meter}
                     sequences={results.sequences}
                     title="Counterpoint Comparison"
+                    onExportMIDI={(pair) => exportMIDI(`${pair.map((v) => v.name).join('-').toLowerCase().replace(/\s+/g, '')}.mid`, pair)}
+                    playhead={playhead}
+                    tuning={showTuningCents ? playbackTuning : null}
+                    tonic={results.keyInfo.tonic}
+                    onExportIntervals={(pair, sequences) => exportIntervalTable(`${pair.map((v) => v.name).join('-').toLowerCase().replace(/\s+/g, '')}-intervals`, pair, sequences)}
                   />
                 </Section>
 
@@ -1173,6 +1998,7 @@ export default function App() {
                 <ChordAnalysisDisplay
                   chordAnalysis={results.harmonicImplication.chordAnalysis}
                   formatter={results.formatter}
+                  harmonyComparison={results.harmonicImplication.harmonyComparison}
                 />
               )}
             </Section>
@@ -1770,14 +2596,49 @@ export default function App() {
                         ))}
                       </div>
                     )}
+                    <div style={{ display: 'flex', justifyContent: 'flex-end', marginBottom: '8px' }}>
+                      <button
+                        onClick={() => (playing
+                          ? stopPlayback()
+                          : startPlayback(`stretto at ${results.formatter.formatDistance(s.distance)}`, strettoVoices(results.subject, s.distance, strettoOctaveVal)))}
+                        title="Dux and comes at this distance and transposition, with the tempo and range set in the Playback panel"
+                        style={{ marginRight: '6px', padding: '4px 10px', border: '1px solid #d1d5db', borderRadius: '4px', backgroundColor: playing ? '#fff1f2' : '#fff', cursor: 'pointer', fontSize: '11px', color: '#374151' }}
+                      >
+                        {playing ? 'Stop' : 'Play stretto'}
+                      </button>
+                      <button
+                        onClick={() => exportMIDI(`stretto-${s.distance}-${strettoOctaveVal}.mid`, strettoVoices(results.subject, s.distance, strettoOctaveVal))}
+                        title="Dux and comes at this distance and transposition, one track each"
+                        style={{ padding: '4px 10px', border: '1px solid #d1d5db', borderRadius: '4px', backgroundColor: '#fff', cursor: 'pointer', fontSize: '11px', color: '#374151' }}
+                      >
+                        Download MIDI
+                      </button>
+                      <button
+                        onClick={() => exportWAV(`stretto-${s.distance}-${strettoOctaveVal}.wav`, strettoVoices(results.subject, s.distance, strettoOctaveVal))}
+                        title="Dux and comes at this distance and transposition, rendered with the range set in the Playback panel"
+                        style={{ marginLeft: '6px', padding: '4px 10px', border: '1px solid #d1d5db', borderRadius: '4px', backgroundColor: '#fff', cursor: 'pointer', fontSize: '11px', color: '#374151' }}
+                      >
+                        Download WAV
+                      </button>
+                      <button
+                        onClick={() => exportLilyPond(`stretto-${s.distance}-${strettoOctaveVal}.ly`, lilyPondVoices(results, 'stretto', { distance: s.distance, transposition: strettoOctaveVal }))}
+                        title="Dux and comes at this distance and transposition, with the LilyPond markup chosen in the Export panel"
+                        style={{ marginLeft: '6px', padding: '4px 10px', border: '1px solid #d1d5db', borderRadius: '4px', backgroundColor: '#fff', cursor: 'pointer', fontSize: '11px', color: '#374151' }}
+                      >
+                        Download LilyPond
+                      </button>
+                      <button
+                        onClick={() => exportIntervalTable(`stretto-${s.distance}-${strettoOctaveVal}-intervals`, strettoVoices(results.subject, s.distance, strettoOctaveVal))}
+                        title="Every simultaneity of dux and comes with its interval, metric weight, dissonance scores, chain and passing motion, in the interval table format chosen in the Export panel"
+                        style={{ marginLeft: '6px', padding: '4px 10px', border: '1px solid #d1d5db', borderRadius: '4px', backgroundColor: '#fff', cursor: 'pointer', fontSize: '11px', color: '#374151' }}
+                      >
+                        Download intervals
+                      </button>
+                    </div>
                     <TwoVoiceViz
                       key={`${selectedStretto}-${strettoOctave}`}
                       voice1={results.subject}
-                      voice2={results.subject.map(n => ({
-                        ...n,
-                        pitch: n.pitch + strettoOctaveVal,
-                        onset: n.onset + s.distance,
-                      }))}
+                      voice2={strettoVoices(results.subject, s.distance, strettoOctaveVal)[1].notes}
                       voice1Label="Dux"
                       voice2Label="Comes"
                       voice1Color={VIZ_COLORS.voiceDux}
@@ -1786,6 +2647,10 @@ export default function App() {
                       meter={results.meter}
                       issues={s.issues || []}
                       warnings={s.warnings || []}
+                      playhead={playhead}
+                      tuning={showTuningCents ? playbackTuning : null}
+                      tonic={results.keyInfo.tonic}
+                      caption={`Stretto: comes after ${results.formatter.formatDistance(s.distance)}, ${strettoOctaveVal > 0 ? '+' : ''}${strettoOctaveVal} semitones`}
                     />
                   </div>
                 );
@@ -1885,6 +2750,25 @@ export default function App() {
                   </>
                 )}
 
+                {voiceTexture && (
+                  <Section title="Voice Texture" helpKey="voiceTexture" defaultCollapsed={true}>
+                    <div style={{ display: 'flex', gap: '12px', flexWrap: 'wrap', marginBottom: '10px' }}>
+                      {VOICE_SLOTS.filter((slot) => slot === 'answer' || results[slot]?.length).map((slot) => (
+                        <label key={slot} style={{ display: 'flex', alignItems: 'center', gap: '4px', fontSize: '12px', color: '#37474f', cursor: 'pointer' }}>
+                          <input
+                            type="checkbox"
+                            aria-label={`Texture ${VOICE_SLOT_LABELS[slot]}`}
+                            checked={textureSlots.includes(slot)}
+                            onChange={(e) => setTextureSlots(e.target.checked ? [...textureSlots, slot] : textureSlots.filter((s) => s !== slot))}
+                          />
+                          {VOICE_SLOT_LABELS[slot]}
+                        </label>
+                      ))}
+                    </div>
+                    <VoiceTextureDisplay texture={voiceTexture} formatter={results.formatter} />
+                  </Section>
+                )}
+
                 {results.secondSubject && results.subject2DoubleCounterpoint && (
                   <Section title="Second Subject vs Subject" defaultCollapsed={true}>
                     <ObservationList observations={results.subject2DoubleCounterpoint.observations} />
@@ -1,5 +1,5 @@
-import { render, screen, fireEvent } from '@testing-library/react';
-import { describe, it, expect } from 'vitest';
+import { render, screen, fireEvent, waitFor, act } from '@testing-library/react';
+import { describe, it, expect, vi } from 'vitest';
 import App from './App';
 import { AVAILABLE_MODES } from './utils/modes';
 
@@ -118,4 +118,377 @@ describe('App analyze flow', () => {
     expect(screen.getByText('Second Subject vs CS2')).toBeInTheDocument();
     expect(screen.getByLabelText('Score view:')).toBeInTheDocument();
   });
+
+  it('splits a multi-voice ABC file into the input slots', () => {
+    render(<App />);
+
+    fireEvent.change(screen.getByLabelText('Multi-voice ABC to import'), {
+      target: { value: `L:1/8\nM:4/4\nK:C\nV:1 name="Subject"\nC2 D2 E2 F2 | G8 |\nV:2 name="Answer"\nz8 | G2 A2 B2 c2 |` },
+    });
+    fireEvent.click(screen.getByRole('button', { name: 'Split into slots' }));
+
+    expect(screen.getByLabelText('Subject in ABC notation').value).toBe('L:1/8\nM:4/4\nK:C\nC2 D2 E2 F2 | G8 |');
+    expect(screen.getByLabelText('Answer in ABC notation (optional, auto-generated if empty)').value).toBe('L:1/8\nM:4/4\nK:C\nG2 A2 B2 c2 |');
+    expect(screen.getByLabelText('Countersubject in ABC notation (optional)').value).toBe('');
+    expect(screen.getByText(/Answer ← V:2 \(Answer\), enters at M2\.B1/)).toBeInTheDocument();
+  });
+
+  it('fills the input slots from a MIDI file', async () => {
+    render(<App />);
+
+    // Type 0, 480 ticks per quarter, 4/4 in D major: C#5 then D5 (a half note) on channel 1
+    const track = [
+      0, 0xff, 0x58, 4, 4, 2, 24, 8, 0, 0xff, 0x59, 2, 2, 0,
+      0, 0x90, 73, 80, 0x83, 0x60, 73, 0, 0, 74, 80, 0x87, 0x40, 74, 0, 0, 0xff, 0x2f, 0,
+    ];
+    const bytes = new Uint8Array([
+      0x4d, 0x54, 0x68, 0x64, 0, 0, 0, 6, 0, 0, 0, 1, 0x01, 0xe0,
+      0x4d, 0x54, 0x72, 0x6b, 0, 0, 0, track.length, ...track,
+    ]);
+    fireEvent.change(screen.getByLabelText('MIDI file to import'), {
+      target: { files: [new File([bytes], 'sketch.mid')] },
+    });
+    await waitFor(() => expect(screen.getByRole('button', { name: 'Fill slots' })).toBeEnabled());
+    fireEvent.click(screen.getByRole('button', { name: 'Fill slots' }));
+
+    expect(screen.getByLabelText('Subject in ABC notation').value).toBe('M:4/4\nK:D\nL:1/8\nc2 d4 |]');
+    expect(screen.getByLabelText('Countersubject in ABC notation (optional)').value).toBe('');
+    expect(screen.getByText(/Subject ← Track 1, enters at M1\.B1/)).toBeInTheDocument();
+  });
+
+  it('fills the input slots from a MusicXML score and analyzes it in its key', async () => {
+    render(<App />);
+
+    // D minor, 4/4 with a quarter-note pickup: A4 | D5 (B-flat spelled) C#5 D5 |
+    const note = (step, octave, alter = '') => `<note><pitch><step>${step}</step>${alter && `<alter>${alter}</alter>`}<octave>${octave}</octave></pitch><duration>1</duration></note>`;
+    const xml = `<score-partwise version="4.0"><part-list><score-part id="P1"><part-name>Subject</part-name></score-part></part-list>
+      <part id="P1"><measure number="0" implicit="yes"><attributes><divisions>1</divisions><key><fifths>-1</fifths><mode>minor</mode></key>
+      <time><beats>4</beats><beat-type>4</beat-type></time></attributes>${note('A', 4)}</measure>
+      <measure number="1">${note('D', 5)}${note('B', 4, '-1')}${note('C', 5, '1')}${note('D', 5)}</measure></part></score-partwise>`;
+    fireEvent.change(screen.getByLabelText('MusicXML file to import'), {
+      target: { files: [new File([xml], 'subject.musicxml')] },
+    });
+    await waitFor(() => expect(screen.getByRole('button', { name: 'Fill slots from parts' })).toBeEnabled());
+    fireEvent.click(screen.getByRole('button', { name: 'Fill slots from parts' }));
+
+    expect(screen.getByLabelText('Subject in ABC notation').value).toBe('M:4/4\nK:Dm\nL:1/8\nA2 |d2 B2 ^c2 d2 |]');
+    expect(screen.getByText(/subject\.musicxml: D Minor, 4\/4, 1-beat pickup/)).toBeInTheDocument();
+
+    fireEvent.click(screen.getByRole('button', { name: 'Analyze' }));
+    expect(screen.getByText(/Analysis:/).textContent).toContain('D Minor');
+  });
+
+  it('fills the subject slot from a **kern spine', async () => {
+    render(<App />);
+
+    const krn = ['**kern', '*I"Subject', '*k[b-]', '*d:', '*M4/4', '4a', '=1', '4dd', '4b-', '4cc#', '4dd', '==', '*-'].join('\n');
+    fireEvent.change(screen.getByLabelText('**kern file to import'), {
+      target: { files: [new File([krn], 'subject.krn')] },
+    });
+    await waitFor(() => expect(screen.getByRole('button', { name: 'Fill slots from spines' })).toBeEnabled());
+    fireEvent.click(screen.getByRole('button', { name: 'Fill slots from spines' }));
+
+    expect(screen.getByLabelText('Subject in ABC notation').value).toBe('M:4/4\nK:Dm\nL:1/8\nA2 |d2 B2 ^c2 d2 |]');
+    expect(screen.getByText(/subject\.krn: D Minor, 4\/4, 1-beat pickup/)).toBeInTheDocument();
+  });
+
+  it('downloads every analyzed voice as a MIDI file', () => {
+    const createObjectURL = vi.fn(() => 'blob:voices');
+    const revokeObjectURL = vi.fn();
+    vi.stubGlobal('URL', { createObjectURL, revokeObjectURL });
+    const click = vi.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(function () {
+      expect(this.download).toBe('fugue-voices.mid');
+    });
+
+    render(<App />);
+    fireEvent.click(screen.getByRole('button', { name: 'Analyze' }));
+    fireEvent.click(screen.getByRole('button', { name: 'Download all voices' }));
+
+    expect(click).toHaveBeenCalledTimes(1);
+    expect(createObjectURL.mock.calls[0][0].type).toBe('audio/midi');
+    expect(revokeObjectURL).toHaveBeenCalledWith('blob:voices');
+    click.mockRestore();
+    vi.unstubAllGlobals();
+  });
+
+  it('downloads the analysis as annotated MusicXML', async () => {
+    const createObjectURL = vi.fn(() => 'blob:score');
+    vi.stubGlobal('URL', { createObjectURL, revokeObjectURL: vi.fn() });
+    const click = vi.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(function () {
+      expect(this.download).toBe('fugue-analysis.musicxml');
+    });
+
+    render(<App />);
+    fireEvent.click(screen.getByRole('button', { name: 'Analyze' }));
+    fireEvent.click(screen.getByRole('button', { name: 'Download annotated MusicXML' }));
+
+    expect(click).toHaveBeenCalledTimes(1);
+    const blob = createObjectURL.mock.calls[0][0];
+    expect(blob.type).toBe('application/vnd.recordare.musicxml+xml');
+    const xml = await new Promise((resolve) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.readAsText(blob);
+    });
+    expect(xml).toContain('<part-name>Subject</part-name>');
+    expect(xml).toContain('<part-name>Answer</part-name>');
+    expect(xml).toContain('<harmony>');
+    click.mockRestore();
+    vi.unstubAllGlobals();
+  });
+
+  it('downloads the exposition as LilyPond source with the chosen markup', () => {
+    const createObjectURL = vi.fn(() => 'blob:ly');
+    vi.stubGlobal('URL', { createObjectURL, revokeObjectURL: vi.fn() });
+    const click = vi.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(function () {
+      expect(this.download).toBe('fugue-exposition.ly');
+    });
+
+    render(<App />);
+    fireEvent.click(screen.getByRole('button', { name: 'Analyze' }));
+    fireEvent.change(screen.getByDisplayValue('No markup'), { target: { value: 'intervals' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Download LilyPond' }));
+
+    expect(click).toHaveBeenCalledTimes(1);
+    expect(createObjectURL.mock.calls[0][0].type).toBe('text/x-lilypond');
+    click.mockRestore();
+    vi.unstubAllGlobals();
+  });
+
+  it('downloads a counterpoint pair\'s interval table as TSV', async () => {
+    const createObjectURL = vi.fn(() => 'blob:tsv');
+    vi.stubGlobal('URL', { createObjectURL, revokeObjectURL: vi.fn() });
+    const click = vi.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(function () {
+      expect(this.download).toBe('subject-cs1-intervals.tsv');
+    });
+
+    render(<App />);
+    fireEvent.click(screen.getByRole('button', { name: 'Analyze' }));
+    fireEvent.change(screen.getByDisplayValue('CSV'), { target: { value: 'tsv' } });
+    fireEvent.click(screen.getAllByRole('button', { name: 'Download intervals' })[0]);
+
+    const blob = createObjectURL.mock.calls[0][0];
+    expect(blob.type).toBe('text/tab-separated-values');
+    const tsv = await new Promise((resolve) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.readAsText(blob);
+    });
+    const [header, first] = tsv.split('\n');
+    expect(header.split('\t').slice(0, 4)).toEqual(['voice1', 'voice2', 'onset', 'beat']);
+    expect(first.split('\t').slice(0, 3)).toEqual(['Subject', 'CS1', '0']);
+    click.mockRestore();
+    vi.unstubAllGlobals();
+  });
+
+  // Web Audio stand-in that records the oscillators and gains it creates
+  const stubAudio = () => {
+    const audio = { frames: [], oscillators: [], gains: [], context: null };
+    vi.stubGlobal('requestAnimationFrame', (fn) => audio.frames.push(fn));
+    vi.stubGlobal('cancelAnimationFrame', vi.fn());
+    vi.stubGlobal('AudioContext', class {
+      constructor() {
+        audio.context = this;
+        this.currentTime = 0;
+        this.destination = {};
+      }
+
+      createGain() {
+        const gain = { gain: { value: 1, setValueAtTime: vi.fn(), linearRampToValueAtTime: vi.fn(), setTargetAtTime: vi.fn() }, connect: (n) => n, disconnect: vi.fn() };
+        audio.gains.push(gain);
+        return gain;
+      }
+
+      createOscillator() {
+        const osc = { frequency: { value: 0 }, connect: (n) => n, start: vi.fn(), stop: vi.fn() };
+        audio.oscillators.push(osc);
+        return osc;
+      }
+    });
+    return audio;
+  };
+
+  it('plays the chosen voices and draws the playhead in the views', () => {
+    const audio = stubAudio();
+    const { frames, oscillators } = audio;
+
+    const { container } = render(<App />);
+    fireEvent.click(screen.getByRole('button', { name: 'Analyze' }));
+    fireEvent.change(screen.getByRole('option', { name: 'Werckmeister III' }).closest('select'), { target: { value: 'werckmeister' } });
+    // The tuning also labels the counterpoint view with cents from pure
+    const centsLabels = () => container.querySelectorAll('svg text[font-size="9"][pointer-events="none"]').length;
+    expect(centsLabels()).toBe(0);
+    fireEvent.click(screen.getByRole('checkbox', { name: 'Cents from pure' }));
+    expect(centsLabels()).toBeGreaterThan(0);
+    fireEvent.click(screen.getByRole('button', { name: 'Play' }));
+
+    expect(screen.getByText(/Playing Subject \+ Countersubject/)).toBeInTheDocument();
+    expect(oscillators[0].start).toHaveBeenCalledWith(0.05);
+    // Werckmeister moves C♯ minor's notes off the equal-tempered grid
+    const centsOffGrid = (f) => {
+      const cents = 1200 * Math.log2(f / 440);
+      return Math.abs(cents - 100 * Math.round(cents / 100));
+    };
+    expect(oscillators.some((o) => centsOffGrid(o.frequency.value) > 1)).toBe(true);
+
+    fireEvent.click(screen.getByRole('heading', { name: /^▼ ?Subject$/ }));
+    audio.context.currentTime = 0.8;
+    act(() => frames.shift()());
+    // In the subject piano roll and in the two-voice view of the counterpoint comparison
+    const pianoRoll = screen.getByRole('img', { name: 'Piano roll visualization' });
+    expect(pianoRoll.querySelector('line[stroke="#e11d48"]')).not.toBeNull();
+    expect(container.querySelectorAll('svg line[stroke="#e11d48"]').length).toBe(2);
+
+    fireEvent.click(screen.getByRole('button', { name: 'Stop' }));
+    expect(container.querySelector('line[stroke="#e11d48"]')).toBeNull();
+    expect(oscillators[0].stop).toHaveBeenCalled();
+    vi.unstubAllGlobals();
+  });
+
+  it('mutes voices and loops the context of each auditioned issue', () => {
+    const { gains } = stubAudio();
+
+    render(<App />);
+    fireEvent.click(screen.getByRole('button', { name: 'Analyze' }));
+    fireEvent.click(screen.getByRole('button', { name: 'Mute Countersubject' }));
+    expect(screen.getByRole('button', { name: 'Mute Countersubject' })).toHaveAttribute('aria-pressed', 'true');
+
+    fireEvent.change(screen.getByRole('option', { name: 'Issue list' }).closest('select'), { target: { value: 'issues' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Next' }));
+
+    expect(screen.getByText(/^Playing issue 1 of \d+/)).toBeInTheDocument();
+    expect(screen.getByText(/^1 of \d+: /)).toBeInTheDocument();
+    // Master gain, then the Subject and Countersubject buses
+    expect(gains.slice(1, 3).map((g) => g.gain.value)).toEqual([1, 0]);
+
+    fireEvent.click(screen.getByRole('button', { name: 'Solo Countersubject' }));
+    expect(gains[2].gain.setTargetAtTime.mock.lastCall[0]).toBe(1);
+    expect(gains[1].gain.setTargetAtTime.mock.lastCall[0]).toBe(0);
+
+    fireEvent.click(screen.getByRole('button', { name: 'Stop' }));
+    fireEvent.click(screen.getByText('Invertible Counterpoint', { selector: 'span' }));
+    fireEvent.click(screen.getByText(/^Inverted: Unprepared P4/));
+    expect(screen.getByText(/^Playing issue 1 of \d+/)).toBeInTheDocument();
+    vi.unstubAllGlobals();
+  });
+
+  it('renders the ticked voices to WAV at the Q: tempo', () => {
+    const createObjectURL = vi.fn(() => 'blob:wav');
+    vi.stubGlobal('URL', { createObjectURL, revokeObjectURL: vi.fn() });
+    const click = vi.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(function () {
+      expect(this.download).toBe('fugue-voices.wav');
+    });
+
+    render(<App />);
+    fireEvent.change(screen.getByLabelText('Subject in ABC notation'), { target: { value: SUBJECT.replace('K: Cm', 'Q: 1/4=120\nK: Cm') } });
+    fireEvent.click(screen.getByRole('button', { name: 'Analyze' }));
+    fireEvent.click(screen.getByLabelText('Countersubject'));
+    fireEvent.change(screen.getByLabelText('Timbre Subject'), { target: { value: 'square' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Download WAV' }));
+
+    const blob = createObjectURL.mock.calls[0][0];
+    expect(blob.type).toBe('audio/wav');
+    // The subject's notes end on beat 5: 2.5 s at 120, plus a 0.1 s tail, in 16-bit stereo at 44.1 kHz
+    expect(blob.size).toBe(44 + Math.ceil(2.6 * 44100) * 4);
+    click.mockRestore();
+    vi.unstubAllGlobals();
+  });
+
+  it('checks the answer and both countersubjects together as one texture', () => {
+    render(<App />);
+    fireEvent.click(screen.getByRole('button', { name: 'Analyze' }));
+    fireEvent.click(screen.getByText('Voice Texture'));
+
+    expect(screen.getByText(/^Answer \+ Countersubject \+ Countersubject 2: \d+ vertical slices/)).toBeInTheDocument();
+    expect(screen.getByText(/^Bass: /)).toBeInTheDocument();
+
+    fireEvent.click(screen.getByLabelText('Texture Answer'));
+    expect(screen.getByText(/^Countersubject \+ Countersubject 2: /)).toBeInTheDocument();
+    fireEvent.click(screen.getByLabelText('Texture Countersubject'));
+    expect(screen.getByText('Choose at least two voices with notes to check together.')).toBeInTheDocument();
+  });
+
+  it('downloads the analysis as JSON and reopens it without re-analyzing', async () => {
+    const createObjectURL = vi.fn(() => 'blob:analysis');
+    vi.stubGlobal('URL', { createObjectURL, revokeObjectURL: vi.fn() });
+    const click = vi.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(function () {
+      expect(this.download).toBe('fugue-analysis.json');
+    });
+
+    const { unmount } = render(<App />);
+    fireEvent.change(screen.getByLabelText('Subject in ABC notation'), { target: { value: SUBJECT } });
+    fireEvent.click(screen.getByRole('button', { name: 'Analyze' }));
+    fireEvent.click(screen.getByRole('button', { name: 'Download analysis JSON' }));
+
+    const blob = createObjectURL.mock.calls[0][0];
+    expect(blob.type).toBe('application/json');
+    const json = await new Promise((resolve) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.readAsText(blob);
+    });
+    click.mockRestore();
+    vi.unstubAllGlobals();
+    unmount();
+
+    render(<App />);
+    expect(screen.queryByRole('button', { name: 'Download analysis JSON' })).not.toBeInTheDocument();
+    fireEvent.change(screen.getByLabelText('Analysis JSON to open'), {
+      target: { files: [new File([json], 'fugue-analysis.json')] },
+    });
+
+    await waitFor(() => expect(screen.getByText(/fugue-analysis\.json: analyzer 1\.0\.0, exported/)).toBeInTheDocument());
+    expect(screen.getByLabelText('Subject in ABC notation').value).toContain('z2 c =B c2 G2 A2');
+    expect(screen.getByText('12 notes')).toBeInTheDocument();
+    expect(screen.getByRole('button', { name: 'Download analysis JSON' })).toBeInTheDocument();
+  });
+
+  it('exports a self-contained HTML report', async () => {
+    const createObjectURL = vi.fn(() => 'blob:report');
+    vi.stubGlobal('URL', { createObjectURL, revokeObjectURL: vi.fn() });
+    const click = vi.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(function () {
+      expect(this.download).toBe('fugue-report.html');
+    });
+
+    render(<App />);
+    fireEvent.click(screen.getByRole('button', { name: 'Analyze' }));
+    fireEvent.click(screen.getByRole('button', { name: 'Export report' }));
+
+    const blob = createObjectURL.mock.calls[0][0];
+    expect(blob.type).toBe('text/html');
+    const html = await new Promise((resolve) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.readAsText(blob);
+    });
+    expect(html.startsWith('<!DOCTYPE html>')).toBe(true);
+    expect(html).toContain('C8 | ^B,4 E4 | D8 |');
+    expect(html).toContain('Viability Score');
+    expect(html).toContain('Double Counterpoint at the Octave');
+    expect(html.match(/<svg [^>]*xmlns=/g)).toHaveLength(4);
+    expect(html).not.toMatch(/<(script|link)\b|src="http/);
+    expect(html).not.toContain('Hide Details');
+    click.mockRestore();
+    vi.unstubAllGlobals();
+  });
+
+  it('underlines parse problems in the input they came from', () => {
+    render(<App />);
+    const subjectBox = screen.getByLabelText('Subject in ABC notation').parentElement;
+
+    fireEvent.change(screen.getByLabelText('Subject in ABC notation'), {
+      target: { value: 'L:1/8\nM:4/4\nC2 D2 F# E2 | G8 |]' },
+    });
+    fireEvent.click(screen.getByRole('button', { name: 'Analyze' }));
+
+    const marked = subjectBox.querySelector('[data-diagnostic="unknown-token"]');
+    expect(marked).toHaveTextContent('#');
+    expect(screen.getByText(/Unrecognized "#" was skipped/)).toBeInTheDocument();
+
+    // Editing the text clears the stale markers
+    fireEvent.change(screen.getByLabelText('Subject in ABC notation'), {
+      target: { value: 'L:1/8\nM:4/4\nC2 D2 ^F2 E2 | G8 |]' },
+    });
+    expect(subjectBox.querySelector('[data-diagnostic]')).toBeNull();
+  });
 });
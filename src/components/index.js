@@ -3,7 +3,10 @@ export { PianoRoll, IntervalTimeline, IntervalAnalysisViz, InvertibilityViz, Uni
 export { TwoVoiceViz } from './visualizations/TwoVoiceViz';
 
 // UI components
-export { Section, Observation, ObservationList, DataRow, Select, ABCBox, InfoButton, HelpModal, IssuesSummary, ChordAnalysisDisplay, CounterpointScoreDisplay } from './ui';
+export { Section, Observation, ObservationList, DataRow, Select, ABCBox, ABCTextarea, InfoButton, HelpModal, IssuesSummary, ChordAnalysisDisplay, VoiceTextureDisplay, CounterpointScoreDisplay, ImageExportControls, FileImportPanel } from './ui';
 
 // Scoring components
 export { ScoreGauge, ScoreBar, ScoreDashboard, ScoreSummaryCard, ScoreBadges } from './scoring';
+
+// Report export
+export { AnalysisReport, renderAnalysisReport } from './report';
@@ -0,0 +1,164 @@
+import { renderToStaticMarkup } from 'react-dom/server';
+import { ScoreDashboard } from '../scoring/ScoreDashboard';
+import { IssuesSummary } from '../ui/IssuesSummary';
+import { ObservationList } from '../ui/Observation';
+import { PianoRoll } from '../visualizations/PianoRoll';
+import { TwoVoiceViz } from '../visualizations/TwoVoiceViz';
+import { InvertibilityViz } from '../visualizations/InvertibilityViz';
+import { VOICE_SLOTS, VOICE_SLOT_LABELS } from '../../utils/abcVoices';
+import { MODE_DEFINITIONS } from '../../utils/modes';
+import { VIZ_COLORS } from '../../utils/vizConstants';
+
+// Observation lists in the order of the app's sections: [title, results => observations]
+const OBSERVATION_SECTIONS = [
+  ['Melodic Contour', (r) => r.melodicContour?.observations],
+  ['Harmonic Implication', (r) => r.harmonicImplication?.observations],
+  ['Tonal Answer', (r) => r.tonalAnswer?.observations],
+  ['Rhythmic Profile', (r) => r.rhythmicVariety?.observations],
+  ['Invertible Counterpoint', (r) => r.doubleCounterpoint?.observations],
+  ['Rhythmic Independence', (r) => r.rhythmicComplementarity && [
+    ...r.rhythmicComplementarity.observations,
+    { type: 'info', description: r.contourIndependence.assessment },
+    ...r.contourIndependence.details.map((d) => ({ type: 'consideration', description: d.description })),
+  ]],
+  ['Transposition Stability', (r) => r.modulatoryRobustness?.observations],
+  ['CS2 vs Subject', (r) => r.cs2DoubleCounterpoint?.observations],
+  ['CS1 vs CS2', (r) => r.cs1Cs2Counterpoint?.observations],
+  ['CS2 vs Answer', (r) => r.cs2AnswerDoubleCounterpoint?.observations],
+  ['Second Subject vs Subject', (r) => r.subject2DoubleCounterpoint?.observations],
+  ['Second Subject vs CS1', (r) => r.subject2Cs1DoubleCounterpoint?.observations],
+  ['Second Subject vs CS2', (r) => r.subject2Cs2DoubleCounterpoint?.observations],
+];
+
+const headingStyle = {
+  fontSize: '15px',
+  color: '#2c3e50',
+  borderBottom: '2px solid #c9a227',
+  paddingBottom: '5px',
+  margin: '22px 0 12px',
+};
+
+/**
+ * Markup of the first SVG a visualization draws, as it looks before any interaction
+ */
+function svgSnapshot(element) {
+  const doc = new DOMParser().parseFromString(renderToStaticMarkup(element), 'text/html');
+  const svg = doc.querySelector('svg');
+  if (!svg) return null;
+  svg.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+  return svg.outerHTML;
+}
+
+function Snapshot({ title, element }) {
+  const svg = svgSnapshot(element);
+  if (!svg) return null;
+  return (
+    <figure style={{ margin: '0 0 16px' }}>
+      <figcaption style={{ fontSize: '12px', fontWeight: '600', color: '#546e7a', marginBottom: '6px' }}>{title}</figcaption>
+      <div style={{ overflowX: 'auto', border: '1px solid #e0e0e0', borderRadius: '6px' }} dangerouslySetInnerHTML={{ __html: svg }} />
+    </figure>
+  );
+}
+
+/**
+ * Static analysis report: inputs, score breakdown, issues, snapshots of the main views
+ * and every observation list
+ */
+export function AnalysisReport({ results, scoreResult, scoreProfiles = [], selectedScoreProfile, inputs }) {
+  const { parsedInfo, settings } = results;
+  const csPair = results.countersubject?.length
+    ? [['Subject', results.subject], ['Countersubject 1', results.countersubject]]
+    : null;
+  const answerCs2Pair = results.countersubject2?.length
+    ? [['Answer', results.answerNotes], ['Countersubject 2', results.countersubject2]]
+    : null;
+
+  return (
+    <main style={{ maxWidth: '880px', margin: '0 auto', padding: '18px 24px' }}>
+      <h1 style={{ margin: 0, fontSize: '21px', fontWeight: '600', color: '#2c3e50' }}>Fugue analysis report</h1>
+      <p style={{ margin: '3px 0 0', fontSize: '12px', color: '#78909c' }}>
+        {parsedInfo.key} {MODE_DEFINITIONS[parsedInfo.mode]?.label || parsedInfo.mode}
+        {' · '}{results.meter[0]}/{results.meter[1]}
+        {results.meter.pickup ? `, ${results.meter.pickup}-beat pickup` : ''}
+        {' · '}L: 1/{Math.round(1 / parsedInfo.defaultNoteLength)}
+      </p>
+
+      <h2 style={headingStyle}>Inputs</h2>
+      {VOICE_SLOTS.filter((slot) => inputs?.[slot]?.trim()).map((slot) => (
+        <div key={slot} style={{ marginBottom: '10px' }}>
+          <div style={{ fontSize: '12px', fontWeight: '600', color: '#546e7a' }}>{VOICE_SLOT_LABELS[slot]}</div>
+          <pre style={{ margin: '4px 0 0', padding: '8px 10px', backgroundColor: '#fff', border: '1px solid #e0e0e0', borderRadius: '4px', fontSize: '12px', whiteSpace: 'pre-wrap' }}>
+            {inputs[slot]}
+          </pre>
+        </div>
+      ))}
+      {settings && (
+        <p style={{ fontSize: '12px', color: '#546e7a' }}>
+          P4 {settings.treatP4Dissonant ? 'treated as dissonant' : 'treated as consonant'}
+          {' · '}Countersubject {settings.csPos}, shifted {settings.csShift} semitones
+          {' · '}Stretto step {settings.strettoStep}, transposition {settings.strettoOctave} semitones
+        </p>
+      )}
+
+      <h2 style={headingStyle}>Score</h2>
+      <ScoreDashboard
+        scoreResult={scoreResult}
+        hasCountersubject={!!results.countersubject}
+        scoreProfiles={scoreProfiles}
+        selectedScoreProfile={selectedScoreProfile}
+        readOnly
+      />
+
+      <h2 style={headingStyle}>Issues</h2>
+      <IssuesSummary results={results} readOnly />
+
+      <h2 style={headingStyle}>Views</h2>
+      <Snapshot
+        title="Subject"
+        element={(
+          <PianoRoll
+            voices={[{ notes: results.subject, color: '#5c6bc0', label: 'Subject' }]}
+            sequenceRanges={results.sequences?.subject?.noteRanges || []}
+            meter={results.meter}
+          />
+        )}
+      />
+      {[csPair, answerCs2Pair].filter(Boolean).map(([[label1, voice1], [label2, voice2]]) => (
+        <Snapshot
+          key={label2}
+          title={`${label1} vs ${label2}`}
+          element={(
+            <TwoVoiceViz
+              voice1={voice1}
+              voice2={voice2}
+              voice1Label={label1}
+              voice2Label={label2}
+              voice1Color={VIZ_COLORS.voiceSubject}
+              voice2Color={VIZ_COLORS.voiceCS}
+              formatter={results.formatter}
+              meter={results.meter}
+            />
+          )}
+        />
+      ))}
+      {csPair && (
+        <Snapshot
+          title="Invertibility (countersubject 1 above and an octave lower)"
+          element={<InvertibilityViz subject={results.subject} cs={results.countersubject} meter={results.meter} />}
+        />
+      )}
+
+      <h2 style={headingStyle}>Observations</h2>
+      {OBSERVATION_SECTIONS.map(([title, pick]) => {
+        const observations = pick(results);
+        if (!observations?.length) return null;
+        return (
+          <section key={title} style={{ marginBottom: '14px' }}>
+            <h3 style={{ fontSize: '13px', fontWeight: '600', color: '#37474f', margin: '0 0 6px' }}>{title}</h3>
+            <ObservationList observations={observations} />
+          </section>
+        );
+      })}
+    </main>
+  );
+}
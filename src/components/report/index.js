@@ -0,0 +1,2 @@
+export { AnalysisReport } from './AnalysisReport';
+export { renderAnalysisReport } from './renderAnalysisReport';
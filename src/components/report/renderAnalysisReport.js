@@ -0,0 +1,24 @@
+import { createElement } from 'react';
+import { renderToStaticMarkup } from 'react-dom/server';
+import { AnalysisReport } from './AnalysisReport';
+
+/**
+ * The report as one self-contained HTML document (inline styles and SVG, no external assets)
+ * @param {Object} report - Props of AnalysisReport
+ * @returns {string}
+ */
+export function renderAnalysisReport(report) {
+  const body = renderToStaticMarkup(createElement(AnalysisReport, report));
+  return [
+    '<!DOCTYPE html>',
+    '<html lang="en">',
+    '<head>',
+    '<meta charset="utf-8">',
+    '<meta name="viewport" content="width=device-width, initial-scale=1">',
+    '<title>Fugue analysis report</title>',
+    '</head>',
+    `<body style="margin:0;background-color:#f5f3ee;font-family:Georgia, serif">${body}</body>`,
+    '</html>',
+    '',
+  ].join('\n');
+}
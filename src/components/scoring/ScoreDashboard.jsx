@@ -6,6 +6,7 @@ import { getScoreSummary } from '../../utils/scoring';
 /**
  * Main scoring dashboard component
  * Displays overall score and breakdown by category
+ * With `readOnly` (static report), details stay open and the controls become plain text
  */
 export function ScoreDashboard({
   scoreResult,
@@ -13,6 +14,7 @@ export function ScoreDashboard({
   scoreProfiles = [],
   selectedScoreProfile,
   onSelectScoreProfile,
+  readOnly = false,
 }) {
   const [showDetails, setShowDetails] = useState(true);
   const [expandedCategory, setExpandedCategory] = useState(null);
@@ -124,7 +126,12 @@ export function ScoreDashboard({
         </div>
 
         <div style={{ display: 'flex', alignItems: 'center', gap: '8px', flexWrap: 'wrap' }}>
-          {scoreProfiles.length > 1 && (
+          {readOnly && scoreProfiles.length > 1 && (
+            <span style={{ fontSize: '12px', color: '#37474f', fontWeight: 600 }}>
+              Score view: {scoreProfiles.find((p) => p.key === selectedScoreProfile)?.label || scoreProfiles[0].label}
+            </span>
+          )}
+          {!readOnly && scoreProfiles.length > 1 && (
             <>
               <label htmlFor="score-profile" style={{ fontSize: '12px', color: '#37474f', fontWeight: 600 }}>
                 Score view:
@@ -149,21 +156,23 @@ export function ScoreDashboard({
             </>
           )}
 
-          <button
-            onClick={() => setShowDetails(!showDetails)}
-            style={{
-              padding: '6px 12px',
-              backgroundColor: showDetails ? '#37474f' : 'white',
-              color: showDetails ? 'white' : '#37474f',
-              border: '1px solid #37474f',
-              borderRadius: '4px',
-              fontSize: '12px',
-              cursor: 'pointer',
-              transition: 'all 0.2s',
-            }}
-          >
-            {showDetails ? 'Hide Details' : 'Show Details'}
-          </button>
+          {!readOnly && (
+            <button
+              onClick={() => setShowDetails(!showDetails)}
+              style={{
+                padding: '6px 12px',
+                backgroundColor: showDetails ? '#37474f' : 'white',
+                color: showDetails ? 'white' : '#37474f',
+                border: '1px solid #37474f',
+                borderRadius: '4px',
+                fontSize: '12px',
+                cursor: 'pointer',
+                transition: 'all 0.2s',
+              }}
+            >
+              {showDetails ? 'Hide Details' : 'Show Details'}
+            </button>
+          )}
         </div>
       </div>
 
@@ -184,20 +193,24 @@ export function ScoreDashboard({
               <ul style={{ margin: 0, paddingLeft: '16px', fontSize: '12px', color: '#37474f' }}>
                 {strengths.map((s, i) => (
                   <li key={i} style={{ marginBottom: '4px' }}>
-                    <button
-                      onClick={() => openCategory(s.key)}
-                      style={{
-                        background: 'none',
-                        border: 'none',
-                        padding: 0,
-                        color: '#2e7d32',
-                        textDecoration: 'underline',
-                        cursor: 'pointer',
-                        fontSize: '12px',
-                      }}
-                    >
-                      {s.category}
-                    </button>
+                    {readOnly ? (
+                      <span style={{ color: '#2e7d32' }}>{s.category}</span>
+                    ) : (
+                      <button
+                        onClick={() => openCategory(s.key)}
+                        style={{
+                          background: 'none',
+                          border: 'none',
+                          padding: 0,
+                          color: '#2e7d32',
+                          textDecoration: 'underline',
+                          cursor: 'pointer',
+                          fontSize: '12px',
+                        }}
+                      >
+                        {s.category}
+                      </button>
+                    )}
                   </li>
                 ))}
               </ul>
@@ -223,20 +236,24 @@ export function ScoreDashboard({
               <ul style={{ margin: 0, paddingLeft: '16px', fontSize: '12px', color: '#37474f' }}>
                 {improvements.map((s, i) => (
                   <li key={i} style={{ marginBottom: '4px' }}>
-                    <button
-                      onClick={() => openCategory(s.key)}
-                      style={{
-                        background: 'none',
-                        border: 'none',
-                        padding: 0,
-                        color: '#e65100',
-                        textDecoration: 'underline',
-                        cursor: 'pointer',
-                        fontSize: '12px',
-                      }}
-                    >
-                      {s.category}
-                    </button>
+                    {readOnly ? (
+                      <span style={{ color: '#e65100' }}>{s.category}</span>
+                    ) : (
+                      <button
+                        onClick={() => openCategory(s.key)}
+                        style={{
+                          background: 'none',
+                          border: 'none',
+                          padding: 0,
+                          color: '#e65100',
+                          textDecoration: 'underline',
+                          cursor: 'pointer',
+                          fontSize: '12px',
+                        }}
+                      >
+                        {s.category}
+                      </button>
+                    )}
                   </li>
                 ))}
               </ul>
@@ -0,0 +1,110 @@
+import { useRef } from 'react';
+
+const SEVERITY_COLORS = {
+  error: '#d32f2f',
+  warning: '#ef6c00',
+};
+
+// Shared by the textarea and its backdrop so the underlines line up with the text
+const TEXT_METRICS = {
+  padding: '9px',
+  fontSize: '12px',
+  fontFamily: 'monospace',
+  lineHeight: '1.5',
+  whiteSpace: 'pre-wrap',
+  overflowWrap: 'break-word',
+  boxSizing: 'border-box',
+};
+
+/**
+ * ABC input that underlines parse diagnostics and lists them with their suggested fixes.
+ * Diagnostics ({ start, end, severity, message, fix } from parseABC) are only drawn while
+ * `value` is still the text they were computed for, so edits never leave stale underlines.
+ */
+export function ABCTextarea({ value, onChange, diagnostics = [], diagnosticsFor = null, height = '90px', placeholder, ariaLabel }) {
+  const backdropRef = useRef(null);
+  const shown = diagnosticsFor === value ? diagnostics : [];
+
+  // Split the text into plain runs and underlined runs; overlapping ranges keep the first
+  const pieces = [];
+  let pos = 0;
+  for (const d of [...shown].sort((a, b) => a.start - b.start)) {
+    if (d.start < pos) continue;
+    if (d.start > pos) pieces.push({ text: value.slice(pos, d.start) });
+    pieces.push({ text: value.slice(d.start, d.end), diagnostic: d });
+    pos = d.end;
+  }
+  pieces.push({ text: value.slice(pos) });
+
+  return (
+    <div>
+      <div style={{ position: 'relative' }}>
+        <div
+          ref={backdropRef}
+          aria-hidden="true"
+          style={{
+            ...TEXT_METRICS,
+            position: 'absolute',
+            inset: 0,
+            overflow: 'hidden',
+            border: '1px solid transparent',
+            color: 'transparent',
+            backgroundColor: '#fff',
+            borderRadius: '4px',
+          }}
+        >
+          {pieces.map((p, i) => (p.diagnostic ? (
+            <span
+              key={i}
+              data-diagnostic={p.diagnostic.code}
+              style={{
+                textDecorationLine: 'underline',
+                textDecorationStyle: 'wavy',
+                textDecorationColor: SEVERITY_COLORS[p.diagnostic.severity] || SEVERITY_COLORS.warning,
+                textDecorationSkipInk: 'none',
+                backgroundColor: p.diagnostic.severity === 'error' ? '#ffebee' : '#fff3e0',
+              }}
+            >
+              {p.text}
+            </span>
+          ) : p.text))}
+          {/* Keeps a trailing newline from collapsing, as it does in the textarea */}
+          {' '}
+        </div>
+        <textarea
+          value={value}
+          onChange={(e) => onChange(e.target.value)}
+          onScroll={(e) => {
+            if (backdropRef.current) backdropRef.current.scrollTop = e.target.scrollTop;
+          }}
+          style={{
+            ...TEXT_METRICS,
+            position: 'relative',
+            display: 'block',
+            width: '100%',
+            height,
+            border: '1px solid #ccc',
+            borderRadius: '4px',
+            backgroundColor: 'transparent',
+            resize: 'vertical',
+          }}
+          placeholder={placeholder}
+          aria-label={ariaLabel}
+          aria-invalid={shown.some((d) => d.severity === 'error') || undefined}
+        />
+      </div>
+      {shown.length > 0 && (
+        <ul style={{ listStyle: 'none', margin: '4px 0 0', padding: 0 }}>
+          {shown.map((d, i) => (
+            <li key={i} style={{ fontSize: '11px', color: SEVERITY_COLORS[d.severity] || SEVERITY_COLORS.warning, marginBottom: '2px' }}>
+              {d.message}
+              {d.fix && <span style={{ color: '#78909c' }}> — {d.fix}</span>}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default ABCTextarea;
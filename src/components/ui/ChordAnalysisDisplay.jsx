@@ -1,10 +1,19 @@
 import { useState } from 'react';
+import { measureNumber } from '../../utils/formatter';
+
+// Colors for how an intended chord symbol compares with the implied chord
+const AGREEMENT_COLORS = {
+  agree: '#059669',
+  partial: '#d97706',
+  disagree: '#dc2626',
+};
 
 /**
  * Display beat-by-beat harmonic analysis results
- * Shows which chords are implied by the melody's pitch content on each beat
+ * Shows which chords are implied by the melody's pitch content on each beat, and - when the ABC
+ * carried chord symbols - the intended chord under each one with its agreement score
  */
-export function ChordAnalysisDisplay({ chordAnalysis, formatter }) {
+export function ChordAnalysisDisplay({ chordAnalysis, formatter, harmonyComparison = null }) {
   const [expanded, setExpanded] = useState(false);
   const [selectedBeat, setSelectedBeat] = useState(null);
 
@@ -18,15 +27,18 @@ export function ChordAnalysisDisplay({ chordAnalysis, formatter }) {
   }
 
   const { chords, summary } = chordAnalysis;
+  // harmonyComparison.beats lines up index for index with chords
+  const comparisonFor = new Map((harmonyComparison?.beats || []).map((b, i) => [chords[i], b]));
+  const hasComparison = !!harmonyComparison?.comparedBeats;
 
-  // Group chords by measure
-  const measureLength = formatter?.meter ? (formatter.meter[0] * 4) / formatter.meter[1] : 4;
+  // Group chords by measure (bar 0 is a pickup bar)
+  const meter = formatter?.meter || [4, 4];
   const measures = [];
   let currentMeasure = [];
-  let currentMeasureNum = 1;
+  let currentMeasureNum = null;
 
   for (const c of chords) {
-    const measureNum = Math.floor(c.beat / measureLength) + 1;
+    const measureNum = measureNumber(c.beat, meter);
     if (measureNum !== currentMeasureNum) {
       if (currentMeasure.length > 0) {
         measures.push({ num: currentMeasureNum, chords: currentMeasure });
@@ -88,6 +100,7 @@ export function ChordAnalysisDisplay({ chordAnalysis, formatter }) {
             {summary.analyzedBeats} beats, {summary.uniqueHarmonies} chord{summary.uniqueHarmonies !== 1 ? 's' : ''}
             {summary.startsOnTonic && ' • starts on I'}
             {summary.endsOnTonic && ' • ends on I'}
+            {hasComparison && ` • ${Math.round(harmonyComparison.agreement * 100)}% agreement with chord symbols`}
           </span>
         )}
       </div>
@@ -120,6 +133,12 @@ export function ChordAnalysisDisplay({ chordAnalysis, formatter }) {
               <span>
                 <strong>Dominant implied:</strong> {summary.impliesDominant ? 'Yes' : 'No'}
               </span>
+              {hasComparison && (
+                <span>
+                  <strong>Chord symbols:</strong> agree on {harmonyComparison.agreeingBeats} of {harmonyComparison.comparedBeats} beats
+                  ({Math.round(harmonyComparison.agreement * 100)}%)
+                </span>
+              )}
             </div>
           )}
 
@@ -136,27 +155,47 @@ export function ChordAnalysisDisplay({ chordAnalysis, formatter }) {
                   m.{m.num}
                 </span>
                 <div style={{ display: 'flex', flexWrap: 'wrap', gap: '4px' }}>
-                  {m.chords.map((c, i) => (
-                    <div
-                      key={i}
-                      onClick={() => setSelectedBeat(selectedBeat === c ? null : c)}
-                      title={c.chord ? `Click for details - Score: ${c.chord.score?.toFixed(2) || 'N/A'}` : 'No chord detected'}
-                      style={{
-                        padding: '4px 8px',
-                        borderRadius: '4px',
-                        backgroundColor: selectedBeat === c ? '#dbeafe' : (c.chord ? '#f0f9ff' : '#f9fafb'),
-                        border: `2px solid ${selectedBeat === c ? '#3b82f6' : (c.chord ? getFitColor(c.chord) : '#e5e7eb')}`,
-                        fontSize: '12px',
-                        fontWeight: c.chord ? '500' : '400',
-                        color: c.chord ? getFitColor(c.chord) : '#9ca3af',
-                        minWidth: '40px',
-                        textAlign: 'center',
-                        cursor: 'pointer',
-                      }}
-                    >
-                      {formatChord(c.chord)}
-                    </div>
-                  ))}
+                  {m.chords.map((c, i) => {
+                    const compared = comparisonFor.get(c);
+                    return (
+                      <div key={i} style={{ display: 'flex', flexDirection: 'column', alignItems: 'center', gap: '2px' }}>
+                        <div
+                          onClick={() => setSelectedBeat(selectedBeat === c ? null : c)}
+                          title={c.chord ? `Click for details - Score: ${c.chord.score?.toFixed(2) || 'N/A'}` : 'No chord detected'}
+                          style={{
+                            padding: '4px 8px',
+                            borderRadius: '4px',
+                            backgroundColor: selectedBeat === c ? '#dbeafe' : (c.chord ? '#f0f9ff' : '#f9fafb'),
+                            border: `2px solid ${selectedBeat === c ? '#3b82f6' : (c.chord ? getFitColor(c.chord) : '#e5e7eb')}`,
+                            fontSize: '12px',
+                            fontWeight: c.chord ? '500' : '400',
+                            color: c.chord ? getFitColor(c.chord) : '#9ca3af',
+                            minWidth: '40px',
+                            textAlign: 'center',
+                            cursor: 'pointer',
+                          }}
+                        >
+                          {formatChord(c.chord)}
+                        </div>
+                        {hasComparison && compared?.intended && (
+                          <div
+                            data-agreement={compared.status || 'none'}
+                            title={compared.score !== null
+                              ? `Intended ${compared.intended.symbol} (${compared.intended.name.trim()}) - agreement ${compared.score.toFixed(2)}`
+                              : `Intended ${compared.intended.symbol} - no implied chord to compare`}
+                            style={{
+                              fontSize: '10px',
+                              color: AGREEMENT_COLORS[compared.status] || '#9ca3af',
+                              textAlign: 'center',
+                            }}
+                          >
+                            {compared.intended.symbol}
+                            {compared.score !== null && ` ${compared.score.toFixed(2)}`}
+                          </div>
+                        )}
+                      </div>
+                    );
+                  })}
                 </div>
               </div>
             ))}
@@ -300,6 +339,15 @@ export function ChordAnalysisDisplay({ chordAnalysis, formatter }) {
               <span style={{ color: '#d97706' }}>■ Weak fit</span>
               <span style={{ color: '#9ca3af' }}>■ No chord</span>
             </div>
+            {hasComparison && (
+              <div style={{ marginTop: '6px' }}>
+                Under each chord is the chord symbol written in the ABC with its agreement score
+                (half for the same root, half for shared pitch classes):{' '}
+                <span style={{ color: AGREEMENT_COLORS.agree }}>agrees</span>,{' '}
+                <span style={{ color: AGREEMENT_COLORS.partial }}>partly agrees</span>,{' '}
+                <span style={{ color: AGREEMENT_COLORS.disagree }}>disagrees</span>.
+              </div>
+            )}
           </div>
         </div>
       )}
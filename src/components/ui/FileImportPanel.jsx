@@ -0,0 +1,144 @@
+import { useState } from 'react';
+import { VOICE_SLOTS, VOICE_SLOT_LABELS } from '../../utils/abcVoices';
+import { readFileBytes } from '../../utils/download';
+
+/**
+ * Import panel for a file holding several voices (MIDI tracks, MusicXML parts, **kern spines):
+ * load the file, map each voice to an input slot, then fill the slots
+ * @param {string} title - Panel heading, e.g. "MIDI import"
+ * @param {string} description - One-line note on what the importer reads
+ * @param {string} accept - Accepted file types for the file input
+ * @param {string} fileLabel - Accessible name of the file input
+ * @param {string} buttonLabel - Label of the fill button
+ * @param {string} sourceLabel - Name of one voice of the file ("Track", "Part", "Spine")
+ * @param {string} indexKey - Field of an importer slot naming its voice (trackIndex, partIndex, spineIndex)
+ * @param {string} droppedLabel - What the voice's dropped notes were, e.g. "chord notes"
+ * @param {Function} read - (bytes) => { sources, slots }: the file's voices ({ index, name, notes, noteCount?, droppedNotes })
+ *   and the importer's proposed slots; throws on an unreadable file
+ * @param {Function} fill - (bytes, assignments) => summary ({ key, meter, assigned }) or null when nothing was filled;
+ *   assignments map slot -> voice index
+ * @param {Function} onError - Called with the message of a file that couldn't be read, or null when one loads
+ * @param {ReactNode} children - Extra options shown beside the file input
+ */
+export function FileImportPanel({
+  title,
+  description,
+  accept,
+  fileLabel,
+  buttonLabel,
+  sourceLabel,
+  indexKey,
+  droppedLabel,
+  read,
+  fill,
+  onError,
+  children,
+}) {
+  const [file, setFile] = useState(null); // { name, bytes, sources }
+  const [assignments, setAssignments] = useState({}); // voice index -> slot or ''
+  const [summary, setSummary] = useState(null);
+
+  // Read the file and propose a slot for each of its voices
+  const load = async (picked) => {
+    if (!picked) return;
+    try {
+      const bytes = await readFileBytes(picked);
+      const { sources, slots } = read(bytes);
+      onError(null);
+      setFile({ name: picked.name, bytes, sources });
+      setSummary(null);
+      setAssignments(Object.fromEntries(sources.map((s) => [
+        s.index,
+        VOICE_SLOTS.find((slot) => slots[slot]?.[indexKey] === s.index) || '',
+      ])));
+    } catch (e) {
+      setFile(null);
+      onError(e.message);
+    }
+  };
+
+  const importSlots = () => {
+    const bySlot = {};
+    for (const [index, slot] of Object.entries(assignments)) {
+      if (slot) bySlot[slot] = Number(index);
+    }
+    const result = fill(file.bytes, bySlot);
+    if (result) setSummary(result);
+  };
+
+  const sourceName = (s) => s.name || `${sourceLabel} ${s.index + 1}`;
+
+  return (
+    <div
+      style={{
+        backgroundColor: '#fff',
+        borderRadius: '6px',
+        border: '1px solid #e0e0e0',
+        padding: '12px 16px',
+        marginBottom: '14px',
+      }}
+    >
+      <div style={{ display: 'flex', alignItems: 'center', gap: '12px', marginBottom: '8px' }}>
+        <span style={{ fontSize: '12px', fontWeight: '600', color: '#546e7a' }}>{title}:</span>
+        <span style={{ fontSize: '11px', color: '#90a4ae' }}>{description}</span>
+      </div>
+      <div style={{ display: 'flex', gap: '10px', alignItems: 'flex-end', flexWrap: 'wrap' }}>
+        <input
+          type="file"
+          accept={accept}
+          onChange={(e) => load(e.target.files[0])}
+          aria-label={fileLabel}
+          style={{ fontSize: '12px' }}
+        />
+        {children}
+        <button
+          onClick={importSlots}
+          disabled={!file}
+          style={{
+            padding: '6px 12px',
+            backgroundColor: file ? '#5c6bc0' : '#ccc',
+            color: 'white',
+            border: 'none',
+            borderRadius: '4px',
+            fontSize: '12px',
+            cursor: file ? 'pointer' : 'default',
+          }}
+        >
+          {buttonLabel}
+        </button>
+      </div>
+      {file && (
+        <div style={{ marginTop: '8px', display: 'flex', flexWrap: 'wrap', gap: '8px 16px' }}>
+          {file.sources.map((s) => (
+            <label key={s.index} style={{ fontSize: '11px', color: '#546e7a', display: 'flex', alignItems: 'center', gap: '6px' }}>
+              {sourceName(s)} ({s.noteCount ?? s.notes.length} notes{s.droppedNotes ? `, ${s.droppedNotes} ${droppedLabel} dropped` : ''})
+              <select
+                value={assignments[s.index] || ''}
+                onChange={(e) => setAssignments({ ...assignments, [s.index]: e.target.value })}
+                aria-label={`Slot for ${s.name || `${sourceLabel.toLowerCase()} ${s.index + 1}`}`}
+                style={{ fontSize: '11px', padding: '2px 4px' }}
+              >
+                <option value="">Not imported</option>
+                {VOICE_SLOTS.map((slot) => (
+                  <option key={slot} value={slot}>{VOICE_SLOT_LABELS[slot]}</option>
+                ))}
+              </select>
+            </label>
+          ))}
+        </div>
+      )}
+      {summary && (
+        <div style={{ marginTop: '8px', fontSize: '11px', color: '#546e7a' }}>
+          <div>{file?.name}: {summary.key}, {summary.meter}</div>
+          {summary.assigned.map((a) => (
+            <div key={a.slot}>
+              {VOICE_SLOT_LABELS[a.slot]} ← {a.name}, enters at {a.entry}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default FileImportPanel;
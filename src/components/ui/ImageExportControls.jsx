@@ -0,0 +1,71 @@
+import { useState } from 'react';
+import { standaloneSVG, svgToPNG } from '../../utils/svgExport';
+import { downloadFile } from '../../utils/download';
+import { IMAGE_EXPORT_SCALE_OPTIONS } from '../../utils/constants/uiOptions';
+
+const buttonStyle = {
+  padding: '3px 8px',
+  border: '1px solid #d1d5db',
+  borderRadius: '4px',
+  backgroundColor: '#fff',
+  cursor: 'pointer',
+  fontSize: '11px',
+  color: '#374151',
+};
+
+/**
+ * SVG and PNG download of a visualization as currently shown
+ * @param {Object} chartRef - Ref to an element containing the chart; its first <svg> is exported
+ * @param {string} fileName - File name without extension
+ * @param {string} title - Heading written above the chart
+ * @param {string[]} caption - Lines describing the current view (tab, transposition, selection...)
+ * @param {Array} legend - Legend swatches ({ label, color, opacity, dashed }) for legends drawn outside the SVG
+ */
+export function ImageExportControls({ chartRef, fileName, title = '', caption = [], legend = [] }) {
+  const [scale, setScale] = useState('2');
+  const [error, setError] = useState(null);
+
+  const image = () => standaloneSVG(chartRef.current?.querySelector('svg'), { title, caption, legend });
+
+  const downloadSVG = () => {
+    try {
+      setError(null);
+      downloadFile(image().svg, `${fileName}.svg`, 'image/svg+xml');
+    } catch (e) {
+      setError(e.message);
+    }
+  };
+
+  const downloadPNG = async () => {
+    try {
+      setError(null);
+      downloadFile(await svgToPNG(image(), parseFloat(scale)), `${fileName}.png`, 'image/png');
+    } catch (e) {
+      setError(e.message);
+    }
+  };
+
+  return (
+    <div style={{ display: 'flex', gap: '6px', alignItems: 'center' }}>
+      <button onClick={downloadSVG} style={buttonStyle} title="Standalone SVG of the view as shown, with caption and legend">
+        SVG
+      </button>
+      <select
+        value={scale}
+        onChange={(e) => setScale(e.target.value)}
+        aria-label="PNG resolution"
+        style={{ ...buttonStyle, padding: '2px 4px' }}
+      >
+        {IMAGE_EXPORT_SCALE_OPTIONS.map((opt) => (
+          <option key={opt.value} value={opt.value}>{opt.label}</option>
+        ))}
+      </select>
+      <button onClick={downloadPNG} style={buttonStyle} title="PNG of the view as shown, at the chosen resolution">
+        PNG
+      </button>
+      {error && <span style={{ fontSize: '11px', color: '#dc2626' }}>{error}</span>}
+    </div>
+  );
+}
+
+export default ImageExportControls;
@@ -1,4 +1,5 @@
 import { useState } from 'react';
+import { issueCategories, issueHighlight } from '../../utils/issueList';
 
 /**
  * IssuesSummary - Aggregates and displays all issues from various analyses
@@ -7,21 +8,15 @@ import { useState } from 'react';
  * @param {Object} results - Analysis results
  * @param {Function} onHighlight - Callback when an issue is clicked: onHighlight({ onset, type, voice })
  * @param {Object} highlightedItem - Currently highlighted item for visual feedback
+ * @param {boolean} readOnly - Static report: every category open, nothing clickable
  */
-export function IssuesSummary({ results, onHighlight, highlightedItem }) {
+export function IssuesSummary({ results, onHighlight, highlightedItem, readOnly = false }) {
   const [expandedCategory, setExpandedCategory] = useState(null);
 
   if (!results) return null;
 
-  const withAnchors = (item, categoryName, rowType, fallbackIndex) => ({
-    ...item,
-    sourceCategory: item.sourceCategory ?? categoryName,
-    sourceType: item.sourceType ?? rowType,
-    sourceId: item.sourceId ?? item.id ?? null,
-    sourceIndex: item.sourceIndex ?? item.index ?? fallbackIndex,
-  });
-
   const getUndrillableReason = (item) => {
+    if (readOnly) return 'read-only';
     if (item.onset === undefined) return 'missing onset';
     return null;
   };
@@ -30,15 +25,7 @@ export function IssuesSummary({ results, onHighlight, highlightedItem }) {
   const handleItemClick = (item, categoryName) => {
     const undrillableReason = getUndrillableReason(item);
     if (onHighlight && !undrillableReason) {
-      onHighlight({
-        onset: item.onset,
-        type: categoryName,
-        description: item.description,
-        sourceCategory: item.sourceCategory,
-        sourceType: item.sourceType,
-        sourceId: item.sourceId,
-        sourceIndex: item.sourceIndex,
-      });
+      onHighlight(issueHighlight(item, categoryName));
     }
   };
 
@@ -54,112 +41,9 @@ export function IssuesSummary({ results, onHighlight, highlightedItem }) {
     return onsetMatch && categoryMatch && idMatch && indexMatch;
   };
 
-  // Collect all issues from various analyses
-  const categories = [];
-
-  // Harmonic issues
-  if (results.harmonicImplication?.observations) {
-    const issues = results.harmonicImplication.observations
-      .filter(o => o.type === 'issue')
-      .map((o, i) => withAnchors(o, 'Harmonic Implication', 'issue', i));
-    const warnings = results.harmonicImplication.observations
-      .filter(o => o.type === 'consideration')
-      .map((o, i) => withAnchors(o, 'Harmonic Implication', 'warning', i));
-    if (issues.length > 0 || warnings.length > 0) {
-      categories.push({
-        name: 'Harmonic Implication',
-        issues,
-        warnings,
-        icon: '🎹',
-      });
-    }
-  }
-
-  // Tonal answer issues
-  if (results.tonalAnswer?.observations) {
-    const issues = results.tonalAnswer.observations
-      .filter(o => o.type === 'issue')
-      .map((o, i) => withAnchors(o, 'Tonal Answer', 'issue', i));
-    const warnings = results.tonalAnswer.observations
-      .filter(o => o.type === 'consideration')
-      .map((o, i) => withAnchors(o, 'Tonal Answer', 'warning', i));
-    if (issues.length > 0 || warnings.length > 0) {
-      categories.push({
-        name: 'Tonal Answer',
-        issues,
-        warnings,
-        icon: '↗️',
-      });
-    }
-  }
-
-  // Stretto: only show a summary warning if there are zero viable strettos at any transposition
-  // Individual non-viable strettos are NOT issues - they're just distances that don't work
-  if (results.stretto) {
-    const viableCount = results.stretto.viableStrettos?.length || 0;
-    if (viableCount === 0 && (results.stretto.allResults?.length || 0) > 0) {
-      categories.push({
-        name: 'Stretto Viability',
-        issues: [],
-        warnings: [withAnchors({ description: 'No viable stretto found at any transposition or distance' }, 'Stretto Viability', 'warning', 0)],
-        icon: '🎼',
-      });
-    }
-  }
-
-  // Double counterpoint issues - show each issue individually, not as summary
-  if (results.doubleCounterpoint) {
-    const issues = [];
-    const warnings = [];
+  const categories = issueCategories(results);
 
-    // Show each inverted position issue separately
-    if (results.doubleCounterpoint.inverted?.issues?.length > 0) {
-      for (const issue of results.doubleCounterpoint.inverted.issues) {
-        issues.push(withAnchors({
-          description: `Inverted: ${issue.description || issue}`,
-          onset: issue.onset,
-        }, 'Invertible Counterpoint', 'issue', issues.length));
-      }
-    }
-
-    if (results.doubleCounterpoint.observations) {
-      const obsIssues = results.doubleCounterpoint.observations.filter(o => o.type === 'issue');
-      const obsWarnings = results.doubleCounterpoint.observations.filter(o => o.type === 'consideration');
-      issues.push(...obsIssues.map((o, i) => withAnchors(o, 'Invertible Counterpoint', 'issue', i)));
-      warnings.push(...obsWarnings.map((o, i) => withAnchors(o, 'Invertible Counterpoint', 'warning', i)));
-    }
-
-    if (issues.length > 0 || warnings.length > 0) {
-      categories.push({
-        name: 'Invertible Counterpoint',
-        issues,
-        warnings,
-        icon: '🔄',
-      });
-    }
-  }
-
-  // Rhythmic independence issues (merged rhythmic + contour)
-  const rhythmicIssues = results.rhythmicComplementarity?.observations
-    ?.filter(o => o.type === 'issue')
-    .map((o, i) => withAnchors(o, 'Rhythmic Independence', 'issue', i)) || [];
-
-  const rhythmicWarnings = results.rhythmicComplementarity?.observations
-    ?.filter(o => o.type === 'consideration')
-    .map((o, i) => withAnchors(o, 'Rhythmic Independence', 'warning', i)) || [];
-
-  const contourWarnings = results.contourIndependence?.details
-    ?.filter(d => d.description?.toLowerCase().includes('parallel') || d.description?.toLowerCase().includes('consecutive'))
-    .map((w, i) => withAnchors({ description: w.description, onset: w.onset }, 'Rhythmic Independence', 'warning', i)) || [];
-
-  if (rhythmicIssues.length > 0 || rhythmicWarnings.length > 0 || contourWarnings.length > 0) {
-    categories.push({
-      name: 'Rhythmic Independence',
-      issues: rhythmicIssues,
-      warnings: [...rhythmicWarnings, ...contourWarnings],
-      icon: '🥁',
-    });
-  }
+  const CategoryHeader = readOnly ? 'div' : 'button';
 
   const totalIssues = categories.reduce((sum, c) => sum + c.issues.length, 0);
   const totalWarnings = categories.reduce((sum, c) => sum + c.warnings.length, 0);
@@ -231,14 +115,14 @@ export function IssuesSummary({ results, onHighlight, highlightedItem }) {
             paddingBottom: idx < categories.length - 1 ? '10px' : '0',
             marginBottom: idx < categories.length - 1 ? '10px' : '0',
           }}>
-            <button
-              onClick={() => setExpandedCategory(expandedCategory === idx ? null : idx)}
+            <CategoryHeader
+              onClick={readOnly ? undefined : () => setExpandedCategory(expandedCategory === idx ? null : idx)}
               style={{
                 width: '100%',
                 background: 'none',
                 border: 'none',
                 padding: '6px 0',
-                cursor: 'pointer',
+                cursor: readOnly ? 'default' : 'pointer',
                 display: 'flex',
                 alignItems: 'center',
                 justifyContent: 'space-between',
@@ -273,17 +157,19 @@ export function IssuesSummary({ results, onHighlight, highlightedItem }) {
                   </span>
                 )}
               </div>
-              <span style={{
-                color: '#9ca3af',
-                fontSize: '12px',
-                transform: expandedCategory === idx ? 'rotate(180deg)' : 'rotate(0deg)',
-                transition: 'transform 0.15s',
-              }}>
-                ▼
-              </span>
-            </button>
+              {!readOnly && (
+                <span style={{
+                  color: '#9ca3af',
+                  fontSize: '12px',
+                  transform: expandedCategory === idx ? 'rotate(180deg)' : 'rotate(0deg)',
+                  transition: 'transform 0.15s',
+                }}>
+                  ▼
+                </span>
+              )}
+            </CategoryHeader>
 
-            {expandedCategory === idx && (
+            {(readOnly || expandedCategory === idx) && (
               <div style={{ paddingLeft: '34px', marginTop: '6px' }}>
                 {cat.detail && (
                   <div style={{ fontSize: '12px', color: '#6b7280', marginBottom: '6px' }}>
@@ -305,10 +191,10 @@ export function IssuesSummary({ results, onHighlight, highlightedItem }) {
                         borderLeft: highlighted ? '4px solid #dc2626' : '2px solid #fca5a5',
                         marginBottom: '4px',
                         borderRadius: '0 4px 4px 0',
-                        backgroundColor: highlighted ? '#fef2f2' : isDrillable ? '#fff' : '#fff7f7',
+                        backgroundColor: highlighted ? '#fef2f2' : isDrillable || readOnly ? '#fff' : '#fff7f7',
                         cursor: isDrillable ? 'pointer' : 'default',
                         transition: 'all 0.15s',
-                        opacity: isDrillable ? 1 : 0.9,
+                        opacity: isDrillable || readOnly ? 1 : 0.9,
                       }}
                       onMouseEnter={isDrillable ? (e) => e.currentTarget.style.backgroundColor = '#fef2f2' : undefined}
                       onMouseLeave={isDrillable && !highlighted ? (e) => e.currentTarget.style.backgroundColor = '#fff' : undefined}
@@ -319,7 +205,7 @@ export function IssuesSummary({ results, onHighlight, highlightedItem }) {
                         </span>
                       )}
                       {issue.description}
-                      {!isDrillable && (
+                      {!isDrillable && !readOnly && (
                         <span style={{ marginLeft: '8px', fontSize: '11px', color: '#991b1b', opacity: 0.8 }}>
                           (not drillable: {undrillableReason})
                         </span>
@@ -342,10 +228,10 @@ export function IssuesSummary({ results, onHighlight, highlightedItem }) {
                         borderLeft: highlighted ? '4px solid #f59e0b' : '2px solid #fcd34d',
                         marginBottom: '4px',
                         borderRadius: '0 4px 4px 0',
-                        backgroundColor: highlighted ? '#fffbeb' : isDrillable ? '#fff' : '#fffcf2',
+                        backgroundColor: highlighted ? '#fffbeb' : isDrillable || readOnly ? '#fff' : '#fffcf2',
                         cursor: isDrillable ? 'pointer' : 'default',
                         transition: 'all 0.15s',
-                        opacity: isDrillable ? 1 : 0.9,
+                        opacity: isDrillable || readOnly ? 1 : 0.9,
                       }}
                       onMouseEnter={isDrillable ? (e) => e.currentTarget.style.backgroundColor = '#fffbeb' : undefined}
                       onMouseLeave={isDrillable && !highlighted ? (e) => e.currentTarget.style.backgroundColor = '#fff' : undefined}
@@ -356,7 +242,7 @@ export function IssuesSummary({ results, onHighlight, highlightedItem }) {
                         </span>
                       )}
                       {warning.description}
-                      {!isDrillable && (
+                      {!isDrillable && !readOnly && (
                         <span style={{ marginLeft: '8px', fontSize: '11px', color: '#92400e', opacity: 0.8 }}>
                           (not drillable: {undrillableReason})
                         </span>
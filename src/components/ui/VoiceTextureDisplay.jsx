@@ -0,0 +1,65 @@
+import { pitchName } from '../../utils/formatter';
+import { ObservationList } from './Observation';
+
+/**
+ * Display a three- or four-voice texture slice by slice (see testVoiceTexture)
+ * A column per vertical slice and a row per voice: the bass names its note, the other voices their
+ * interval above it, and notes caught in a parallel perfect or poorly handled dissonance are marked
+ */
+export function VoiceTextureDisplay({ texture, formatter }) {
+  if (texture.error) {
+    return <div style={{ fontSize: '12px', color: '#64748b' }}>Choose at least two voices with notes to check together.</div>;
+  }
+
+  const { voices, slices, issues, observations } = texture;
+  const flagged = (slice, name) => issues.some((issue) => issue.onset === slice.onset && issue.voices.includes(name));
+  const cell = { padding: '3px 6px', borderBottom: '1px solid #e2e8f0', textAlign: 'center', whiteSpace: 'nowrap' };
+
+  return (
+    <div>
+      <div style={{ overflowX: 'auto', marginBottom: '12px' }}>
+        <table style={{ borderCollapse: 'collapse', fontSize: '11px', fontFamily: 'monospace' }}>
+          <thead>
+            <tr>
+              <th style={{ ...cell, textAlign: 'left', color: '#64748b', fontWeight: '500' }}>Beat</th>
+              {slices.map((s) => (
+                <th key={s.onset} style={{ ...cell, color: '#64748b', fontWeight: s.metricWeight >= 0.75 ? '700' : '400' }}>
+                  {formatter.formatBeat(s.onset)}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {voices.map((name, v) => (
+              <tr key={name}>
+                <th style={{ ...cell, textAlign: 'left', color: '#37474f', fontWeight: '600', fontFamily: 'inherit' }}>{name}</th>
+                {slices.map((s) => {
+                  const note = s.notes[v];
+                  const isBass = s.bassVoice === v;
+                  const marked = note && flagged(s, name);
+                  return (
+                    <td
+                      key={s.onset}
+                      title={isBass ? 'Bass' : undefined}
+                      style={{
+                        ...cell,
+                        color: !note ? '#cbd5e1' : isBass ? '#1e40af' : '#334155',
+                        fontWeight: isBass ? '700' : '400',
+                        backgroundColor: marked ? '#fee2e2' : 'transparent',
+                      }}
+                    >
+                      {!note ? '–' : isBass ? pitchName(note.pitch) : s.intervals[v].toString()}
+                    </td>
+                  );
+                })}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      <ObservationList observations={observations} />
+    </div>
+  );
+}
+
+export default VoiceTextureDisplay;
@@ -3,7 +3,11 @@ export { Observation, ObservationList } from './Observation';
 export { DataRow } from './DataRow';
 export { Select } from './Select';
 export { ABCBox } from './ABCBox';
+export { ABCTextarea } from './ABCTextarea';
 export { InfoButton, HelpModal } from './InfoButton';
 export { IssuesSummary } from './IssuesSummary';
 export { ChordAnalysisDisplay } from './ChordAnalysisDisplay';
+export { VoiceTextureDisplay } from './VoiceTextureDisplay';
 export { CounterpointScoreDisplay } from './CounterpointScoreDisplay';
+export { ImageExportControls } from './ImageExportControls';
+export { FileImportPanel } from './FileImportPanel';
@@ -47,8 +47,12 @@ const voiceToSeqKey = (key) => {
  * CounterpointComparisonViz — thin tab+displacement wrapper over TwoVoiceViz.
  * Manages: active tab, transposition offset, voice/colour resolution.
  * All rendering is delegated to TwoVoiceViz.
+ * onExportMIDI, when given, receives the displayed pair as [{ name, notes }] for a MIDI download.
+ * onExportIntervals, when given, receives the same pair and its sequence info ({ v1, v2 }) for an interval table download.
+ * playhead is the playback position in beats, passed through to TwoVoiceViz.
+ * tuning (a tuning system, or null) and tonic are passed through for TwoVoiceViz's cents-from-pure overlay.
  */
-export function CounterpointComparisonViz({ voices, formatter, meter = [4, 4], sequences = {} }) {
+export function CounterpointComparisonViz({ voices, formatter, meter = [4, 4], sequences = {}, onExportMIDI, onExportIntervals, playhead = null, tuning = null, tonic = 0 }) {
   const [activeTab, setActiveTab] = useState('subject_cs');
   const [transposition, setTransposition] = useState(0);
 
@@ -159,6 +163,22 @@ export function CounterpointComparisonViz({ voices, formatter, meter = [4, 4], s
             Reset
           </button>
         )}
+        {onExportMIDI && (
+          <button onClick={() => onExportMIDI([{ name: voice1Label, notes: voice1 }, { name: voice2Label, notes: voice2 }])}
+            style={{ marginLeft: 'auto', padding: '4px 10px', border: '1px solid #d1d5db', borderRadius: '4px',
+              backgroundColor: '#fff', cursor: 'pointer', fontSize: '11px', color: '#374151' }}
+            title={`Download ${voice1Label} and ${voice2Label} as a MIDI file, one track each`}>
+            Download MIDI
+          </button>
+        )}
+        {onExportIntervals && (
+          <button onClick={() => onExportIntervals([{ name: voice1Label, notes: voice1 }, { name: voice2Label, notes: voice2 }], mappedSequences)}
+            style={{ marginLeft: onExportMIDI ? 0 : 'auto', padding: '4px 10px', border: '1px solid #d1d5db', borderRadius: '4px',
+              backgroundColor: '#fff', cursor: 'pointer', fontSize: '11px', color: '#374151' }}
+            title={`Download every simultaneity of ${voice1Label} and ${voice2Label}, as displaced, with interval, scores, chain and passing motion`}>
+            Download intervals
+          </button>
+        )}
       </div>
 
       {/* Delegate all rendering to TwoVoiceViz */}
@@ -173,6 +193,10 @@ export function CounterpointComparisonViz({ voices, formatter, meter = [4, 4], s
         formatter={formatter}
         meter={meter}
         sequences={mappedSequences}
+        playhead={playhead}
+        tuning={tuning}
+        tonic={tonic}
+        caption={transposition !== 0 ? `${voice2Label} displaced ${getIntervalName(transposition)} (${transposition > 0 ? '+' : ''}${transposition} semitones)` : null}
       />
     </div>
   );
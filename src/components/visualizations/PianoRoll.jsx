@@ -1,15 +1,18 @@
-import { useState } from 'react';
-import { generateGridLines } from '../../utils/vizConstants';
+import { useRef, useState } from 'react';
+import { generateGridLines, VIZ_COLORS } from '../../utils/vizConstants';
+import { ImageExportControls } from '../ui/ImageExportControls';
 
 /**
  * Piano Roll visualization component
  * Displays notes as colored rectangles on a pitch/time grid
  * Interactive: hover for tooltips, click for detailed info
  * Uses hatching patterns to indicate sequences
+ * playhead, when not null, is the playback position in beats
  */
-export function PianoRoll({ voices, title, sequenceRanges = [], activeSequenceRange = null, highlightedItem = null, meter = [4, 4] }) {
+export function PianoRoll({ voices, title, sequenceRanges = [], activeSequenceRange = null, highlightedItem = null, meter = [4, 4], playhead = null }) {
   const [hoveredNote, setHoveredNote] = useState(null);
   const [selectedNote, setSelectedNote] = useState(null);
+  const chartRef = useRef(null);
 
   const all = voices.flatMap((v, vi) => v.notes.map((n, ni) => ({ ...n, voiceIndex: vi, noteIndex: ni, voiceLabel: v.label, voiceColor: v.color })));
   if (!all.length) return null;
@@ -94,10 +97,23 @@ export function PianoRoll({ voices, title, sequenceRanges = [], activeSequenceRa
 
   return (
     <div style={{ marginTop: '8px', position: 'relative' }}>
-      {title && (
-        <div style={{ fontSize: '12px', color: '#546e7a', marginBottom: '4px' }}>{title}</div>
-      )}
-      <div style={{
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '8px', marginBottom: '4px' }}>
+        <div style={{ fontSize: '12px', color: '#546e7a' }}>{title}</div>
+        <ImageExportControls
+          chartRef={chartRef}
+          fileName="piano-roll"
+          title={title || voices.map((v) => v.label).join(', ')}
+          caption={[
+            highlightedItem && `Highlighted: ${highlightedItem.description || highlightedItem.type}`,
+            selectedNote && `Selected: ${selectedNote.voiceLabel} ${pitchToName(selectedNote.pitch)}, beat ${selectedNote.onset + 1}`,
+          ]}
+          legend={[
+            ...voices.map((v) => ({ label: v.label, color: v.color })),
+            ...(sequenceRanges.length ? [{ label: 'Melodic sequence', color: '#64748b', dashed: true }] : []),
+          ]}
+        />
+      </div>
+      <div ref={chartRef} style={{
         maxWidth: `${maxWidth}px`,
         overflowX: needsScroll ? 'auto' : 'visible',
         borderRadius: '4px',
@@ -268,6 +284,12 @@ export function PianoRoll({ voices, title, sequenceRanges = [], activeSequenceRa
             )}
           </g>
 
+          {/* Playback position */}
+          {playhead !== null && (
+            <line x1={tToX(playhead)} y1={14} x2={tToX(playhead)} y2={h - 20}
+              stroke={VIZ_COLORS.playhead} strokeWidth={2} pointerEvents="none" />
+          )}
+
           {/* Hover tooltip */}
           {hoveredNote && (
             <g transform={`translate(${tToX(hoveredNote.onset) + (hoveredNote.duration * tScale) / 2}, ${pToY(hoveredNote.pitch) - nH / 2 - 28})`}>
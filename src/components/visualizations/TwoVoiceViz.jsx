@@ -9,8 +9,33 @@ import {
   isParallelFifthOrOctave,
 } from '../../utils/vizConstants';
 import { CounterpointScoreDisplay } from '../ui/CounterpointScoreDisplay';
+import { ImageExportControls } from '../ui/ImageExportControls';
 import { METRIC_STRENGTH_CUTOFFS, PENALTY_MULTIPLIERS, SCORE_BAND_BOUNDARIES, TWO_VOICE_SCORING } from '../../utils/constants/thresholds';
 import { mergeChainAnalysisIntoIntervalPoints, normalizeOnsetKey } from '../../utils/chainMerge';
+import { TUNING_SYSTEM_OPTIONS } from '../../utils/constants/uiOptions';
+import { intervalCents, tuningOffsets } from '../../utils/tuning';
+import { Interval } from '../../types';
+
+// Interval colour legend, shown under the chart and written into exported images
+const LEGEND_ITEMS = [
+  { color: VIZ_COLORS.imperfectConsonant, label: 'Imperfect cons.' },
+  { color: VIZ_COLORS.perfectConsonant, label: 'Perfect cons.' },
+  { color: VIZ_COLORS.dissonantAcceptable, label: 'Dissonance (entry)' },
+  { color: VIZ_COLORS.consecutiveNone, label: 'Consecutive dissonance' },
+  { color: VIZ_COLORS.resolutionExcellent, label: 'Resolution' },
+  { color: VIZ_COLORS.parallelFifthsOctaves, label: 'Parallel 5th/8ve' },
+];
+const CHAIN_BRACKET_COLOR = 'rgba(139,92,246,0.65)';
+
+// Color of a cents deviation from pure: close, audibly tempered, or far
+const centsColor = (deviation) => {
+  const size = Math.abs(deviation);
+  if (size <= 3) return '#059669';
+  if (size <= 12) return '#d97706';
+  return '#dc2626';
+};
+
+const formatCents = (cents) => `${cents >= 0 ? '+' : '−'}${Math.abs(cents).toFixed(1)}¢`;
 
 /**
  * TwoVoiceViz — unified two-voice counterpoint visualization.
@@ -35,6 +60,14 @@ export function TwoVoiceViz({
   meter = [4, 4],
   // sequences: { v1: SeqInfo, v2: SeqInfo } — optional, both can be undefined
   sequences = {},
+  // Optional: describes how the caller placed the voices (displacement, stretto distance), for image export
+  caption = null,
+  // Optional: playback position in beats, drawn as a vertical line
+  playhead = null,
+  // Optional: tuning system (see TUNING_SYSTEM_OPTIONS) whose cents from pure label each simultaneity
+  tuning = null,
+  // Tonic MIDI pitch, for just intonation
+  tonic = 0,
   scoringOptions: externalScoringOptions = {},
   // Optional: pre-computed issues/warnings from analysis.js — skips internal recomputation
   issues: propIssues = null,
@@ -468,6 +501,11 @@ export function TwoVoiceViz({
   const pToY = (p) => h - 20 - (p - minPitch) * noteHeight;
   const tToX = (t) => 60 + t * tScale;
 
+  // Cents overlay: each simultaneity's size under the tuning against the pure interval
+  const centsOffsets = tuning ? tuningOffsets(tuning, tonic) : null;
+  const centsOf = (pt) => intervalCents(pt.v1Pitch, pt.v2Pitch, centsOffsets);
+  const tuningLabel = TUNING_SYSTEM_OPTIONS.find((o) => o.value === tuning)?.label;
+
   const hasIssues = issues.length > 0;
   const hasWarnings = warnings.length > 0;
   const issueCountDelta = previousIssueCount !== null ? issues.length - previousIssueCount : 0;
@@ -492,8 +530,24 @@ export function TwoVoiceViz({
 
   return (
     <div ref={containerRef} style={{ display: 'flex', flexDirection: 'column', gap: '12px' }}>
-      {/* Score badge */}
+      {/* Image export and score badge */}
       <div style={{ display: 'flex', justifyContent: 'flex-end', gap: '8px', alignItems: 'center' }}>
+        <div style={{ marginRight: 'auto' }}>
+          <ImageExportControls
+            chartRef={containerRef}
+            fileName={`${voice1Label}-vs-${voice2Label}`.toLowerCase().replace(/\s+/g, '-')}
+            caption={[
+              caption,
+              `Issues: ${issues.length} · Score: ${avgScore >= 0 ? '+' : ''}${avgScore.toFixed(2)}`,
+              centsOffsets && `Cents from pure in ${tuningLabel}`,
+              selectedInterval?.intervalName && `Selected: ${selectedInterval.intervalName} at ${formatter?.formatBeat(selectedInterval.onset) || `beat ${selectedInterval.onset + 1}`}`,
+            ]}
+            legend={[
+              ...LEGEND_ITEMS.map((item) => ({ ...item, opacity: 0.8 })),
+              { color: CHAIN_BRACKET_COLOR, label: 'Chain bracket', dashed: true },
+            ]}
+          />
+        </div>
         <div style={{
           padding: '4px 10px', borderRadius: '4px', fontSize: '12px', fontWeight: '600',
           backgroundColor: hasIssues ? '#fef2f2' : hasWarnings ? '#fefce8' : '#f0fdf4',
@@ -732,6 +786,28 @@ export function TwoVoiceViz({
                 </g>
               );
             })}
+
+            {/* Cents from pure, dimmer over dissonances where purity matters less */}
+            {centsOffsets && intervalPoints.map((pt, i) => {
+              const nextPt = intervalPoints[i + 1];
+              const regionWidth = nextPt
+                ? Math.max(4, (nextPt.onset - pt.onset) * tScale - 2)
+                : Math.max(20, tScale * 0.5);
+              const deviation = Math.round(centsOf(pt).deviation);
+              return (
+                <text key={`cents-${i}`} x={tToX(pt.onset) + regionWidth / 2} y={headerHeight + 11}
+                  fontSize="9" fontWeight="600" fill={centsColor(deviation)} opacity={pt.isConsonant ? 1 : 0.6}
+                  textAnchor="middle" pointerEvents="none">
+                  {deviation > 0 ? '+' : ''}{deviation}
+                </text>
+              );
+            })}
+
+            {/* Playback position */}
+            {playhead !== null && (
+              <line x1={tToX(playhead)} y1={headerHeight} x2={tToX(playhead)} y2={h - 18}
+                stroke={VIZ_COLORS.playhead} strokeWidth={2} pointerEvents="none" />
+            )}
           </svg>
         </div>
       </div>
@@ -739,21 +815,14 @@ export function TwoVoiceViz({
       {/* Legend */}
       <div style={{ display: 'flex', gap: '12px', flexWrap: 'wrap', fontSize: '11px', color: '#64748b',
         padding: '6px 10px', backgroundColor: '#f8fafc', borderRadius: '6px' }}>
-        {[
-          { color: VIZ_COLORS.imperfectConsonant, label: 'Imperfect cons.' },
-          { color: VIZ_COLORS.perfectConsonant, label: 'Perfect cons.' },
-          { color: VIZ_COLORS.dissonantAcceptable, label: 'Dissonance (entry)' },
-          { color: VIZ_COLORS.consecutiveNone, label: 'Consecutive dissonance' },
-          { color: VIZ_COLORS.resolutionExcellent, label: 'Resolution' },
-          { color: VIZ_COLORS.parallelFifthsOctaves, label: 'Parallel 5th/8ve' },
-        ].map(({ color, label }) => (
+        {LEGEND_ITEMS.map(({ color, label }) => (
           <div key={label} style={{ display: 'flex', alignItems: 'center', gap: '4px' }}>
             <div style={{ width: '12px', height: '12px', backgroundColor: color, borderRadius: '2px', opacity: 0.8 }} />
             <span>{label}</span>
           </div>
         ))}
         <div style={{ display: 'flex', alignItems: 'center', gap: '4px' }}>
-          <div style={{ width: '12px', height: '12px', border: '2px dashed rgba(139,92,246,0.65)', borderRadius: '2px' }} />
+          <div style={{ width: '12px', height: '12px', border: `2px dashed ${CHAIN_BRACKET_COLOR}`, borderRadius: '2px' }} />
           <span>Chain bracket</span>
         </div>
       </div>
@@ -934,6 +1003,21 @@ export function TwoVoiceViz({
                 </div>
               )}
 
+              {/* Tempered against pure size under the overlay's tuning */}
+              {centsOffsets && (() => {
+                const { tempered, pure, deviation } = centsOf(pt);
+                const [num, denom] = new Interval(Math.abs(pt.v2Pitch - pt.v1Pitch)).pureRatio();
+                return (
+                  <div style={{ marginBottom: '12px', padding: '8px 10px', backgroundColor: '#f8fafc', borderRadius: '4px', fontSize: '12px' }}>
+                    <div style={{ fontSize: '10px', color: '#64748b' }}>In {tuningLabel}</div>
+                    <div style={{ fontWeight: '600', color: '#1e293b' }}>
+                      {tempered.toFixed(1)}¢ against pure {num}:{denom} at {pure.toFixed(1)}¢:{' '}
+                      <span style={{ color: centsColor(deviation) }}>{formatCents(deviation)}</span>
+                    </div>
+                  </div>
+                );
+              })()}
+
               {/* Score breakdown */}
               <div data-testid="interval-score-breakdown" style={{ backgroundColor: '#f8fafc', borderRadius: '8px', padding: '14px', fontSize: '12px' }}>
                 {pt.chainStartOnset !== undefined && !pt.isConsonant && (
@@ -203,3 +203,70 @@ describe('TwoVoiceViz dissonance chain scoring panel', () => {
     expect(screen.getByText(/^Beat 2$/)).toBeInTheDocument();
   });
 });
+
+describe('TwoVoiceViz image export', () => {
+  it('downloads the view as a standalone SVG with its caption and legend', async () => {
+    Element.prototype.scrollTo = vi.fn();
+    const createObjectURL = vi.fn(() => 'blob:svg');
+    vi.stubGlobal('URL', { createObjectURL, revokeObjectURL: vi.fn() });
+    const click = vi.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(function () {
+      expect(this.download).toBe('subject-vs-countersubject.svg');
+    });
+
+    render(
+      <TwoVoiceViz
+        voice1={[{ pitch: 60, onset: 0, duration: 2 }]}
+        voice2={[{ pitch: 67, onset: 0, duration: 2 }]}
+        voice1Label="Subject"
+        voice2Label="Countersubject"
+        caption="Countersubject displaced an octave"
+        meter={[4, 4]}
+      />
+    );
+    fireEvent.click(screen.getByRole('button', { name: 'SVG' }));
+
+    const blob = createObjectURL.mock.calls[0][0];
+    expect(blob.type).toBe('image/svg+xml');
+    const svg = await new Promise((resolve) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.readAsText(blob);
+    });
+    expect(svg).toContain('Subject vs Countersubject');
+    expect(svg).toContain('Countersubject displaced an octave');
+    expect(svg).toContain('Parallel 5th/8ve');
+    expect(svg).toContain('stroke-dasharray="3 2"');
+    click.mockRestore();
+    vi.unstubAllGlobals();
+  });
+});
+
+describe('TwoVoiceViz cents overlay', () => {
+  // C major third and fifth over a held C
+  const v1 = [{ pitch: 60, onset: 0, duration: 2 }];
+  const v2 = [{ pitch: 64, onset: 0, duration: 1 }, { pitch: 67, onset: 1, duration: 1 }];
+  // Overlay labels sit just under the 32px header
+  const overlay = (container) => [...container.querySelectorAll('svg text[y="43"][pointer-events="none"]')].map((t) => t.textContent);
+
+  it('labels each simultaneity with its deviation from pure under the given tuning', () => {
+    Element.prototype.scrollTo = vi.fn();
+    const { container, rerender } = render(<TwoVoiceViz voice1={v1} voice2={v2} meter={[4, 4]} />);
+    expect(overlay(container)).toEqual([]);
+
+    rerender(<TwoVoiceViz voice1={v1} voice2={v2} meter={[4, 4]} tuning="equal" />);
+    expect(overlay(container)).toEqual(['+14', '-2']);
+
+    rerender(<TwoVoiceViz voice1={v1} voice2={v2} meter={[4, 4]} tuning="meantone" />);
+    expect(overlay(container)).toEqual(['0', '-5']);
+  });
+
+  it('details the tempered and pure sizes of the selected interval', () => {
+    Element.prototype.scrollTo = vi.fn();
+    const { container } = render(<TwoVoiceViz voice1={v1} voice2={v2} meter={[4, 4]} tuning="just" tonic={60} />);
+    const clickableGroups = container.querySelectorAll('g[style*="cursor: pointer"]');
+    fireEvent.click(clickableGroups[clickableGroups.length - 2]);
+
+    expect(screen.getByText('In Just (on the tonic)')).toBeInTheDocument();
+    expect(screen.getByText(/386\.3¢ against pure 5:4 at 386\.3¢/)).toBeInTheDocument();
+  });
+});
@@ -24,9 +24,16 @@ export class NoteEvent {
     this.scaleDegree = scaleDegree;
     this.abcNote = abcNote;
     this.preferFlats = preferFlats; // True if key signature uses flats or note was spelled with flat
+    this.tuplet = null; // { p, q, r, group, position, restBefore, restAfter } when written inside an ABC tuplet
+    this.brokenRhythm = null; // ABC broken-rhythm operator ('>', '<<', ...) written between this note and the next
+    this.context = null; // Local ABC context { tonic, mode, keyField, meter, meterOnset, defaultNoteLength, noteLengthFraction } in force for this note
+    this.ornaments = null; // { graceNotes, graceType, decorations } from ABC grace groups and decorations (see utils/ornaments.js)
   }
 }
 
+// Just-intonation (5-limit) ratio of each interval within the octave, by semitones
+const PURE_RATIOS = [[1, 1], [16, 15], [9, 8], [6, 5], [5, 4], [4, 3], [45, 32], [3, 2], [8, 5], [5, 3], [16, 9], [15, 8]];
+
 /**
  * Represents a musical interval between two pitches
  */
@@ -60,6 +67,23 @@ export class Interval {
     );
   }
 
+  /**
+   * Just-intonation ratio of the interval, e.g. [5, 4] for a major third
+   * @returns {number[]} [numerator, denominator]
+   */
+  pureRatio() {
+    return PURE_RATIOS[this.semitones];
+  }
+
+  /**
+   * Size of the pure interval in cents (within the octave)
+   * @returns {number}
+   */
+  pureCents() {
+    const [num, denom] = this.pureRatio();
+    return 1200 * Math.log2(num / denom);
+  }
+
   toString() {
     if (this.semitones === 6) return 'TT';
     const qualAbbr = { perfect: 'P', major: 'M', minor: 'm', augmented: 'A', diminished: 'd' };
@@ -90,3 +114,21 @@ export class Simultaneity {
     this.metricWeight = metricWeight;
   }
 }
+
+/**
+ * Represents the notes of several voices sounding at once, measured up from the lowest of them (the bass)
+ */
+export class VerticalSlice {
+  constructor(onset, notes, metricWeight) {
+    this.onset = onset;
+    this.notes = notes; // one per voice, null where the voice rests
+    this.metricWeight = metricWeight;
+    const bassPitch = Math.min(...notes.filter(Boolean).map((n) => n.pitch));
+    this.bassVoice = notes.findIndex((n) => n?.pitch === bassPitch);
+    this.intervals = notes.map((n) => (n ? new Interval(n.pitch - bassPitch) : null));
+  }
+
+  get bass() {
+    return this.notes[this.bassVoice];
+  }
+}
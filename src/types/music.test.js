@@ -12,3 +12,12 @@ describe('Interval tritone behavior', () => {
     expect(interval.isConsonant()).toBe(false);
   });
 });
+
+describe('Interval pure sizes', () => {
+  it('gives the just-intonation ratio and its size in cents', () => {
+    expect(new Interval(4).pureRatio()).toEqual([5, 4]);
+    expect(new Interval(4).pureCents()).toBeCloseTo(386.31, 2);
+    expect(new Interval(19).pureCents()).toBeCloseTo(701.96, 2);
+    expect(new Interval(0).pureCents()).toBe(0);
+  });
+});
@@ -1,14 +1,21 @@
 import { ScaleDegree, NoteEvent } from '../types';
 import { NOTE_TO_MIDI, KEY_SIGNATURES, MODE_INTERVALS } from './constants/musicTheory';
-import { MODE_PARSER_TOKEN_TO_MODE } from './modes';
+import { MODE_HEADER_SUFFIX, MODE_PARSER_TOKEN_TO_MODE } from './modes';
 import {
   getKeySignatureMap,
   parseKeyHeaderAccidentalModifier,
   parseKeySignatureArrayToMap,
+  keyToPitchClass,
 } from './keySignature';
+import { withMeterChanges, locateInMeter } from './formatter';
+import { decorationName } from './ornaments';
+import { parseChordSymbol } from './chordSymbols';
 
 
-function abcDurationSuffixFromQuarters(durationInQuarters, defaultNoteLength) {
+/**
+ * ABC duration suffix ("", "2", "/2", "3/2") for a length in quarter notes at a unit note length
+ */
+export function abcDurationSuffixFromQuarters(durationInQuarters, defaultNoteLength) {
   const multiplier = (durationInQuarters / 4) / defaultNoteLength;
   if (Math.abs(multiplier - 1) < 1e-9) return '';
 
@@ -48,69 +55,488 @@ function abcDurationSuffixFromQuarters(durationInQuarters, defaultNoteLength) {
   return `${numerator}/${denominator}`;
 }
 
+/**
+ * Parse an ABC duration suffix ("2", "/", "3/2", "/4") into a fraction of a whole note
+ */
+function parseABCDuration(durStr, defaultNoteLength) {
+  if (!durStr) return defaultNoteLength;
+  if (durStr.includes('/')) {
+    const p = durStr.split('/');
+    return (defaultNoteLength * (p[0] ? parseInt(p[0]) : 1)) / (p[1] ? parseInt(p[1]) : 2);
+  }
+  return defaultNoteLength * parseInt(durStr);
+}
+
+const ACCIDENTAL_SEMITONES = { '^^': 2, '^': 1, '=': 0, '_': -1, '__': -2 };
+const SEMITONES_TO_ACCIDENTAL = { 2: '^^', 1: '^', 0: '=', '-1': '_', '-2': '__' };
+
+/**
+ * Resolve an ABC note's pitch from its accidental, letter and octave marks.
+ * Without barAccidentals an explicit accidental applies only to this note; with it (ABC 2.1
+ * bar mode) the accidental is recorded and carries to later notes of the same pitch in the bar.
+ * A carried accidental is returned as accStr so the note's ABC token states it explicitly.
+ * @param {Object|null} barAccidentals - Alterations by natural MIDI pitch for the current bar, updated in place
+ * @returns {{ pitch: number, accStr: string, usesFlat: boolean, natural: number }}
+ */
+function resolveABCPitch(acc, letter, octMod, keySignatureMap, barAccidentals = null) {
+  let natural = NOTE_TO_MIDI[letter];
+
+  // Apply octave modifiers
+  for (const c of octMod || '') {
+    if (c === "'") natural += 12;
+    if (c === ',') natural -= 12;
+  }
+
+  let alteration;
+  let accStr = '';
+  if (acc) {
+    alteration = ACCIDENTAL_SEMITONES[acc];
+    accStr = acc;
+    if (barAccidentals) barAccidentals[natural] = alteration;
+  } else if (barAccidentals && natural in barAccidentals) {
+    alteration = barAccidentals[natural];
+    accStr = SEMITONES_TO_ACCIDENTAL[alteration];
+  } else {
+    // No accidental in force - use key signature
+    alteration = keySignatureMap[letter.toUpperCase()] || 0;
+  }
+
+  return { pitch: natural + alteration, accStr, usesFlat: alteration < 0, natural };
+}
+
+function isCompoundMeter(meter) {
+  return !!meter && meter[0] % 3 === 0 && meter[1] === 8 && meter[0] >= 6;
+}
+
+// ABC 2.1 default "q" for (p tuplets; 5, 7 and 9 depend on the meter
+const TUPLET_DEFAULT_Q = { 2: 3, 3: 2, 4: 3, 6: 2, 8: 3 };
+
+function defaultTupletQ(p, meter) {
+  if (TUPLET_DEFAULT_Q[p]) return TUPLET_DEFAULT_Q[p];
+  return isCompoundMeter(meter) ? 3 : 2;
+}
+
+/**
+ * Resolve an ABC tuplet specifier (p:q:r into concrete numbers.
+ * "Put p notes into the time of q for the next r notes"; empty q/r fall back to the standard defaults.
+ */
+function resolveTupletSpec(pStr, qStr, rStr, meter) {
+  const p = parseInt(pStr);
+  const q = qStr ? parseInt(qStr) : defaultTupletQ(p, meter);
+  const r = rStr ? parseInt(rStr) : p;
+  return { p, q, r };
+}
+
+/**
+ * Duration multipliers for an ABC broken-rhythm operator.
+ * ">" dots the first note and halves the second, ">>" double-dots, ">>>" triple-dots; "<" mirrors.
+ * @returns {number[]} [firstMultiplier, secondMultiplier]
+ */
+function brokenRhythmMultipliers(marker) {
+  const short = 1 / Math.pow(2, marker.length);
+  const long = 2 - short;
+  return marker[0] === '>' ? [long, short] : [short, long];
+}
+
+/**
+ * Write the shortest ABC tuplet marker that round-trips to the given spec
+ */
+function tupletMarker(tuplet, meter) {
+  const { p, q, r } = tuplet;
+  const qIsDefault = q === defaultTupletQ(p, meter);
+  if (qIsDefault && r === p) return `(${p}`;
+  if (r === p) return `(${p}:${q}`;
+  return `(${p}:${qIsDefault ? '' : q}:${r}`;
+}
+
+/**
+ * Write a note's grace group and decorations in ABC 2.1 order ({grace} then !decoration!).
+ * Answer generators set state.graceKeySignature and state.pitchShift so graces move with their note.
+ */
+function ornamentPrefix(note, state) {
+  const o = note.ornaments;
+  if (!o) return '';
+
+  let prefix = '';
+  if (o.graceNotes.length) {
+    const graces = o.graceNotes.map((g) => {
+      if (!state.graceKeySignature) return g.abcNote;
+      const suffix = g.abcNote.match(/[\d/]+$/);
+      return midiToABC(g.pitch + state.pitchShift, state.graceKeySignature) + (suffix ? suffix[0] : '');
+    });
+    prefix += `{${o.graceType === 'acciaccatura' ? '/' : ''}${graces.join('')}}`;
+  }
+  return prefix + o.decorations.map((d) => `!${d}!`).join('');
+}
+
+/**
+ * Make a generated note token read the same with and without bar-scoped accidentals.
+ * A token that relies on the key signature gets an explicit accidental when an earlier
+ * note in the bar altered the same natural pitch differently.
+ * state.barAccidentals is reset by the generators at each bar line.
+ */
+function withBarAccidental(noteToken, pitch, state) {
+  const m = noteToken.match(/^(\^{1,2}|_{1,2}|=)?([A-Ga-g])([,']*)/);
+  if (!m || !state.barAccidentals) return noteToken;
+
+  const { natural } = resolveABCPitch(m[1], m[2], m[3], {});
+  const alteration = pitch - natural;
+  if (m[1]) {
+    state.barAccidentals[natural] = alteration;
+    return noteToken;
+  }
+  if (natural in state.barAccidentals && state.barAccidentals[natural] !== alteration) {
+    state.barAccidentals[natural] = alteration;
+    return SEMITONES_TO_ACCIDENTAL[alteration] + noteToken;
+  }
+  return noteToken;
+}
+
+/**
+ * Where the bar holding `onset` ends; a meter change part-way through a bar closes it early
+ */
+function nextBarLine(onset, grid) {
+  const loc = locateInMeter(onset, grid);
+  const end = loc.measureStart + (loc.meter[0] * 4) / loc.meter[1];
+  const change = (grid.changes || []).find((c) => c.onset > onset + 1e-9 && c.onset < end - 1e-9);
+  return change ? change.onset : end;
+}
+
+/**
+ * Push bar lines until the bar holding `onset` is reached, starting a new line every four bars.
+ * state.bar is the bar being written (null before anything is written).
+ */
+function pushBarLinesTo(tokens, onset, state) {
+  const target = locateInMeter(onset, state.grid).measureIndex;
+  if (state.bar === null) {
+    state.bar = target;
+    return;
+  }
+  if (target <= state.bar) return;
+  while (state.bar < target) {
+    state.bar++;
+    tokens.push(state.bar % 4 === 0 ? '|\n' : '|');
+  }
+  state.barAccidentals = {};
+}
+
+/**
+ * Push a span of `duration` quarters from `onset`, split at every bar line it crosses.
+ * `writePiece(pieceDuration, index, isLast)` returns the token for each piece; notes add a tie to all but the last.
+ */
+function pushAcrossBars(tokens, onset, duration, writePiece, state, context = null) {
+  const end = onset + duration;
+  let pos = onset;
+  for (let index = 0; end - pos > 1e-9; index++) {
+    pushBarLinesTo(tokens, pos, state);
+    // Field changes are written once the bar they take effect in is reached
+    if (context && pos >= (context.meterOnset || 0) - 1e-9) pushContextChanges(tokens, context, state);
+    // A note tied into a bar with a new time signature carries the [M:] field itself
+    const change = index > 0 && (state.grid.changes || []).find((c) => Math.abs(c.onset - pos) < 1e-9);
+    if (change && (change.meter[0] !== state.meter[0] || change.meter[1] !== state.meter[1])) {
+      tokens.push(`[M:${change.meter[0]}/${change.meter[1]}]`);
+      state.meter = change.meter;
+    }
+    const pieceEnd = Math.min(end, nextBarLine(pos, state.grid));
+    tokens.push(writePiece(pieceEnd - pos, index, end - pieceEnd <= 1e-9));
+    pos = pieceEnd;
+  }
+}
+
+/**
+ * Push a note token (plus any rests and tuplet marker it owns) onto a generator token list.
+ * Rests that were written inside a tuplet group are stored on the neighbouring note so
+ * they can be re-emitted inside the group with their written (unscaled) length.
+ * Rests and notes that cross a bar line are split there, notes into tied pieces ("c2-|c2"),
+ * except inside tuplets and broken-rhythm pairs, whose written lengths have to stay together.
+ * @param {Object} state - Generator state { group, meter, grid, bar, defaultNoteLength, keyField, writeKeyChanges,
+ *   graceKeySignature, pitchShift, barAccidentals, afterBroken }, updated in place
+ * @returns {number} The end time of everything emitted, in quarter notes
+ */
+function pushNoteTokens(tokens, note, noteToken, previousEnd, state) {
+  const t = note.tuplet;
+  const scale = t ? t.q / t.p : 1;
+  const restBefore = t?.restBefore || 0;
+  const restAfter = t?.restAfter || 0;
+
+  const durationToABCSuffix = (durationInQuarters) => abcDurationSuffixFromQuarters(durationInQuarters, state.defaultNoteLength);
+
+  const gapDuration = note.onset - previousEnd - restBefore * scale;
+  if (gapDuration > 1e-9) {
+    pushAcrossBars(tokens, previousEnd, gapDuration, (piece) => `z${durationToABCSuffix(piece)}`, state, note.context);
+  }
+  pushBarLinesTo(tokens, note.onset - restBefore * scale, state);
+  pushContextChanges(tokens, note.context, state);
+
+  if (t && t.group !== state.group) {
+    tokens.push(tupletMarker(t, state.meter));
+    state.group = t.group;
+  }
+  if (restBefore > 1e-9) tokens.push(`z${durationToABCSuffix(restBefore)}`);
+
+  const pitch = note.pitch + (state.pitchShift || 0);
+  const prefix = ornamentPrefix(note, state);
+  const splittable = !t && !note.brokenRhythm && !state.afterBroken;
+  if (splittable && nextBarLine(note.onset, state.grid) < note.onset + note.duration - 1e-9) {
+    const base = noteToken.replace(/[\d/]+$/, '');
+    pushAcrossBars(tokens, note.onset, note.duration, (piece, index, isLast) => (
+      (index === 0 ? prefix : '') + withBarAccidental(base + durationToABCSuffix(piece), pitch, state) + (isLast ? '' : '-')
+    ), state);
+  } else {
+    tokens.push(prefix + withBarAccidental(noteToken, pitch, state) + (note.brokenRhythm || ''));
+  }
+  state.afterBroken = !!note.brokenRhythm;
+  if (restAfter > 1e-9) tokens.push(`z${durationToABCSuffix(restAfter)}`);
+
+  return note.onset + note.duration + restAfter * scale;
+}
+
+/**
+ * Split ABC text into header field lines and the music body.
+ * K:, L: and M: lines that appear once the music has started are field changes,
+ * so they are rewritten as inline [K:...] fields at their position in the body.
+ * `sourceOffsets[i]` is the index in abcText that body character i came from.
+ * @returns {{ headerLines: string[], body: string, sourceOffsets: number[] }}
+ */
+function splitABCHeaderAndBody(abcText) {
+  const headerLines = [];
+  let body = '';
+  const sourceOffsets = [];
+  let inBody = false;
+  let lineStart = 0;
+
+  const append = (text, offsetOf) => {
+    body += text;
+    for (let i = 0; i < text.length; i++) sourceOffsets.push(offsetOf(i));
+  };
+
+  for (const line of abcText.split('\n')) {
+    const t = line.trim();
+    const tStart = lineStart + (line.length - line.trimStart().length);
+    lineStart += line.length + 1;
+    if (t.startsWith('%')) continue;
+
+    const field = t.match(/^([A-Z]):(.*)$/);
+    if (field) {
+      if (!inBody) headerLines.push(t);
+      else if ('KLM'.includes(field[1])) append(` [${field[1]}:${field[2].trim()}]`, () => tStart);
+      continue;
+    }
+
+    if (t) inBody = true;
+    append(' ' + t, (i) => (i === 0 ? tStart : tStart + i - 1));
+  }
+
+  return { headerLines, body, sourceOffsets };
+}
+
+/**
+ * Map a [start, end) range in the parsed body back to abcText
+ */
+function sourceRange(sourceOffsets, start, end) {
+  const last = Math.max(start, end - 1);
+  return { start: sourceOffsets[start] ?? 0, end: (sourceOffsets[last] ?? 0) + 1 };
+}
+
+// Runs of text the note pattern didn't read, leaving out what it skips on purpose:
+// slurs, repeat colons, spacers and line continuations
+const UNKNOWN_ABC_TOKEN = /[^\s()`\\y:]+/g;
+
+/**
+ * Suggest a fix for a token parseABC couldn't read
+ */
+function unknownTokenFix(token) {
+  if (token.includes('#')) return 'Write sharps as ^ before the note (e.g. ^F), flats as _ (e.g. _B)';
+  if (/^[\d/]/.test(token)) return 'A length must follow a note or rest (e.g. C2, z/2)';
+  return 'Remove it, or use notes A-G/a-g, rests z and bar lines |';
+}
+
+/**
+ * Parse an L: field value ("1/16") into [numerator, denominator]
+ */
+function parseNoteLengthField(value) {
+  const m = value.match(/^\s*(\d+)\/(\d+)/);
+  return m ? [parseInt(m[1]), parseInt(m[2])] : null;
+}
+
+/**
+ * Write the inline fields needed to move from the generator's current ABC context to a note's context.
+ * Fields are compared by value, so the first note only triggers a field when it differs from the headers.
+ */
+function pushContextChanges(tokens, context, state) {
+  if (!context) return;
+
+  if (context.meter[0] !== state.meter[0] || context.meter[1] !== state.meter[1]) {
+    tokens.push(`[M:${context.meter[0]}/${context.meter[1]}]`);
+    state.meter = context.meter;
+  }
+  if (Math.abs(context.defaultNoteLength - state.defaultNoteLength) > 1e-9) {
+    const [num, denom] = context.noteLengthFraction || [Math.round(context.defaultNoteLength * 64), 64];
+    tokens.push(`[L:${num}/${denom}]`);
+    state.defaultNoteLength = context.defaultNoteLength;
+  }
+  if (state.writeKeyChanges && context.keyField && context.keyField !== state.keyField) {
+    tokens.push(`[K:${context.keyField}]`);
+    state.keyField = context.keyField;
+  }
+}
+
+/**
+ * Rebuild a meter's mid-piece changes from note contexts when the caller passed a plain meter
+ */
+function meterWithNoteContexts(meter, notes) {
+  if (meter.changes?.length) return meter;
+
+  const changes = [];
+  for (const n of notes) {
+    const ctx = n.context;
+    if (ctx && ctx.meterOnset > 1e-9 && !changes.some((c) => Math.abs(c.onset - ctx.meterOnset) < 1e-9)) {
+      changes.push({ onset: ctx.meterOnset, meter: ctx.meter });
+    }
+  }
+  return changes.length ? withMeterChanges(meter, changes) : meter;
+}
+
 /**
  * Validate ABC notation against time signature
  * Returns array of warnings about measure duration mismatches
  * @param {string} abcText - The ABC notation
  * @param {number[]} meter - Time signature [numerator, denominator]
  * @param {number} defaultNoteLength - Default note length as decimal (e.g., 0.125 for 1/8)
- * @returns {Array<{measure: number, expected: number, actual: number, message: string}>}
+ * @param {Object} [options]
+ * @param {string} [options.accidentals='note'] - Accidental mode the text is parsed with (see parseABC). In 'note'
+ *   mode, notes that standard ABC 2.1 tools would read with a carried accidental get a warning of type 'accidental'
+ * @param {number} [options.pickup] - Declared pickup length in quarter notes; the first bar is checked against it.
+ *   Without one, an incomplete first bar is reported as `{ type: 'pickup', actual: <pickup length> }`
+ * @returns {Array<{measure: number, expected: number, actual: number, message: string, type?: string}>}
  */
-export function validateABCTiming(abcText, meter, defaultNoteLength = 1/8) {
+export function validateABCTiming(abcText, meter, defaultNoteLength = 1/8, options = {}) {
   if (!meter || !Array.isArray(meter) || meter.length < 2) {
     throw new Error(`validateABCTiming: meter is invalid (${JSON.stringify(meter)}). Must pass [numerator, denominator] array.`);
   }
   const warnings = [];
-  const measureDuration = (meter[0] * 4) / meter[1]; // Duration in quarter notes
-
-  let noteText = '';
-  for (const line of abcText.split('\n')) {
-    const t = line.trim();
-    if (!t.startsWith('%') && !t.match(/^[A-Z]:/)) {
-      noteText += ' ' + t;
-    }
-  }
+  let measureMeter = meter;
+  let measureDuration = (meter[0] * 4) / meter[1]; // Duration in quarter notes
 
-  // Clean up
-  noteText = noteText.replace(/\[.*?\]/g, ' ').replace(/"/g, ' ');
+  // Keep inline [K:], [L:] and [M:] fields - they change the unit length and bar length from that point on
+  let noteText = splitABCHeaderAndBody(abcText).body;
+  noteText = noteText.replace(/\[(?![KLM]:)[^\]]*\]/g, ' ').replace(/"[^"]*"/g, ' ');
+  // Grace notes take no time of their own, and decoration names must not be read as notes
+  noteText = noteText.replace(/\{[^}]*\}/g, ' ').replace(/![^!\s]*!|\+[^+\s]*\+/g, ' ');
 
   // Split by bar lines
   const measures = noteText.split(/\|+:?|:\|+/).filter(m => m.trim());
 
+  // Tuplets (and, leniently, broken rhythms) may straddle a bar line, so their state lives outside the measure loop
+  let tuplet = null;
+  let lastDuration = null;
+  let pendingBrokenMultiplier = 1;
+
   for (let i = 0; i < measures.length; i++) {
     const measureContent = measures[i].trim();
     if (!measureContent || measureContent === ']') continue;
 
     let totalDuration = 0;
+    // Explicit accidentals seen in this bar, by natural pitch
+    const barAccidentals = {};
 
-    // Parse notes and rests in this measure
-    const pat = /([zx])([\d]*\/?[\d]*)?|(\^{1,2}|_{1,2}|=)?([A-Ga-g])([,']*)([\d]*\/?[\d]*)?/g;
+    // Parse inline fields, tuplet markers, notes, rests and broken-rhythm operators in this measure
+    const pat = /\((\d+)(?::(\d*))?(?::(\d*))?|([zx])([\d]*\/?[\d]*)?|(\^{1,2}|_{1,2}|=)?([A-Ga-g])([,']*)([\d]*\/?[\d]*)?|(>{1,3}|<{1,3})|\[([KLM]):([^\]]*)\]/g;
     let m;
 
     while ((m = pat.exec(measureContent)) !== null) {
-      let dur = defaultNoteLength;
-      const durStr = m[2] || m[6]; // rest duration or note duration
+      if (m[11]) {
+        if (m[11] === 'L') {
+          const fraction = parseNoteLengthField(m[12]);
+          if (fraction) defaultNoteLength = fraction[0] / fraction[1];
+        } else if (m[11] === 'M') {
+          const changed = extractABCHeaders(`M:${m[12]}`).meter;
+          if (changed) {
+            measureMeter = changed;
+            measureDuration = (changed[0] * 4) / changed[1];
+          }
+        }
+        continue;
+      }
 
-      if (durStr) {
-        if (durStr.includes('/')) {
-          const p = durStr.split('/');
-          dur = (defaultNoteLength * (p[0] ? parseInt(p[0]) : 1)) / (p[1] ? parseInt(p[1]) : 2);
-        } else {
-          dur = defaultNoteLength * parseInt(durStr);
+      if (m[1]) {
+        const spec = resolveTupletSpec(m[1], m[2], m[3], measureMeter);
+        tuplet = { ...spec, remaining: spec.r };
+        continue;
+      }
+
+      if (m[10]) {
+        if (lastDuration === null) continue;
+        const [firstMult, secondMult] = brokenRhythmMultipliers(m[10]);
+        totalDuration += lastDuration * (firstMult - 1) * 4;
+        pendingBrokenMultiplier = secondMult;
+        continue;
+      }
+
+      if (m[7]) {
+        const { natural } = resolveABCPitch(m[6], m[7], m[8], {});
+        if (m[6]) {
+          barAccidentals[natural] = m[6];
+        } else if (natural in barAccidentals && options.accidentals !== 'bar') {
+          const carried = barAccidentals[natural];
+          delete barAccidentals[natural]; // warn once per pitch per bar
+          warnings.push({
+            measure: i + 1,
+            expected: null,
+            actual: null,
+            type: 'accidental',
+            message: `Measure ${i + 1}: ${m[7]}${m[8]} follows ${carried}${m[7]}${m[8]} in the same bar; read without the accidental here, but standard ABC (and abcjs/EasyABC) carries it to the bar line`,
+          });
         }
       }
 
+      const durStr = m[5] || m[9]; // rest duration or note duration
+      let dur = parseABCDuration(durStr, defaultNoteLength);
+
+      if (tuplet) {
+        dur = (dur * tuplet.q) / tuplet.p;
+        tuplet.remaining--;
+        if (tuplet.remaining <= 0) tuplet = null;
+      }
+
+      dur *= pendingBrokenMultiplier;
+      pendingBrokenMultiplier = 1;
+      lastDuration = dur;
+
       totalDuration += dur * 4; // Convert to quarter notes
     }
 
+    const isFirst = i === 0;
+    const isLast = i === measures.length - 1 || (i === measures.length - 2 && !measures[i+1].trim());
+
+    // A declared pickup replaces the bar length the first measure is checked against
+    if (isFirst && options.pickup > 0) {
+      if (Math.abs(totalDuration - options.pickup) > 0.01) {
+        warnings.push({
+          measure: 1,
+          expected: options.pickup,
+          actual: totalDuration,
+          message: `Measure 1: expected a ${options.pickup}-beat pickup, found ${totalDuration.toFixed(2)} beats`,
+        });
+      }
+      continue;
+    }
+
     // Check if measure duration matches expected
     // Allow small tolerance for floating point
     if (totalDuration > 0 && Math.abs(totalDuration - measureDuration) > 0.01) {
-      // Skip final measure if it's incomplete (pickup/anacrusis or ending)
-      const isFirst = i === 0;
-      const isLast = i === measures.length - 1 || (i === measures.length - 2 && !measures[i+1].trim());
+      // An incomplete first bar is a pickup (anacrusis); report its length so callers can shift the metric grid
+      if (isFirst && !isLast && totalDuration < measureDuration) {
+        warnings.push({
+          measure: 1,
+          expected: measureDuration,
+          actual: totalDuration,
+          type: 'pickup',
+          message: `Measure 1: ${totalDuration.toFixed(2)}-beat pickup (anacrusis)`,
+        });
+      }
 
-      // Only warn for middle measures with wrong duration
+      // Only warn for middle measures with wrong duration; the final measure may be incomplete (ending)
       if (!isFirst && !isLast) {
         warnings.push({
           measure: i + 1,
@@ -133,6 +559,29 @@ export function validateABCTiming(abcText, meter, defaultNoteLength = 1/8) {
   return warnings;
 }
 
+/**
+ * Quarter notes per minute of a Q: field: "1/4=120", "3/8=40" or "1/8 3/8=40" (beat lengths added up),
+ * with any quoted text ignored, or the legacy bare number of unit notes per minute
+ * @param {string} field - Text after Q:
+ * @param {number|null} noteLength - L: as a fraction of a whole note
+ * @returns {number|null}
+ */
+function parseABCTempo(field, noteLength) {
+  const text = field.replace(/"[^"]*"/g, ' ').trim();
+  const beatForm = text.match(/^((?:\d+\/\d+\s*)+)=\s*(\d+(?:\.\d+)?)$/);
+  if (beatForm) {
+    const beat = beatForm[1].trim().split(/\s+/).reduce((sum, f) => {
+      const [num, denom] = f.split('/').map(Number);
+      return sum + num / denom;
+    }, 0);
+    const tempo = parseFloat(beatForm[2]) * beat * 4;
+    return tempo > 0 ? tempo : null;
+  }
+  const bare = text.match(/^\d+(?:\.\d+)?$/);
+  const tempo = bare ? parseFloat(text) * (noteLength ?? 1 / 8) * 4 : 0;
+  return tempo > 0 ? tempo : null;
+}
+
 /**
  * Extract header information from ABC notation text
  */
@@ -142,12 +591,12 @@ export function extractABCHeaders(abcText) {
     noteLength = null,
     noteLengthFraction = null, // Store as [numerator, denominator]
     meter = null,
+    tempoField = null,
     keySignatureModifiers = [],
     keySignatureMap = null;
 
-  for (const line of abcText.split('\n')) {
-    const t = line.trim();
-
+  // Only the header counts; K:/L:/M: lines after the music starts are inline changes
+  for (const t of splitABCHeaderAndBody(abcText).headerLines) {
     // Parse note length (L:)
     if (t.startsWith('L:')) {
       const m = t.match(/L:\s*(\d+)\/(\d+)/);
@@ -159,6 +608,9 @@ export function extractABCHeaders(abcText) {
       }
     }
 
+    // Tempo (Q:) is read once L: is known
+    if (t.startsWith('Q:')) tempoField = t.slice(2);
+
     // Parse time signature (M:)
     if (t.startsWith('M:')) {
       const mm = t.match(/M:\s*(\d+)\/(\d+)/);
@@ -200,7 +652,8 @@ export function extractABCHeaders(abcText) {
     }
   }
 
-  return { key, mode, noteLength, noteLengthFraction, meter, keySignatureModifiers, keySignatureMap };
+  const tempo = tempoField === null ? null : parseABCTempo(tempoField, noteLength);
+  return { key, mode, noteLength, noteLengthFraction, meter, tempo, keySignatureModifiers, keySignatureMap };
 }
 
 /**
@@ -228,158 +681,400 @@ export function computeScaleDegree(pitch, tonic, mode) {
  * @param mode - The mode for scale degree analysis
  * @param defaultNoteLengthOverride - Override for default note length
  * @param keySignatureOverride - Optional key signature array to use instead of parsing K: header
+ * @param {Object} [options]
+ * @param {number[]} [options.meter] - Time signature used for meter-dependent defaults (tuplets); falls back to M: header, then 4/4
+ * @param {string} [options.accidentals='note'] - 'note': an accidental applies only to the note it precedes;
+ *   'bar': ABC 2.1 - it carries to later notes of the same pitch until the bar line
+ * @param {number} [options.pickup] - Declared pickup length in quarter notes; without one a short first bar is accepted as a pickup
+ * @returns {{ notes: NoteEvent[], defaultNoteLength: number, defaultNoteLengthFraction: number[]|null, meterChanges: Array<{onset: number, meter: number[]}>, diagnostics: Array, harmony: Array }}
+ *   Inline [K:], [L:] and [M:] fields are honored from where they appear; each note's `context` records
+ *   the local key, unit length and meter, and `meterChanges` can be passed to withMeterChanges.
+ *   `diagnostics` are { severity: 'error'|'warning', code, start, end, message, fix } with [start, end) character
+ *   offsets into abcText; codes are 'unknown-token', 'dangling-tie', 'bar-duration' and 'unknown-chord'.
+ *   `harmony` is the track of chord symbols ("Am", "V7"): { onset, symbol, root, type, name } (see chordSymbols.js)
  */
-export function parseABC(abcText, tonic, mode, defaultNoteLengthOverride = null, keySignatureOverride = null) {
-  let noteText = '',
-    defaultNoteLength = defaultNoteLengthOverride || 1 / 8,
+export function parseABC(abcText, tonic, mode, defaultNoteLengthOverride = null, keySignatureOverride = null, options = {}) {
+  let defaultNoteLength = defaultNoteLengthOverride || 1 / 8,
     defaultNoteLengthFraction = defaultNoteLengthOverride ? null : [1, 8], // [numerator, denominator]
-    keySignature = keySignatureOverride || [];
+    keySignature = keySignatureOverride || [],
+    headerMeter = null;
 
-  for (const line of abcText.split('\n')) {
-    const t = line.trim();
+  const { headerLines, body, sourceOffsets } = splitABCHeaderAndBody(abcText);
 
+  for (const t of headerLines) {
     if (t.startsWith('L:')) {
-      const m = t.match(/L:\s*(\d+)\/(\d+)/);
-      if (m && !defaultNoteLengthOverride) {
-        const num = parseInt(m[1]);
-        const denom = parseInt(m[2]);
-        defaultNoteLength = num / denom;
-        defaultNoteLengthFraction = [num, denom];
+      const fraction = parseNoteLengthField(t.slice(2));
+      if (fraction && !defaultNoteLengthOverride) {
+        defaultNoteLength = fraction[0] / fraction[1];
+        defaultNoteLengthFraction = fraction;
       }
     } else if (t.startsWith('K:') && !keySignatureOverride) {
       const parsedHeader = extractABCHeaders(t);
       if (parsedHeader.keySignatureMap) keySignature = parsedHeader.keySignatureMap;
-    } else if (!t.startsWith('%') && !t.match(/^[A-Z]:/)) {
-      noteText += ' ' + t;
+    } else if (t.startsWith('M:')) {
+      headerMeter = extractABCHeaders(t).meter;
     }
   }
 
-  // Clean up the note text - preserve bar lines for accidental reset, remove other non-note elements
-  noteText = noteText.replace(/\[.*?\]/g, ' ').replace(/"/g, ' ');
+  let meter = options.meter || headerMeter || [4, 4];
+  const initialDefaultNoteLength = defaultNoteLength;
+  const initialDefaultNoteLengthFraction = defaultNoteLengthFraction;
+
+  // Clean up the note text - keep bar lines, inline [K:], [L:], [M:] fields and quoted annotations, remove other non-note elements
+  // Removed text is blanked to the same length so positions still map back to abcText
+  const blank = (text) => ' '.repeat(text.length);
+  const noteText = body.replace(/\[(?![KLM]:)[^\]]*\]/g, blank);
 
   // Determine if key signature uses flats (for display preference)
-  const keySignatureMap = Array.isArray(keySignature) ? parseKeySignatureArrayToMap(keySignature) : keySignature;
-  const keyUsesFlats = Object.values(keySignatureMap).some((alteration) => alteration < 0);
+  let keySignatureMap = Array.isArray(keySignature) ? parseKeySignatureArrayToMap(keySignature) : keySignature;
+  let keyUsesFlats = Object.values(keySignatureMap).some((alteration) => alteration < 0);
+
+  // Local context shared by every note until the next inline field changes it
+  let context = {
+    tonic,
+    mode,
+    keyField: null,
+    meter,
+    meterOnset: 0,
+    defaultNoteLength,
+    noteLengthFraction: defaultNoteLengthFraction,
+  };
+  const meterChanges = [];
 
   const notes = [];
   let currentOnset = 0;
+  const diagnostics = [];
+  // Chord symbols in onset order; each holds until the next
+  const harmony = [];
 
   const durationToABCSuffix = (durationInQuarters) => abcDurationSuffixFromQuarters(durationInQuarters, defaultNoteLength);
 
-  // Pattern matches bar lines, rests, OR notes
+  const diagnose = (severity, code, start, end, message, fix) => {
+    diagnostics.push({ severity, code, ...sourceRange(sourceOffsets, start, end), message, fix });
+  };
+
+  // Report text between two pattern matches that isn't music; final bars ("|]") and variant endings ("|1", ":|2") follow a bar line
+  const reportUnknownTokens = (from, to, afterBar) => {
+    let gap = noteText.slice(from, to);
+    if (afterBar) gap = gap.replace(/^\]|^\d[\d,-]*/, blank);
+    for (const t of gap.matchAll(UNKNOWN_ABC_TOKEN)) {
+      diagnose('error', 'unknown-token', from + t.index, from + t.index + t[0].length, `Unrecognized "${t[0]}" was skipped`, unknownTokenFix(t[0]));
+    }
+  };
+
+  // Bars as written: { start, end, length, meter } with positions in noteText, checked once the last bar is known
+  const bars = [];
+  let barStart = 0;
+  let barStartOnset = 0;
+  let barHasMusic = false;
+  const closeBar = (end) => {
+    if (barHasMusic) bars.push({ start: barStart, end, length: currentOnset - barStartOnset, meter });
+    barHasMusic = false;
+    barStartOnset = currentOnset;
+  };
+
+  // Pattern matches bar lines, tuplet markers, rests, notes, broken-rhythm operators, inline fields OR ornaments
+  // Tuplets are "(p", "(p:q" or "(p:q:r" - a bare "(" is a slur and is ignored
   // Rests are 'z' (audible rest) or 'x' (invisible rest) followed by optional duration
-  const pat = /(\|+:?|:\|+)|([zx])([\d]*\/?[\d]*)?|(\^{1,2}|_{1,2}|=)?([A-Ga-g])([,']*)([\d]*\/?[\d]*)?(-)?/g;
+  // Inline fields are "[K:...]", "[L:...]" or "[M:...]"
+  // Grace groups are "{...}" ("{/...}" for acciaccaturas); decorations are "!name!", "+name+" or a shorthand like "T" or "~"
+  // Quoted annotations are chord symbols ("Am", "V7") unless they start with ^ _ < > @ (free text)
+  const pat = /(\|+:?|:\|+)|\((\d+)(?::(\d*))?(?::(\d*))?|([zx])([\d]*\/?[\d]*)?|(\^{1,2}|_{1,2}|=)?([A-Ga-g])([,']*)([\d]*\/?[\d]*)?(-)?|(>{1,3}|<{1,3})|\[([KLM]):([^\]]*)\]|\{(\/?)([^}]*)\}|!([^!\s]+)!|\+([^+\s]+)\+|([~.HLMOPSTuv])|"([^"]*)"/g;
   let m;
+  let lastMatchEnd = 0;
+  let lastWasBar = false;
   let tieSourceIndex = null;
   let tieSourcePitch = null;
+  let tieSourceNatural = null;
   let tieSourceTokenBase = null;
+  // Position of the "-" that opened the pending tie
+  let tieMarkerIndex = null;
+
+  // ABC 2.1 bar mode: accidentals in force until the next bar line, by natural pitch
+  let barAccidentals = options.accidentals === 'bar' ? {} : null;
+
+  // Active tuplet: { p, q, r, group, remaining, position, pendingRest }
+  let tuplet = null;
+  let tupletGroupCount = 0;
+
+  // Last note or rest element, so a following ">"/"<" can rescale it:
+  // { note, tokenBase, scale, merged } for notes, { note: null } for rests
+  let lastElement = null;
+  // Broken rhythm waiting for its second element: { marker, multiplier, source }
+  let pendingBroken = null;
+  // Grace notes and decorations waiting for the note they belong to
+  let pendingOrnaments = null;
+
+  // Rewrite a note's ABC token so its written length states the actual duration,
+  // used when a broken-rhythm pair can't be re-emitted with its operator
+  const bakeNoteToken = (element) => {
+    element.note.abcNote = element.tokenBase + durationToABCSuffix(element.note.duration / element.scale);
+  };
+
+  // Advance the active tuplet by one element; returns the tuplet the element belonged to
+  const consumeTupletElement = () => {
+    if (!tuplet) return null;
+    const owner = tuplet;
+    owner.position++;
+    owner.remaining--;
+    if (owner.remaining <= 0) tuplet = null;
+    return owner;
+  };
 
   while ((m = pat.exec(noteText)) !== null) {
-    // Skip bar lines - they don't affect accidentals in ABC (accidentals don't carry through bars)
+    reportUnknownTokens(lastMatchEnd, m.index, lastWasBar);
+    lastMatchEnd = pat.lastIndex;
+    lastWasBar = !!m[1];
+
+    // Bar lines end any bar-scoped accidentals
     if (m[1]) {
+      if (barAccidentals) barAccidentals = {};
+      closeBar(m.index);
+      barStart = pat.lastIndex;
+      continue;
+    }
+
+    if (m[20] !== undefined) {
+      const text = m[20].trim();
+      if (!text || /^[\^_<>@]/.test(text)) continue;
+      const chord = parseChordSymbol(text, context.tonic, context.mode);
+      if (chord) {
+        harmony.push({ onset: currentOnset, ...chord });
+      } else {
+        diagnose('warning', 'unknown-chord', m.index, pat.lastIndex, `Chord symbol "${text}" was not recognized and was ignored`,
+          'Use a chord name (C, Am, G7, F#dim, Bbmaj7, C/E) or a Roman numeral (I, ii6, V7, vii°7, V/V)');
+      }
+      continue;
+    }
+
+    if (m[15] !== undefined) {
+      // Grace notes decorate the next note; they take no time on the timeline
+      const graceNotes = [];
+      const gracePat = /(\^{1,2}|_{1,2}|=)?([A-Ga-g])([,']*)([\d]*\/?[\d]*)?/g;
+      let g;
+      while ((g = gracePat.exec(m[16])) !== null) {
+        // Grace notes read the accidentals in force but don't set them
+        const { pitch: gracePitch } = resolveABCPitch(g[1], g[2], g[3], keySignatureMap, barAccidentals && { ...barAccidentals });
+        graceNotes.push({ pitch: gracePitch, duration: parseABCDuration(g[4], defaultNoteLength) * 4, abcNote: g[0] });
+      }
+      if (graceNotes.length) {
+        pendingOrnaments = pendingOrnaments || { graceNotes: [], graceType: null, decorations: [] };
+        pendingOrnaments.graceNotes.push(...graceNotes);
+        pendingOrnaments.graceType = m[15] ? 'acciaccatura' : 'appoggiatura';
+      }
+      continue;
+    }
+
+    if (m[17] || m[18] || m[19]) {
+      pendingOrnaments = pendingOrnaments || { graceNotes: [], graceType: null, decorations: [] };
+      pendingOrnaments.decorations.push(decorationName(m[17] || m[18] || m[19]));
+      continue;
+    }
+
+    if (m[13]) {
+      const value = m[14].trim();
+      if (m[13] === 'L') {
+        const fraction = parseNoteLengthField(value);
+        if (fraction) {
+          defaultNoteLength = fraction[0] / fraction[1];
+          context = { ...context, defaultNoteLength, noteLengthFraction: fraction };
+        }
+      } else if (m[13] === 'M') {
+        const changed = extractABCHeaders(`M:${value}`).meter;
+        if (changed) {
+          meter = changed;
+          meterChanges.push({ onset: currentOnset, meter: changed });
+          context = { ...context, meter: changed, meterOnset: currentOnset };
+        }
+      } else {
+        const parsedKey = extractABCHeaders(`K:${value}`);
+        if (parsedKey.keySignatureMap) {
+          keySignatureMap = parsedKey.keySignatureMap;
+          keyUsesFlats = Object.values(keySignatureMap).some((alteration) => alteration < 0);
+          context = { ...context, tonic: keyToPitchClass(parsedKey.key), mode: parsedKey.mode, keyField: value };
+        }
+      }
+      continue;
+    }
+
+    if (m[12]) {
+      if (!lastElement) continue;
+      const [firstMult, secondMult] = brokenRhythmMultipliers(m[12]);
+      const delta = lastElement.duration * (firstMult - 1);
+      if (lastElement.note) lastElement.note.duration += delta;
+      currentOnset += delta;
+      pendingBroken = { marker: m[12], multiplier: secondMult, source: lastElement };
       continue;
     }
 
-    // Check if this is a rest - advance time but don't create a note
     if (m[2]) {
-      const restDurStr = m[3];
-      let restDur = defaultNoteLength;
-      if (restDurStr) {
-        if (restDurStr.includes('/')) {
-          const p = restDurStr.split('/');
-          restDur = (defaultNoteLength * (p[0] ? parseInt(p[0]) : 1)) / (p[1] ? parseInt(p[1]) : 2);
+      const spec = resolveTupletSpec(m[2], m[3], m[4], meter);
+      tuplet = { ...spec, group: tupletGroupCount++, remaining: spec.r, position: 0, pendingRest: 0, lastNote: null };
+      continue;
+    }
+
+    // Check if this is a rest - advance time but don't create a note
+    if (m[5]) {
+      if (tieSourceIndex !== null) {
+        diagnose('warning', 'dangling-tie', tieMarkerIndex, tieMarkerIndex + 1,
+          `Tie from ${notes[tieSourceIndex].abcNote} runs into a rest and was ignored`,
+          'Remove the "-", or move the rest after the tied-to note');
+        tieSourceIndex = null;
+      }
+      const brokenMultiplier = pendingBroken ? pendingBroken.multiplier : 1;
+      if (pendingBroken?.source.note) bakeNoteToken(pendingBroken.source);
+      pendingBroken = null;
+
+      const writtenRest = parseABCDuration(m[6], defaultNoteLength) * 4 * brokenMultiplier;
+      const owner = consumeTupletElement();
+      let restDuration = writtenRest;
+      if (owner) {
+        // Remember the written length so generators can re-emit it inside the group
+        if (owner.remaining <= 0 && owner.lastNote) {
+          owner.lastNote.tuplet.restAfter += writtenRest;
         } else {
-          restDur = defaultNoteLength * parseInt(restDurStr);
+          owner.pendingRest += writtenRest;
         }
+        restDuration = (writtenRest * owner.q) / owner.p;
       }
-      currentOnset += restDur * 4;
+      currentOnset += restDuration;
+      barHasMusic = true;
+      lastElement = { note: null, duration: restDuration };
+      // Ornaments written on a rest (e.g. a fermata) have no note to attach to
+      pendingOrnaments = null;
       continue;
     }
 
-    const [, , , , acc, letter, octMod, durStr, tieMarker] = m;
+    const [, , , , , , , acc, letter, octMod, durStr, tieMarker] = m;
     if (!letter) continue;
 
-    let pitch = NOTE_TO_MIDI[letter];
-    if (pitch === undefined) continue;
-
-    // Apply octave modifiers
-    for (const c of octMod || '') {
-      if (c === "'") pitch += 12;
-      if (c === ',') pitch -= 12;
-    }
-
-    const base = letter.toUpperCase();
-    let accStr = '';
-    let usesFlat = false;
-
-    // ABC accidentals: apply ONLY to the note they immediately precede
-    // Notes without explicit accidentals use KEY SIGNATURE only (no bar-carry)
-    if (acc) {
-      if (acc.includes('^')) {
-        pitch += acc.length;
-        accStr = acc;
-      } else if (acc.includes('_')) {
-        pitch -= acc.length;
-        accStr = acc;
-        usesFlat = true;
-      } else if (acc === '=') {
-        // Natural sign - explicitly override key signature for this note
-        accStr = '=';
-      }
-    } else {
-      // No explicit accidental - use key signature
-      const alteration = keySignatureMap[base] || 0;
-      pitch += alteration;
-      if (alteration < 0) usesFlat = true;
-    }
-
-    // Parse duration
-    let dur = defaultNoteLength;
-    if (durStr) {
-      if (durStr.includes('/')) {
-        const p = durStr.split('/');
-        dur = (defaultNoteLength * (p[0] ? parseInt(p[0]) : 1)) / (p[1] ? parseInt(p[1]) : 2);
-      } else {
-        dur = defaultNoteLength * parseInt(durStr);
-      }
+    if (NOTE_TO_MIDI[letter] === undefined) continue;
+    const resolved = resolveABCPitch(acc, letter, octMod, keySignatureMap, barAccidentals);
+    const { accStr, usesFlat, natural } = resolved;
+    let { pitch } = resolved;
+    if (!acc && tieSourceIndex !== null && tieSourceNatural === natural) {
+      // A tie carries its accidental to the tied-to note, across the bar line too ("^F2-|F2")
+      pitch = tieSourcePitch;
     }
 
+    // Parse duration (written length, before any tuplet scaling)
+    const dur = parseABCDuration(durStr, defaultNoteLength);
+    const owner = consumeTupletElement();
+    const tupletScale = owner ? owner.q / owner.p : 1;
+
     // Use flat display if this note uses a flat (explicit or from key sig)
     const noteUsesFlat = usesFlat || (keyUsesFlats && !accStr.includes('^'));
 
-    const durationInQuarters = dur * 4;
+    const brokenMultiplier = pendingBroken ? pendingBroken.multiplier : 1;
+    const durationInQuarters = dur * 4 * tupletScale * brokenMultiplier;
     const incomingTieMatchesSource = tieSourceIndex !== null && tieSourcePitch === pitch;
     const currentTokenBase = (accStr || '') + letter + (octMod || '');
+    if (tieSourceIndex !== null && !incomingTieMatchesSource) {
+      diagnose('warning', 'dangling-tie', tieMarkerIndex, tieMarkerIndex + 1,
+        `Tie from ${notes[tieSourceIndex].abcNote} goes to a different pitch (${m[0].replace(/-$/, '')}) and was ignored`,
+        'Tie to a note of the same pitch, or remove the "-" (use a slur "( )" to connect different pitches)');
+    }
+    barHasMusic = true;
 
     if (incomingTieMatchesSource) {
-      notes[tieSourceIndex].duration += durationInQuarters;
-      notes[tieSourceIndex].abcNote = tieSourceTokenBase + durationToABCSuffix(notes[tieSourceIndex].duration);
+      const source = notes[tieSourceIndex];
+      source.duration += durationInQuarters;
+      const sourceScale = source.tuplet ? source.tuplet.q / source.tuplet.p : 1;
+      source.abcNote = tieSourceTokenBase + durationToABCSuffix(source.duration / sourceScale);
+      lastElement = { note: source, tokenBase: tieSourceTokenBase, scale: sourceScale, merged: true, duration: durationInQuarters };
     } else {
-      notes.push(
-        new NoteEvent(
-          pitch,
-          durationInQuarters,
-          currentOnset,
-          computeScaleDegree(pitch, tonic, mode),
-          accStr + letter + (octMod || '') + (durStr || ''),
-          noteUsesFlat
-        )
+      const note = new NoteEvent(
+        pitch,
+        durationInQuarters,
+        currentOnset,
+        computeScaleDegree(pitch, context.tonic, context.mode),
+        accStr + letter + (octMod || '') + (durStr || ''),
+        noteUsesFlat
       );
+      note.context = context;
+      note.ornaments = pendingOrnaments;
+      if (owner) {
+        note.tuplet = {
+          p: owner.p,
+          q: owner.q,
+          r: owner.r,
+          group: owner.group,
+          position: owner.position - 1,
+          restBefore: owner.pendingRest,
+          restAfter: 0,
+        };
+        owner.pendingRest = 0;
+        owner.lastNote = note;
+      }
+      notes.push(note);
       tieSourceIndex = notes.length - 1;
       tieSourcePitch = pitch;
+      tieSourceNatural = natural;
       tieSourceTokenBase = currentTokenBase;
+      lastElement = { note, tokenBase: currentTokenBase, scale: tupletScale, merged: false, duration: durationInQuarters };
+    }
+
+    if (pendingBroken) {
+      // Keep the operator when both sides are plain notes; otherwise spell out the real lengths
+      if (pendingBroken.source.note && !pendingBroken.source.merged && !lastElement.merged) {
+        pendingBroken.source.note.brokenRhythm = pendingBroken.marker;
+      } else {
+        if (pendingBroken.source.note) bakeNoteToken(pendingBroken.source);
+        bakeNoteToken(lastElement);
+      }
+      pendingBroken = null;
     }
 
+    pendingOrnaments = null;
+
     if (!tieMarker) {
       tieSourceIndex = null;
       tieSourcePitch = null;
+      tieSourceNatural = null;
       tieSourceTokenBase = null;
+    } else {
+      tieMarkerIndex = pat.lastIndex - 1;
     }
 
-    currentOnset += dur * 4;
+    currentOnset += durationInQuarters;
+  }
+
+  reportUnknownTokens(lastMatchEnd, noteText.length, lastWasBar);
+  closeBar(noteText.length);
+  if (tieSourceIndex !== null) {
+    diagnose('warning', 'dangling-tie', tieMarkerIndex, tieMarkerIndex + 1,
+      `Tie from ${notes[tieSourceIndex].abcNote} has no note to tie to`,
+      'Add the tied-to note, or remove the "-"');
   }
 
-  return { notes, defaultNoteLength, defaultNoteLengthFraction };
+  bars.forEach((bar, i) => {
+    const barLength = (bar.meter[0] * 4) / bar.meter[1];
+    const isFirst = i === 0;
+    const isLast = i === bars.length - 1;
+    // A short first bar is a pickup, a short last bar an ending; a declared pickup fixes the first bar's length
+    const expected = isFirst && options.pickup > 0 ? options.pickup : barLength;
+    const mayBeShort = (isFirst && !(options.pickup > 0)) || isLast;
+    const diff = expected - bar.length;
+    if (Math.abs(diff) <= 0.01 || (diff > 0 && mayBeShort)) return;
+
+    const text = noteText.slice(bar.start, bar.end);
+    const start = bar.start + (text.length - text.trimStart().length);
+    const end = bar.start + text.trimEnd().length;
+    diagnose('warning', 'bar-duration', start, end,
+      `Bar ${i + 1}: expected ${expected} beats, found ${bar.length.toFixed(2)} beats`,
+      diff > 0
+        ? `Add ${diff.toFixed(2)} beats, e.g. the rest "z${durationToABCSuffix(diff)}", or lengthen a note`
+        : `Remove ${(-diff).toFixed(2)} beats, or check the time signature (M:) and note length (L:)`);
+  });
+
+  return {
+    notes,
+    defaultNoteLength: initialDefaultNoteLength,
+    defaultNoteLengthFraction: initialDefaultNoteLengthFraction,
+    meterChanges,
+    diagnostics,
+    harmony,
+  };
 }
 
 /**
@@ -411,6 +1106,18 @@ export function midiToABC(pitch, keySignature) {
   return acc + name + octMod;
 }
 
+const ACCIDENTAL_TOKENS = { 2: '^^', 1: '^', 0: '=', '-1': '_', '-2': '__' };
+
+/**
+ * ABC pitch token for a spelled note (octave 4 = middle-C octave): an accidental only where
+ * the key signature doesn't give the alteration
+ */
+export function spelledToABC(step, alter, octave, keySignatureMap) {
+  const accidental = alter !== (keySignatureMap[step] || 0) ? ACCIDENTAL_TOKENS[alter] || '' : '';
+  if (octave >= 5) return accidental + step.toLowerCase() + "'".repeat(octave - 5);
+  return accidental + step + ','.repeat(Math.max(0, 4 - octave));
+}
+
 /**
  * Generate ABC notation for the tonal answer
  * @param {Array} subject - Array of NoteEvents
@@ -467,20 +1174,18 @@ export function generateAnswerABC(subject, keyInfo, answerData, defaultNoteLengt
     }
   }
 
-  // Calculate measure duration in internal units (quarter notes)
-  // A measure = numerator / denominator whole notes = numerator * 4 / denominator quarter notes
-  const measDur = (meter[0] * 4) / meter[1];
-
   const answerKeySig =
     KEY_SIGNATURES[answerKey + (['natural_minor', 'harmonic_minor', 'dorian'].includes(mode) ? 'm' : '')] ||
     KEY_SIGNATURES[answerKey] ||
     [];
 
   const tokens = [];
-  let measCount = 0;
   let previousEnd = 0;
-
-  const durationToABCSuffix = (durationInQuarters) => abcDurationSuffixFromQuarters(durationInQuarters, defaultNoteLength);
+  // Bars follow any mid-subject [M:] changes
+  const state = {
+    group: null, meter, grid: meterWithNoteContexts(meter, subject), bar: null, defaultNoteLength, keyField: null,
+    writeKeyChanges: false, graceKeySignature: answerKeySig, pitchShift: 0, barAccidentals: {}, afterBroken: false,
+  };
 
   for (let i = 0; i < subject.length; i++) {
     const n = subject[i];
@@ -494,22 +1199,9 @@ export function generateAnswerABC(subject, keyInfo, answerData, defaultNoteLengt
     }
 
     const durMatch = n.abcNote.match(/[\d/]+$/);
-    const noteMeas = Math.floor(n.onset / measDur);
-
-    if (noteMeas > measCount && tokens.length > 0) {
-      while (measCount < noteMeas) {
-        measCount++;
-        tokens.push(measCount % 4 === 0 ? '|\n' : '|');
-      }
-    }
-
-    const gapDuration = n.onset - previousEnd;
-    if (gapDuration > 1e-9) {
-      tokens.push(`z${durationToABCSuffix(gapDuration)}`);
-    }
-
-    tokens.push(midiToABC(newPitch, answerKeySig) + (durMatch ? durMatch[0] : ''));
-    previousEnd = n.onset + n.duration;
+    const noteToken = midiToABC(newPitch, answerKeySig) + (durMatch ? durMatch[0] : '');
+    state.pitchShift = newPitch - n.pitch;
+    previousEnd = pushNoteTokens(tokens, n, noteToken, previousEnd, state);
   }
 
   tokens.push('|]');
@@ -524,7 +1216,7 @@ export function generateAnswerABC(subject, keyInfo, answerData, defaultNoteLengt
     } else if (t === '|' || t === '|]') {
       line += ' ' + t;
     } else {
-      line += (line && !line.endsWith('|') ? ' ' : '') + t;
+      line += (line && !line.endsWith('|') && !/[<>]$/.test(line) ? ' ' : '') + t;
     }
   }
 
@@ -581,14 +1273,15 @@ export function generateAnswerABCSameKey(subject, keyInfo, answerData, defaultNo
     }
   }
 
-  const measDur = (meter[0] * 4) / meter[1];
   const { tonalMotions, mutationPoint } = answerData;
 
   const tokens = [];
-  let measCount = 0;
   let previousEnd = 0;
-
-  const durationToABCSuffix = (durationInQuarters) => abcDurationSuffixFromQuarters(durationInQuarters, defaultNoteLength);
+  // Bars follow any mid-subject [M:] changes
+  const state = {
+    group: null, meter, grid: meterWithNoteContexts(meter, subject), bar: null, defaultNoteLength, keyField: null,
+    writeKeyChanges: false, graceKeySignature: keySignature, pitchShift: 0, barAccidentals: {}, afterBroken: false,
+  };
 
   for (let i = 0; i < subject.length; i++) {
     const n = subject[i];
@@ -608,23 +1301,10 @@ export function generateAnswerABCSameKey(subject, keyInfo, answerData, defaultNo
     }
 
     const durMatch = n.abcNote.match(/[\d/]+$/);
-    const noteMeas = Math.floor(n.onset / measDur);
-
-    if (noteMeas > measCount && tokens.length > 0) {
-      while (measCount < noteMeas) {
-        measCount++;
-        tokens.push(measCount % 4 === 0 ? '|\n' : '|');
-      }
-    }
-
-    const gapDuration = n.onset - previousEnd;
-    if (gapDuration > 1e-9) {
-      tokens.push(`z${durationToABCSuffix(gapDuration)}`);
-    }
-
     // Write in subject key, using accidentals as needed
-    tokens.push(midiToABC(newPitch, keySignature) + (durMatch ? durMatch[0] : ''));
-    previousEnd = n.onset + n.duration;
+    const noteToken = midiToABC(newPitch, keySignature) + (durMatch ? durMatch[0] : '');
+    state.pitchShift = newPitch - n.pitch;
+    previousEnd = pushNoteTokens(tokens, n, noteToken, previousEnd, state);
   }
 
   tokens.push('|]');
@@ -639,7 +1319,7 @@ export function generateAnswerABCSameKey(subject, keyInfo, answerData, defaultNo
     } else if (t === '|' || t === '|]') {
       line += ' ' + t;
     } else {
-      line += (line && !line.endsWith('|') ? ' ' : '') + t;
+      line += (line && !line.endsWith('|') && !/[<>]$/.test(line) ? ' ' : '') + t;
     }
   }
 
@@ -662,11 +1342,9 @@ export function formatSubjectABC(subject, keyInfo, defaultNoteLength, meter, not
   }
   const { key, mode } = keyInfo;
 
-  let modeSuffix = ['natural_minor', 'harmonic_minor'].includes(mode)
-    ? 'm'
-    : mode === 'dorian'
-      ? ' dor'
-      : '';
+  // "m" attaches to the tonic; mode names are separate words (K:D dor, K:G mix)
+  const headerSuffix = MODE_HEADER_SUFFIX[mode] || '';
+  const modeSuffix = headerSuffix.length > 1 ? ` ${headerSuffix}` : headerSuffix;
 
   // Use the fraction directly if provided, otherwise try to reconstruct
   let lNumDisplay, lDenomDisplay;
@@ -694,21 +1372,16 @@ export function formatSubjectABC(subject, keyInfo, defaultNoteLength, meter, not
     }
   }
 
-  // Calculate measure duration in internal units
-  const measDur = (meter[0] * 4) / meter[1];
-
   const tokens = [];
-  let measCount = 0;
+  let previousEnd = 0;
+  // Bars follow any mid-subject [M:] changes
+  const state = {
+    group: null, meter, grid: meterWithNoteContexts(meter, subject), bar: null, defaultNoteLength, keyField: null,
+    writeKeyChanges: true, barAccidentals: {}, afterBroken: false,
+  };
 
   for (const n of subject) {
-    const noteMeas = Math.floor(n.onset / measDur);
-    if (noteMeas > measCount && tokens.length > 0) {
-      while (measCount < noteMeas) {
-        measCount++;
-        tokens.push(measCount % 4 === 0 ? '|\n' : '|');
-      }
-    }
-    tokens.push(n.abcNote);
+    previousEnd = pushNoteTokens(tokens, n, n.abcNote, previousEnd, state);
   }
 
   tokens.push('|]');
@@ -723,7 +1396,7 @@ export function formatSubjectABC(subject, keyInfo, defaultNoteLength, meter, not
     } else if (t === '|' || t === '|]') {
       line += ' ' + t;
     } else {
-      line += (line && !line.endsWith('|') ? ' ' : '') + t;
+      line += (line && !line.endsWith('|') && !/[<>]$/.test(line) ? ' ' : '') + t;
     }
   }
 
@@ -1,5 +1,6 @@
 import { describe, expect, it } from 'vitest';
-import { extractABCHeaders, generateAnswerABC, generateAnswerABCSameKey, parseABC } from './abcParser';
+import { extractABCHeaders, formatSubjectABC, generateAnswerABC, generateAnswerABCSameKey, parseABC, validateABCTiming } from './abcParser';
+import { BeatFormatter, metricWeight, withMeterChanges, withPickup } from './formatter';
 
 describe('parseABC ties', () => {
   it('merges tied notes into a single NoteEvent duration', () => {
@@ -28,11 +29,68 @@ C-D`;
     expect(notes[1].pitch).toBe(62);
     expect(notes[1].onset).toBe(0.5);
   });
+
+  it('carries a tie and its accidental across the bar line', () => {
+    const { notes, diagnostics } = parseABC('L:1/4\nC D E ^F-|F G A B |', 60, 'major', null, null, { meter: [4, 4] });
+
+    expect(notes.map((n) => [n.pitch, n.duration])).toEqual([[60, 1], [62, 1], [64, 1], [66, 2], [67, 1], [69, 1], [71, 1]]);
+    expect(notes[3].abcNote).toBe('^F2');
+    expect(diagnostics).toEqual([]);
+  });
+
+  it('ties enharmonically equal spellings', () => {
+    const { notes, diagnostics } = parseABC('L:1/4\n^F-_G A', 60, 'major');
+    expect(notes.map((n) => [n.pitch, n.duration])).toEqual([[66, 2], [69, 1]]);
+    expect(diagnostics).toEqual([]);
+  });
+
+  it('warns about ties that cannot be resolved', () => {
+    const abc = 'L:1/4\nC- z C D- E';
+    const { notes, diagnostics } = parseABC(abc, 60, 'major');
+
+    expect(notes.map((n) => n.duration)).toEqual([1, 1, 1, 1]);
+    const ties = diagnostics.filter((d) => d.code === 'dangling-tie');
+    expect(ties.map((d) => abc.slice(d.start - 1, d.end))).toEqual(['C-', 'D-']);
+    expect(ties[0].message).toContain('rest');
+  });
 });
 
 describe('ABC generation from tied subjects', () => {
   const answerData = { tonalMotions: [], mutationPoint: null };
 
+  it('splits notes and rests that cross a bar line into tied pieces', () => {
+    const { notes } = parseABC('L:1/4\nC2 D2- | D2 z2 | z E3 |', 60, 'major', null, null, { meter: [4, 4] });
+    const subjectABC = formatSubjectABC(notes, { key: 'C', mode: 'major' }, 1 / 4, [4, 4]);
+    const answerABC = generateAnswerABC(notes, { tonic: 0, keySignature: [], mode: 'major' }, answerData, 1 / 4, [4, 4]);
+
+    expect(subjectABC.split('\n')[2]).toBe('C2 D2- |D2 z2 |z E3 |]');
+    expect(answerABC.split('\n')[2]).toBe('G2 A2- |A2 z2 |z B3 |]');
+
+    // Merged ties longer than a bar are written back as one tied piece per bar
+    const long = parseABC('L:1/4\nM:3/4\n^F3 | G2 G- | G2- G | C |', 60, 'major').notes;
+    const longABC = formatSubjectABC(long, { key: 'C', mode: 'major' }, 1 / 4, [3, 4]);
+    expect(long.map((n) => n.duration)).toEqual([3, 2, 4, 1]);
+    expect(longABC.split('\n')[2]).toBe('^F3 |G2 G- |G3 |C |]');
+    expect(parseABC(longABC, 60, 'major', null, null, { meter: [3, 4] }).notes.map((n) => [n.pitch, n.onset, n.duration]))
+      .toEqual(long.map((n) => [n.pitch, n.onset, n.duration]));
+  });
+
+  it('keeps accidentals on tied pieces in a new bar', () => {
+    const { notes } = parseABC('L:1/4\nK:C\nC D E ^F-|F G A B |', 60, 'major', null, null, { meter: [4, 4] });
+    const answerABC = generateAnswerABCSameKey(notes, { key: 'C', keySignature: [], mode: 'major' }, answerData, 1 / 4, [4, 4], true);
+
+    expect(answerABC.split('\n')[2]).toBe('G A B ^c- |^c d e ^f |]');
+  });
+
+  it('raises the leading tone of a minor answer', () => {
+    const gMinor = ['Bb', 'Eb'];
+    const { notes } = parseABC('L:1/8\nK:Gm\nG2 B2 A2 ^F2 |G4 |]', 67, 'natural_minor', null, gMinor, { meter: [4, 4] });
+    const answerABC = generateAnswerABC(notes, { tonic: 67, keySignature: gMinor, mode: 'natural_minor' }, answerData, 1 / 8, [4, 4]);
+
+    expect(answerABC).toContain('K:Dm');
+    expect(answerABC.split('\n').pop()).toBe('d2 f2 e2 ^c2 |d4 |]');
+  });
+
   it('emits combined duration tokens in generateAnswerABC', () => {
     const abc = `K:C
 L:1/8
@@ -179,3 +237,444 @@ C F B`;
     expect(notes[2].pitch).toBe(69); // B double flat -> A
   });
 });
+
+describe('ABC tempo header', () => {
+  it('reads Q: as quarter notes per minute', () => {
+    expect(extractABCHeaders('Q:1/4=96\nK:C').tempo).toBe(96);
+    expect(extractABCHeaders('Q:"Allegro" 3/8=40\nK:C').tempo).toBe(60);
+    expect(extractABCHeaders('Q:1/8 3/8=40\nK:C').tempo).toBe(80);
+    // Legacy bare number counts unit notes
+    expect(extractABCHeaders('L:1/8\nQ:200\nK:C').tempo).toBe(100);
+    expect(extractABCHeaders('Q:"Andante"\nK:C').tempo).toBeNull();
+    expect(extractABCHeaders('K:C').tempo).toBeNull();
+  });
+});
+
+describe('ABC tuplets', () => {
+  const answerData = { tonalMotions: [], mutationPoint: null };
+
+  it('puts three eighths into the time of two with (3', () => {
+    const abc = `K:C
+L:1/8
+(3CDE F`;
+    const { notes } = parseABC(abc, 60, 'major');
+
+    expect(notes).toHaveLength(4);
+    expect(notes[0].duration).toBeCloseTo(1 / 3);
+    expect(notes[1].onset).toBeCloseTo(1 / 3);
+    expect(notes[2].onset).toBeCloseTo(2 / 3);
+    expect(notes[3].onset).toBeCloseTo(1);
+    expect(notes[0].tuplet).toMatchObject({ p: 3, q: 2, r: 3, position: 0 });
+    expect(notes[3].tuplet).toBeNull();
+  });
+
+  it('honors explicit q and r and counts rests as tuplet elements', () => {
+    const abc = `K:C
+L:1/8
+(5:4:5 C z D E F G`;
+    const { notes } = parseABC(abc, 60, 'major');
+
+    // Five eighths in the time of four: each element lasts 0.4 quarters
+    expect(notes.map((n) => n.onset)).toEqual([0, 0.8, 1.2, 1.6, 2].map((v) => expect.closeTo(v)));
+    expect(notes[1].tuplet.restBefore).toBeCloseTo(0.5);
+    expect(notes[4].tuplet).toBeNull();
+  });
+
+  it('uses the compound-meter default for (5 in 6/8', () => {
+    const abc = `K:C
+L:1/8
+(5CDEFG`;
+    const simple = parseABC(abc, 60, 'major', null, null, { meter: [2, 4] }).notes;
+    const compound = parseABC(abc, 60, 'major', null, null, { meter: [6, 8] }).notes;
+
+    expect(simple[4].onset + simple[4].duration).toBeCloseTo(1);
+    expect(compound[4].onset + compound[4].duration).toBeCloseTo(1.5);
+  });
+
+  it('does not treat triplets as bar overflows in validateABCTiming', () => {
+    const abc = `C2 D2 E2 F2 | (3GAB (3cBA G2 F2 | (3EDC (3DEF (3GAB (3cde | c8 |]`;
+    expect(validateABCTiming(abc, [4, 4], 1 / 8)).toEqual([]);
+  });
+
+  it('writes tuplets back out when generating answers and subject ABC', () => {
+    const abc = `K:C
+L:1/8
+(3CDE F2 G4 |`;
+    const { notes } = parseABC(abc, 60, 'major');
+
+    const answer = generateAnswerABCSameKey(
+      notes,
+      { key: 'C', keySignature: [], mode: 'major' },
+      answerData,
+      1 / 8,
+      [4, 4],
+      true,
+      [1, 8]
+    );
+    expect(answer).toContain('\n(3 G A B c2 d4');
+
+    const reparsed = parseABC(answer, 67, 'major').notes;
+    expect(reparsed.map((n) => n.onset)).toEqual(notes.map((n) => expect.closeTo(n.onset)));
+
+    const subjectABC = formatSubjectABC(notes, { key: 'C', mode: 'major' }, 1 / 8, [4, 4], [1, 8]);
+    expect(subjectABC).toContain('(3 C D E F2 G4');
+  });
+
+  it('re-emits rests inside a tuplet group with their written length', () => {
+    const abc = `K:C
+L:1/8
+(3CzE F`;
+    const { notes } = parseABC(abc, 60, 'major');
+
+    const out = generateAnswerABC(
+      notes,
+      { tonic: 0, keySignature: [], mode: 'major' },
+      answerData,
+      1 / 8,
+      [4, 4],
+      [1, 8]
+    );
+
+    expect(out).toContain('(3 G z B c');
+    const reparsed = parseABC(out, 67, 'major').notes;
+    expect(reparsed[1].onset).toBeCloseTo(2 / 3);
+    expect(reparsed[2].onset).toBeCloseTo(1);
+  });
+});
+
+describe('ABC broken rhythms', () => {
+  const answerData = { tonalMotions: [], mutationPoint: null };
+
+  it('dots the first note and halves the second for a>b', () => {
+    const { notes } = parseABC(`K:C
+L:1/8
+A>B c<d`, 60, 'major');
+
+    expect(notes.map((n) => n.duration)).toEqual([0.75, 0.25, 0.25, 0.75]);
+    expect(notes.map((n) => n.onset)).toEqual([0, 0.75, 1, 1.25]);
+    expect(notes[0].brokenRhythm).toBe('>');
+    expect(notes[2].brokenRhythm).toBe('<');
+  });
+
+  it('supports double and triple broken rhythms', () => {
+    const { notes } = parseABC(`K:C
+L:1/4
+C>>D E<<<F`, 60, 'major');
+
+    expect(notes[0].duration).toBeCloseTo(1.75);
+    expect(notes[1].duration).toBeCloseTo(0.25);
+    expect(notes[2].duration).toBeCloseTo(0.125);
+    expect(notes[3].duration).toBeCloseTo(1.875);
+    expect(notes[3].onset).toBeCloseTo(2.125);
+  });
+
+  it('accounts for broken rhythms between unequal notes in validateABCTiming', () => {
+    expect(validateABCTiming('C4 D4 | E2>F G4 F2 | E2>F G4 F2 | C8 |]', [4, 4], 1 / 8)).toHaveLength(2);
+    expect(validateABCTiming('C4 D4 | E3>F G3 | E>F G2 G4 | C8 |]', [4, 4], 1 / 8)).toEqual([]);
+  });
+
+  it('keeps the operator when the answer is re-emitted', () => {
+    const { notes } = parseABC(`K:C
+L:1/8
+C>D E2 F<G A2 |`, 60, 'major');
+
+    const out = generateAnswerABC(
+      notes,
+      { tonic: 0, keySignature: [], mode: 'major' },
+      answerData,
+      1 / 8,
+      [4, 4],
+      [1, 8]
+    );
+
+    expect(out).toContain('G>A B2 c<d e2');
+    const reparsed = parseABC(out, 67, 'major').notes;
+    expect(reparsed.map((n) => n.duration)).toEqual(notes.map((n) => n.duration));
+  });
+
+  it('spells out real lengths when a rest takes part in the broken rhythm', () => {
+    const { notes } = parseABC(`K:C
+L:1/8
+C>z D2`, 60, 'major');
+
+    expect(notes[0].duration).toBe(0.75);
+    expect(notes[1].onset).toBe(1);
+    expect(notes[0].brokenRhythm).toBeNull();
+
+    const out = formatSubjectABC(notes, { key: 'C', mode: 'major' }, 1 / 8, [4, 4], [1, 8]);
+    expect(out).toContain('C3/2 z/2 D2');
+  });
+});
+
+describe('ABC inline fields', () => {
+  it('applies an inline [K:] change to accidentals and scale degrees', () => {
+    const { notes } = parseABC(`K:C
+L:1/8
+C D E F | [K:G] G A B F |`, 60, 'major');
+
+    expect(notes[3].pitch).toBe(65);
+    expect(notes[7].pitch).toBe(66);
+    expect(notes[4].scaleDegree.degree).toBe(1);
+    expect(notes[4].context.keyField).toBe('G');
+    expect(notes[0].context.keyField).toBeNull();
+  });
+
+  it('treats K: lines after the music starts as key changes', () => {
+    const abc = `K:C
+L:1/8
+C D E F |
+K:D
+F C |`;
+    const { notes } = parseABC(abc, 60, 'major');
+
+    expect(notes[4].pitch).toBe(66);
+    expect(notes[5].pitch).toBe(61);
+    expect(extractABCHeaders(abc).key).toBe('C');
+  });
+
+  it('changes the unit length from an inline [L:] field', () => {
+    const { notes, defaultNoteLength } = parseABC(`K:C
+L:1/8
+C D [L:1/16] E F G2 |`, 60, 'major');
+
+    expect(notes.map((n) => n.duration)).toEqual([0.5, 0.5, 0.25, 0.25, 0.5]);
+    expect(notes[4].onset).toBe(1.5);
+    expect(defaultNoteLength).toBe(1 / 8);
+  });
+
+  it('records [M:] changes and bars against the local meter', () => {
+    const abc = `K:C
+L:1/4
+C D E F | [M:3/4] G A B | c3 |`;
+    const { notes, meterChanges } = parseABC(abc, 60, 'major', null, null, { meter: [4, 4] });
+
+    expect(meterChanges).toEqual([{ onset: 4, meter: [3, 4] }]);
+    expect(notes[4].context.meter).toEqual([3, 4]);
+    expect(validateABCTiming(abc, [4, 4], 1 / 4)).toEqual([]);
+
+    const meter = withMeterChanges([4, 4], meterChanges);
+    const formatter = new BeatFormatter(1 / 4, meter);
+    expect(formatter.formatBeat(6)).toBe('M2.B3');
+    expect(formatter.formatBeat(7)).toBe('M3.B1');
+    expect(metricWeight(7, meter)).toBe(metricWeight(0, [4, 4]));
+    expect(metricWeight(5, meter)).toBeLessThan(metricWeight(4, meter));
+
+    const out = formatSubjectABC(notes, { key: 'C', mode: 'major' }, 1 / 4, [4, 4], [1, 4]);
+    expect(out).toContain('C D E F |[M:3/4] G A B |c3 |]');
+  });
+
+  it('re-emits unit-length and key changes when formatting the subject', () => {
+    const { notes } = parseABC(`K:C
+L:1/8
+C2 D2 E2 F2 | [K:G] [L:1/4] G A B F |`, 60, 'major');
+
+    const out = formatSubjectABC(notes, { key: 'C', mode: 'major' }, 1 / 8, [4, 4], [1, 8]);
+    expect(out).toContain('[L:1/4] [K:G] G A B F');
+    expect(parseABC(out, 60, 'major').notes.map((n) => n.pitch)).toEqual(notes.map((n) => n.pitch));
+  });
+});
+
+describe('ABC ornaments', () => {
+  it('attaches grace notes and decorations to the following note without adding notes or time', () => {
+    const { notes } = parseABC(`K:G
+L:1/8
+{/f}g2 !trill!e2 {AB}c2 !fermata!d2 | Tc ~B .A !p!G |`, 67, 'major');
+
+    expect(notes.map((n) => n.pitch)).toEqual([79, 76, 72, 74, 72, 71, 69, 67]);
+    expect(notes[2].onset).toBe(2);
+    expect(notes[0].ornaments).toEqual({
+      graceNotes: [{ pitch: 78, duration: 0.5, abcNote: 'f' }],
+      graceType: 'acciaccatura',
+      decorations: [],
+    });
+    expect(notes[1].ornaments.decorations).toEqual(['trill']);
+    expect(notes[2].ornaments.graceType).toBe('appoggiatura');
+    expect(notes[2].ornaments.graceNotes.map((g) => g.pitch)).toEqual([69, 71]);
+    expect(notes[4].ornaments.decorations).toEqual(['trill']);
+    expect(notes[5].ornaments.decorations).toEqual(['roll']);
+    expect(notes[6].ornaments.decorations).toEqual(['staccato']);
+    expect(notes[7].ornaments.decorations).toEqual(['p']);
+    expect(notes[3].ornaments.decorations).toEqual(['fermata']);
+    expect(validateABCTiming(`L:1/8
+{/f}g2 !trill!e2 {AB}c2 !fermata!d2 | Tc ~B .A G |`, [4, 4], 1 / 8)).toEqual([]);
+  });
+
+  it('re-emits ornaments in the subject and transposes graces in the answer', () => {
+    const { notes } = parseABC(`K:C
+L:1/8
+{d}c2 !trill!B2 c4 |`, 60, 'major');
+
+    const subjectOut = formatSubjectABC(notes, { key: 'C', mode: 'major' }, 1 / 8, [4, 4], [1, 8]);
+    expect(subjectOut).toContain('{d}c2 !trill!B2 c4');
+
+    const answerOut = generateAnswerABCSameKey(
+      notes,
+      { key: 'C', keySignature: [], mode: 'major' },
+      { tonalMotions: [], mutationPoint: null },
+      1 / 8,
+      [4, 4],
+      true,
+      [1, 8]
+    );
+    expect(answerOut).toContain('{a}g2 !trill!^f2 g4');
+  });
+});
+
+describe('ABC bar-scoped accidentals', () => {
+  const abc = `K:C
+L:1/4
+^F F G F | F _B B =B | B4 |`;
+
+  it('carries accidentals to the bar line only in bar mode', () => {
+    const noteMode = parseABC(abc, 60, 'major').notes;
+    const barMode = parseABC(abc, 60, 'major', null, null, { accidentals: 'bar' }).notes;
+
+    expect(noteMode.map((n) => n.pitch)).toEqual([66, 65, 67, 65, 65, 70, 71, 71, 71]);
+    expect(barMode.map((n) => n.pitch)).toEqual([66, 66, 67, 66, 65, 70, 70, 71, 71]);
+    expect(barMode[1].abcNote).toBe('^F');
+  });
+
+  it('keeps a carried accidental through a tie across the bar line', () => {
+    const { notes } = parseABC(`K:C
+L:1/4
+G ^F2 F- | F2 F2 |`, 60, 'major', null, null, { accidentals: 'bar' });
+
+    expect(notes.map((n) => n.pitch)).toEqual([67, 66, 66, 65]);
+    expect(notes[2].duration).toBe(3);
+  });
+
+  it('warns in note mode about notes that ABC 2.1 reads with a carried accidental', () => {
+    const warnings = validateABCTiming(abc, [4, 4], 1 / 4);
+    expect(warnings).toHaveLength(2);
+    expect(warnings.every((w) => w.type === 'accidental')).toBe(true);
+    expect(warnings.map((w) => w.measure)).toEqual([1, 2]);
+    expect(validateABCTiming(abc, [4, 4], 1 / 4, { accidentals: 'bar' })).toEqual([]);
+  });
+
+  it('writes generated ABC that reads the same in both modes', () => {
+    const { notes } = parseABC(abc, 60, 'major');
+    const out = formatSubjectABC(notes, { key: 'C', mode: 'major' }, 1 / 4, [4, 4], [1, 4]);
+    expect(out).toContain('^F =F G F |F _B =B =B |B4 |]');
+
+    const body = out.split('\n').filter((l) => !/^[A-Z]:/.test(l)).join('\n');
+    const reread = parseABC(`K:C\nL:1/4\n${body}`, 60, 'major', null, null, { accidentals: 'bar' }).notes;
+    expect(reread.map((n) => n.pitch)).toEqual(notes.map((n) => n.pitch));
+  });
+});
+
+describe('ABC pickups', () => {
+  const abc = `K:C
+L:1/8
+G2 | c2 d2 e2 f2 | g8 |`;
+
+  it('detects an incomplete first bar and checks it against a declared pickup', () => {
+    expect(validateABCTiming(abc, [4, 4], 1 / 8)).toEqual([
+      expect.objectContaining({ measure: 1, type: 'pickup', actual: 1 }),
+    ]);
+    expect(validateABCTiming(abc, [4, 4], 1 / 8, { pickup: 1 })).toEqual([]);
+    expect(validateABCTiming(abc, [4, 4], 1 / 8, { pickup: 2 })).toEqual([
+      expect.objectContaining({ measure: 1, expected: 2, actual: 1 }),
+    ]);
+  });
+
+  it('shifts beat labels and metric weights by the pickup', () => {
+    const meter = withPickup([4, 4], 1);
+    const formatter = new BeatFormatter(1 / 8, meter);
+
+    expect(formatter.formatBeat(0)).toBe('M0.B4');
+    expect(formatter.formatBeat(1)).toBe('M1.B1');
+    expect(formatter.formatBeat(3.5)).toBe('M1.B3.2');
+    expect(metricWeight(0, meter)).toBe(0.5);
+    expect(metricWeight(1, meter)).toBe(1.0);
+    expect(metricWeight(5, meter)).toBe(1.0);
+  });
+
+  it('keeps the pickup in generated subject and answer ABC', () => {
+    const { notes } = parseABC(abc, 60, 'major');
+    const meter = withPickup([4, 4], 1);
+
+    expect(formatSubjectABC(notes, { key: 'C', mode: 'major' }, 1 / 8, meter, [1, 8])).toContain('G2 |c2 d2 e2 f2 |g8 |]');
+    const answerOut = generateAnswerABCSameKey(
+      notes,
+      { key: 'C', keySignature: [], mode: 'major' },
+      { tonalMotions: [], mutationPoint: null },
+      1 / 8,
+      meter,
+      true,
+      [1, 8]
+    );
+    expect(answerOut).toContain("d2 |g2 a2 b2 c'2 |d'8 |]");
+  });
+});
+
+describe('ABC parse diagnostics', () => {
+  const at = (abc, d) => abc.slice(d.start, d.end);
+
+  it('points at unknown tokens and dangling ties in the original text', () => {
+    const abc = `X:1
+K:C
+L:1/8
+c2 d2 F# e2 | f2- g6 | a8 |1 b8 :|2 c'8 |]`;
+    const { diagnostics } = parseABC(abc, 60, 'major', null, null, { meter: [4, 4] });
+
+    const unknown = diagnostics.find((d) => d.code === 'unknown-token');
+    expect(unknown).toMatchObject({ severity: 'error' });
+    expect(at(abc, unknown)).toBe('#');
+    expect(unknown.fix).toContain('^F');
+
+    const tie = diagnostics.find((d) => d.code === 'dangling-tie');
+    expect(at(abc, tie)).toBe('-');
+    expect(abc.slice(tie.start - 2, tie.start)).toBe('f2');
+
+    // Variant endings and the final bar line are not unknown tokens
+    expect(diagnostics.filter((d) => d.code === 'unknown-token')).toHaveLength(1);
+  });
+
+  it('reports bars whose length does not add up, allowing a pickup and a short ending', () => {
+    const abc = `L:1/8
+G2 | c2 d2 e2 | f2 g2 a2 b2 c'2 | g4 |`;
+    const { diagnostics } = parseABC(abc, 60, 'major', null, null, { meter: [4, 4] });
+    const bars = diagnostics.filter((d) => d.code === 'bar-duration');
+
+    expect(bars.map((d) => at(abc, d))).toEqual(['c2 d2 e2', "f2 g2 a2 b2 c'2"]);
+    expect(bars[0].message).toBe('Bar 2: expected 4 beats, found 3.00 beats');
+    expect(bars[0].fix).toContain('"z2"');
+
+    const declared = parseABC(abc, 60, 'major', null, null, { meter: [4, 4], pickup: 2 }).diagnostics;
+    expect(declared.filter((d) => d.code === 'bar-duration').map((d) => at(abc, d))).toEqual(['G2', 'c2 d2 e2', "f2 g2 a2 b2 c'2"]);
+  });
+
+  it('reports a tie with nothing after it', () => {
+    const abc = 'C4 D4-';
+    const { diagnostics } = parseABC(abc, 60, 'major');
+    expect(diagnostics).toEqual([expect.objectContaining({ code: 'dangling-tie', start: 5, end: 6 })]);
+  });
+});
+
+describe('ABC chord symbols', () => {
+  it('collects chord symbols into a harmony track instead of reading them as notes', () => {
+    const abc = `L:1/4
+K:Am
+"Am"A B "E7"c B | "iv"d c "V"B2 |`;
+    const { notes, harmony, diagnostics } = parseABC(abc, 57, 'natural_minor', null, null, { meter: [4, 4] });
+
+    expect(notes).toHaveLength(7);
+    expect(harmony.map((h) => [h.onset, h.symbol, h.root, h.type])).toEqual([
+      [0, 'Am', 9, 'minor'],
+      [2, 'E7', 4, 'dominant_7'],
+      [4, 'iv', 2, 'minor'],
+      [6, 'V', 4, 'major'],
+    ]);
+    expect(diagnostics).toEqual([]);
+  });
+
+  it('skips free-text annotations and flags chord symbols it cannot read', () => {
+    const abc = '"^espressivo"C D "Xyz"E F |';
+    const { notes, harmony, diagnostics } = parseABC(abc, 60, 'major', 1 / 4, null, { meter: [4, 4] });
+
+    expect(notes.map((n) => n.abcNote)).toEqual(['C', 'D', 'E', 'F']);
+    expect(harmony).toEqual([]);
+    expect(diagnostics).toEqual([expect.objectContaining({ code: 'unknown-chord', severity: 'warning' })]);
+    expect(abc.slice(diagnostics[0].start, diagnostics[0].end)).toBe('"Xyz"');
+  });
+});
@@ -0,0 +1,212 @@
+import { parseABC } from './abcParser';
+
+/**
+ * Analyzer input slots a multi-voice ABC file can fill, in fallback order
+ */
+export const VOICE_SLOTS = ['subject', 'answer', 'countersubject', 'countersubject2', 'secondSubject'];
+
+export const VOICE_SLOT_LABELS = {
+  subject: 'Subject',
+  answer: 'Answer',
+  countersubject: 'Countersubject',
+  countersubject2: 'Countersubject 2',
+  secondSubject: 'Second Subject',
+};
+
+// Accepted spellings for "%%slot <voice> <slot>" directives, compared after normalizeName()
+const SLOT_ALIASES = {
+  subject: 'subject',
+  dux: 'subject',
+  answer: 'answer',
+  comes: 'answer',
+  cs: 'countersubject',
+  cs1: 'countersubject',
+  countersubject: 'countersubject',
+  countersubject1: 'countersubject',
+  cs2: 'countersubject2',
+  countersubject2: 'countersubject2',
+  s2: 'secondSubject',
+  subject2: 'secondSubject',
+  secondsubject: 'secondSubject',
+};
+
+function normalizeName(name) {
+  return (name || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Guess a slot from a voice or track name ("Subject", "CS 2", "Comes", ...)
+ */
+export function slotFromName(name) {
+  const n = normalizeName(name);
+  if (!n) return null;
+  if (SLOT_ALIASES[n]) return SLOT_ALIASES[n];
+  if (n.includes('secondsubject') || n.includes('subject2')) return 'secondSubject';
+  if (n.includes('countersubject2') || n.includes('contrasubject2')) return 'countersubject2';
+  if (n.includes('countersubject') || n.includes('contrasubject')) return 'countersubject';
+  if (n.includes('answer') || n.includes('comes')) return 'answer';
+  if (n.includes('subject') || n.includes('dux')) return 'subject';
+  return null;
+}
+
+/**
+ * Read name="..." / nm="..." from the properties that follow a V: id
+ */
+function parseVoiceName(properties) {
+  const m = properties.match(/\b(?:name|nm)\s*=\s*(?:"([^"]*)"|(\S+))/i);
+  return m ? (m[1] ?? m[2]) : null;
+}
+
+/**
+ * Split a multi-voice ABC file into one standalone ABC text per V: voice.
+ * Header fields before the first voice are shared by every voice; fields after a V: line
+ * (or inline [V:] marker) belong to that voice only. Leading rests stay in each voice,
+ * so every voice keeps its entry point on the shared timeline.
+ * @param {string} abcText - ABC text with V: fields
+ * @returns {{ voices: Array<{ id: string, name: string|null, abc: string }>, directives: Object<string, string> }}
+ *   `directives` maps voice ids to slots from "%%slot <voice> <slot>" lines
+ */
+export function splitABCVoices(abcText) {
+  const sharedLines = [];
+  const voices = [];
+  const byId = new Map();
+  const directives = {};
+  let current = null;
+
+  const selectVoice = (id, properties = '') => {
+    let voice = byId.get(id);
+    if (!voice) {
+      voice = { id, name: null, lines: [] };
+      byId.set(id, voice);
+      voices.push(voice);
+    }
+    voice.name = parseVoiceName(properties) || voice.name;
+    current = voice;
+  };
+
+  for (const line of abcText.split('\n')) {
+    const t = line.trim();
+    if (!t) continue;
+
+    if (t.startsWith('%%')) {
+      const m = t.match(/^%%slot\s+(?:V:)?(\S+)\s+(\S+)/i);
+      const slot = m && SLOT_ALIASES[normalizeName(m[2])];
+      if (slot) directives[m[1]] = slot;
+      continue;
+    }
+    if (t.startsWith('%')) continue;
+
+    const voiceField = t.match(/^V:\s*(\S+)(.*)$/);
+    if (voiceField) {
+      selectVoice(voiceField[1], voiceField[2]);
+      continue;
+    }
+
+    const inlineVoice = t.match(/^\[V:\s*([^\]\s]+)([^\]]*)\]\s*(.*)$/);
+    if (inlineVoice) {
+      selectVoice(inlineVoice[1], inlineVoice[2]);
+      if (inlineVoice[3]) current.lines.push(inlineVoice[3]);
+      continue;
+    }
+
+    if (/^[A-Z]:/.test(t) && !current) {
+      sharedLines.push(t);
+      continue;
+    }
+
+    // Music before any V: field belongs to an implicit first voice
+    if (!current) selectVoice('1');
+    current.lines.push(t);
+  }
+
+  return {
+    voices: voices
+      .filter((v) => v.lines.some((l) => !/^[A-Z]:/.test(l)))
+      .map((v) => ({ id: v.id, name: v.name, abc: [...sharedLines, ...v.lines].join('\n') })),
+    directives,
+  };
+}
+
+// Tokens dropped before a voice's first note: whitespace, rests, bar lines and comments
+const LEADING_SKIPPED = /^(?:\s+|[zxZX][\d/]*|[|:\]]+|\[\||%.*)/;
+const INLINE_FIELD = /^\[[A-Za-z]:[^\]]*\]/;
+
+/**
+ * Drop the rests and bar lines before a voice's first note, so a voice that enters late starts at
+ * its entry like every analyzer input. Header lines and inline fields ([K:], [M:], ...) are kept.
+ * @param {string} abc - ABC text of one voice
+ * @returns {string}
+ */
+export function stripLeadingRests(abc) {
+  const lines = [];
+  let entered = false;
+  for (const line of abc.split('\n')) {
+    if (entered || /^[A-Za-z]:/.test(line.trim())) {
+      lines.push(line);
+      continue;
+    }
+    let fields = '';
+    let rest = line;
+    for (let m; (m = rest.match(INLINE_FIELD) || rest.match(LEADING_SKIPPED));) {
+      if (m[0].startsWith('[') && INLINE_FIELD.test(m[0])) fields += m[0];
+      rest = rest.slice(m[0].length);
+    }
+    entered = rest.length > 0;
+    if (fields || entered) lines.push(fields + rest);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Split a multi-voice ABC file and assign its voices to analyzer slots.
+ * "%%slot <voice> <slot>" directives win, then voice names/ids ("Subject", "Answer", "CS2", ...),
+ * then any remaining voices fill the remaining slots in VOICE_SLOTS order. Each slot's ABC starts
+ * at the voice's first note; where it entered is kept as `entryOffset`.
+ * @param {string} abcText - ABC text with V: fields
+ * @returns {{ slots: Object<string, { voiceId: string, name: string|null, abc: string, entryOffset: number, source: string }>, unassigned: Array }}
+ *   `entryOffset` is the first note's onset in quarter notes; `source` is 'directive', 'name' or 'order'
+ */
+export function importMultiVoiceABC(abcText) {
+  const { voices, directives } = splitABCVoices(abcText);
+  const slots = {};
+  const remaining = [];
+  const unassigned = [];
+
+  const assign = (voice, slot, source) => {
+    slots[slot] = {
+      voiceId: voice.id,
+      name: voice.name,
+      abc: stripLeadingRests(voice.abc),
+      entryOffset: voice.notes[0].onset,
+      source,
+    };
+  };
+
+  for (const voice of voices) {
+    voice.notes = parseABC(voice.abc, 0, 'major').notes;
+    // A voice with nothing but rests has nothing to analyze
+    if (!voice.notes.length) {
+      unassigned.push({ voiceId: voice.id, name: voice.name });
+      continue;
+    }
+
+    const directed = directives[voice.id];
+    if (directed && !slots[directed]) assign(voice, directed, 'directive');
+    else remaining.push(voice);
+  }
+
+  const unnamed = [];
+  for (const voice of remaining) {
+    const named = slotFromName(voice.name) || slotFromName(voice.id);
+    if (named && !slots[named]) assign(voice, named, 'name');
+    else unnamed.push(voice);
+  }
+
+  for (const voice of unnamed) {
+    const free = VOICE_SLOTS.find((slot) => !slots[slot]);
+    if (free) assign(voice, free, 'order');
+    else unassigned.push({ voiceId: voice.id, name: voice.name });
+  }
+
+  return { slots, unassigned };
+}
@@ -0,0 +1,73 @@
+import { describe, expect, it } from 'vitest';
+import { importMultiVoiceABC, splitABCVoices, stripLeadingRests } from './abcVoices';
+
+const EXPOSITION = `X:1
+M:4/4
+L:1/8
+K:C
+V:1 name="Subject"
+V:2 name="Answer"
+V:1
+C2 D2 E2 F2 | G4 E4 |
+V:2
+z8 | z8 |
+V:1
+e2 d2 c4 | B8 |
+V:2
+G2 A2 B2 c2 | d4 B4 |`;
+
+describe('splitABCVoices', () => {
+  it('gives each voice the shared headers and its own lines in order', () => {
+    const { voices } = splitABCVoices(EXPOSITION);
+
+    expect(voices.map((v) => [v.id, v.name])).toEqual([['1', 'Subject'], ['2', 'Answer']]);
+    expect(voices[1].abc).toBe('X:1\nM:4/4\nL:1/8\nK:C\nz8 | z8 |\nG2 A2 B2 c2 | d4 B4 |');
+  });
+
+  it('accepts inline [V:] markers and voice-specific fields', () => {
+    const { voices } = splitABCVoices(`L:1/8
+K:C
+[V:1] C D E F |
+[V:2] K:G
+[V:2] G A B c |`);
+
+    expect(voices).toHaveLength(2);
+    expect(voices[1].abc).toBe('L:1/8\nK:C\nK:G\nG A B c |');
+  });
+});
+
+describe('importMultiVoiceABC', () => {
+  it('assigns voices by name and starts each slot at its entry, keeping the offset', () => {
+    const { slots, unassigned } = importMultiVoiceABC(EXPOSITION);
+
+    expect(slots.subject).toMatchObject({ voiceId: '1', source: 'name', entryOffset: 0 });
+    expect(slots.answer).toMatchObject({ voiceId: '2', source: 'name', entryOffset: 8 });
+    expect(slots.answer.abc).toBe('X:1\nM:4/4\nL:1/8\nK:C\nG2 A2 B2 c2 | d4 B4 |');
+    expect(unassigned).toEqual([]);
+  });
+
+  it('prefers %%slot directives over names, then fills remaining slots in order', () => {
+    const { slots, unassigned } = importMultiVoiceABC(`%%slot 2 cs1
+L:1/8
+K:C
+V:1 name="Soprano"
+C D E F |
+V:2 name="Answer"
+z4 G A B c |
+V:3
+z8 |`);
+
+    expect(slots.countersubject).toMatchObject({ voiceId: '2', source: 'directive', entryOffset: 2 });
+    expect(slots.countersubject.abc).toBe('L:1/8\nK:C\nG A B c |');
+    expect(slots.subject).toMatchObject({ voiceId: '1', source: 'order' });
+    expect(slots.answer).toBeUndefined();
+    expect(unassigned).toEqual([{ voiceId: '3', name: null }]);
+  });
+});
+
+describe('stripLeadingRests', () => {
+  it('drops rests, bar lines and comments before the first note and keeps fields', () => {
+    expect(stripLeadingRests('L:1/8\nK:C\nz8 | Z2 | % tacet\n[K:G] x4 z2 |: (3GAB c |]')).toBe('L:1/8\nK:C\n[K:G](3GAB c |]');
+    expect(stripLeadingRests('K:C\nC2 z2 D2 |')).toBe('K:C\nC2 z2 D2 |');
+  });
+});
@@ -1,14 +1,18 @@
 import { NoteEvent, Simultaneity, MelodicMotion, ScaleDegree } from '../types';
-import { metricWeight, pitchName } from './formatter';
+import { locateInMeter, metricWeight, pitchName } from './formatter';
 import { scoreDissonance, analyzeAllDissonances } from './dissonanceScoring';
 import { analyzeHarmonicImplication as analyzeChords } from './harmonicAnalysis';
+import { compareHarmonyTrack } from './chordSymbols';
 import { ANALYSIS_THRESHOLDS, getAdjustedThresholds } from './constants/analysisThresholds';
 import { METRIC_STRENGTH_CUTOFFS } from './constants/thresholds';
 import { mergeChainAnalysisIntoIntervalPoints } from './chainMerge';
+import { getSteppingAppoggiatura, isTrilled } from './ornaments';
 
 /**
  * Classify a dissonance according to species counterpoint practice
  * Returns: 'suspension', 'passing', 'neighbor', 'anticipation', 'appoggiatura', or 'unprepared'
+ * Ornamented notes (see ornaments.js) set `ornament`: 'trill' on a trilled suspension,
+ * 'grace' on an appoggiatura written as a grace leaning into its note by step.
  */
 export function classifyDissonance(sim, allSims, v1Notes, v2Notes, formatter) {
   if (sim.interval.isConsonant()) return { type: 'consonant', label: null };
@@ -35,18 +39,26 @@ export function classifyDissonance(sim, allSims, v1Notes, v2Notes, formatter) {
   // Helper: check if interval is a step (1 or 2 semitones)
   const isStep = (a, b) => Math.abs(a - b) <= 2;
 
+  // An appoggiatura grace entering with its note leans into it by step
+  const v1Grace = v1Note.onset === currentOnset ? getSteppingAppoggiatura(v1Note) : null;
+  const v2Grace = v2Note.onset === currentOnset ? getSteppingAppoggiatura(v2Note) : null;
+  // A trill on the suspended note is the idiomatic cadential ornament
+  const withTrill = (result, note) => (isTrilled(note)
+    ? { ...result, label: `${result.label} tr`, ornament: 'trill', description: `${result.description}, trilled` }
+    : result);
+
   // Check for SUSPENSION in voice 1 (dissonant note held from previous consonance, resolves down)
   if (v1Prev && prevSim && prevSim.interval.isConsonant()) {
     // Same pitch as previous (preparation)
     if (v1Note.pitch === v1Prev.pitch) {
       // Check resolution: next note steps down
       if (v1Next && v1Next.pitch < v1Note.pitch && isStep(v1Note.pitch, v1Next.pitch)) {
-        return {
+        return withTrill({
           type: 'suspension',
           label: `${sim.interval.class}-${sim.interval.class - 1} sus`,
           voice: 1,
           description: `Suspension: ${pitchName(v1Note.pitch)} prepared, resolves to ${pitchName(v1Next.pitch)}`,
-        };
+        }, v1Note);
       }
     }
   }
@@ -55,16 +67,38 @@ export function classifyDissonance(sim, allSims, v1Notes, v2Notes, formatter) {
   if (v2Prev && prevSim && prevSim.interval.isConsonant()) {
     if (v2Note.pitch === v2Prev.pitch) {
       if (v2Next && v2Next.pitch < v2Note.pitch && isStep(v2Note.pitch, v2Next.pitch)) {
-        return {
+        return withTrill({
           type: 'suspension',
           label: `${sim.interval.class}-${sim.interval.class - 1} sus`,
           voice: 2,
           description: `Suspension: ${pitchName(v2Note.pitch)} prepared, resolves to ${pitchName(v2Next.pitch)}`,
-        };
+        }, v2Note);
       }
     }
   }
 
+  // Check for APPOGGIATURA written as a grace in voice 1 (the grace is the dissonance, its note the resolution)
+  if (v1Grace) {
+    return {
+      type: 'appoggiatura',
+      label: 'App',
+      voice: 1,
+      ornament: 'grace',
+      description: `Appoggiatura: grace ${pitchName(v1Grace.pitch)} leans into ${pitchName(v1Note.pitch)}`,
+    };
+  }
+
+  // Check for APPOGGIATURA written as a grace in voice 2
+  if (v2Grace) {
+    return {
+      type: 'appoggiatura',
+      label: 'App',
+      voice: 2,
+      ornament: 'grace',
+      description: `Appoggiatura: grace ${pitchName(v2Grace.pitch)} leans into ${pitchName(v2Note.pitch)}`,
+    };
+  }
+
   // Check for PASSING TONE in voice 1 (stepwise through, weak beat)
   if (v1Prev && v1Next && sim.metricWeight < METRIC_STRENGTH_CUTOFFS.STRONG) {
     const dir1 = v1Note.pitch - v1Prev.pitch;
@@ -556,8 +590,10 @@ export function testMelodicContour(subject, formatter) {
 /**
  * Analyze harmonic implications of a subject
  * Now focused purely on harmony: dominant arrival and chord analysis
+ * @param {Array} [harmony] - Intended harmony track from parseABC's chord symbols; when given, the
+ *   result's `harmonyComparison` scores it beat by beat against the implied chords
  */
-export function testHarmonicImplication(subject, tonic, mode, formatter) {
+export function testHarmonicImplication(subject, tonic, mode, formatter, harmony = []) {
   if (!subject.length) return { error: 'No notes' };
 
   const meter = formatter.meter;
@@ -642,10 +678,23 @@ export function testHarmonicImplication(subject, tonic, mode, formatter) {
     console.warn('Chord analysis failed:', e);
   }
 
+  let harmonyComparison = null;
+  if (harmony.length && chordAnalysis?.chords) {
+    harmonyComparison = compareHarmonyTrack(harmony, chordAnalysis.chords);
+    if (harmonyComparison.comparedBeats) {
+      const { agreement, agreeingBeats, comparedBeats } = harmonyComparison;
+      observations.push({
+        type: agreement >= 0.75 ? 'strength' : agreement < 0.4 ? 'consideration' : 'info',
+        description: `Chord symbols agree with the implied harmony on ${agreeingBeats} of ${comparedBeats} beats (${Math.round(agreement * 100)}% agreement)`,
+      });
+    }
+  }
+
   return {
     dominantArrival: domArr,
     chordAnalysis,
     harmonicClarityScore,
+    harmonyComparison,
     observations,
   };
 }
@@ -705,7 +754,7 @@ export function testRhythmicVariety(subject, formatter) {
   let offBeatCount = 0;
 
   for (const note of subject) {
-    const beatPosition = note.onset % beatUnit;
+    const beatPosition = locateInMeter(note.onset, meter).posInMeasure % beatUnit;
     const isOnBeat = beatPosition < 0.05 || beatPosition > beatUnit - 0.05;
     if (!isOnBeat) {
       offBeatCount++;
@@ -1,5 +1,5 @@
 import { describe, expect, it } from 'vitest';
-import { checkParallelPerfects, findSimultaneities } from './analysis';
+import { checkParallelPerfects, classifyDissonance, findSimultaneities } from './analysis';
 import { NoteEvent, ScaleDegree } from '../types/music';
 
 const meter = [4, 4];
@@ -50,3 +50,43 @@ describe('checkParallelPerfects', () => {
     expect(violations[0].description).toContain('D5-D4 ↓ C5-C4');
   });
 });
+
+describe('classifyDissonance ornaments', () => {
+  const classifyAt = (v1, v2, onset) => {
+    const sims = findSimultaneities(v1, v2, meter);
+    return classifyDissonance(sims.find((s) => s.onset === onset), sims, v1, v2, formatter);
+  };
+
+  it('classifies an appoggiatura grace as the appoggiatura, keeping its note on the beat', () => {
+    const ornamented = note(65, 2, 1); // F4 with grace E4
+    ornamented.ornaments = { graceNotes: [{ pitch: 64, duration: 0.25, abcNote: 'E/' }], graceType: 'appoggiatura', decorations: [] };
+    const v2 = [note(55, 0, 4)]; // G3
+
+    const bare = classifyAt([note(60, 0, 2), note(65, 2, 1), note(67, 3, 1)], v2, 2);
+    const graced = classifyAt([note(60, 0, 2), ornamented, note(67, 3, 1)], v2, 2);
+
+    expect(bare.type).not.toBe('passing');
+    expect(graced).toMatchObject({ type: 'appoggiatura', label: 'App', ornament: 'grace', voice: 1 });
+    expect(graced.description).toContain('grace E4 leans into F4');
+  });
+
+  it('marks a trilled suspension', () => {
+    const trilled = note(65, 1, 1);
+    trilled.ornaments = { graceNotes: [], graceType: null, decorations: ['trill'] };
+    const v1 = [note(65, 0, 1), trilled, note(64, 2, 1)]; // F4 F4 E4
+    const v2 = [note(62, 0, 1), note(55, 1, 2)]; // D4 G3
+
+    expect(classifyAt(v1, v2, 1)).toMatchObject({ type: 'suspension', label: '7-6 sus tr', ornament: 'trill' });
+  });
+
+  it('does not treat a roll as a trill', () => {
+    const rolled = note(65, 1, 1);
+    rolled.ornaments = { graceNotes: [], graceType: null, decorations: ['roll'] };
+    const v1 = [note(65, 0, 1), rolled, note(64, 2, 1)]; // F4 F4 E4
+    const v2 = [note(62, 0, 1), note(55, 1, 2)]; // D4 G3
+
+    const result = classifyAt(v1, v2, 1);
+    expect(result).toMatchObject({ type: 'suspension', label: '7-6 sus' });
+    expect(result.ornament).toBeUndefined();
+  });
+});
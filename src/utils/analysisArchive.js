@@ -0,0 +1,95 @@
+/**
+ * Versioned JSON archive of a complete analysis: the results assembled by App.analyze, the score
+ * profiles and the inputs that produced them. Class instances (NoteEvent, Interval, Simultaneity...),
+ * meters with their changes and pickup, the beat formatter and non-finite numbers are written as
+ * `{ "$type": ... }` objects and rebuilt on import, so the UI can render an archive without re-analyzing.
+ */
+
+import { NoteEvent, ScaleDegree, Interval, MelodicMotion, Simultaneity } from '../types/music';
+import { BeatFormatter, copyMeter } from './formatter';
+import { version as ENGINE_VERSION } from '../../package.json';
+
+export const ANALYSIS_SCHEMA = 'fugue-analyzer/analysis';
+export const ANALYSIS_SCHEMA_VERSION = 1;
+
+// Classes whose instances are rebuilt from their own fields
+const CLASSES = { NoteEvent, ScaleDegree, Interval, MelodicMotion, Simultaneity };
+
+function encode(key, value) {
+  if (typeof value === 'number' && !Number.isFinite(value)) return { $type: 'Number', value: String(value) };
+  if (value instanceof BeatFormatter) {
+    return { $type: 'BeatFormatter', defaultNoteLength: value.defaultNoteLength, meter: value.meter };
+  }
+  if (Array.isArray(value) && ('changes' in value || 'pickup' in value)) {
+    return { $type: 'Meter', value: [...value], changes: value.changes || [], pickup: value.pickup || 0 };
+  }
+  if (value && typeof value === 'object') {
+    const type = Object.keys(CLASSES).find((name) => value instanceof CLASSES[name]);
+    if (type) return { $type: type, ...value };
+  }
+  return value;
+}
+
+function decode(key, value) {
+  if (!value || typeof value !== 'object' || !('$type' in value)) return value;
+  const { $type, ...fields } = value;
+  switch ($type) {
+    case 'Number':
+      return Number(fields.value);
+    case 'Meter':
+      return copyMeter(fields.value, { changes: fields.changes, pickup: fields.pickup });
+    case 'BeatFormatter':
+      return new BeatFormatter(fields.defaultNoteLength, fields.meter);
+    default:
+      if (!CLASSES[$type]) throw new Error(`Analysis import: unknown value type "${$type}"`);
+      return Object.assign(Object.create(CLASSES[$type].prototype), fields);
+  }
+}
+
+/**
+ * Write an analysis as a JSON document
+ * @param {Object} analysis
+ * @param {Object} analysis.results - The results object from App.analyze
+ * @param {Array} analysis.scoreProfiles - Score profiles ({ key, label, hasCountersubject, score })
+ * @param {string} [analysis.selectedScoreProfile] - Key of the profile shown
+ * @param {Object} [analysis.inputs] - The inputs and settings, in the saved-preset shape
+ * @returns {string}
+ */
+export function serializeAnalysis({ results, scoreProfiles, selectedScoreProfile = null, inputs = null }) {
+  return JSON.stringify({
+    schema: ANALYSIS_SCHEMA,
+    version: ANALYSIS_SCHEMA_VERSION,
+    engineVersion: ENGINE_VERSION,
+    exportedAt: new Date().toISOString(),
+    inputs,
+    selectedScoreProfile,
+    scoreProfiles,
+    results,
+  }, encode, 2);
+}
+
+/**
+ * Read a document written by serializeAnalysis, rebuilding class instances, meters and the formatter
+ * @param {string} text
+ * @returns {{ schema: string, version: number, engineVersion: string, exportedAt: string, inputs: Object|null,
+ *   selectedScoreProfile: string|null, scoreProfiles: Array, results: Object }}
+ */
+export function parseAnalysis(text) {
+  let archive;
+  try {
+    archive = JSON.parse(text, decode);
+  } catch (e) {
+    if (e instanceof SyntaxError) throw new Error('Analysis import: the file is not valid JSON');
+    throw e;
+  }
+  if (archive?.schema !== ANALYSIS_SCHEMA) {
+    throw new Error('Analysis import: the file is not a fugue analysis export');
+  }
+  if (!Number.isInteger(archive.version) || archive.version > ANALYSIS_SCHEMA_VERSION) {
+    throw new Error(`Analysis import: schema version ${archive.version} is newer than this analyzer reads (${ANALYSIS_SCHEMA_VERSION})`);
+  }
+  if (!archive.results?.subject?.length || !Array.isArray(archive.scoreProfiles) || !archive.scoreProfiles.length) {
+    throw new Error('Analysis import: the file has no results or score profiles');
+  }
+  return archive;
+}
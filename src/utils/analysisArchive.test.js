@@ -0,0 +1,61 @@
+import { describe, expect, it } from 'vitest';
+import { ANALYSIS_SCHEMA_VERSION, parseAnalysis, serializeAnalysis } from './analysisArchive';
+import { runDefaultAnalysis } from './defaultAnalysis';
+import { NoteEvent, Simultaneity } from '../types/music';
+import { BeatFormatter, withMeterChanges, withPickup } from './formatter';
+
+describe('analysis archive', () => {
+  it('round-trips results and score profiles with their classes, meter and formatter', () => {
+    const { results, scoreResult } = runDefaultAnalysis({ pickup: 2 });
+    const scoreProfiles = [{ key: 'subject_cs1', label: 'Subject 1 + CS1', hasCountersubject: true, score: scoreResult }];
+    const text = serializeAnalysis({ results, scoreProfiles, selectedScoreProfile: 'subject_cs1' });
+    const archive = parseAnalysis(text);
+
+    expect(archive).toMatchObject({ schema: 'fugue-analyzer/analysis', version: ANALYSIS_SCHEMA_VERSION, selectedScoreProfile: 'subject_cs1' });
+    expect(archive.results.subject).toStrictEqual(results.subject);
+    expect(archive.results.subject[0]).toBeInstanceOf(NoteEvent);
+    expect(archive.results.subject[1].scaleDegree.toString()).toBe(results.subject[1].scaleDegree.toString());
+
+    const sim = archive.results.subjectCsSims[0];
+    expect(sim).toBeInstanceOf(Simultaneity);
+    expect(sim.interval.toString()).toBe(results.subjectCsSims[0].interval.toString());
+
+    expect(archive.results.meter.pickup).toBe(2);
+    expect(archive.results.formatter.formatBeat(3)).toBe(results.formatter.formatBeat(3));
+    expect(archive.scoreProfiles[0].score).toEqual(scoreResult);
+
+    const again = serializeAnalysis({ results: archive.results, scoreProfiles: archive.scoreProfiles, selectedScoreProfile: 'subject_cs1' });
+    const body = (json) => json.replace(/"exportedAt": "[^"]*"/, '');
+    expect(body(again)).toBe(body(text));
+  });
+
+  it('keeps time-signature changes with the pickup on the results and formatter meters', () => {
+    const { results } = runDefaultAnalysis();
+    const meter = withPickup(withMeterChanges([2, 2], [{ onset: 8, meter: [3, 2] }]), 2);
+    results.meter = meter;
+    results.formatter = new BeatFormatter(1 / 8, meter);
+    const archive = parseAnalysis(serializeAnalysis({ results, scoreProfiles: [{ key: 'subject_only', score: {} }] }));
+
+    for (const m of [archive.results.meter, archive.results.formatter.meter]) {
+      expect(m).toEqual([2, 2]);
+      expect(m.pickup).toBe(2);
+      expect(m.changes).toEqual(meter.changes);
+    }
+    expect(archive.results.formatter.formatBeat(10)).toBe(results.formatter.formatBeat(10));
+  });
+
+  it('keeps non-finite numbers', () => {
+    const { results } = runDefaultAnalysis();
+    results.stretto.bestDistance = Infinity;
+    const archive = parseAnalysis(serializeAnalysis({ results, scoreProfiles: [{ key: 'subject_only', score: {} }] }));
+
+    expect(archive.results.stretto.bestDistance).toBe(Infinity);
+  });
+
+  it('rejects other files and newer schema versions', () => {
+    expect(() => parseAnalysis('{')).toThrow('not valid JSON');
+    expect(() => parseAnalysis('{"schema":"other"}')).toThrow('not a fugue analysis export');
+    expect(() => parseAnalysis(JSON.stringify({ schema: 'fugue-analyzer/analysis', version: ANALYSIS_SCHEMA_VERSION + 1 })))
+      .toThrow(`schema version ${ANALYSIS_SCHEMA_VERSION + 1} is newer`);
+  });
+});
@@ -0,0 +1,73 @@
+/**
+ * Audition queues for playback: trouble spots to loop one at a time, taken from the issue list
+ * or from the simultaneities that analyzeAllDissonances rates 'dissonant_bad'.
+ */
+
+import { issueCategories, issueHighlight } from './issueList';
+import { intervalTableRows } from './intervalTable';
+import { locateInMeter, meterGrid } from './formatter';
+
+// Beats of context looped around each auditioned onset
+export const AUDITION_WINDOW_BEATS = 2;
+
+/**
+ * Range looped when auditioning an onset: AUDITION_WINDOW_BEATS beats of the meter in force there,
+ * centred on it and kept from starting before the first beat
+ * @param {number} onset
+ * @param {BeatFormatter} formatter
+ * @returns {{ start: number, end: number }} In quarter notes
+ */
+export function auditionWindow(onset, formatter) {
+  const length = AUDITION_WINDOW_BEATS * meterGrid(locateInMeter(onset, formatter.meter).meter).internalUnitsPerBeat;
+  const start = Math.max(0, onset - length / 2);
+  return { start, end: start + length };
+}
+
+// Issues of the inverted position were found with the countersubject an octave down (see testDoubleCounterpoint)
+const invertedVoices = (results) => [
+  { name: 'Subject', notes: results.subject },
+  { name: 'Countersubject', notes: results.countersubject.map((n) => ({ ...n, pitch: n.pitch - 12 })) },
+];
+
+/**
+ * Issues and warnings with an onset, in the order the issues summary lists them.
+ * Entries that only make sense in one voice arrangement carry its voices; the rest play whatever is chosen.
+ * @param {Object} results - Analysis results
+ * @returns {Array<{ onset: number, description: string, highlight: Object, voices?: Array }>}
+ */
+export function issueAuditionQueue(results) {
+  return issueCategories(results).flatMap((cat) => [...cat.issues, ...cat.warnings]
+    .filter((item) => Number.isFinite(item.onset))
+    .map((item) => {
+      const entry = { onset: item.onset, description: item.description, highlight: issueHighlight(item, cat.name) };
+      if (cat.name === 'Invertible Counterpoint' && item.description?.startsWith('Inverted:') && results.countersubject) {
+        entry.voices = invertedVoices(results);
+      }
+      return entry;
+    }));
+}
+
+/**
+ * Bad dissonances between every pair of voices, each with the pair that makes it
+ * @param {Array<{ name: string, notes: Array }>} voices
+ * @param {Object} options
+ * @param {BeatFormatter} options.formatter
+ * @param {Array} options.meter - [numerator, denominator]
+ * @returns {Array<{ onset: number, description: string, highlight: Object, voices: Array }>} In onset order
+ */
+export function dissonanceAuditionQueue(voices, { formatter, meter }) {
+  const queue = [];
+  voices.forEach((v1, i) => voices.slice(i + 1).forEach((v2) => {
+    for (const row of intervalTableRows(v1, v2, { formatter, meter })) {
+      if (row.category !== 'dissonant_bad') continue;
+      const description = `${row.intervalName} between ${v1.name} and ${v2.name} at ${row.beat}${Number.isFinite(row.score) ? ` (score ${row.score.toFixed(1)})` : ''}`;
+      queue.push({
+        onset: row.onset,
+        description,
+        highlight: { onset: row.onset, type: 'dissonance', description },
+        voices: [v1, v2],
+      });
+    }
+  }));
+  return queue.sort((a, b) => a.onset - b.onset);
+}
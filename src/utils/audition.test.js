@@ -0,0 +1,60 @@
+import { describe, expect, it } from 'vitest';
+import { auditionWindow, dissonanceAuditionQueue, issueAuditionQueue } from './audition';
+import { BeatFormatter, withMeterChanges } from './formatter';
+import { NoteEvent } from '../types';
+
+describe('audition queues', () => {
+  it('loops two beats around an onset without starting before the first beat', () => {
+    const formatter = new BeatFormatter(1 / 8, [4, 4]);
+    expect(auditionWindow(5, formatter)).toEqual({ start: 4, end: 6 });
+    expect(auditionWindow(0.5, formatter)).toEqual({ start: 0, end: 2 });
+  });
+
+  it('measures the window in the beats of the meter in force at the onset', () => {
+    expect(auditionWindow(6, new BeatFormatter(1 / 8, [2, 2]))).toEqual({ start: 4, end: 8 });
+    expect(auditionWindow(6, new BeatFormatter(1 / 8, [6, 8]))).toEqual({ start: 4.5, end: 7.5 });
+
+    const changing = withMeterChanges([4, 4], [{ onset: 8, meter: [2, 2] }]);
+    const formatter = new BeatFormatter(1 / 8, changing);
+    expect(auditionWindow(5, formatter)).toEqual({ start: 4, end: 6 });
+    expect(auditionWindow(10, formatter)).toEqual({ start: 8, end: 12 });
+  });
+
+  it('queues the issues that have an onset, highlighted as the issues summary does', () => {
+    const results = {
+      harmonicImplication: { observations: [{ type: 'issue', description: 'Ends off the tonic', onset: 6 }, { type: 'consideration', description: 'Weak opening' }] },
+      tonalAnswer: { observations: [{ type: 'consideration', description: 'Mutation at the leap', onset: 1 }] },
+    };
+    const queue = issueAuditionQueue(results);
+
+    expect(queue.map((e) => e.description)).toEqual(['Ends off the tonic', 'Mutation at the leap']);
+    expect(queue[1].highlight).toMatchObject({ onset: 1, type: 'Tonal Answer', sourceCategory: 'Tonal Answer', sourceType: 'warning', sourceIndex: 0 });
+    expect(queue[0].voices).toBeUndefined();
+  });
+
+  it('plays inverted-position issues with the countersubject an octave down', () => {
+    const results = {
+      subject: [{ pitch: 60, onset: 0, duration: 2 }],
+      countersubject: [{ pitch: 67, onset: 0, duration: 2 }],
+      doubleCounterpoint: { inverted: { issues: [{ description: 'Unprepared P4 on strong beat', onset: 0 }] } },
+    };
+    const [entry] = issueAuditionQueue(results);
+
+    expect(entry.description).toBe('Inverted: Unprepared P4 on strong beat');
+    expect(entry.voices.map((v) => [v.name, v.notes[0].pitch])).toEqual([['Subject', 60], ['Countersubject', 55]]);
+  });
+
+  it('queues the bad dissonances of every voice pair in onset order', () => {
+    const formatter = new BeatFormatter(1 / 8, [4, 4]);
+    const low = { name: 'Bass', notes: [new NoteEvent(60, 4, 0), new NoteEvent(60, 4, 4)] };
+    // Leaps into and out of a seventh and a fourth, and ends on a tritone, over the held C
+    const high = { name: 'Soprano', notes: [64, 71, 77, 67, 66].map((pitch, i) => new NoteEvent(pitch, 1, i)) };
+    const queue = dissonanceAuditionQueue([low, high], { formatter, meter: [4, 4] });
+
+    expect(queue.map((e) => e.onset)).toEqual([1, 2, 4]);
+    expect(queue[0].description).toMatch(/^M7 between Bass and Soprano at /);
+    expect(queue[0].voices).toEqual([low, high]);
+    expect(queue[0].highlight).toMatchObject({ onset: 1, type: 'dissonance' });
+    expect(dissonanceAuditionQueue([low], { formatter, meter: [4, 4] })).toEqual([]);
+  });
+});
@@ -0,0 +1,148 @@
+/**
+ * Chord symbols written as ABC annotations ("Am", "G7", "V7", "vii°7") - parsing them into
+ * a harmony track and comparing that track with the harmony the melody implies.
+ */
+
+import { CHORD_TYPES, chordName } from './harmonicAnalysis';
+import { MODE_DEFINITIONS } from './modes';
+
+const LETTER_PITCH_CLASSES = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+
+// Chord-name suffixes after the root letter, longest first so "m7b5" wins over "m7" and "m"
+const CHORD_SUFFIXES = [
+  ['m(maj7)', 'minor_major_7'], ['mmaj7', 'minor_major_7'], ['mM7', 'minor_major_7'],
+  ['m7b5', 'half_diminished_7'], ['ø7', 'half_diminished_7'], ['ø', 'half_diminished_7'],
+  ['dim7', 'diminished_7'], ['°7', 'diminished_7'], ['o7', 'diminished_7'],
+  ['maj7', 'major_7'], ['M7', 'major_7'], ['Δ7', 'major_7'], ['Δ', 'major_7'],
+  ['min7', 'minor_7'], ['m7', 'minor_7'], ['-7', 'minor_7'],
+  ['min6', 'minor_6'], ['m6', 'minor_6'],
+  ['dim', 'diminished'], ['°', 'diminished'], ['o', 'diminished'],
+  ['aug', 'augmented'], ['+', 'augmented'],
+  ['min', 'minor'], ['m', 'minor'], ['-', 'minor'],
+  ['maj', 'major'], ['7', 'dominant_7'], ['6', 'major_6'], ['', 'major'],
+];
+
+const ROMAN_DEGREES = { i: 1, ii: 2, iii: 3, iv: 4, v: 5, vi: 6, vii: 7 };
+
+// Status thresholds for a beat's agreement score
+const AGREE_SCORE = 0.75;
+const PARTIAL_SCORE = 0.25;
+
+/**
+ * Parse a letter chord name: root letter, optional #/b, quality suffix, optional "/bass"
+ */
+function parseLetterChord(text) {
+  const m = text.match(/^([A-G])([#b]?)(.*?)(?:\/([A-G][#b]?))?$/);
+  if (!m) return null;
+  const suffix = CHORD_SUFFIXES.find(([written]) => written === m[3]);
+  if (!suffix) return null;
+  const accidental = m[2] === '#' ? 1 : m[2] === 'b' ? -1 : 0;
+  return { root: (LETTER_PITCH_CLASSES[m[1]] + accidental + 12) % 12, type: suffix[1] };
+}
+
+/**
+ * Semitones above the tonic of a scale degree in a mode
+ */
+function degreeOffset(degree, mode) {
+  const intervals = (MODE_DEFINITIONS[mode] || MODE_DEFINITIONS.major).intervals;
+  const entry = Object.entries(intervals).find(([, d]) => d === degree);
+  return entry ? Number(entry[0]) : 0;
+}
+
+/**
+ * Parse a Roman numeral: optional b/#, numeral (case gives major/minor), °/ø/+, figures, optional "/numeral"
+ * Figures 6, 64 give inversions of a triad; 7, 65, 43, 42 make it a seventh chord.
+ */
+function parseRomanChord(text, tonic, mode) {
+  const m = text.match(/^([b#]?)(vii|iii|vi|iv|ii|v|i|VII|III|VI|IV|II|V|I)([°oø+]?)(maj7|M7|7|65|43|42|64|6)?(?:\/(.+))?$/);
+  if (!m) return null;
+
+  let base = tonic;
+  if (m[5]) {
+    // Secondary function: V/V is the V of the key on the second numeral's root
+    const target = parseRomanChord(m[5], tonic, mode);
+    if (!target) return null;
+    base = target.root;
+  }
+
+  const numeral = m[2];
+  const degree = ROMAN_DEGREES[numeral.toLowerCase()];
+  const isUpper = numeral === numeral.toUpperCase();
+  const mark = m[3];
+  const seventh = ['7', '65', '43', '42', 'maj7', 'M7'].includes(m[4]);
+
+  let type;
+  if (mark === 'ø') type = 'half_diminished_7';
+  else if (mark === '°' || mark === 'o') type = seventh ? 'diminished_7' : 'diminished';
+  else if (mark === '+') type = 'augmented';
+  else if (m[4] === 'maj7' || m[4] === 'M7') type = isUpper ? 'major_7' : 'minor_major_7';
+  else if (seventh) type = isUpper ? 'dominant_7' : 'minor_7';
+  else type = isUpper ? 'major' : 'minor';
+
+  // Secondary numerals read in major; in minor keys the leading-tone chord uses the raised seventh
+  const scaleMode = m[5] ? 'major' : mode;
+  let offset = degreeOffset(degree, scaleMode);
+  if (degree === 7 && offset === 10 && type.includes('diminished')) offset = 11;
+  offset += m[1] === '#' ? 1 : m[1] === 'b' ? -1 : 0;
+
+  return { root: (base + offset + 12) % 12, type };
+}
+
+/**
+ * Parse a chord symbol as a chord name ("F#m7", "Bb/D") or Roman numeral ("V7", "ii6", "vii°7", "V/V")
+ * @param {string} text - Annotation text without quotes
+ * @param {number} tonic - Tonic pitch class, for Roman numerals
+ * @param {string} mode - Mode key, for Roman numerals
+ * @returns {{ symbol: string, root: number, type: string, name: string }|null}
+ */
+export function parseChordSymbol(text, tonic = 0, mode = 'major') {
+  const symbol = text.trim();
+  const chord = parseLetterChord(symbol) || parseRomanChord(symbol, ((tonic % 12) + 12) % 12, mode);
+  if (!chord || !CHORD_TYPES[chord.type]) return null;
+  return { symbol, root: chord.root, type: chord.type, name: chordName(chord.root, chord.type) };
+}
+
+function chordPitchClasses(chord) {
+  return new Set(CHORD_TYPES[chord.type].intervals.map((i) => (chord.root + i) % 12));
+}
+
+/**
+ * Agreement between two chords in [0, 1]: half for a shared root, half for the overlap of their pitch classes.
+ * The same chord scores 1, C vs C7 0.875, C vs Am 0.25, C vs G 0.1.
+ */
+export function chordAgreement(intended, implied) {
+  const a = chordPitchClasses(intended);
+  const b = chordPitchClasses(implied);
+  const shared = [...a].filter((pc) => b.has(pc)).length;
+  const overlap = shared / new Set([...a, ...b]).size;
+  return (intended.root === implied.root ? 0.5 : 0) + 0.5 * overlap;
+}
+
+/**
+ * Line a harmony track (from parseABC) up with analyzeHarmonicImplication's beats and score each beat.
+ * A chord symbol holds until the next one; beats before the first symbol, or with no implied chord, aren't compared.
+ * @param {Array<{onset: number, root: number, type: string, name: string}>} harmony - Harmony track in onset order
+ * @param {Array} chords - `chords` from analyzeHarmonicImplication
+ * @returns {{ beats: Array<{beat: number, intended: Object|null, implied: Object|null, score: number|null, status: string|null}>,
+ *   agreement: number|null, comparedBeats: number, agreeingBeats: number }}
+ */
+export function compareHarmonyTrack(harmony, chords) {
+  let next = 0;
+  let intended = null;
+  const beats = chords.map((c) => {
+    while (next < harmony.length && harmony[next].onset <= c.beat + 1e-9) intended = harmony[next++];
+    if (!intended || !c.chord) return { beat: c.beat, intended, implied: c.chord, score: null, status: null };
+
+    const score = chordAgreement(intended, c.chord);
+    const status = score >= AGREE_SCORE ? 'agree' : score >= PARTIAL_SCORE ? 'partial' : 'disagree';
+    return { beat: c.beat, intended, implied: c.chord, score, status };
+  });
+
+  const compared = beats.filter((b) => b.score !== null);
+  return {
+    beats,
+    agreement: compared.length ? compared.reduce((sum, b) => sum + b.score, 0) / compared.length : null,
+    comparedBeats: compared.length,
+    agreeingBeats: compared.filter((b) => b.status === 'agree').length,
+  };
+}
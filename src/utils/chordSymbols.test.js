@@ -0,0 +1,51 @@
+import { describe, expect, it } from 'vitest';
+import { chordAgreement, compareHarmonyTrack, parseChordSymbol } from './chordSymbols';
+
+describe('parseChordSymbol', () => {
+  it('reads chord names with qualities and slash basses', () => {
+    expect(parseChordSymbol('Am')).toMatchObject({ root: 9, type: 'minor' });
+    expect(parseChordSymbol('G7')).toMatchObject({ root: 7, type: 'dominant_7' });
+    expect(parseChordSymbol('F#m7b5')).toMatchObject({ root: 6, type: 'half_diminished_7' });
+    expect(parseChordSymbol('Bbmaj7')).toMatchObject({ root: 10, type: 'major_7' });
+    expect(parseChordSymbol('C/E')).toMatchObject({ symbol: 'C/E', root: 0, type: 'major' });
+    expect(parseChordSymbol('Hm')).toBeNull();
+  });
+
+  it('reads Roman numerals in the key', () => {
+    expect(parseChordSymbol('V7', 2, 'major')).toMatchObject({ root: 9, type: 'dominant_7' });
+    expect(parseChordSymbol('ii6', 0, 'major')).toMatchObject({ root: 2, type: 'minor' });
+    expect(parseChordSymbol('iv', 9, 'natural_minor')).toMatchObject({ root: 2, type: 'minor' });
+    // The leading-tone chord in minor sits on the raised seventh
+    expect(parseChordSymbol('vii°7', 9, 'natural_minor')).toMatchObject({ root: 8, type: 'diminished_7' });
+    expect(parseChordSymbol('bVI', 0, 'major')).toMatchObject({ root: 8, type: 'major' });
+    expect(parseChordSymbol('V/V', 0, 'major')).toMatchObject({ root: 2, type: 'major' });
+  });
+});
+
+describe('harmony track comparison', () => {
+  const C = { root: 0, type: 'major' };
+
+  it('scores shared roots and shared pitch classes', () => {
+    expect(chordAgreement(C, C)).toBe(1);
+    expect(chordAgreement(C, { root: 0, type: 'dominant_7' })).toBeCloseTo(0.875);
+    expect(chordAgreement(C, { root: 9, type: 'minor' })).toBeCloseTo(0.25);
+    expect(chordAgreement(C, { root: 7, type: 'major' })).toBeCloseTo(0.1);
+  });
+
+  it('holds each chord symbol until the next and scores every beat', () => {
+    const harmony = [{ onset: 1, ...C, name: 'C' }, { onset: 3, root: 7, type: 'dominant_7', name: 'G7' }];
+    const chords = [
+      { beat: 0, chord: C },
+      { beat: 1, chord: C },
+      { beat: 2, chord: { root: 9, type: 'minor' } },
+      { beat: 3, chord: { root: 0, type: 'major' } },
+      { beat: 4, chord: null },
+    ];
+    const result = compareHarmonyTrack(harmony, chords);
+
+    expect(result.beats.map((b) => b.status)).toEqual([null, 'agree', 'partial', 'disagree', null]);
+    expect(result.comparedBeats).toBe(3);
+    expect(result.agreeingBeats).toBe(1);
+    expect(result.agreement).toBeCloseTo((1 + 0.25 + chordAgreement(harmony[1], C)) / 3);
+  });
+});
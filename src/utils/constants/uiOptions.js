@@ -46,6 +46,106 @@ export const NOTE_LENGTH_OPTIONS = [
   { value: '1/16', label: '1/16' },
 ];
 
+/**
+ * How far an ABC accidental reaches: the legacy per-note reading, or ABC 2.1's
+ * rule that it holds for the same pitch until the bar line
+ */
+export const ACCIDENTAL_MODE_OPTIONS = [
+  { value: 'note', label: 'This note only' },
+  { value: 'bar', label: 'To end of bar (ABC 2.1)' },
+];
+
+/**
+ * Pickup (anacrusis) lengths in quarter notes; 'auto' takes an incomplete first bar of the subject
+ */
+export const PICKUP_OPTIONS = [
+  { value: 'auto', label: 'Detect' },
+  { value: '0', label: 'None' },
+  { value: '0.5', label: '1 eighth' },
+  { value: '1', label: '1 quarter' },
+  { value: '1.5', label: '3 eighths' },
+  { value: '2', label: '2 quarters' },
+  { value: '3', label: '3 quarters' },
+];
+
+/**
+ * Quantization grids for MIDI import, in quarter notes
+ */
+export const MIDI_QUANTIZE_OPTIONS = [
+  { value: '1', label: 'Quarter' },
+  { value: '0.5', label: 'Eighth' },
+  { value: '0.25', label: 'Sixteenth' },
+  { value: '0.125', label: '32nd' },
+];
+
+/**
+ * Tempos for MIDI export, in quarter notes per minute
+ */
+export const MIDI_TEMPO_OPTIONS = [
+  { value: '60', label: '♩ = 60' },
+  { value: '72', label: '♩ = 72' },
+  { value: '80', label: '♩ = 80' },
+  { value: '96', label: '♩ = 96' },
+  { value: '120', label: '♩ = 120' },
+];
+
+/**
+ * Analysis markup written under the notes in LilyPond export
+ */
+export const LILYPOND_MARKUP_OPTIONS = [
+  { value: 'none', label: 'No markup' },
+  { value: 'dissonances', label: 'Dissonance labels' },
+  { value: 'intervals', label: 'Interval names' },
+];
+
+/**
+ * PNG resolutions for visualization export, in pixels per screen pixel
+ */
+export const IMAGE_EXPORT_SCALE_OPTIONS = [
+  { value: '1', label: '1× (screen)' },
+  { value: '2', label: '2× (slides)' },
+  { value: '3', label: '3×' },
+  { value: '4', label: '4× (print)' },
+];
+
+/**
+ * File formats of the per-simultaneity interval table
+ */
+export const INTERVAL_TABLE_FORMAT_OPTIONS = [
+  { value: 'csv', label: 'CSV' },
+  { value: 'tsv', label: 'TSV' },
+];
+
+/**
+ * Where the playback audition queue takes its trouble spots from
+ */
+export const AUDITION_SOURCE_OPTIONS = [
+  { value: 'off', label: 'Off' },
+  { value: 'issues', label: 'Issue list' },
+  { value: 'dissonances', label: 'Bad dissonances' },
+];
+
+/**
+ * Waveform of a voice in playback and WAV export; Auto gives each voice in a set the next waveform in turn
+ */
+export const TIMBRE_OPTIONS = [
+  { value: 'auto', label: 'Auto' },
+  { value: 'triangle', label: 'Triangle' },
+  { value: 'sine', label: 'Sine' },
+  { value: 'square', label: 'Square' },
+  { value: 'sawtooth', label: 'Sawtooth' },
+];
+
+/**
+ * Tuning systems for playback, WAV export and the cents overlay of the interval analysis view
+ */
+export const TUNING_SYSTEM_OPTIONS = [
+  { value: 'equal', label: 'Equal temperament' },
+  { value: 'meantone', label: '¼-comma meantone' },
+  { value: 'werckmeister', label: 'Werckmeister III' },
+  { value: 'just', label: 'Just (on the tonic)' },
+];
+
 /**
  * Stretto step options
  */
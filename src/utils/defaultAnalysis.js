@@ -14,7 +14,7 @@ import {
   testSequentialPotential,
 } from './analysis';
 import { calculateOverallScore } from './scoring';
-import { BeatFormatter } from './formatter';
+import { BeatFormatter, withPickup } from './formatter';
 import { setMeter, setP4Treatment } from './dissonanceScoring';
 
 export const DEFAULT_ANALYSIS_INPUT = {
@@ -26,6 +26,8 @@ export const DEFAULT_ANALYSIS_INPUT = {
   mode: 'natural_minor',
   noteLength: '1/8',
   meter: [2, 2],
+  accidentalMode: 'note',
+  pickup: 0,
   csPos: 'above',
   csShift: '0',
 };
@@ -51,12 +53,15 @@ export function runDefaultAnalysis(overrides = {}) {
   const keySignature = KEY_SIGNATURES[keyForSig] || KEY_SIGNATURES[input.key] || [];
 
   setP4Treatment(true);
-  setMeter(input.meter);
+  // Onsets start at the first note; the pickup moves the bar lines
+  const meter = withPickup(input.meter, input.pickup);
+  setMeter(meter);
 
-  const formatter = new BeatFormatter(defaultNoteLength, input.meter);
-  const subject = parseABC(input.subject, tonic, input.mode, defaultNoteLength, keySignature).notes;
+  const formatter = new BeatFormatter(defaultNoteLength, meter);
+  const subjectParsed = parseABC(input.subject, tonic, input.mode, defaultNoteLength, keySignature, { meter, accidentals: input.accidentalMode });
+  const subject = subjectParsed.notes;
   const countersubject = input.countersubject
-    ? parseABC(input.countersubject, tonic, input.mode, defaultNoteLength, keySignature).notes
+    ? parseABC(input.countersubject, tonic, input.mode, defaultNoteLength, keySignature, { meter, accidentals: input.accidentalMode }).notes
     : null;
 
   const csOctaveShiftVal = (input.csPos === 'below' ? -12 : 0) + parseInt(input.csShift, 10);
@@ -69,14 +74,14 @@ export function runDefaultAnalysis(overrides = {}) {
   const results = {
     keyInfo,
     formatter,
-    meter: input.meter,
+    meter,
     defaultNoteLength,
     subject,
     countersubject: shiftedCs,
     countersubjectOriginal: countersubject,
     countersubjectShift: csOctaveShiftVal,
     melodicContour: testMelodicContour(subject, formatter),
-    harmonicImplication: testHarmonicImplication(subject, tonic, input.mode, formatter),
+    harmonicImplication: testHarmonicImplication(subject, tonic, input.mode, formatter, subjectParsed.harmony),
     rhythmicVariety: testRhythmicVariety(subject, formatter),
     sequences: {
       subject: testSequentialPotential(subject, formatter),
@@ -85,16 +90,16 @@ export function runDefaultAnalysis(overrides = {}) {
 
   results.stretto = testStrettoViability(subject, formatter, 0.5, 1, 12);
   results.tonalAnswer = testTonalAnswer(subject, input.mode, keyInfo, formatter);
-  results.answerABC = generateAnswerABC(subject, keyInfo, results.tonalAnswer, defaultNoteLength, input.meter);
+  results.answerABC = generateAnswerABC(subject, keyInfo, results.tonalAnswer, defaultNoteLength, meter);
 
   if (shiftedCs?.length) {
     results.rhythmicVarietyCs = testRhythmicVariety(shiftedCs, formatter);
     results.sequences.countersubject = testSequentialPotential(shiftedCs, formatter);
     results.doubleCounterpoint = testDoubleCounterpoint(subject, shiftedCs, formatter);
-    results.rhythmicComplementarity = testRhythmicComplementarity(subject, shiftedCs, input.meter);
+    results.rhythmicComplementarity = testRhythmicComplementarity(subject, shiftedCs, meter);
     results.contourIndependence = testContourIndependence(subject, shiftedCs, formatter);
     results.modulatoryRobustness = testModulatoryRobustness(subject, shiftedCs, formatter);
-    results.subjectCsSims = findSimultaneities(subject, shiftedCs, input.meter);
+    results.subjectCsSims = findSimultaneities(subject, shiftedCs, meter);
   }
 
   const scoreResult = calculateOverallScore(results, Boolean(shiftedCs?.length));
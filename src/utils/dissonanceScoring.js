@@ -20,6 +20,7 @@
 import { pitchName, metricWeight } from './formatter';
 import { computeNoteSalience } from './harmonicAnalysis';
 import { METRIC_STRENGTH_CUTOFFS, PENALTY_MULTIPLIERS, SCORE_BAND_BOUNDARIES } from './constants/thresholds';
+import { getSteppingAppoggiatura, isTrilled } from './ornaments';
 
 // ===========================================================================
 // Global state for backward compatibility
@@ -92,6 +93,9 @@ export function createAnalysisContext(options = {}) {
  * @returns {boolean}
  */
 function isP4DissonantInContext(sim, ctx) {
+  // In three or more voices a P4 between upper voices is consonant; testVoiceTexture (voiceTexture.js)
+  // marks each pair's simultaneities with whether their lower note is the bass (markAgainstBass).
+  if (sim.againstBass === false) return false;
   // P4 is dissonant by default in two-voice counterpoint (bass is always implied).
   // The user can override this via the "Treat P4 as consonant" toggle.
   return ctx.treatP4AsDissonant !== false;
@@ -1400,6 +1404,40 @@ function scoreConsonance(currSim, allSims, index, intervalHistory, ctx) {
   };
 }
 
+/**
+ * Entry credit for ornaments written on the dissonant notes.
+ * A trill on the held note of a suspension/retardation is the idiomatic cadential figure (+0.25);
+ * an appoggiatura grace a step from a leapt-to note turns the leap into a stepwise approach (+0.5).
+ * Trills on other dissonances earn nothing.
+ */
+function scoreOrnaments(currSim, patternInfo, entryInfo) {
+  const entryBonuses = [];
+  const ornaments = [];
+  const mainType = patternInfo.patterns[0]?.type;
+
+  [currSim.voice1Note, currSim.voice2Note].forEach((note, i) => {
+    const voice = i + 1;
+
+    if (isTrilled(note)) {
+      ornaments.push({ voice, type: 'trill' });
+      const held = entryInfo.motion && !entryInfo.motion[`v${voice}Moved`];
+      if (held && (mainType === 'suspension' || mainType === 'retardation')) {
+        entryBonuses.push({ amount: 0.25, reason: `trilled ${mainType} (V${voice})` });
+      }
+    }
+
+    const grace = note.onset === currSim.onset ? getSteppingAppoggiatura(note) : null;
+    if (grace) {
+      ornaments.push({ voice, type: 'grace', pitch: grace.pitch });
+      if (Math.abs(entryInfo[`v${voice}MelodicInterval`] || 0) > 2) {
+        entryBonuses.push({ amount: 0.5, reason: `V${voice} leap bridged by appoggiatura grace` });
+      }
+    }
+  });
+
+  return { entryBonuses, ornaments };
+}
+
 /**
  * Internal scoring function that accepts a pre-built analysis context.
  * Used by analyzeAllDissonances to avoid redundant context creation.
@@ -1462,9 +1500,14 @@ function _scoreDissonance(currSim, allSims, index, intervalHistory, ctx) {
   // P4 is inherently less severe — show the bonus in entry details so the math is transparent
   if (p4Bonus > 0) entryInfo.details.push(`P4 interval: +${p4Bonus.toFixed(2)}`);
 
-  // Calculate ENTRY score: entry motion + entry-allocated pattern bonuses + P4 bonus
+  // Ornaments on the dissonant notes (trills, appoggiatura graces)
+  const ornamentInfo = scoreOrnaments(currSim, patternInfo, entryInfo);
+  for (const b of ornamentInfo.entryBonuses) entryInfo.details.push(`Ornament: ${b.reason}: +${b.amount.toFixed(2)}`);
+  const ornamentBonusTotal = ornamentInfo.entryBonuses.reduce((sum, b) => sum + b.amount, 0);
+
+  // Calculate ENTRY score: entry motion + entry-allocated pattern bonuses + P4 bonus + ornament bonus
   const entryBonusTotal = (patternInfo.entryBonuses || []).reduce((sum, b) => sum + b.amount, 0);
-  const entryScore = entryInfo.score + entryBonusTotal + p4Bonus;
+  const entryScore = entryInfo.score + entryBonusTotal + p4Bonus + ornamentBonusTotal;
 
   // Calculate EXIT score: exit motion + exit-allocated pattern bonuses
   const exitBonusTotal = (patternInfo.exitBonuses || []).reduce((sum, b) => sum + b.amount, 0);
@@ -1534,9 +1577,10 @@ function _scoreDissonance(currSim, allSims, index, intervalHistory, ctx) {
     entry: entryInfo,
     exit: exitInfo,
     patterns: patternInfo.patterns,
+    ornaments: ornamentInfo.ornaments,
     description,
     details: [
-      `Entry: ${entryScore.toFixed(1)} (base: ${entryInfo.score.toFixed(1)}${entryBonusTotal > 0 ? `, patterns: +${entryBonusTotal.toFixed(1)}` : ''}${p4Bonus > 0 ? `, P4: +${p4Bonus.toFixed(1)}` : ''})`,
+      `Entry: ${entryScore.toFixed(1)} (base: ${entryInfo.score.toFixed(1)}${entryBonusTotal > 0 ? `, patterns: +${entryBonusTotal.toFixed(1)}` : ''}${p4Bonus > 0 ? `, P4: +${p4Bonus.toFixed(1)}` : ''}${ornamentBonusTotal > 0 ? `, ornaments: +${ornamentBonusTotal.toFixed(1)}` : ''})`,
       `Exit: ${exitScore.toFixed(1)} (base: ${exitInfo.score.toFixed(1)}${exitBonusTotal > 0 ? `, patterns: +${exitBonusTotal.toFixed(1)}` : ''})`,
       patternInfo.patterns.length > 0 ? `Patterns: ${patternInfo.patterns.map(p => `${p.type} (entry: +${p.entryBonus || 0}, exit: +${p.exitBonus || 0})`).join(', ')}` : null,
       `Total: ${totalScore.toFixed(1)}`,
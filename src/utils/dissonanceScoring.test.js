@@ -274,3 +274,42 @@ describe('pair-quality summary statistics', () => {
     expect(analysis.summary.overallAvgScore).not.toBeCloseTo(allIntervalDurationWeightedMean, 10);
   });
 });
+
+describe('dissonance ornaments', () => {
+  const suspensionSims = (heldNote) => [
+    new Simultaneity(0, makeNote(65, 0, 1), makeNote(62, 0, 1), 1),
+    new Simultaneity(1, heldNote, makeNote(55, 1, 2), 0.5),
+    new Simultaneity(2, makeNote(64, 2, 1), makeNote(55, 1, 2), 1),
+  ];
+
+  it('credits a trill on the held note of a suspension', () => {
+    const trilled = makeNote(65, 1, 1);
+    trilled.ornaments = { graceNotes: [], graceType: null, decorations: ['trill'] };
+
+    const bareSims = suspensionSims(makeNote(65, 1, 1));
+    const trilledSims = suspensionSims(trilled);
+    const bare = scoreDissonance(bareSims[1], bareSims, 1, [], { treatP4AsDissonant: true });
+    const ornamented = scoreDissonance(trilledSims[1], trilledSims, 1, [], { treatP4AsDissonant: true });
+
+    expect(bare.patterns[0].type).toBe('suspension');
+    expect(ornamented.entryScore - bare.entryScore).toBeCloseTo(0.25, 10);
+    expect(ornamented.ornaments).toEqual([{ voice: 1, type: 'trill' }]);
+  });
+
+  it('gives no credit for a trill on an unprepared dissonance', () => {
+    const trilled = makeNote(71, 1, 1);
+    trilled.ornaments = { graceNotes: [], graceType: null, decorations: ['trill'] };
+    const sims = [
+      new Simultaneity(0, makeNote(64, 0, 1), makeNote(60, 0, 1), 1),
+      new Simultaneity(1, trilled, makeNote(60, 0, 2), 0.5),
+      new Simultaneity(2, makeNote(72, 2, 1), makeNote(60, 2, 1), 1),
+    ];
+    const plainSims = sims.map((sim, i) => (i === 1 ? new Simultaneity(1, makeNote(71, 1, 1), sim.voice2Note, 0.5) : sim));
+
+    const ornamented = scoreDissonance(sims[1], sims, 1, [], { treatP4AsDissonant: true });
+    const plain = scoreDissonance(plainSims[1], plainSims, 1, [], { treatP4AsDissonant: true });
+
+    expect(ornamented.entryScore).toBeCloseTo(plain.entryScore, 10);
+    expect(ornamented.ornaments).toEqual([{ voice: 1, type: 'trill' }]);
+  });
+});
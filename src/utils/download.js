@@ -0,0 +1,28 @@
+/**
+ * Offer bytes, text or a Blob to the user as a file download
+ * @param {Uint8Array|string|Blob} data
+ * @param {string} fileName
+ * @param {string} type - MIME type
+ */
+export function downloadFile(data, fileName, type) {
+  const url = URL.createObjectURL(data instanceof Blob ? data : new Blob([data], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Read a file picked in an <input type="file"> as bytes
+ * @param {File} file
+ * @returns {Promise<Uint8Array>}
+ */
+export function readFileBytes(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(new Uint8Array(reader.result));
+    reader.onerror = () => reject(reader.error);
+    reader.readAsArrayBuffer(file);
+  });
+}
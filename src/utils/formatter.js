@@ -1,3 +1,123 @@
+/**
+ * Copy a meter with its time-signature `changes` and `pickup`. Both are non-enumerable properties of the
+ * [numerator, denominator] array, which spread, slice(), structuredClone and JSON copies drop, so every
+ * copy of a meter goes through here (withMeterChanges, withPickup and the analysis archive do).
+ * @param {number[]} meter - Time signature, optionally carrying `changes` and `pickup`
+ * @param {Object} [fields] - Replacements for the copied fields
+ * @param {Array<{onset: number, meter: number[]}>} [fields.changes] - Changes in onset order
+ * @param {number} [fields.pickup] - Pickup length in quarter notes
+ * @returns {number[]}
+ */
+export function copyMeter(meter, { changes = meter.changes || [], pickup = meter.pickup || 0 } = {}) {
+  const result = [meter[0], meter[1]];
+  Object.defineProperty(result, 'changes', { value: changes, enumerable: false });
+  Object.defineProperty(result, 'pickup', { value: pickup, enumerable: false });
+  return result;
+}
+
+/**
+ * Attach mid-piece time-signature changes (e.g. from ABC [M:] fields) to a meter.
+ * The result is still the opening [numerator, denominator] array, so every caller that
+ * expects a plain meter keeps working; metric helpers read the non-enumerable `changes`.
+ * Any `pickup` already on the meter is kept.
+ * @param {number[]} meter - Opening time signature
+ * @param {Array<{onset: number, meter: number[]}>} changes - Changes in onset order
+ * @returns {number[]}
+ */
+export function withMeterChanges(meter, changes = []) {
+  return copyMeter(meter, { changes: changes.filter((c) => c.onset > 1e-9) });
+}
+
+/**
+ * Attach an anacrusis (pickup) to a meter. Onsets stay relative to the first note; the first
+ * downbeat falls `pickup` quarter notes later, and the notes before it end an incomplete bar 0.
+ * Any `changes` already on the meter are kept.
+ * @param {number[]} meter - Time signature, optionally carrying `changes`
+ * @param {number} pickup - Pickup length in quarter notes (0 = the piece starts on a downbeat)
+ * @returns {number[]}
+ */
+export function withPickup(meter, pickup = 0) {
+  const unitsPerMeasure = (meter[0] * 4) / meter[1];
+  const length = pickup > 1e-9 ? pickup % unitsPerMeasure : 0;
+  return copyMeter(meter, { pickup: length > 1e-9 ? length : 0 });
+}
+
+/**
+ * Describe the beat grid of a single time signature
+ */
+export function meterGrid(meter) {
+  const [numerator, denominator] = meter;
+
+  // Determine if compound meter (6/8, 9/8, 12/8)
+  // Note: 3/8 is typically simple, not compound
+  const isCompound = (numerator % 3 === 0 && denominator === 8 && numerator >= 6);
+
+  // A measure = numerator / denominator whole notes = numerator * 4 / denominator quarter notes
+  const internalUnitsPerMeasure = (numerator * 4) / denominator;
+
+  if (isCompound) {
+    // In compound meters, group by 3 eighth notes = 1 beat (1.5 quarter notes)
+    return { isCompound, internalUnitsPerMeasure, beatsPerMeasure: numerator / 3, subdivisionsPerBeat: 3, internalUnitsPerBeat: 1.5 };
+  }
+
+  // Simple meters: internal units per beat depends on denominator
+  // In 4/4: beat = quarter note = 1 internal unit
+  // In 2/2: beat = half note = 2 internal units
+  // In 3/8: beat = eighth note = 0.5 internal units
+  return { isCompound, internalUnitsPerMeasure, beatsPerMeasure: numerator, subdivisionsPerBeat: 2, internalUnitsPerBeat: 4 / denominator };
+}
+
+/**
+ * Locate an onset in a metric grid that may change time signature part-way through
+ * and may open with a pickup. With a pickup, measureIndex 0 is the incomplete pickup bar.
+ * @param {number} onset - Internal position (quarter-note units)
+ * @param {number[]} meter - Time signature, optionally carrying `changes` and `pickup` (see withMeterChanges, withPickup)
+ * @returns {{ meter: number[], measureIndex: number, posInMeasure: number, measureStart: number }}
+ */
+export function locateInMeter(onset, meter) {
+  const pickup = meter.pickup || 0;
+  if (pickup && onset < pickup - 1e-9) {
+    // The pickup notes sit at the end of a bar that starts before the first note
+    const measureStart = pickup - (meter[0] * 4) / meter[1];
+    return { meter, measureIndex: 0, posInMeasure: Math.max(0, onset - measureStart), measureStart };
+  }
+
+  let segmentMeter = meter;
+  let segmentStart = pickup;
+  let measuresBefore = pickup ? 1 : 0;
+
+  for (const change of meter.changes || []) {
+    if (change.onset > onset + 1e-9) break;
+    const unitsPerMeasure = (segmentMeter[0] * 4) / segmentMeter[1];
+    // A change in the middle of a bar still closes that bar
+    measuresBefore += Math.ceil((change.onset - segmentStart) / unitsPerMeasure - 1e-9);
+    segmentMeter = change.meter;
+    segmentStart = change.onset;
+  }
+
+  const unitsPerMeasure = (segmentMeter[0] * 4) / segmentMeter[1];
+  const local = onset - segmentStart;
+  const index = Math.floor(local / unitsPerMeasure + 1e-9);
+  const measureStart = segmentStart + index * unitsPerMeasure;
+
+  return {
+    meter: segmentMeter,
+    measureIndex: measuresBefore + index,
+    posInMeasure: Math.max(0, onset - measureStart),
+    measureStart,
+  };
+}
+
+/**
+ * Bar number of an onset as printed in scores: a pickup bar is bar 0, otherwise counting starts at 1
+ * @param {number} onset - Internal position (quarter-note units)
+ * @param {number[]} meter - Time signature, optionally carrying `changes` and `pickup`
+ * @returns {number}
+ */
+export function measureNumber(onset, meter) {
+  return locateInMeter(onset, meter).measureIndex + (meter.pickup ? 0 : 1);
+}
+
 /**
  * Utility class for formatting beat positions and durations in human-readable form
  * Supports both simple and compound meters
@@ -21,52 +141,36 @@ export class BeatFormatter {
     this.denominator = meter[1];
     this.defaultNoteLength = defaultNoteLength;
 
-    // Determine if compound meter (6/8, 9/8, 12/8)
-    // Note: 3/8 is typically simple, not compound
-    this.isCompound = (this.numerator % 3 === 0 && this.denominator === 8 && this.numerator >= 6);
-
-    // Calculate how many internal units (quarter notes) per measure
-    // A measure = numerator / denominator whole notes = numerator * 4 / denominator quarter notes
-    this.internalUnitsPerMeasure = (this.numerator * 4) / this.denominator;
-
-    if (this.isCompound) {
-      // In compound meters, group by 3 eighth notes = 1 beat
-      this.beatsPerMeasure = this.numerator / 3;
-      this.subdivisionsPerBeat = 3;
-      // Internal units per main beat: 3 eighth notes = 1.5 quarter notes
-      this.internalUnitsPerBeat = 1.5;
-    } else {
-      // Simple meters
-      this.beatsPerMeasure = this.numerator;
-      this.subdivisionsPerBeat = 2;
-      // Internal units per beat depends on denominator
-      // In 4/4: beat = quarter note = 1 internal unit
-      // In 2/2: beat = half note = 2 internal units
-      // In 3/8: beat = eighth note = 0.5 internal units
-      this.internalUnitsPerBeat = 4 / this.denominator;
-    }
+    // Grid of the opening meter; formatBeat switches grids at any [M:] change
+    const grid = meterGrid(meter);
+    this.isCompound = grid.isCompound;
+    this.internalUnitsPerMeasure = grid.internalUnitsPerMeasure;
+    this.beatsPerMeasure = grid.beatsPerMeasure;
+    this.subdivisionsPerBeat = grid.subdivisionsPerBeat;
+    this.internalUnitsPerBeat = grid.internalUnitsPerBeat;
   }
 
   /**
    * Convert internal onset to position within measure (0 to beatsPerMeasure)
    */
   getPositionInMeasure(onset) {
-    const measureNum = Math.floor(onset / this.internalUnitsPerMeasure);
-    const posInMeasureUnits = onset - (measureNum * this.internalUnitsPerMeasure);
-    return posInMeasureUnits / this.internalUnitsPerBeat;
+    const { meter, posInMeasure } = locateInMeter(onset, this.meter);
+    return posInMeasure / meterGrid(meter).internalUnitsPerBeat;
   }
 
   /**
    * Format a beat position as M{measure}.B{beat}.{subdivision}.{fraction}
    * Example: M3.B3.3.5 = midpoint of the 3rd eighth of the 3rd beat of the 3rd measure
+   * A pickup bar is M0, so an upbeat quarter in 4/4 is M0.B4
    *
    * Subdivision is which subdivision of the beat (e.g., which 8th)
    * Fraction is position within that subdivision (0-9, where 5 is midpoint)
    */
   formatBeat(beatPosition) {
-    const measure = Math.floor(beatPosition / this.internalUnitsPerMeasure) + 1;
-    const posInMeasureUnits = beatPosition % this.internalUnitsPerMeasure;
-    const posInBeats = posInMeasureUnits / this.internalUnitsPerBeat;
+    const located = locateInMeter(beatPosition, this.meter);
+    const grid = meterGrid(located.meter);
+    const measure = located.measureIndex + (this.meter.pickup ? 0 : 1);
+    const posInBeats = located.posInMeasure / grid.internalUnitsPerBeat;
 
     const beat = Math.floor(posInBeats) + 1;
     const fractionOfBeat = posInBeats - Math.floor(posInBeats);
@@ -74,7 +178,7 @@ export class BeatFormatter {
     // Determine subdivisions per beat based on meter
     // In simple meters: typically 2 eighths per quarter beat
     // In compound meters: 3 eighths per dotted quarter beat
-    const subsPerBeat = this.isCompound ? 3 : 2;
+    const subsPerBeat = grid.isCompound ? 3 : 2;
 
     // Which subdivision within the beat (1-indexed)
     const subPosition = fractionOfBeat * subsPerBeat;
@@ -183,18 +287,16 @@ export function metricWeight(onset, meter) {
   if (!meter || !Array.isArray(meter) || meter.length < 2) {
     throw new Error(`metricWeight: meter is invalid (${JSON.stringify(meter)}). Must pass [numerator, denominator] array.`);
   }
-  const numerator = meter[0];
-  const denominator = meter[1];
-
-  // Calculate internal units per measure
-  // A measure has (numerator / denominator) whole notes = (numerator * 4 / denominator) quarter notes
-  const unitsPerMeasure = (numerator * 4) / denominator;
+  // Resolve the time signature in force at this onset (ABC [M:] changes move the grid)
+  const located = locateInMeter(onset, meter);
+  const numerator = located.meter[0];
+  const denominator = located.meter[1];
 
   // Determine if compound meter (6/8, 9/8, 12/8 but NOT 3/8)
   const isCompound = (numerator % 3 === 0 && denominator === 8 && numerator >= 6);
 
   // Get position within measure (in internal units)
-  const posInMeasure = onset % unitsPerMeasure;
+  const posInMeasure = located.posInMeasure;
 
   if (isCompound) {
     // Compound meter: beats grouped in 3 eighth notes = 1.5 internal units
@@ -0,0 +1,43 @@
+import { describe, expect, it } from 'vitest';
+import { BeatFormatter, copyMeter, locateInMeter, measureNumber, withMeterChanges, withPickup } from './formatter';
+
+// 3/4 with a one-beat pickup, changing to 2/4 four beats in
+const changingMeter = () => withPickup(withMeterChanges([3, 4], [{ onset: 4, meter: [2, 4] }]), 1);
+
+describe('meter changes and pickup', () => {
+  it('keeps each other when combined, in either order, and stays a plain [numerator, denominator]', () => {
+    const meter = changingMeter();
+    const reversed = withMeterChanges(withPickup([3, 4], 1), [{ onset: 4, meter: [2, 4] }]);
+
+    for (const m of [meter, reversed]) {
+      expect(m).toEqual([3, 4]);
+      expect(m.pickup).toBe(1);
+      expect(m.changes).toEqual([{ onset: 4, meter: [2, 4] }]);
+      expect(measureNumber(4, m)).toBe(2);
+    }
+    expect(locateInMeter(4, meter).meter).toEqual([2, 4]);
+  });
+
+  it('are kept by copyMeter, which can replace either', () => {
+    const meter = changingMeter();
+    const copy = copyMeter(meter);
+
+    expect(copy).not.toBe(meter);
+    expect(copy).toEqual([3, 4]);
+    expect([copy.pickup, copy.changes]).toEqual([1, meter.changes]);
+    expect([0, 1, 4, 6].map((t) => measureNumber(t, copy))).toEqual([0, 1, 2, 3]);
+
+    const noPickup = copyMeter(meter, { pickup: 0 });
+    expect([noPickup.pickup, noPickup.changes]).toEqual([0, meter.changes]);
+    expect(copyMeter([6, 8]).changes).toEqual([]);
+  });
+
+  it('are read from the meter the beat formatter holds', () => {
+    const meter = changingMeter();
+    const formatter = new BeatFormatter(1 / 8, meter);
+
+    expect(formatter.meter).toBe(meter);
+    expect(formatter.formatBeat(0)).toBe('M0.B3');
+    expect(formatter.formatBeat(4)).toBe('M2.B1');
+  });
+});
@@ -8,7 +8,7 @@ import { ANALYSIS_THRESHOLDS } from './constants/analysisThresholds';
 
 // Complete chord vocabulary with semitone intervals
 // Note: sus2/sus4 removed - suspensions are non-chord tones handled separately
-const CHORD_TYPES = {
+export const CHORD_TYPES = {
   // Triads (ordered by preference/simplicity)
   major: { intervals: [0, 4, 7], required: [0, 4], complexity: 1 },
   minor: { intervals: [0, 3, 7], required: [0, 3], complexity: 1 },
@@ -107,7 +107,7 @@ export function computeNoteSalience(note, prevNote, meter, decay = 1.0) {
  * A whole note spanning 4 beats should contribute to each beat's chord analysis.
  * We only merge truly repeated notes (separate attacks on same pitch).
  */
-function preprocessNotes(notes, beatUnit) {
+function preprocessNotes(notes, beatUnit, beatOrigin = 0) {
   const processed = [];
 
   for (let i = 0; i < notes.length; i++) {
@@ -115,7 +115,7 @@ function preprocessNotes(notes, beatUnit) {
     const noteEnd = note.onset + note.duration;
 
     // Find all beat boundaries this note crosses
-    const startBeat = Math.floor(note.onset / beatUnit) * beatUnit;
+    const startBeat = beatOrigin + Math.floor((note.onset - beatOrigin) / beatUnit) * beatUnit;
     let currentOnset = note.onset;
     const spansMultipleBeats = noteEnd > startBeat + beatUnit;
 
@@ -164,8 +164,8 @@ function preprocessNotes(notes, beatUnit) {
  * Collect notes sounding during a beat with their salience
  * Notes from neighboring beats contribute with decay
  */
-function collectBeatNotes(notes, beatIdx, beatUnit, meter, maxLookback = 2) {
-  const beatStart = beatIdx * beatUnit;
+function collectBeatNotes(notes, beatIdx, beatUnit, meter, beatOrigin = 0, maxLookback = 2) {
+  const beatStart = beatOrigin + beatIdx * beatUnit;
   const beatEnd = beatStart + beatUnit;
   const { SALIENCE_DECAY } = ANALYSIS_THRESHOLDS;
 
@@ -180,7 +180,7 @@ function collectBeatNotes(notes, beatIdx, beatUnit, meter, maxLookback = 2) {
     if (note.onset >= beatEnd + beatUnit) break;
 
     // Calculate beat distance for decay
-    const noteBeatIdx = Math.floor(note.onset / beatUnit);
+    const noteBeatIdx = Math.floor((note.onset - beatOrigin) / beatUnit);
     const beatDistance = Math.abs(noteBeatIdx - beatIdx);
 
     // Only include notes from current beat or recent past (for arpeggiation)
@@ -572,6 +572,13 @@ function formatChordType(type) {
   return formats[type] || type;
 }
 
+/**
+ * Display name for a chord root (pitch class) and CHORD_TYPES key, e.g. "Bbmaj7"
+ */
+export function chordName(root, type) {
+  return `${pitchClassName(root)}${formatChordType(type)}`;
+}
+
 /**
  * Analyze harmonic implications of a melody
  * @param {Object[]} notes - Array of NoteEvent objects
@@ -600,22 +607,25 @@ export function analyzeHarmonicImplication(notes, meter, tonic = 0, options = {}
     const key = `${n.pitch}-${n.onset}`;
     return !suspensions.has(key);
   });
-  const processedNotes = preprocessNotes(filteredNotes, beatUnit);
+  // A pickup that starts part-way into a beat moves the first beat before onset 0
+  const pickupPhase = (meter.pickup || 0) % beatUnit;
+  const beatOrigin = pickupPhase > 1e-9 ? pickupPhase - beatUnit : 0;
+  const processedNotes = preprocessNotes(filteredNotes, beatUnit, beatOrigin);
 
   // Calculate number of beats
   const lastNote = notes[notes.length - 1];
   const totalDuration = lastNote.onset + lastNote.duration;
-  const numBeats = Math.ceil(totalDuration / beatUnit);
+  const numBeats = Math.ceil((totalDuration - beatOrigin) / beatUnit);
 
   // Collect notes and candidates for each beat
   const beats = [];
   for (let i = 0; i < numBeats; i++) {
-    const beatNotes = collectBeatNotes(processedNotes, i, beatUnit, meter);
+    const beatNotes = collectBeatNotes(processedNotes, i, beatUnit, meter, beatOrigin);
     const candidates = findChordCandidates(beatNotes);
 
     beats.push({
       beatIdx: i,
-      beatTime: i * beatUnit,
+      beatTime: beatOrigin + i * beatUnit,
       notes: beatNotes,
       candidates,
     });
@@ -655,7 +665,7 @@ export function analyzeHarmonicImplication(notes, meter, tonic = 0, options = {}
       chord: chord ? {
         root: chord.root,
         type: chord.type,
-        name: `${pitchClassName(chord.root)}${formatChordType(chord.type)}`,
+        name: chordName(chord.root, chord.type),
         score: chord.score,
         matchedSalience: chord.matchedSalience,
         matches: chord.matches,
@@ -672,7 +682,7 @@ export function analyzeHarmonicImplication(notes, meter, tonic = 0, options = {}
       audit: dpResult?.audit || null,
       // All candidates considered for this beat (for comparison)
       allCandidates: beat.candidates.slice(0, 5).map(c => ({
-        name: `${pitchClassName(c.root)}${formatChordType(c.type)}`,
+        name: chordName(c.root, c.type),
         score: c.score,
         matchedSalience: c.matchedSalience,
         nonChordPenalty: c.nonChordPenalty,
@@ -286,6 +286,20 @@ A countersubject that works in the tonic but fails against the answer will cause
 High consonance (80%+) and no parallel violations indicates the countersubject will function reliably throughout the fugue.`,
   },
 
+  voiceTexture: {
+    title: 'Voice Texture',
+    brief: 'Three or four voices checked together, measured from the bass.',
+    detailed: `Expositions soon have three or four voices sounding at once—for example the answer with both countersubjects. This check combines the ticked voices into one texture.
+
+The texture is cut into vertical slices wherever a note starts or ends. In each slice the lowest sounding note is the bass, and every other voice is measured up from it. The bass can move between voices as they cross or rest.
+
+Every pair of voices is then scored as in the two-voice analysis, all at once:
+• Dissonance treatment, with one difference: a perfect 4th is dissonant only when its lower note is the bass. Between upper voices (G and C above a low C, say) it is consonant
+• Parallel 5ths and 8ves between any two voices, including outer voices that are not adjacent
+
+The grid shows the bass note of each slice and the interval of each upper voice above it. Notes in a parallel perfect or poorly handled dissonance are shaded.`,
+  },
+
   // UI elements
   pianoRoll: {
     title: 'Piano Roll',
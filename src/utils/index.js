@@ -1,5 +1,5 @@
 // Formatting utilities
-export { BeatFormatter, pitchName, metricWeight, metricPosition, metricSeverity, isDuringRest } from './formatter';
+export { BeatFormatter, pitchName, metricWeight, metricPosition, metricSeverity, isDuringRest, copyMeter, withMeterChanges, withPickup, meterGrid, locateInMeter, measureNumber } from './formatter';
 
 // ABC parsing and generation
 export {
@@ -13,6 +13,55 @@ export {
   validateABCTiming,
 } from './abcParser';
 
+// Multi-voice ABC import
+export { VOICE_SLOTS, VOICE_SLOT_LABELS, splitABCVoices, stripLeadingRests, importMultiVoiceABC } from './abcVoices';
+
+// Standard MIDI File import
+export { parseMIDIFile, quantizeMIDINotes, importMIDIFile } from './midiImport';
+
+// MusicXML import
+export { parseMusicXML, importMusicXML } from './musicXMLImport';
+
+// Humdrum **kern import
+export { parseKern, importKern } from './kernImport';
+
+// Standard MIDI File export
+export { writeMIDIFile, strettoVoices } from './midiExport';
+
+// MusicXML export
+export { writeMusicXML, annotatedAnalysisParts } from './musicXMLExport';
+
+// LilyPond export
+export { writeLilyPond, lilyPondVoices } from './lilypondExport';
+
+// File downloads and uploads
+export { downloadFile, readFileBytes } from './download';
+
+// Image export of the visualizations
+export { standaloneSVG, svgToPNG } from './svgExport';
+
+// Per-simultaneity interval table (CSV/TSV)
+export { INTERVAL_TABLE_COLUMNS, intervalTableRows, formatIntervalTable } from './intervalTable';
+
+// Web Audio playback
+export { TIMBRES, midiToFrequency, playbackNotes, audibleVoices, createPlayer } from './playback';
+
+// Offline WAV rendering
+export { renderWAV } from './wavExport';
+
+// Tuning systems
+export { tuningOffsets, intervalCents } from './tuning';
+
+// Issue list and audition queues
+export { issueCategories, issueHighlight } from './issueList';
+export { AUDITION_WINDOW_BEATS, auditionWindow, issueAuditionQueue, dissonanceAuditionQueue } from './audition';
+
+// Three- and four-voice counterpoint (vertical slices)
+export { findVerticalSlices, testVoiceTexture } from './voiceTexture';
+
+// Analysis archive (versioned JSON)
+export { ANALYSIS_SCHEMA, ANALYSIS_SCHEMA_VERSION, serializeAnalysis, parseAnalysis } from './analysisArchive';
+
 // Analysis functions
 export {
   findSimultaneities,
@@ -71,7 +120,10 @@ export {
 } from './dissonanceScoring';
 
 // Harmonic analysis
-export { analyzeHarmonicImplication } from './harmonicAnalysis';
+export { analyzeHarmonicImplication, chordName } from './harmonicAnalysis';
+
+// Chord-symbol annotations (intended harmony)
+export { parseChordSymbol, chordAgreement, compareHarmonyTrack } from './chordSymbols';
 
 // Mode definitions/options
 export {
@@ -0,0 +1,108 @@
+/**
+ * Tabular export of a voice pair's simultaneities: one row per simultaneity with its beat,
+ * pitches, interval, metric weight, dissonance scoring, chain membership and passing motion,
+ * as CSV or TSV for spreadsheets and notebooks.
+ */
+
+import { findSimultaneities } from './analysis';
+import { analyzeAllDissonances } from './dissonanceScoring';
+import { mergeChainAnalysisIntoIntervalPoints } from './chainMerge';
+import { pitchName } from './formatter';
+
+// Column name and cell value for each field, in file order
+export const INTERVAL_TABLE_COLUMNS = [
+  ['voice1', (r) => r.voice1],
+  ['voice2', (r) => r.voice2],
+  ['onset', (r) => r.onset],
+  ['beat', (r) => r.beat],
+  ['voice1_pitch', (r) => r.v1Pitch],
+  ['voice1_note', (r) => pitchName(r.v1Pitch)],
+  ['voice2_pitch', (r) => r.v2Pitch],
+  ['voice2_note', (r) => pitchName(r.v2Pitch)],
+  ['interval', (r) => r.intervalName],
+  ['semitones', (r) => r.semitones],
+  ['metric_weight', (r) => r.metricWeight],
+  ['consonant', (r) => r.isConsonant],
+  ['category', (r) => r.category],
+  ['dissonance_type', (r) => r.type],
+  ['label', (r) => r.label],
+  ['score', (r) => r.score],
+  ['entry_score', (r) => r.entryScore],
+  ['exit_score', (r) => r.exitScore],
+  ['chain_position', (r) => r.chainPosition],
+  ['chain_length', (r) => r.chainLength || null],
+  ['chain_start', (r) => r.chainStartOnset],
+  ['chain_end', (r) => r.chainEndOnset],
+  ['chain_entry', (r) => r.isChainEntry],
+  ['consecutive_dissonance', (r) => r.isConsecutiveDissonance],
+  ['chain_resolution', (r) => r.isChainResolution],
+  ['chain_unresolved', (r) => r.chainUnresolved],
+  ['chain_total_score', (r) => r.chainTotalScore],
+  ['passing', (r) => r.passingMotion?.isPassing ?? null],
+  ['passingness', (r) => r.passingMotion?.passingness ?? null],
+  ['passing_mitigation', (r) => r.passingMotion?.mitigation ?? null],
+  ['consecutive_passing', (r) => r.isPassing],
+];
+
+/**
+ * Score every simultaneity of a voice pair the way the two-voice view does, with chain info merged in
+ * @param {Object} voice1 - { name, notes }
+ * @param {Object} voice2 - { name, notes }
+ * @param {Object} options
+ * @param {BeatFormatter} options.formatter - For the beat labels
+ * @param {Array} options.meter - [numerator, denominator]
+ * @param {Object} [options.sequences] - { v1, v2 } sequence info of the two voices, as given to TwoVoiceViz
+ * @returns {Array<Object>} One row per simultaneity, in time order
+ */
+export function intervalTableRows(voice1, voice2, { formatter, meter, sequences = {} }) {
+  if (!voice1?.notes?.length || !voice2?.notes?.length) return [];
+  const sims = findSimultaneities(voice1.notes, voice2.notes, meter);
+  const seqInfo = [sequences.v1, sequences.v2];
+  const analysis = analyzeAllDissonances(sims, {
+    meter,
+    sequenceNoteRanges: seqInfo.flatMap((s) => s?.noteRanges || []),
+    sequenceBeatRanges: seqInfo.flatMap((s) => s?.sequences?.map((q) => ({ startBeat: q.startBeat, endBeat: q.endBeat })) || []),
+  });
+
+  const rows = sims.map((sim, i) => {
+    const scoring = analysis.all[i];
+    return {
+      voice1: voice1.name,
+      voice2: voice2.name,
+      onset: sim.onset,
+      beat: formatter.formatBeat(sim.onset),
+      v1Pitch: sim.voice1Note.pitch,
+      v2Pitch: sim.voice2Note.pitch,
+      intervalName: sim.interval.toString(),
+      semitones: sim.voice2Note.pitch - sim.voice1Note.pitch,
+      metricWeight: sim.metricWeight,
+      isConsonant: scoring.isConsonant,
+      category: scoring.category,
+      type: scoring.type,
+      label: scoring.label,
+    };
+  });
+  return mergeChainAnalysisIntoIntervalPoints(rows, analysis.all);
+}
+
+const cell = (value, delimiter) => {
+  if (value === null || value === undefined) return '';
+  const text = typeof value === 'number' ? String(Math.round(value * 10000) / 10000) : String(value);
+  return /["\r\n]/.test(text) || text.includes(delimiter) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Write interval table rows as delimited text with a header line
+ * @param {Array<Object>} rows - From intervalTableRows(); rows of several pairs can be concatenated
+ * @param {'csv'|'tsv'} [format='csv']
+ * @returns {string}
+ */
+export function formatIntervalTable(rows, format = 'csv') {
+  if (format !== 'csv' && format !== 'tsv') throw new Error(`Interval table: unknown format "${format}"`);
+  const delimiter = format === 'csv' ? ',' : '\t';
+  const lines = [
+    INTERVAL_TABLE_COLUMNS.map(([name]) => name).join(delimiter),
+    ...rows.map((row) => INTERVAL_TABLE_COLUMNS.map(([, value]) => cell(value(row), delimiter)).join(delimiter)),
+  ];
+  return `${lines.join('\n')}\n`;
+}
@@ -0,0 +1,47 @@
+import { describe, expect, it } from 'vitest';
+import { INTERVAL_TABLE_COLUMNS, formatIntervalTable, intervalTableRows } from './intervalTable';
+import { runDefaultAnalysis } from './defaultAnalysis';
+import { findSimultaneities } from './analysis';
+import { strettoVoices } from './midiExport';
+
+describe('interval table', () => {
+  it('has one row per simultaneity with beat labels, scores and chain info', () => {
+    const { results } = runDefaultAnalysis();
+    const rows = intervalTableRows(
+      { name: 'Subject', notes: results.subject },
+      { name: 'Countersubject 1', notes: results.countersubject },
+      { formatter: results.formatter, meter: results.meter },
+    );
+    const sims = findSimultaneities(results.subject, results.countersubject, results.meter);
+
+    expect(rows).toHaveLength(sims.length);
+    expect(rows[0]).toMatchObject({
+      voice1: 'Subject',
+      voice2: 'Countersubject 1',
+      onset: 0,
+      beat: results.formatter.formatBeat(0),
+      intervalName: sims[0].interval.toString(),
+      semitones: sims[0].voice2Note.pitch - sims[0].voice1Note.pitch,
+    });
+    const dissonance = rows.find((r) => !r.isConsonant);
+    expect(dissonance.chainLength).toBeGreaterThan(0);
+    expect(dissonance.passingMotion).toHaveProperty('passingness');
+    expect(rows.some((r) => r.isChainResolution)).toBe(true);
+  });
+
+  it('writes CSV and TSV with a header and quoted cells where needed', () => {
+    const { results } = runDefaultAnalysis();
+    const [dux, comes] = strettoVoices(results.subject, 2, 7);
+    const rows = intervalTableRows(dux, comes, { formatter: results.formatter, meter: results.meter });
+
+    const csv = formatIntervalTable(rows).trimEnd().split('\n');
+    expect(csv).toHaveLength(rows.length + 1);
+    expect(csv[0].split(',')).toEqual(INTERVAL_TABLE_COLUMNS.map(([name]) => name));
+    expect(csv[1].startsWith(`Dux,Comes,${rows[0].onset},`)).toBe(true);
+
+    const tsv = formatIntervalTable([{ ...rows[0], voice1: 'Dux, "high"' }], 'tsv').split('\n');
+    expect(tsv[1].split('\t')).toHaveLength(INTERVAL_TABLE_COLUMNS.length);
+    expect(tsv[1].startsWith('"Dux, ""high"""\tComes\t')).toBe(true);
+    expect(() => formatIntervalTable(rows, 'xlsx')).toThrow('unknown format');
+  });
+});
@@ -0,0 +1,145 @@
+/**
+ * Issues and considerations of an analysis grouped by category, as the issues summary lists them.
+ * Each item keeps anchors (source category, row type, id, index) so a click can be matched back to it.
+ */
+
+const withAnchors = (item, categoryName, rowType, fallbackIndex) => ({
+  ...item,
+  sourceCategory: item.sourceCategory ?? categoryName,
+  sourceType: item.sourceType ?? rowType,
+  sourceId: item.sourceId ?? item.id ?? null,
+  sourceIndex: item.sourceIndex ?? item.index ?? fallbackIndex,
+});
+
+/**
+ * Issue categories of an analysis
+ * @param {Object} results - Analysis results
+ * @returns {Array<{ name: string, issues: Array, warnings: Array, icon: string, detail?: string }>}
+ */
+export function issueCategories(results) {
+  const categories = [];
+
+  // Harmonic issues
+  if (results.harmonicImplication?.observations) {
+    const issues = results.harmonicImplication.observations
+      .filter(o => o.type === 'issue')
+      .map((o, i) => withAnchors(o, 'Harmonic Implication', 'issue', i));
+    const warnings = results.harmonicImplication.observations
+      .filter(o => o.type === 'consideration')
+      .map((o, i) => withAnchors(o, 'Harmonic Implication', 'warning', i));
+    if (issues.length > 0 || warnings.length > 0) {
+      categories.push({
+        name: 'Harmonic Implication',
+        issues,
+        warnings,
+        icon: '🎹',
+      });
+    }
+  }
+
+  // Tonal answer issues
+  if (results.tonalAnswer?.observations) {
+    const issues = results.tonalAnswer.observations
+      .filter(o => o.type === 'issue')
+      .map((o, i) => withAnchors(o, 'Tonal Answer', 'issue', i));
+    const warnings = results.tonalAnswer.observations
+      .filter(o => o.type === 'consideration')
+      .map((o, i) => withAnchors(o, 'Tonal Answer', 'warning', i));
+    if (issues.length > 0 || warnings.length > 0) {
+      categories.push({
+        name: 'Tonal Answer',
+        issues,
+        warnings,
+        icon: '↗️',
+      });
+    }
+  }
+
+  // Stretto: only show a summary warning if there are zero viable strettos at any transposition
+  // Individual non-viable strettos are NOT issues - they're just distances that don't work
+  if (results.stretto) {
+    const viableCount = results.stretto.viableStrettos?.length || 0;
+    if (viableCount === 0 && (results.stretto.allResults?.length || 0) > 0) {
+      categories.push({
+        name: 'Stretto Viability',
+        issues: [],
+        warnings: [withAnchors({ description: 'No viable stretto found at any transposition or distance' }, 'Stretto Viability', 'warning', 0)],
+        icon: '🎼',
+      });
+    }
+  }
+
+  // Double counterpoint issues - show each issue individually, not as summary
+  if (results.doubleCounterpoint) {
+    const issues = [];
+    const warnings = [];
+
+    // Show each inverted position issue separately
+    if (results.doubleCounterpoint.inverted?.issues?.length > 0) {
+      for (const issue of results.doubleCounterpoint.inverted.issues) {
+        issues.push(withAnchors({
+          description: `Inverted: ${issue.description || issue}`,
+          onset: issue.onset,
+        }, 'Invertible Counterpoint', 'issue', issues.length));
+      }
+    }
+
+    if (results.doubleCounterpoint.observations) {
+      const obsIssues = results.doubleCounterpoint.observations.filter(o => o.type === 'issue');
+      const obsWarnings = results.doubleCounterpoint.observations.filter(o => o.type === 'consideration');
+      issues.push(...obsIssues.map((o, i) => withAnchors(o, 'Invertible Counterpoint', 'issue', i)));
+      warnings.push(...obsWarnings.map((o, i) => withAnchors(o, 'Invertible Counterpoint', 'warning', i)));
+    }
+
+    if (issues.length > 0 || warnings.length > 0) {
+      categories.push({
+        name: 'Invertible Counterpoint',
+        issues,
+        warnings,
+        icon: '🔄',
+      });
+    }
+  }
+
+  // Rhythmic independence issues (merged rhythmic + contour)
+  const rhythmicIssues = results.rhythmicComplementarity?.observations
+    ?.filter(o => o.type === 'issue')
+    .map((o, i) => withAnchors(o, 'Rhythmic Independence', 'issue', i)) || [];
+
+  const rhythmicWarnings = results.rhythmicComplementarity?.observations
+    ?.filter(o => o.type === 'consideration')
+    .map((o, i) => withAnchors(o, 'Rhythmic Independence', 'warning', i)) || [];
+
+  const contourWarnings = results.contourIndependence?.details
+    ?.filter(d => d.description?.toLowerCase().includes('parallel') || d.description?.toLowerCase().includes('consecutive'))
+    .map((w, i) => withAnchors({ description: w.description, onset: w.onset }, 'Rhythmic Independence', 'warning', i)) || [];
+
+  if (rhythmicIssues.length > 0 || rhythmicWarnings.length > 0 || contourWarnings.length > 0) {
+    categories.push({
+      name: 'Rhythmic Independence',
+      issues: rhythmicIssues,
+      warnings: [...rhythmicWarnings, ...contourWarnings],
+      icon: '🥁',
+    });
+  }
+
+  return categories;
+}
+
+/**
+ * What a click on an issue highlights in the views
+ * @param {Object} item - An issue or warning from issueCategories()
+ * @param {string} categoryName
+ * @returns {{ onset: number, type: string, description: string, sourceCategory: string, sourceType: string, sourceId: *, sourceIndex: number }}
+ */
+export function issueHighlight(item, categoryName) {
+  return {
+    onset: item.onset,
+    type: categoryName,
+    description: item.description,
+    sourceCategory: item.sourceCategory,
+    sourceType: item.sourceType,
+    sourceId: item.sourceId,
+    sourceIndex: item.sourceIndex,
+  };
+}
@@ -0,0 +1,392 @@
+/**
+ * Humdrum **kern import: each **kern spine becomes a line of NoteEvents that keeps the
+ * encoded spelling, and is written back as ABC so the input textareas show what was imported.
+ */
+
+import { NoteEvent } from '../types';
+import { abcDurationSuffixFromQuarters, computeScaleDegree, formatSubjectABC, spelledToABC } from './abcParser';
+import { VOICE_SLOTS, slotFromName, stripLeadingRests } from './abcVoices';
+import { withMeterChanges, withPickup } from './formatter';
+import { getKeySignatureMap, keyToPitchClass } from './keySignature';
+import { MODE_HEADER_SUFFIX } from './modes';
+
+// Major key for a count of sharps (+) or flats (-)
+const MAJOR_KEYS = { '-7': 'Cb', '-6': 'Gb', '-5': 'Db', '-4': 'Ab', '-3': 'Eb', '-2': 'Bb', '-1': 'F', 0: 'C', 1: 'G', 2: 'D', 3: 'A', 4: 'E', 5: 'B', 6: 'F#', 7: 'C#' };
+// Mode suffixes of key interpretations (*g:dor)
+const KERN_MODES = { ion: 'major', dor: 'dorian', phr: 'phrygian', lyd: 'lydian', mix: 'mixolydian', aeo: 'natural_minor', loc: 'locrian' };
+const STEP_SEMITONES = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+const ALTERATIONS = { '#': 1, '##': 2, '-': -1, '--': -2, n: 0, '': 0 };
+
+/**
+ * Key, mode and key-signature map for a tonic/mode (from *X:) or, without one, a *k[] signature read as major
+ */
+function kernKey(tonic, mode, keySignatureMap) {
+  let key = tonic;
+  if (!key) {
+    const sharps = Math.max(-7, Math.min(7, Object.values(keySignatureMap).reduce((sum, a) => sum + a, 0)));
+    key = MAJOR_KEYS[sharps];
+    mode = 'major';
+  }
+  const suffix = MODE_HEADER_SUFFIX[mode] || '';
+  return {
+    key,
+    mode,
+    keySignatureMap: keySignatureMap || getKeySignatureMap(key, mode),
+    keyField: key + (suffix.length > 1 ? ` ${suffix}` : suffix),
+  };
+}
+
+/**
+ * Read a **kern note or rest token. Chords (space-separated) keep their highest note.
+ * @returns {{ grace?: boolean, rest?: boolean, duration: number, tuplet: { p: number, q: number }|null,
+ *   step?: string, alter?: number, octave?: number, pitch?: number, tieStart: boolean, tieStop: boolean, chordNotes: number }|null}
+ */
+function parseKernToken(token) {
+  const notes = token.split(' ').filter(Boolean).map((sub) => {
+    if (/[qQ]/.test(sub)) return { grace: true };
+    const d = sub.match(/(\d+)(?:%(\d+))?(\.*)/);
+    if (!d) return null;
+    const recip = parseInt(d[1], 10);
+    const rational = d[2] ? parseInt(d[2], 10) : 1;
+    const base = recip === 0 ? (d[1].length > 1 ? 16 : 8) : (4 * rational) / recip;
+    const duration = base * (2 - 1 / 2 ** d[3].length);
+
+    // Reciprocals that aren't powers of two are tuplets: 12 is a triplet eighth, 20 a quintuplet sixteenth
+    let tuplet = null;
+    if (recip > 0 && rational === 1 && (recip & (recip - 1)) !== 0) {
+      let p = recip;
+      while (p % 2 === 0) p /= 2;
+      tuplet = { p, q: 2 ** Math.floor(Math.log2(p)) };
+    }
+
+    const ties = { tieStart: sub.includes('['), tieStop: sub.includes(']') || sub.includes('_') };
+    if (sub.includes('_')) ties.tieStart = true;
+    if (/r/.test(sub)) return { rest: true, duration, tuplet, ...ties };
+
+    const m = sub.match(/([a-gA-G])\1*(##|--|#|-|n)?/);
+    if (!m) return null;
+    const step = m[1].toUpperCase();
+    const octave = m[1] === m[1].toLowerCase() ? 3 + m[0].replace(/[#\-n]/g, '').length : 4 - m[0].replace(/[#\-n]/g, '').length;
+    const alter = ALTERATIONS[m[2] || ''];
+    return { duration, tuplet, step, alter, octave, pitch: (octave + 1) * 12 + STEP_SEMITONES[step] + alter, ...ties };
+  }).filter(Boolean);
+
+  if (!notes.length || notes.every((n) => n.grace)) return notes.length ? { grace: true } : null;
+  const sounding = notes.filter((n) => !n.grace && !n.rest);
+  if (!sounding.length) return { ...notes.find((n) => !n.grace), chordNotes: 0 };
+  const top = sounding.reduce((a, b) => (b.pitch > a.pitch ? b : a));
+  return { ...top, chordNotes: sounding.length - 1 };
+}
+
+/**
+ * State of one **kern spine while reading
+ */
+function newSpine(index, unitLength, noteLengthFraction) {
+  return {
+    index,
+    name: null,
+    time: 0,
+    measureStart: 0,
+    measureLengths: [],
+    started: false,
+    tonic: null,
+    mode: 'major',
+    keySignatureMap: null,
+    key: kernKey('C', 'major', getKeySignatureMap('C', 'major')),
+    openingKey: null,
+    meter: null,
+    meterChanges: [],
+    notes: [],
+    droppedNotes: 0,
+    last: null, // { note, tokenBase, tieOpen }
+    tuplet: null, // { p, q, group, count, notes, pendingRest, filled, span }
+    tupletGroups: 0,
+    context: null,
+    unitLength,
+    noteLengthFraction,
+  };
+}
+
+function closeTuplet(spine) {
+  const { tuplet } = spine;
+  if (!tuplet) return;
+  if (tuplet.pendingRest > 0 && tuplet.notes.length) tuplet.notes[tuplet.notes.length - 1].tuplet.restAfter = tuplet.pendingRest;
+  for (const n of tuplet.notes) n.tuplet.r = tuplet.count;
+  spine.tuplet = null;
+}
+
+/**
+ * Apply a tandem interpretation (*k[], *X:, *M, *I) to a spine; after the first data they become changes
+ */
+function applyInterpretation(spine, token) {
+  const keySig = token.match(/^\*k\[([a-gA-G#\-n]*)\]$/);
+  const keyTok = token.match(/^\*([A-Ga-g])([#-]?):([a-z]{3})?$/);
+  const meterTok = token.match(/^\*M(\d+)\/(\d+)$/);
+  const nameTok = token.match(/^\*I(["'])(.+)$/);
+
+  if (keySig) {
+    spine.keySignatureMap = Object.fromEntries([...keySig[1].matchAll(/([a-gA-G])(##|--|#|-)/g)].map(([, l, a]) => [l.toUpperCase(), ALTERATIONS[a]]));
+    spine.key = kernKey(spine.tonic, spine.mode, spine.keySignatureMap);
+  } else if (keyTok) {
+    const letter = keyTok[1];
+    spine.tonic = letter.toUpperCase() + (keyTok[2] === '#' ? '#' : keyTok[2] === '-' ? 'b' : '');
+    spine.mode = KERN_MODES[keyTok[3]] || (letter === letter.toLowerCase() ? 'natural_minor' : 'major');
+    spine.key = kernKey(spine.tonic, spine.mode, spine.keySignatureMap);
+  } else if (meterTok) {
+    const meter = [parseInt(meterTok[1], 10), parseInt(meterTok[2], 10)];
+    if (spine.started && spine.time > 1e-9) spine.meterChanges.push({ onset: spine.time, meter });
+    else spine.meter = meter;
+    spine.context = spine.context && { ...spine.context, meter, meterOnset: spine.started ? spine.time : 0 };
+    return;
+  } else if (nameTok) {
+    if (nameTok[1] === '"' || !spine.name) spine.name = nameTok[2];
+    return;
+  } else {
+    return;
+  }
+  if (spine.context) {
+    spine.context = {
+      ...spine.context,
+      tonic: keyToPitchClass(spine.key.key),
+      mode: spine.key.mode,
+      keyField: spine.started ? spine.key.keyField : null,
+    };
+  }
+}
+
+/**
+ * Read a note or rest token into a spine: ties merge, tuplets keep their ratio
+ */
+function readToken(spine, token) {
+  const parsed = parseKernToken(token);
+  if (!parsed || parsed.grace) return;
+  if (!spine.started) {
+    spine.started = true;
+    spine.meter = spine.meter || [4, 4];
+    spine.openingKey = spine.key;
+  }
+  if (!spine.context) {
+    spine.context = {
+      tonic: keyToPitchClass(spine.key.key),
+      mode: spine.key.mode,
+      keyField: null,
+      meter: spine.meter,
+      meterOnset: 0,
+      defaultNoteLength: spine.unitLength,
+      noteLengthFraction: spine.noteLengthFraction,
+    };
+  }
+
+  const onset = spine.time;
+  const { duration } = parsed;
+  spine.time += duration;
+  spine.droppedNotes += parsed.chordNotes || 0;
+
+  if (parsed.tuplet) {
+    const t = spine.tuplet;
+    if (!t || t.p !== parsed.tuplet.p || t.q !== parsed.tuplet.q || t.filled >= t.span - 1e-9) {
+      closeTuplet(spine);
+      const written = (duration * parsed.tuplet.p) / parsed.tuplet.q;
+      spine.tuplet = { ...parsed.tuplet, group: spine.tupletGroups++, count: 0, notes: [], pendingRest: 0, filled: 0, span: written * parsed.tuplet.q };
+    }
+    spine.tuplet.count++;
+    spine.tuplet.filled += duration;
+  } else {
+    closeTuplet(spine);
+  }
+  const { tuplet } = spine;
+  const scale = tuplet ? tuplet.q / tuplet.p : 1;
+
+  if (parsed.rest) {
+    spine.last = null;
+    if (tuplet) tuplet.pendingRest += duration / scale;
+  } else {
+    const { step, alter, octave, pitch } = parsed;
+    const { unitLength, context } = spine;
+    const tokenBase = spelledToABC(step, alter, octave, spine.key.keySignatureMap);
+    const last = spine.last;
+
+    if (parsed.tieStop && last?.tieOpen && last.note.pitch === pitch && Math.abs(last.note.onset + last.note.duration - onset) < 1e-6) {
+      const writtenScale = last.note.tuplet ? last.note.tuplet.q / last.note.tuplet.p : 1;
+      last.note.duration += duration;
+      last.note.abcNote = last.tokenBase + abcDurationSuffixFromQuarters(last.note.duration / writtenScale, unitLength);
+      last.tieOpen = parsed.tieStart;
+      if (tuplet) tuplet.count--;
+    } else {
+      const keyUsesFlats = Object.values(spine.key.keySignatureMap).some((a) => a < 0);
+      const note = new NoteEvent(
+        pitch,
+        duration,
+        onset,
+        computeScaleDegree(pitch, context.tonic, context.mode),
+        tokenBase + abcDurationSuffixFromQuarters(duration / scale, unitLength),
+        alter < 0 || (keyUsesFlats && !tokenBase.startsWith('^'))
+      );
+      note.context = context;
+      if (tuplet) {
+        note.tuplet = { p: tuplet.p, q: tuplet.q, r: null, group: tuplet.group, position: tuplet.count - 1, restBefore: tuplet.pendingRest, restAfter: 0 };
+        tuplet.pendingRest = 0;
+        tuplet.notes.push(note);
+      }
+      spine.notes.push(note);
+      spine.last = { note, tokenBase, tieOpen: parsed.tieStart };
+    }
+  }
+  if (tuplet && tuplet.filled >= tuplet.span - 1e-9) closeTuplet(spine);
+}
+
+/**
+ * Columns after a spine-path line: *^ splits, *v joins, *- ends, *+ adds and *x exchanges spines.
+ * A column is { spine, sub }: the **kern spine it belongs to (-1 for other spines) and 0 for its first sub-spine.
+ */
+function applySpinePaths(columns, fields) {
+  const next = [];
+  for (let c = 0; c < fields.length; c++) {
+    const column = columns[c];
+    if (fields[c] === '*^') {
+      next.push(column, { spine: column.spine, sub: column.sub + 1 });
+    } else if (fields[c] === '*v') {
+      if (fields[c - 1] === '*v' && next.length && next[next.length - 1].spine === column.spine) {
+        next[next.length - 1] = { spine: column.spine, sub: Math.min(next[next.length - 1].sub, column.sub) };
+      } else {
+        next.push(column);
+      }
+    } else if (fields[c] === '*+') {
+      next.push(column, { spine: -1, sub: 0 });
+    } else if (fields[c] === '*x' && fields[c + 1] === '*x') {
+      next.push(columns[c + 1], column);
+      c++;
+    } else if (fields[c] !== '*-') {
+      next.push(column);
+    }
+  }
+  return next;
+}
+
+/**
+ * Read a Humdrum **kern file into one line of NoteEvents per **kern spine.
+ * Spelling comes from the encoded pitches, so each note's abcNote and preferFlats match the score.
+ * Ties ([, _, ]) are merged into single notes, tuplet durations (12, 6, 20...) keep their ratio,
+ * a short first measure is a pickup, and key (*k[], *X:) and meter (*M) changes after the start are
+ * kept in each note's context. Of split spines (*^) the first sub-spine is kept; chords keep their top note.
+ * @param {string} text - Humdrum file
+ * @param {Object} [options]
+ * @param {number[]} [options.defaultNoteLength=[1, 8]] - ABC unit note length for the spines' ABC
+ * @returns {{ title: string|null, key: string, mode: string, meter: number[], pickup: number,
+ *   spines: Array<{ index: number, name: string|null, notes: NoteEvent[], droppedNotes: number, abc: string }> }}
+ *   `meter` carries `changes` and `pickup` (see withMeterChanges, withPickup); `droppedNotes` counts chord and sub-spine notes
+ */
+export function parseKern(text, { defaultNoteLength = [1, 8] } = {}) {
+  const unitLength = defaultNoteLength[0] / defaultNoteLength[1];
+  const spines = [];
+  let columns = null;
+  let title = null;
+
+  text.split(/\r?\n/).forEach((line, lineIndex) => {
+    if (!line.trim()) return;
+    if (line.startsWith('!!')) {
+      const record = line.match(/^!!!OTL[^:]*:\s*(.*)$/);
+      if (record && !title) title = record[1].trim() || null;
+      return;
+    }
+    const fields = line.split('\t');
+    if (!columns) {
+      if (!line.startsWith('**')) throw new Error(`Kern import: line ${lineIndex + 1} comes before the **kern spine headers`);
+      columns = fields.map((f) => (f === '**kern' ? { spine: spines.push(newSpine(spines.length, unitLength, defaultNoteLength)) - 1, sub: 0 } : { spine: -1, sub: 0 }));
+      return;
+    }
+    if (!columns.length) return;
+    if (fields.length !== columns.length) {
+      throw new Error(`Kern import: line ${lineIndex + 1} has ${fields.length} spines where ${columns.length} are open`);
+    }
+    if (fields[0].startsWith('!')) return;
+
+    const kernColumns = columns.map((column, c) => ({ ...column, token: fields[c] })).filter((column) => column.spine >= 0);
+    if (fields[0].startsWith('*')) {
+      for (const { spine, sub, token } of kernColumns) if (sub === 0) applyInterpretation(spines[spine], token);
+      if (fields.some((f) => ['*^', '*v', '*-', '*+', '*x'].includes(f))) columns = applySpinePaths(columns, fields);
+    } else if (fields[0].startsWith('=')) {
+      for (const { spine: index, sub } of kernColumns) {
+        const spine = spines[index];
+        if (sub !== 0 || spine.time - spine.measureStart < 1e-9) continue;
+        closeTuplet(spine);
+        spine.measureLengths.push(spine.time - spine.measureStart);
+        spine.measureStart = spine.time;
+      }
+    } else {
+      for (const { spine, sub, token } of kernColumns) {
+        if (token === '.') continue;
+        if (sub === 0) readToken(spines[spine], token);
+        else if (/[a-gA-G]/.test(token) && !/r/.test(token)) spines[spine].droppedNotes += token.split(' ').length;
+      }
+    }
+  });
+
+  if (!spines.length) throw new Error('Kern import: the file has no **kern spine');
+  spines.forEach(closeTuplet);
+
+  const first = spines[0];
+  const openingKey = first.openingKey || first.key;
+  const opening = { key: openingKey.key, mode: openingKey.mode, meter: first.meter || [4, 4] };
+  const firstBar = (opening.meter[0] * 4) / opening.meter[1];
+  const pickup = first.measureLengths.length > 1 && first.measureLengths[0] < firstBar - 1e-9 ? first.measureLengths[0] : 0;
+  const meter = withPickup(withMeterChanges(opening.meter, first.meterChanges), pickup);
+
+  const result = spines
+    .filter((spine) => spine.notes.length)
+    .map((spine) => ({
+      index: spine.index,
+      name: spine.name,
+      notes: spine.notes,
+      droppedNotes: spine.droppedNotes,
+      abc: `M:${opening.meter[0]}/${opening.meter[1]}\n${formatSubjectABC(spine.notes, opening, unitLength, meter, defaultNoteLength)}`,
+    }));
+  return { title, key: opening.key, mode: opening.mode, meter, pickup, spines: result };
+}
+
+/**
+ * Read a **kern file and assign its spines to analyzer slots.
+ * Explicit assignments win; otherwise spine names (*I"Subject, ...) then spine order.
+ * A slot's ABC starts at the spine's first note; `entryOffset` keeps where it entered.
+ * @param {string} text - Humdrum file
+ * @param {Object} [options]
+ * @param {number[]} [options.defaultNoteLength=[1, 8]] - ABC unit note length
+ * @param {Object<string, number>|null} [options.assignments] - Slot -> spine index; spines left out aren't imported
+ * @returns {{ title, key, mode, meter, pickup, spines,
+ *   slots: Object<string, { spineIndex: number, name: string|null, notes: NoteEvent[], abc: string, entryOffset: number, source: string }>,
+ *   unassigned: Array<{ spineIndex: number, name: string|null }> }}  `source` is 'assigned', 'name' or 'order'
+ */
+export function importKern(text, { defaultNoteLength = [1, 8], assignments = null } = {}) {
+  const score = parseKern(text, { defaultNoteLength });
+  const { spines } = score;
+
+  const slots = {};
+  const assign = (spine, slot, source) => {
+    slots[slot] = { spineIndex: spine.index, name: spine.name, notes: spine.notes, abc: stripLeadingRests(spine.abc), entryOffset: spine.notes[0].onset, source };
+  };
+
+  if (assignments) {
+    for (const [slot, spineIndex] of Object.entries(assignments)) {
+      const spine = spines.find((s) => s.index === spineIndex);
+      if (spine && VOICE_SLOTS.includes(slot)) assign(spine, slot, 'assigned');
+    }
+    const used = new Set(Object.values(slots).map((s) => s.spineIndex));
+    return { ...score, slots, unassigned: spines.filter((s) => !used.has(s.index)).map((s) => ({ spineIndex: s.index, name: s.name })) };
+  }
+
+  const unnamed = [];
+  for (const spine of spines) {
+    const named = slotFromName(spine.name);
+    if (named && !slots[named]) assign(spine, named, 'name');
+    else unnamed.push(spine);
+  }
+
+  const unassigned = [];
+  for (const spine of unnamed) {
+    const free = VOICE_SLOTS.find((slot) => !slots[slot]);
+    if (free) assign(spine, free, 'order');
+    else unassigned.push({ spineIndex: spine.index, name: spine.name });
+  }
+
+  return { ...score, slots, unassigned };
+}
@@ -0,0 +1,81 @@
+import { describe, expect, it } from 'vitest';
+import { importKern, parseKern } from './kernImport';
+import { parseABC } from './abcParser';
+
+const kern = (rows) => rows.map((r) => r.join('\t')).join('\n');
+const round = (x) => Math.round(x * 1e6) / 1e6;
+const timing = (notes) => notes.map((n) => [n.pitch, round(n.onset), round(n.duration)]);
+
+describe('parseKern', () => {
+  const fugue = kern([
+    ['!!!OTL: Fuga'],
+    ['**kern', '**kern'],
+    ['*I"Bass', '*I"Subject'],
+    ['*k[b-e-]', '*k[b-e-]'],
+    ['*g:', '*g:'],
+    ['*M3/4', '*M3/4'],
+    ['4r', '4g'],
+    ['=1', '=1'],
+    ['2.G 2.B-', '4a'],
+    ['.', '4b-'],
+    ['.', '[4f#'],
+    ['=2', '=2'],
+    ['2.GG', '4f#]'],
+    ['.', '4e'],
+    ['.', '4e-'],
+    ['==', '=='],
+    ['*-', '*-'],
+  ]);
+
+  it('keeps the encoded spelling, merges ties and finds the pickup', () => {
+    const { title, key, mode, meter, pickup, spines } = parseKern(fugue);
+
+    expect([title, key, mode, meter, pickup]).toEqual(['Fuga', 'G', 'natural_minor', [3, 4], 1]);
+    expect(spines.map((s) => [s.name, s.droppedNotes])).toEqual([['Bass', 1], ['Subject', 0]]);
+    expect(spines[1].notes.map((n) => [n.pitch, n.onset, n.duration, n.abcNote, n.preferFlats])).toEqual([
+      [67, 0, 1, 'G2', true], [69, 1, 1, 'A2', true], [70, 2, 1, 'B2', true],
+      [66, 3, 2, '^F4', false], [64, 5, 1, '=E2', true], [63, 6, 1, 'E2', true],
+    ]);
+    expect(spines[1].abc).toBe('M:3/4\nK:Gm\nL:1/8\nG2 |A2 B2 ^F2- |^F2 =E2 _E2 |]');
+    expect(spines[0].notes.map((n) => n.pitch)).toEqual([58, 43]);
+  });
+
+  it('reads tuplets, split spines and key and meter changes', () => {
+    const { meter, spines } = parseKern(kern([
+      ['**kern'], ['*k[]'], ['*C:'], ['*M4/4'], ['=1-'],
+      ['12c'], ['12d'], ['12e'], ['4f'], ['*^'], ['2g', '2e'], ['*v', '*v'],
+      ['=2'], ['*M3/4'], ['*k[f#]'], ['*G:'], ['4a'], ['4f#'], ['4g'], ['=='], ['*-'],
+    ]));
+
+    expect(meter.changes).toEqual([{ onset: 4, meter: [3, 4] }]);
+    const [spine] = spines;
+    expect(spine.droppedNotes).toBe(1);
+    expect(timing(spine.notes)).toEqual([
+      [60, 0, round(1 / 3)], [62, round(1 / 3), round(1 / 3)], [64, round(2 / 3), round(1 / 3)], [65, 1, 1], [67, 2, 2], [69, 4, 1], [66, 5, 1], [67, 6, 1],
+    ]);
+    expect(spine.notes[0].tuplet).toMatchObject({ p: 3, q: 2, r: 3 });
+    expect(spine.notes[5].context).toMatchObject({ keyField: 'G', meter: [3, 4] });
+    expect(spine.abc).toBe('M:4/4\nK:C\nL:1/8\n(3 C D E F2 G4 |[M:3/4] [K:G] A2 F2 G2 |]');
+
+    const reparsed = parseABC(spine.abc, 60, 'major');
+    expect(timing(reparsed.notes)).toEqual(timing(spine.notes));
+  });
+
+  it('rejects files without a **kern spine or with ragged spines', () => {
+    expect(() => parseKern('**text\nhello\n*-')).toThrow('no **kern spine');
+    expect(() => parseKern(kern([['**kern', '**kern'], ['4c'], ['*-', '*-']]))).toThrow('line 2 has 1 spines where 2 are open');
+  });
+});
+
+describe('importKern', () => {
+  it('maps spines to slots by name, then order', () => {
+    const { slots, unassigned } = importKern(kern([
+      ['**kern', '**kern'], ['*I"Alto', '*I"Subject'], ['*M4/4', '*M4/4'], ['1r', '1c'], ['=', '='], ['1g', '1B'], ['*-', '*-'],
+    ]));
+
+    expect(slots.subject).toMatchObject({ spineIndex: 1, source: 'name', entryOffset: 0 });
+    expect(slots.answer).toMatchObject({ spineIndex: 0, source: 'order', entryOffset: 4 });
+    expect(slots.answer.abc).toBe('M:4/4\nK:C\nL:1/8\nG8 |]');
+    expect(unassigned).toEqual([]);
+  });
+});
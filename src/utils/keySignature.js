@@ -28,7 +28,7 @@ const MODE_TO_RELATIVE_MAJOR_OFFSET = {
   locrian: -1,
 };
 
-function keyToPitchClass(key) {
+export function keyToPitchClass(key) {
   const letter = key.charAt(0).toUpperCase();
   let pitch = NOTE_TO_SEMITONE[letter] ?? 0;
   if (key.includes('#')) pitch += 1;
@@ -0,0 +1,199 @@
+/**
+ * LilyPond source export: voices as staves with key, meter, pickup, bar checks and ties,
+ * optionally marked up with dissonance labels or interval names against a partner voice.
+ */
+
+import { analyzeAllDissonances } from './dissonanceScoring';
+import { findSimultaneities } from './analysis';
+import { getKeySignatureMap } from './keySignature';
+import { strettoVoices } from './midiExport';
+import { measureBounds, spellNote, splitAtBarLines, writtenValues } from './scoreLayout';
+
+const LILYPOND_VERSION = '2.24.0';
+
+const LILYPOND_MODES = {
+  major: 'major', natural_minor: 'minor', harmonic_minor: 'minor', dorian: 'dorian',
+  phrygian: 'phrygian', lydian: 'lydian', mixolydian: 'mixolydian', locrian: 'locrian',
+};
+
+// Dutch (default) note-name suffixes by alteration
+const ACCIDENTAL_SUFFIXES = { '-2': 'eses', '-1': 'es', 0: '', 1: 'is', 2: 'isis' };
+
+const quote = (text) => `"${String(text).replace(/["\\]/g, '\\$&')}"`;
+const pitchName = (step, alter) => `${step.toLowerCase()}${ACCIDENTAL_SUFFIXES[alter]}`;
+const onsetKey = (onset) => onset.toFixed(6);
+
+/**
+ * Absolute LilyPond pitch: c' is middle C
+ */
+function lilyPitch(note, keySignatureMap) {
+  const { step, alter, octave } = spellNote(note, keySignatureMap);
+  const marks = octave - 3;
+  return pitchName(step, alter) + (marks > 0 ? "'".repeat(marks) : ','.repeat(-marks));
+}
+
+/**
+ * LilyPond duration of a written value; a remainder shorter than a 64th is a scaled 64th
+ */
+function lilyDuration(value) {
+  if (value.denominator) return `${value.denominator}${'.'.repeat(value.dots)}`;
+  return `64*${Math.round(value.length * 16 * 48)}/48`;
+}
+
+/**
+ * Markup texts per voice, keyed by onset: for each voice with a partner, the labels of their
+ * simultaneities go under whichever of the two starts a note there (the marked voice first)
+ */
+function markupByVoice(voices, markup, meter) {
+  const byVoice = voices.map(() => new Map());
+  if (markup === 'none') return byVoice;
+
+  voices.forEach((voice, v) => {
+    const partner = voices[voice.against];
+    if (!partner || voice.against === v) return;
+    const sims = findSimultaneities(partner.notes, voice.notes, meter);
+    const labels = markup === 'intervals'
+      ? sims.map((s) => ({ onset: s.onset, text: s.interval.toString() }))
+      : analyzeAllDissonances(sims, { meter }).dissonances.filter((d) => d.label).map((d) => ({ onset: d.onset, text: d.label }));
+
+    for (const { onset, text } of labels) {
+      const startsAt = (notes) => notes.some((n) => Math.abs(n.onset - onset) < 1e-6);
+      const target = startsAt(voice.notes) || !startsAt(partner.notes) ? v : voice.against;
+      const texts = byVoice[target].get(onsetKey(onset)) || [];
+      byVoice[target].set(onsetKey(onset), [...texts, text]);
+    }
+  });
+  return byVoice;
+}
+
+/**
+ * Music of one voice: bar checks at every bar line, \time at meter changes, ties across bar lines
+ * and within long notes, \tuplet groups, and markup under the note it belongs to
+ */
+function voiceMusic(notes, bounds, keySignatureMap, markups) {
+  const segments = splitAtBarLines(notes, bounds);
+  const flat = segments.flat();
+  const bars = bounds.map((bar, b) => {
+    const tokens = [];
+    const previous = b > 0 ? bounds[b - 1].meter : null;
+    if (previous && (previous[0] !== bar.meter[0] || previous[1] !== bar.meter[1])) tokens.push(`\\time ${bar.meter[0]}/${bar.meter[1]}`);
+
+    for (const segment of segments[b]) {
+      const { note } = segment;
+      const i = flat.indexOf(segment);
+      const texts = segment.first ? markups.get(onsetKey(segment.start)) || [] : [];
+      const markupText = texts.map((t) => `_\\markup { \\tiny ${quote(t)} }`).join('');
+      const pitch = note ? lilyPitch(note, keySignatureMap) : 'r';
+
+      if (note?.tuplet) {
+        const { p, q, group } = note.tuplet;
+        const [value] = writtenValues(((segment.end - segment.start) * p) / q);
+        if (flat[i - 1]?.note?.tuplet?.group !== group) tokens.push(`\\tuplet ${p}/${q} {`);
+        tokens.push(`${pitch}${lilyDuration(value)}${markupText}${segment.last ? '' : ' ~'}`);
+        if (flat[i + 1]?.note?.tuplet?.group !== group) tokens.push('}');
+        continue;
+      }
+
+      const values = writtenValues(segment.end - segment.start);
+      values.forEach((value, j) => {
+        const tied = note && (j < values.length - 1 || !segment.last);
+        tokens.push(`${pitch}${lilyDuration(value)}${j === 0 ? markupText : ''}${tied ? ' ~' : ''}`);
+      });
+    }
+    return tokens.join(' ');
+  });
+  return `${bars.join(' |\n      ')} \\bar "|."`;
+}
+
+/**
+ * Write voices as a LilyPond score, one staff per voice on a shared bar grid.
+ * Pitches are spelled against the key signature (getKeySignatureMap), keeping each note's own
+ * ABC spelling where it has one.
+ * @param {Array<{ name: string, notes: NoteEvent[], against?: number }>} voices - `against` is the index
+ *   of the voice whose simultaneities with this one are marked up
+ * @param {Object} options
+ * @param {number[]} options.meter - Time signature, optionally with `changes` and `pickup` (see formatter.js)
+ * @param {string} [options.key='C'] - Key for the key signature
+ * @param {string} [options.mode='major'] - Mode for the key signature
+ * @param {string} [options.title] - Header title
+ * @param {'none'|'dissonances'|'intervals'} [options.markup='none'] - Dissonance labels (PT, Sus, ...) or interval names under the notes
+ * @returns {string} LilyPond source
+ */
+export function writeLilyPond(voices, { meter, key = 'C', mode = 'major', title, markup = 'none' } = {}) {
+  const end = Math.max(0, ...voices.flatMap((v) => v.notes.map((n) => n.onset + n.duration)));
+  const bounds = measureBounds(meter, end);
+  const keySignatureMap = getKeySignatureMap(key, mode);
+  const keyAlter = key.slice(1).includes('#') ? 1 : key.slice(1).includes('b') ? -1 : 0;
+  const markups = markupByVoice(voices, markup, meter);
+
+  const global = [
+    `\\key ${pitchName(key.charAt(0).toUpperCase(), keyAlter)} \\${LILYPOND_MODES[mode] || 'major'}`,
+    `\\time ${meter[0]}/${meter[1]}`,
+  ];
+  if (meter.pickup) {
+    const pickupValues = writtenValues(meter.pickup);
+    global.push(`\\partial ${pickupValues.length === 1 ? lilyDuration(pickupValues[0]) : `16*${Math.round(meter.pickup * 4)}`}`);
+  }
+
+  const staves = voices.map((voice, v) => {
+    const pitches = voice.notes.map((n) => n.pitch);
+    const bass = pitches.length && pitches.reduce((s, x) => s + x, 0) / pitches.length < 57;
+    return [
+      `    \\new Staff \\with { instrumentName = ${quote(voice.name)} } {`,
+      `      \\clef ${bass ? 'bass' : 'treble'}`,
+      '      \\global',
+      `      ${voiceMusic(voice.notes, bounds, keySignatureMap, markups[v])}`,
+      '    }',
+    ].join('\n');
+  });
+
+  return [
+    `\\version ${quote(LILYPOND_VERSION)}`,
+    '',
+    '\\header {',
+    ...(title ? [`  title = ${quote(title)}`] : []),
+    '  tagline = ##f',
+    '}',
+    '',
+    'global = {',
+    ...global.map((line) => `  ${line}`),
+    '}',
+    '',
+    '\\score {',
+    '  <<',
+    ...staves,
+    '  >>',
+    '  \\layout { }',
+    '}',
+    '',
+  ].join('\n');
+}
+
+/**
+ * Voice sets for LilyPond export from an analysis result (the object the UI renders):
+ * - 'exposition': the subject continuing into countersubject 1 against the answer entering when the
+ *   subject ends, and countersubject 2 under the answer if given; each part against the voice it was analyzed with
+ * - 'stretto': dux and comes at `distance` quarters and `transposition` semitones
+ * @param {Object} results - Analysis result (subject, answerNotes, countersubject, countersubject2)
+ * @param {'exposition'|'stretto'} combination
+ * @param {Object} [options]
+ * @param {NoteEvent[]} [options.answer=results.answerNotes] - Answer to write, e.g. the generated tonal or real answer
+ * @param {number} [options.distance] - Stretto entry distance
+ * @param {number} [options.transposition] - Stretto transposition in semitones
+ * @returns {Array<{ name: string, notes: NoteEvent[], against?: number }>}
+ */
+export function lilyPondVoices(results, combination, { answer = results.answerNotes, distance, transposition } = {}) {
+  if (combination === 'stretto') {
+    const [dux, comes] = strettoVoices(results.subject, distance, transposition);
+    return [dux, { ...comes, against: 0 }];
+  }
+
+  const entry = Math.max(...results.subject.map((n) => n.onset + n.duration));
+  const shift = (notes) => (notes || []).map((n) => ({ ...n, onset: n.onset + entry }));
+  const voices = [
+    { name: 'Subject', notes: [...results.subject, ...shift(results.countersubject)] },
+    { name: 'Answer', notes: shift(answer), against: 0 },
+  ];
+  if (results.countersubject2?.length) voices.push({ name: 'Countersubject 2', notes: shift(results.countersubject2), against: 1 });
+  return voices;
+}
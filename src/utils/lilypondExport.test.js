@@ -0,0 +1,52 @@
+import { describe, expect, it } from 'vitest';
+import { lilyPondVoices, writeLilyPond } from './lilypondExport';
+import { withMeterChanges, withPickup } from './formatter';
+
+const note = (pitch, onset, duration, abcNote = '', extra = {}) => ({ pitch, onset, duration, abcNote, ...extra });
+const music = (ly, staff = 0) => ly.split('\\global\n')[staff + 1].split('\n    }')[0].replace(/\s+/g, ' ').trim();
+
+describe('writeLilyPond', () => {
+  it('spells from the key signature and the notes, with pickup, bar checks, ties and meter changes', () => {
+    const meter = withPickup(withMeterChanges([3, 4], [{ onset: 4, meter: [2, 4] }]), 1);
+    const ly = writeLilyPond([{ name: 'Subject', notes: [
+      note(70, 0, 1), note(68, 1, 1, '^G2'), note(67, 2, 3), note(66, 5, 1, '', { preferFlats: false }),
+    ] }], { meter, key: 'G', mode: 'natural_minor', title: 'Fugue "in G"' });
+
+    expect(ly).toContain('title = "Fugue \\"in G\\""');
+    expect(ly).toContain('\\key g \\minor\n  \\time 3/4\n  \\partial 4');
+    expect(music(ly)).toBe("bes'4 | gis'4 g'2 ~ | \\time 2/4 g'4 fis'4 \\bar \"|.\"");
+  });
+
+  it('writes tuplets and octaves below middle C', () => {
+    const tuplet = (position) => ({ tuplet: { p: 3, q: 2, r: 3, group: 0, position } });
+    const ly = writeLilyPond([{ name: 'Bass', notes: [
+      note(48, 0, 1 / 3, 'C,', tuplet(0)), note(50, 1 / 3, 1 / 3, 'D,', tuplet(1)), note(51, 2 / 3, 1 / 3, '_E,', tuplet(2)), note(36, 1, 3),
+    ] }], { meter: [4, 4], key: 'C', mode: 'major' });
+
+    expect(ly).toContain('\\clef bass');
+    expect(music(ly)).toBe('\\tuplet 3/2 { c8 d8 ees8 } c,2. \\bar "|."');
+  });
+
+  it('marks interval names under the voice that moves', () => {
+    const voices = lilyPondVoices({ subject: [note(60, 0, 2), note(62, 2, 2)] }, 'stretto', { distance: 1, transposition: 7 });
+    const intervals = writeLilyPond(voices, { meter: [4, 4], markup: 'intervals' });
+
+    expect(music(intervals, 0)).toBe('c\'2 d\'2_\\markup { \\tiny "P4" } | r1 \\bar "|."');
+    expect(music(intervals, 1)).toBe('r4 g\'2_\\markup { \\tiny "P5" } a\'4_\\markup { \\tiny "P5" } ~ | a\'4 r2. \\bar "|."');
+  });
+});
+
+describe('lilyPondVoices', () => {
+  it('lays out an exposition with the answer entering as the subject ends', () => {
+    const voices = lilyPondVoices({
+      subject: [note(60, 0, 2), note(67, 2, 2)],
+      answerNotes: [note(67, 0, 4)],
+      countersubject: [note(64, 0, 4)],
+    }, 'exposition');
+
+    expect(voices.map((v) => [v.name, v.against, v.notes.map((n) => [n.pitch, n.onset])])).toEqual([
+      ['Subject', undefined, [[60, 0], [67, 2], [64, 4]]],
+      ['Answer', 0, [[67, 4]]],
+    ]);
+  });
+});
@@ -0,0 +1,103 @@
+/**
+ * Standard MIDI File (type 1) export: a conductor track with tempo, meter and key,
+ * then one track per voice so each part can be edited on its own in a sequencer.
+ */
+
+import { getKeySignatureMap } from './keySignature';
+
+const TICKS_PER_QUARTER = 480;
+const VELOCITY = 80;
+
+const varLen = (value) => {
+  const bytes = [value & 0x7f];
+  for (let v = value >> 7; v > 0; v >>= 7) bytes.unshift((v & 0x7f) | 0x80);
+  return bytes;
+};
+const uint32 = (n) => [(n >>> 24) & 0xff, (n >>> 16) & 0xff, (n >>> 8) & 0xff, n & 0xff];
+const ascii = (text) => [...new TextEncoder().encode(text)];
+
+/**
+ * Build an MTrk chunk from [tick, ...eventBytes] events (sorted here; order is kept within a tick)
+ */
+function trackChunk(events) {
+  const sorted = events.map((e, i) => ({ e, i })).sort((a, b) => a.e[0] - b.e[0] || a.i - b.i).map(({ e }) => e);
+  let last = 0;
+  const body = [];
+  for (const [tick, ...event] of sorted) {
+    body.push(...varLen(tick - last), ...event);
+    last = tick;
+  }
+  body.push(0, 0xff, 0x2f, 0);
+  return [...ascii('MTrk'), ...uint32(body.length), ...body];
+}
+
+const metaEvent = (tick, type, data) => [tick, 0xff, type, ...varLen(data.length), ...data];
+
+const timeSignatureEvent = (tick, meter) => metaEvent(tick, 0x58, [meter[0], Math.round(Math.log2(meter[1])), 24, 8]);
+
+/**
+ * Key-signature meta event data: sharps (+) or flats (-), and 1 for minor
+ */
+function keySignatureData(key, mode) {
+  const alterations = Object.values(getKeySignatureMap(key, mode)).reduce((sum, a) => sum + a, 0);
+  const sharps = Math.max(-7, Math.min(7, alterations));
+  const minor = ['natural_minor', 'harmonic_minor'].includes(mode) ? 1 : 0;
+  return [sharps & 0xff, minor];
+}
+
+/**
+ * Write voices as a type 1 Standard MIDI File.
+ * A pickup is placed at the end of a full first bar so the sequencer's bar lines match the score.
+ * @param {Array<{ name: string, notes: Array<{ pitch: number, onset: number, duration: number }>, program?: number }>} voices
+ *   One track each, on its own channel (channel 10 is skipped); onsets and durations in quarter notes
+ * @param {Object} options
+ * @param {number[]} options.meter - Time signature, optionally with `changes` and `pickup` (see formatter.js)
+ * @param {string} [options.key='C'] - Key for the key-signature event
+ * @param {string} [options.mode='major'] - Mode for the key-signature event
+ * @param {number} [options.tempo=80] - Quarter notes per minute
+ * @param {string} [options.title] - Sequence name on the conductor track
+ * @returns {Uint8Array}
+ */
+export function writeMIDIFile(voices, { meter, key = 'C', mode = 'major', tempo = 80, title } = {}) {
+  const lead = meter.pickup ? (meter[0] * 4) / meter[1] - meter.pickup : 0;
+  const toTicks = (quarters) => Math.max(0, Math.round((quarters + lead) * TICKS_PER_QUARTER));
+
+  const conductor = [];
+  if (title) conductor.push(metaEvent(0, 0x03, ascii(title)));
+  const microsecondsPerQuarter = Math.round(60000000 / tempo);
+  conductor.push(metaEvent(0, 0x51, [(microsecondsPerQuarter >> 16) & 0xff, (microsecondsPerQuarter >> 8) & 0xff, microsecondsPerQuarter & 0xff]));
+  conductor.push(timeSignatureEvent(0, meter));
+  for (const change of meter.changes || []) conductor.push(timeSignatureEvent(toTicks(change.onset), change.meter));
+  conductor.push(metaEvent(0, 0x59, keySignatureData(key, mode)));
+
+  const chunks = [trackChunk(conductor)];
+  voices.forEach((voice, i) => {
+    const channel = i >= 9 ? (i + 1) % 16 : i;
+    const events = [metaEvent(0, 0x03, ascii(voice.name)), [0, 0xc0 | channel, voice.program || 0]];
+    const noteEvents = [];
+    for (const n of voice.notes) {
+      const pitch = Math.max(0, Math.min(127, Math.round(n.pitch)));
+      const start = toTicks(n.onset);
+      const end = Math.max(start + 1, toTicks(n.onset + n.duration));
+      noteEvents.push({ tick: start, on: true, bytes: [0x90 | channel, pitch, VELOCITY] });
+      noteEvents.push({ tick: end, on: false, bytes: [0x80 | channel, pitch, 0] });
+    }
+    // Releases before attacks at the same tick, so repeated notes don't swallow each other
+    noteEvents.sort((a, b) => a.tick - b.tick || a.on - b.on);
+    events.push(...noteEvents.map((e) => [e.tick, ...e.bytes]));
+    chunks.push(trackChunk(events));
+  });
+
+  const header = [...ascii('MThd'), ...uint32(6), 0, 1, (chunks.length >> 8) & 0xff, chunks.length & 0xff, TICKS_PER_QUARTER >> 8, TICKS_PER_QUARTER & 0xff];
+  return new Uint8Array([...header, ...chunks.flat()]);
+}
+
+/**
+ * Dux and comes of a stretto: the subject against itself `distance` quarters later, `transposition` semitones away
+ */
+export function strettoVoices(subject, distance, transposition) {
+  return [
+    { name: 'Dux', notes: subject },
+    { name: 'Comes', notes: subject.map((n) => ({ ...n, pitch: n.pitch + transposition, onset: n.onset + distance })) },
+  ];
+}
@@ -0,0 +1,30 @@
+import { describe, expect, it } from 'vitest';
+import { strettoVoices, writeMIDIFile } from './midiExport';
+import { parseMIDIFile } from './midiImport';
+import { withMeterChanges, withPickup } from './formatter';
+
+const TPQ = 480;
+const note = (pitch, onset, duration) => ({ pitch, onset, duration });
+const subject = [note(67, 0, 1), note(69, 1, 1), note(70, 2, 2)];
+
+describe('writeMIDIFile', () => {
+  it('writes tempo, meter and key on a conductor track and each voice on its own track', () => {
+    const file = parseMIDIFile(writeMIDIFile(strettoVoices(subject, 2, 7), { meter: [4, 4], key: 'G', mode: 'natural_minor', tempo: 120 }));
+
+    expect(file.tempo).toBe(120);
+    expect(file.timeSignatures).toEqual([{ tick: 0, meter: [4, 4] }]);
+    expect(file.keySignatures).toEqual([{ tick: 0, sharps: -2, minor: true }]);
+    expect(file.tracks.slice(1).map((t) => [t.name, t.channels])).toEqual([['Dux', [0]], ['Comes', [1]]]);
+    expect(file.tracks[2].notes.map((n) => [n.pitch, n.startTick, n.endTick])).toEqual([
+      [74, 2 * TPQ, 3 * TPQ], [76, 3 * TPQ, 4 * TPQ], [77, 4 * TPQ, 6 * TPQ],
+    ]);
+  });
+
+  it('keeps repeated notes apart and places a pickup at the end of a full bar', () => {
+    const meter = withPickup(withMeterChanges([3, 4], [{ onset: 4, meter: [2, 4] }]), 1);
+    const file = parseMIDIFile(writeMIDIFile([{ name: 'Subject', notes: [note(60, 0, 1), note(60, 1, 1)] }], { meter }));
+
+    expect(file.timeSignatures).toEqual([{ tick: 0, meter: [3, 4] }, { tick: 6 * TPQ, meter: [2, 4] }]);
+    expect(file.tracks[1].notes.map((n) => [n.pitch, n.startTick, n.endTick])).toEqual([[60, 2 * TPQ, 3 * TPQ], [60, 3 * TPQ, 4 * TPQ]]);
+  });
+});
@@ -0,0 +1,362 @@
+/**
+ * Standard MIDI File (type 0/1) import: note events quantized to a grid, meter and key from
+ * meta events, and each track written back as ABC so the input textareas show what was imported.
+ */
+
+import { NoteEvent } from '../types';
+import { abcDurationSuffixFromQuarters, computeScaleDegree, formatSubjectABC, spelledToABC } from './abcParser';
+import { VOICE_SLOTS, slotFromName, stripLeadingRests } from './abcVoices';
+import { KEY_SIGNATURES } from './constants/musicTheory';
+import { withPickup } from './formatter';
+import { keyToPitchClass, parseKeySignatureArrayToMap } from './keySignature';
+
+// Key names for a key-signature meta event's sharps (+) or flats (-)
+const MAJOR_KEYS = { '-7': 'Cb', '-6': 'Gb', '-5': 'Db', '-4': 'Ab', '-3': 'Eb', '-2': 'Bb', '-1': 'F', 0: 'C', 1: 'G', 2: 'D', 3: 'A', 4: 'E', 5: 'B', 6: 'F#', 7: 'C#' };
+const MINOR_KEYS = { '-7': 'Ab', '-6': 'Eb', '-5': 'Bb', '-4': 'F', '-3': 'C', '-2': 'G', '-1': 'D', 0: 'A', 1: 'E', 2: 'B', 3: 'F#', 4: 'C#', 5: 'G#', 6: 'D#', 7: 'A#' };
+
+// Data bytes that follow each channel-message status (high nibble)
+const CHANNEL_MESSAGE_LENGTHS = { 0x8: 2, 0x9: 2, 0xa: 2, 0xb: 2, 0xc: 1, 0xd: 1, 0xe: 2 };
+
+/**
+ * Read a Standard MIDI File into raw per-track notes and the meta events the analyzer uses.
+ * Type 0 files are split by channel so each channel can be mapped to a slot like a track.
+ * @param {ArrayBuffer|Uint8Array} data - File contents
+ * @returns {{ format: number, ticksPerQuarter: number,
+ *   tracks: Array<{ index: number, name: string|null, channels: number[], notes: Array<{ pitch, velocity, channel, startTick, endTick }> }>,
+ *   timeSignatures: Array<{ tick: number, meter: number[] }>, keySignatures: Array<{ tick: number, sharps: number, minor: boolean }>,
+ *   tempo: number|null }}  `tempo` is the first tempo in quarter notes per minute
+ */
+export function parseMIDIFile(data) {
+  const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+  let pos = 0;
+
+  const need = (count) => {
+    if (pos + count > bytes.length) throw new Error('MIDI import: file ends unexpectedly');
+  };
+  const readUint = (count) => {
+    need(count);
+    let value = 0;
+    for (let i = 0; i < count; i++) value = value * 256 + bytes[pos++];
+    return value;
+  };
+  const readChunkId = () => {
+    need(4);
+    const id = String.fromCharCode(...bytes.subarray(pos, pos + 4));
+    pos += 4;
+    return id;
+  };
+  const readVarLen = () => {
+    let value = 0;
+    for (let i = 0; i < 4; i++) {
+      need(1);
+      const b = bytes[pos++];
+      value = value * 128 + (b & 0x7f);
+      if (!(b & 0x80)) return value;
+    }
+    throw new Error('MIDI import: malformed variable-length value');
+  };
+
+  if (readChunkId() !== 'MThd') throw new Error('MIDI import: not a Standard MIDI File (no MThd header)');
+  const headerLength = readUint(4);
+  const format = readUint(2);
+  const trackCount = readUint(2);
+  const division = readUint(2);
+  pos += headerLength - 6;
+  if (format > 1) throw new Error(`MIDI import: type ${format} files are not supported (only type 0 and 1)`);
+  if (division & 0x8000) throw new Error('MIDI import: SMPTE time division is not supported');
+
+  const tracks = [];
+  const timeSignatures = [];
+  const keySignatures = [];
+  let tempo = null;
+
+  for (let t = 0; t < trackCount && pos < bytes.length; t++) {
+    const id = readChunkId();
+    const length = readUint(4);
+    const end = pos + length;
+    if (id !== 'MTrk') {
+      pos = end;
+      continue;
+    }
+
+    const track = { index: tracks.length, name: null, channels: [], notes: [] };
+    // Sounding notes by "channel:pitch", oldest first so repeated note-ons pair up in order
+    const open = new Map();
+    let tick = 0;
+    let runningStatus = null;
+
+    while (pos < end) {
+      tick += readVarLen();
+      need(1);
+      let status = bytes[pos];
+      if (status & 0x80) {
+        pos++;
+      } else if (runningStatus !== null) {
+        status = runningStatus;
+      } else {
+        throw new Error('MIDI import: data byte without a status byte');
+      }
+
+      if (status === 0xff) {
+        const type = readUint(1);
+        const len = readVarLen();
+        need(len);
+        const payload = bytes.subarray(pos, pos + len);
+        pos += len;
+        if (type === 0x03 && track.name === null) track.name = new TextDecoder().decode(payload).trim() || null;
+        else if (type === 0x58 && len >= 2) timeSignatures.push({ tick, meter: [payload[0], 2 ** payload[1]] });
+        else if (type === 0x59 && len >= 2) keySignatures.push({ tick, sharps: (payload[0] << 24) >> 24, minor: payload[1] === 1 });
+        else if (type === 0x51 && len >= 3 && tempo === null) tempo = 60000000 / ((payload[0] << 16) | (payload[1] << 8) | payload[2]);
+        else if (type === 0x2f) break;
+        continue;
+      }
+      if (status === 0xf0 || status === 0xf7) {
+        pos += readVarLen();
+        continue;
+      }
+
+      runningStatus = status;
+      const kind = status >> 4;
+      const channel = status & 0x0f;
+      const dataLength = CHANNEL_MESSAGE_LENGTHS[kind];
+      if (!dataLength) throw new Error(`MIDI import: unknown status byte 0x${status.toString(16)}`);
+      const pitch = readUint(1);
+      const velocity = dataLength === 2 ? readUint(1) : 0;
+
+      const key = `${channel}:${pitch}`;
+      if (kind === 0x9 && velocity > 0) {
+        if (!open.has(key)) open.set(key, []);
+        open.get(key).push({ pitch, velocity, channel, startTick: tick, endTick: null });
+      } else if (kind === 0x8 || kind === 0x9) {
+        const note = open.get(key)?.shift();
+        if (note) {
+          note.endTick = tick;
+          track.notes.push(note);
+        }
+      }
+    }
+
+    // Notes still sounding at the end of the track end there
+    for (const pending of open.values()) {
+      for (const note of pending) track.notes.push({ ...note, endTick: tick });
+    }
+    pos = end;
+
+    track.notes.sort((a, b) => a.startTick - b.startTick || b.pitch - a.pitch);
+    track.channels = [...new Set(track.notes.map((n) => n.channel))].sort((a, b) => a - b);
+    tracks.push(track);
+  }
+
+  // A type 0 file keeps every part in one track; split it by channel
+  const splitTracks = format === 0
+    ? tracks.flatMap((track) => track.channels.map((channel) => ({
+      name: track.channels.length > 1 ? `Channel ${channel + 1}` : track.name,
+      channels: [channel],
+      notes: track.notes.filter((n) => n.channel === channel),
+    })))
+    : tracks;
+
+  return {
+    format,
+    ticksPerQuarter: division,
+    tracks: splitTracks.map((track, index) => ({ ...track, index })),
+    timeSignatures: timeSignatures.sort((a, b) => a.tick - b.tick),
+    keySignatures: keySignatures.sort((a, b) => a.tick - b.tick),
+    tempo,
+  };
+}
+
+/**
+ * Key of a key-signature meta event, or C major without one
+ * @returns {{ key: string, mode: string, keySignature: string[] }}
+ */
+export function midiKeyToKey(keySignatureEvent) {
+  if (!keySignatureEvent) return { key: 'C', mode: 'major', keySignature: [] };
+  const sharps = Math.max(-7, Math.min(7, keySignatureEvent.sharps));
+  const key = (keySignatureEvent.minor ? MINOR_KEYS : MAJOR_KEYS)[sharps];
+  return {
+    key,
+    mode: keySignatureEvent.minor ? 'natural_minor' : 'major',
+    keySignature: KEY_SIGNATURES[key + (keySignatureEvent.minor ? 'm' : '')] || [],
+  };
+}
+
+// Letter of each pitch class spelled with a sharp (or natural) and with a flat (or natural)
+const SHARP_LETTERS = ['C', 'C', 'D', 'D', 'E', 'F', 'F', 'G', 'G', 'A', 'A', 'B'];
+const FLAT_LETTERS = ['C', 'D', 'D', 'E', 'E', 'F', 'G', 'G', 'A', 'A', 'B', 'B'];
+
+/**
+ * ABC pitch token for an imported note. MIDI carries no spelling, so a black key takes the key
+ * signature's spelling; outside it, it is a flat in flat keys and on the minor 3rd, 6th and 7th
+ * above the tonic, and a sharp otherwise. The leading tone is always raised.
+ * @param {number} pitch - MIDI pitch
+ * @param {Object<string, number>} keySignatureMap - Letter -> alteration in semitones
+ * @param {number} tonic - Tonic pitch class
+ */
+function spellImportedPitch(pitch, keySignatureMap, tonic) {
+  const pc = pitch % 12;
+  const octave = Math.floor(pitch / 12) - 1;
+  const sharp = SHARP_LETTERS[pc];
+  const flat = FLAT_LETTERS[pc];
+  if (sharp === flat) return spelledToABC(sharp, 0, octave, keySignatureMap);
+
+  const degree = (((pc - tonic) % 12) + 12) % 12;
+  const flatKey = Object.values(keySignatureMap).some((a) => a < 0);
+  const useFlat = keySignatureMap[flat] === -1
+    || (keySignatureMap[sharp] !== 1 && degree !== 11 && (flatKey || [3, 8, 10].includes(degree)));
+  return useFlat ? spelledToABC(flat, -1, octave, keySignatureMap) : spelledToABC(sharp, 1, octave, keySignatureMap);
+}
+
+/**
+ * Quantize one track's notes to a grid and reduce them to a single line of NoteEvents.
+ * Times snap to the grid or to its triplet subdivision (two thirds of a grid step), whichever is nearer.
+ * Notes starting together keep the highest; a note still sounding when the next starts is cut short.
+ * Three equal, adjacent triplet-length notes from a grid point become a (3 group.
+ * @param {Array} rawNotes - Notes from parseMIDIFile
+ * @param {number} ticksPerQuarter - File resolution
+ * @param {Object} options
+ * @param {number} [options.grid=0.25] - Grid in quarter notes (0.25 = sixteenths)
+ * @param {number} options.tonic - Tonic pitch class for scale degrees
+ * @param {string} options.mode - Mode for scale degrees
+ * @param {string[]} [options.keySignature=[]] - Key signature used to spell the ABC tokens
+ * @param {number} [options.defaultNoteLength=1/8] - ABC unit note length for the tokens' duration suffixes
+ * @returns {{ notes: NoteEvent[], droppedNotes: number }}
+ */
+export function quantizeMIDINotes(rawNotes, ticksPerQuarter, { grid = 0.25, tonic, mode, keySignature = [], defaultNoteLength = 1 / 8 }) {
+  const tripletGrid = (grid * 2) / 3;
+  const onGrid = (t, step = grid) => Math.abs(t / step - Math.round(t / step)) < 1e-6;
+  const snap = (tick) => {
+    const quarters = tick / ticksPerQuarter;
+    const straight = Math.round(quarters / grid) * grid;
+    const triplet = Math.round(quarters / tripletGrid) * tripletGrid;
+    return Math.abs(triplet - quarters) < Math.abs(straight - quarters) - 1e-9 ? triplet : straight;
+  };
+  const preferFlats = keySignature.some((k) => k.includes('b'));
+  const keySignatureMap = parseKeySignatureArrayToMap(keySignature);
+
+  const snapped = rawNotes
+    .map((raw) => ({ pitch: raw.pitch, onset: snap(raw.startTick), end: snap(raw.endTick) }))
+    .sort((a, b) => a.onset - b.onset || b.pitch - a.pitch);
+
+  const line = [];
+  let droppedNotes = 0;
+  for (const { pitch, onset, end: snappedEnd } of snapped) {
+    // At least one step of the grid the note snapped to
+    const end = Math.max(snappedEnd, onset + (onGrid(onset) && onGrid(snappedEnd) ? grid : tripletGrid));
+    const previous = line[line.length - 1];
+    if (previous && Math.abs(previous.onset - onset) < 1e-9) {
+      droppedNotes++;
+      continue;
+    }
+    if (previous && previous.end > onset) previous.end = onset;
+    line.push({ pitch, onset, end });
+  }
+
+  let tripletGroups = 0;
+  for (let i = 0; i + 2 < line.length; i++) {
+    const group = line.slice(i, i + 3);
+    const length = group[0].end - group[0].onset;
+    const isTriplet = !onGrid(length) && onGrid(length * 1.5) && onGrid(group[0].onset)
+      && group.every((n, j) => Math.abs(n.end - n.onset - length) < 1e-6 && (j === 0 || Math.abs(group[j - 1].end - n.onset) < 1e-6));
+    if (!isTriplet) continue;
+    const groupIndex = tripletGroups++;
+    group.forEach((n, position) => {
+      n.tuplet = { p: 3, q: 2, r: 3, group: groupIndex, position, restBefore: 0, restAfter: 0 };
+    });
+    i += 2;
+  }
+
+  const notes = line.map(({ pitch, onset, end, tuplet }) => {
+    const note = new NoteEvent(
+      pitch,
+      end - onset,
+      onset,
+      computeScaleDegree(pitch, tonic, mode),
+      // A triplet note is written at its untupled length
+      spellImportedPitch(pitch, keySignatureMap, tonic) + abcDurationSuffixFromQuarters((end - onset) * (tuplet ? 1.5 : 1), defaultNoteLength),
+      preferFlats
+    );
+    if (tuplet) note.tuplet = tuplet;
+    return note;
+  });
+  return { notes, droppedNotes };
+}
+
+/**
+ * Import a MIDI file into analyzer slots.
+ * Explicit assignments win, then track names ("Subject", "Answer", "CS2", ...), then any remaining
+ * tracks fill the remaining slots in VOICE_SLOTS order. Onsets keep the file's timeline; a slot's ABC
+ * starts at its first note (see stripLeadingRests) and `entryOffset` keeps where it entered. When the
+ * first note falls part-way into the first bar, that bar is read as a pickup and onsets count from the first note.
+ * @param {ArrayBuffer|Uint8Array} data - File contents
+ * @param {Object} [options]
+ * @param {number} [options.grid=0.25] - Quantization grid in quarter notes
+ * @param {number[]} [options.defaultNoteLength=[1, 8]] - ABC L: for the generated text
+ * @param {Object<string, number|null>} [options.assignments] - Slot -> track index; null leaves a slot empty
+ * @returns {{ meter: number[], pickup: number, key: string, mode: string, tempo: number|null,
+ *   tracks: Array<{ index, name, channels, noteCount, droppedNotes, notes: NoteEvent[], abc: string }>,
+ *   slots: Object<string, { trackIndex: number, name: string|null, notes: NoteEvent[], abc: string, entryOffset: number, source: string }>,
+ *   unassigned: Array<{ trackIndex: number, name: string|null }> }}
+ *   `source` is 'assigned', 'name' or 'order'
+ */
+export function importMIDIFile(data, { grid = 0.25, defaultNoteLength = [1, 8], assignments = null } = {}) {
+  const file = parseMIDIFile(data);
+  const fileMeter = file.timeSignatures[0]?.meter || [4, 4];
+  const { key, mode, keySignature } = midiKeyToKey(file.keySignatures[0]);
+  const tonic = keyToPitchClass(key);
+  const unitLength = defaultNoteLength[0] / defaultNoteLength[1];
+
+  const quantized = file.tracks
+    .filter((track) => track.notes.length)
+    .map((track) => ({
+      track,
+      ...quantizeMIDINotes(track.notes, file.ticksPerQuarter, { grid, tonic, mode, keySignature, defaultNoteLength: unitLength }),
+    }));
+
+  // A first note part-way into the first bar is a pickup (writeMIDIFile puts it at the end of a
+  // full bar): the silence before it is dropped and the rest of that bar becomes the pickup
+  const barLength = (fileMeter[0] * 4) / fileMeter[1];
+  const firstOnset = quantized.length ? Math.min(...quantized.map((q) => q.notes[0].onset)) : 0;
+  const pickup = firstOnset > 1e-6 && firstOnset < barLength - 1e-6 ? barLength - firstOnset : 0;
+  if (pickup) quantized.forEach((q) => q.notes.forEach((n) => { n.onset -= firstOnset; }));
+  const meter = withPickup(fileMeter, pickup);
+
+  const tracks = quantized.map(({ track, notes, droppedNotes }) => {
+    const abc = `M:${meter[0]}/${meter[1]}\n${formatSubjectABC(notes, { key, mode }, unitLength, meter, defaultNoteLength)}`;
+    return { index: track.index, name: track.name, channels: track.channels, noteCount: track.notes.length, droppedNotes, notes, abc };
+  });
+
+  const slots = {};
+  const assign = (track, slot, source) => {
+    slots[slot] = { trackIndex: track.index, name: track.name, notes: track.notes, abc: stripLeadingRests(track.abc), entryOffset: track.notes[0].onset, source };
+  };
+
+  if (assignments) {
+    // An explicit mapping is complete: tracks it leaves out aren't imported
+    for (const [slot, trackIndex] of Object.entries(assignments)) {
+      const track = tracks.find((t) => t.index === trackIndex);
+      if (track && VOICE_SLOTS.includes(slot)) assign(track, slot, 'assigned');
+    }
+    const used = new Set(Object.values(slots).map((s) => s.trackIndex));
+    return {
+      meter, pickup, key, mode, tempo: file.tempo, tracks, slots,
+      unassigned: tracks.filter((t) => !used.has(t.index)).map((t) => ({ trackIndex: t.index, name: t.name })),
+    };
+  }
+
+  const unnamed = [];
+  for (const track of tracks) {
+    const named = slotFromName(track.name);
+    if (named && !slots[named]) assign(track, named, 'name');
+    else unnamed.push(track);
+  }
+
+  const unassigned = [];
+  for (const track of unnamed) {
+    const free = VOICE_SLOTS.find((slot) => !slots[slot]);
+    if (free) assign(track, free, 'order');
+    else unassigned.push({ trackIndex: track.index, name: track.name });
+  }
+
+  return { meter, pickup, key, mode, tempo: file.tempo, tracks, slots, unassigned };
+}
@@ -0,0 +1,135 @@
+import { describe, expect, it } from 'vitest';
+import { importMIDIFile, parseMIDIFile, quantizeMIDINotes } from './midiImport';
+import { parseABC } from './abcParser';
+import { withPickup } from './formatter';
+import { writeMIDIFile } from './midiExport';
+
+const TPQ = 480;
+
+const varLen = (value) => {
+  const bytes = [value & 0x7f];
+  for (let v = value >> 7; v > 0; v >>= 7) bytes.unshift((v & 0x7f) | 0x80);
+  return bytes;
+};
+const u32 = (n) => [(n >>> 24) & 0xff, (n >>> 16) & 0xff, (n >>> 8) & 0xff, n & 0xff];
+const text = (s) => [...s].map((c) => c.charCodeAt(0));
+
+// Events are [deltaTicks, ...eventBytes]
+const smf = (format, tracks) => {
+  const bytes = [...text('MThd'), ...u32(6), 0, format, 0, tracks.length, TPQ >> 8, TPQ & 0xff];
+  for (const events of tracks) {
+    const body = events.flatMap(([delta, ...event]) => [...varLen(delta), ...event]).concat([0, 0xff, 0x2f, 0]);
+    bytes.push(...text('MTrk'), ...u32(body.length), ...body);
+  }
+  return new Uint8Array(bytes);
+};
+const trackName = (name) => [0, 0xff, 0x03, name.length, ...text(name)];
+// A monophonic line of [pitch, quarters] (pitch null = rest) on a channel
+const line = (notes, channel = 0) => {
+  const events = [];
+  let wait = 0;
+  for (const [pitch, quarters] of notes) {
+    if (pitch === null) {
+      wait += quarters * TPQ;
+      continue;
+    }
+    events.push([wait, 0x90 | channel, pitch, 80], [quarters * TPQ, 0x80 | channel, pitch, 0]);
+    wait = 0;
+  }
+  return events;
+};
+
+describe('parseMIDIFile', () => {
+  it('reads notes with running status and zero-velocity note-offs, and the meta events', () => {
+    const file = parseMIDIFile(smf(1, [
+      [[0, 0xff, 0x58, 4, 3, 2, 24, 8], [0, 0xff, 0x59, 2, 0xfe, 1], [0, 0xff, 0x51, 3, 0x07, 0xa1, 0x20]],
+      [trackName('Subject'), [0, 0x90, 67, 90], [TPQ, 67, 0], [0, 69, 90], [TPQ, 69, 0]],
+    ]));
+
+    expect(file.timeSignatures).toEqual([{ tick: 0, meter: [3, 4] }]);
+    expect(file.keySignatures).toEqual([{ tick: 0, sharps: -2, minor: true }]);
+    expect(file.tempo).toBe(120);
+    expect(file.tracks[1].name).toBe('Subject');
+    expect(file.tracks[1].notes.map((n) => [n.pitch, n.startTick, n.endTick])).toEqual([[67, 0, TPQ], [69, TPQ, 2 * TPQ]]);
+  });
+
+  it('splits a type 0 file by channel and rejects files that are not MIDI', () => {
+    const events = [...line([[60, 1], [62, 1]], 0), ...line([[48, 2]], 1)].map((e, i) => (i === 4 ? [0, ...e.slice(1)] : e));
+    const file = parseMIDIFile(smf(0, [events]));
+
+    expect(file.tracks.map((t) => [t.name, t.channels])).toEqual([['Channel 1', [0]], ['Channel 2', [1]]]);
+    expect(() => parseMIDIFile(new Uint8Array(text('RIFF....')))).toThrow('not a Standard MIDI File');
+  });
+});
+
+describe('quantizeMIDINotes', () => {
+  it('snaps to the grid and keeps the top note of a chord', () => {
+    const raw = [
+      { pitch: 60, startTick: 10, endTick: 470 },
+      { pitch: 64, startTick: 0, endTick: 480 },
+      { pitch: 67, startTick: 500, endTick: 700 },
+    ];
+    const { notes, droppedNotes } = quantizeMIDINotes(raw, TPQ, { grid: 0.5, tonic: 0, mode: 'major' });
+
+    expect(notes.map((n) => [n.pitch, n.onset, n.duration, n.abcNote])).toEqual([[64, 0, 1, 'E2'], [67, 1, 0.5, 'G']]);
+    expect(notes[1].scaleDegree.degree).toBe(5);
+    expect(droppedNotes).toBe(1);
+  });
+
+  it('spells black keys from the key signature, flat keys and the tonic', () => {
+    const spell = (pitches, tonic, keySignature) => quantizeMIDINotes(
+      pitches.map((pitch, i) => ({ pitch, startTick: i * TPQ, endTick: (i + 1) * TPQ })),
+      TPQ,
+      { tonic, mode: 'major', keySignature, defaultNoteLength: 1 / 4 },
+    ).notes.map((n) => n.abcNote);
+
+    // G minor: the signature's B flat, A flat and D flat outside it, the raised leading tone
+    expect(spell([70, 68, 61, 66, 71], 7, ['Bb', 'Eb'])).toEqual(['B', '_A', '_D', '^F', '=B']);
+    // C major: flats on the minor 3rd, 6th and 7th, sharps elsewhere
+    expect(spell([63, 68, 70, 66, 73, 84], 0, [])).toEqual(['_E', '_A', '_B', '^F', '^c', "c'"]);
+    // D major: C sharp from the signature
+    expect(spell([73, 72], 2, ['F#', 'C#'])).toEqual(['c', '=c']);
+  });
+});
+
+describe('importMIDIFile', () => {
+  const conductor = [[0, 0xff, 0x58, 4, 3, 2, 24, 8], [0, 0xff, 0x59, 2, 0xfe, 1]];
+  const file = smf(1, [
+    conductor,
+    [trackName('Answer'), ...line([[null, 3], [74, 1], [76, 1], [77, 1]], 1)],
+    [trackName('Subject'), ...line([[67, 1], [69, 1], [70, 3]])],
+  ]);
+
+  it('infers key and meter and maps tracks to slots by name', () => {
+    const { key, mode, meter, slots, unassigned } = importMIDIFile(file);
+
+    expect([key, mode, meter]).toEqual(['G', 'natural_minor', [3, 4]]);
+    expect(slots.subject).toMatchObject({ trackIndex: 2, source: 'name', entryOffset: 0 });
+    expect(slots.answer).toMatchObject({ trackIndex: 1, source: 'name', entryOffset: 3 });
+    expect(unassigned).toEqual([]);
+
+    expect(slots.subject.abc).toBe('M:3/4\nK:Gm\nL:1/8\nG2 A2 B2- |B4 |]');
+    expect(slots.answer.abc).toBe('M:3/4\nK:Gm\nL:1/8\nd2 =e2 f2 |]');
+  });
+
+  it('round-trips through the ABC it writes', () => {
+    const { slots } = importMIDIFile(file, { assignments: { subject: 1, countersubject: 2 } });
+    expect(slots.subject.source).toBe('assigned');
+
+    const reparsed = parseABC(slots.countersubject.abc, 67, 'natural_minor').notes;
+    expect(reparsed.map((n) => [n.pitch, n.onset, n.duration])).toEqual(slots.countersubject.notes.map((n) => [n.pitch, n.onset, n.duration]));
+  });
+
+  it('reads back a pickup and triplets written by writeMIDIFile', () => {
+    const subject = parseABC('L:1/8\nM:3/4\nK:C\nc2 |f3 e/2 d/2 c2 |(3BAG F4 |E6 |]', 0, 'major').notes;
+    const exported = writeMIDIFile([{ name: 'Subject', notes: subject }], { meter: withPickup([3, 4], 1), key: 'C', mode: 'major' });
+    const { meter, pickup, slots } = importMIDIFile(exported);
+
+    expect(pickup).toBe(1);
+    expect(meter.pickup).toBe(1);
+    expect(slots.subject.entryOffset).toBe(0);
+    expect(slots.subject.abc).toBe('M:3/4\nK:C\nL:1/8\nc2 |f3 e/2 d/2 c2 |(3 B A G F4 |E6 |]');
+    const times = (notes) => notes.map((n) => [n.pitch, n.onset, n.duration].map((x) => Math.round(x * 1000) / 1000));
+    expect(times(slots.subject.notes)).toEqual(times(subject));
+  });
+});
@@ -0,0 +1,217 @@
+/**
+ * MusicXML (partwise) export: voices as parts on a shared bar grid, with analysis findings
+ * written as lyrics, directions and <harmony> chord symbols so notation software shows them.
+ */
+
+import { analyzeAllDissonances } from './dissonanceScoring';
+import { checkParallelPerfects, findSimultaneities } from './analysis';
+import { getKeySignatureMap } from './keySignature';
+import { measureBounds, spellNote, splitAtBarLines, writtenValues } from './scoreLayout';
+
+const DIVISIONS = 480;
+
+// MusicXML <type> for each written value
+const NOTE_TYPES = { 1: 'whole', 2: 'half', 4: 'quarter', 8: 'eighth', 16: '16th', 32: '32nd', 64: '64th' };
+
+// MusicXML <kind> values for CHORD_TYPES
+const HARMONY_KINDS = {
+  major: 'major', minor: 'minor', diminished: 'diminished', augmented: 'augmented',
+  dominant_7: 'dominant', major_7: 'major-seventh', minor_7: 'minor-seventh', half_diminished_7: 'half-diminished',
+  diminished_7: 'diminished-seventh', minor_major_7: 'major-minor', major_6: 'major-sixth', minor_6: 'minor-sixth',
+};
+
+const XML_MODES = { major: 'major', natural_minor: 'minor', harmonic_minor: 'minor' };
+
+const escapeXML = (text) => String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+const ticks = (quarters) => Math.round(quarters * DIVISIONS);
+
+function directionXML(annotation, offset) {
+  return `<direction placement="${annotation.placement || 'above'}"><direction-type><words>${escapeXML(annotation.text)}</words></direction-type>`
+    + `${offset ? `<offset>${offset}</offset>` : ''}</direction>`;
+}
+
+function harmonyXML(chord, offset) {
+  const m = chord.name.match(/^([A-G])([#b]?)/);
+  const alter = m[2] === '#' ? 1 : m[2] === 'b' ? -1 : 0;
+  return `<harmony><root><root-step>${m[1]}</root-step>${alter ? `<root-alter>${alter}</root-alter>` : ''}</root>`
+    + `<kind text="${escapeXML(chord.name.slice(m[0].length))}">${HARMONY_KINDS[chord.type] || 'none'}</kind>`
+    + `${offset ? `<offset>${offset}</offset>` : ''}</harmony>`;
+}
+
+/**
+ * The <note> elements of one segment: split into written values, tied across pieces,
+ * with tuplet ratio and brackets, and the segment's lyrics on its first element
+ */
+function segmentXML(segment, lyrics, previous, next, keySignatureMap) {
+  const { note } = segment;
+  if (note?.tuplet) {
+    const { p, q, group } = note.tuplet;
+    const [value] = writtenValues(((segment.end - segment.start) * p) / q);
+    const startsGroup = previous?.tuplet?.group !== group;
+    const endsGroup = next?.tuplet?.group !== group;
+    return [noteXML(note, segment.end - segment.start, value, {
+      timeModification: `<time-modification><actual-notes>${p}</actual-notes><normal-notes>${q}</normal-notes></time-modification>`,
+      tuplet: [startsGroup && 'start', endsGroup && 'stop'].filter(Boolean),
+      tieStop: !segment.first,
+      tieStart: !segment.last,
+      lyrics,
+      keySignatureMap,
+    })];
+  }
+
+  const values = writtenValues(segment.end - segment.start);
+  return values.map((value, i) => noteXML(note, value.length, value, {
+    tieStop: note && (i > 0 || !segment.first),
+    tieStart: note && (i < values.length - 1 || !segment.last),
+    lyrics: i === 0 ? lyrics : [],
+    keySignatureMap,
+  }));
+}
+
+function noteXML(note, quarters, value, { timeModification = '', tuplet = [], tieStop = false, tieStart = false, lyrics = [], keySignatureMap }) {
+  const parts = ['<note>'];
+  if (note) {
+    const { step, alter, octave } = spellNote(note, keySignatureMap);
+    parts.push(`<pitch><step>${step}</step>${alter ? `<alter>${alter}</alter>` : ''}<octave>${octave}</octave></pitch>`);
+  } else {
+    parts.push('<rest/>');
+  }
+  parts.push(`<duration>${ticks(quarters)}</duration>`);
+  if (tieStop) parts.push('<tie type="stop"/>');
+  if (tieStart) parts.push('<tie type="start"/>');
+  parts.push('<voice>1</voice>');
+  if (value.denominator) parts.push(`<type>${NOTE_TYPES[value.denominator]}</type>`);
+  parts.push('<dot/>'.repeat(value.dots));
+  parts.push(timeModification);
+  const notations = [
+    tieStop ? '<tied type="stop"/>' : '',
+    tieStart ? '<tied type="start"/>' : '',
+    ...tuplet.map((type) => `<tuplet type="${type}"/>`),
+  ].join('');
+  if (notations) parts.push(`<notations>${notations}</notations>`);
+  lyrics.forEach((text, i) => parts.push(`<lyric number="${i + 1}"><syllabic>single</syllabic><text>${escapeXML(text)}</text></lyric>`));
+  parts.push('</note>');
+  return parts.join('');
+}
+
+/**
+ * Write voices as a partwise MusicXML score on one bar grid (pickup and time changes from the meter).
+ * Annotations land at their onset: a lyric goes under the note starting there (a direction below the
+ * staff if none does), directions and <harmony> elements are placed with an <offset> where needed.
+ * @param {Array<{ name: string, notes: NoteEvent[], annotations?: Array<{ onset: number, kind: 'lyric'|'direction'|'harmony',
+ *   text?: string, placement?: 'above'|'below', chord?: { name: string, type: string } }> }>} parts
+ * @param {Object} options
+ * @param {number[]} options.meter - Time signature, optionally with `changes` and `pickup` (see formatter.js)
+ * @param {string} [options.key='C'] - Key for the key signature
+ * @param {string} [options.mode='major'] - Mode for the key signature
+ * @param {string} [options.title] - Work title
+ * @returns {string} MusicXML document
+ */
+export function writeMusicXML(parts, { meter, key = 'C', mode = 'major', title } = {}) {
+  const end = Math.max(0, ...parts.flatMap((p) => p.notes.map((n) => n.onset + n.duration)));
+  const bounds = measureBounds(meter, end);
+  const keySignatureMap = getKeySignatureMap(key, mode);
+  const fifths = Object.values(keySignatureMap).reduce((sum, a) => sum + a, 0);
+  const firstNumber = meter.pickup ? 0 : 1;
+
+  const partXML = parts.map((part, p) => {
+    const segments = splitAtBarLines(part.notes, bounds);
+    const pending = [...(part.annotations || [])].sort((a, b) => a.onset - b.onset);
+    const pitches = part.notes.map((n) => n.pitch);
+    const bass = pitches.length && pitches.reduce((s, x) => s + x, 0) / pitches.length < 57;
+    const flat = segments.flat();
+
+    const measures = bounds.map((bar, b) => {
+      const content = [];
+      const previousMeter = b > 0 ? bounds[b - 1].meter : null;
+      if (b === 0) {
+        content.push(`<attributes><divisions>${DIVISIONS}</divisions><key><fifths>${fifths}</fifths><mode>${XML_MODES[mode] || mode}</mode></key>`
+          + `<time><beats>${bar.meter[0]}</beats><beat-type>${bar.meter[1]}</beat-type></time>`
+          + `<clef>${bass ? '<sign>F</sign><line>4</line>' : '<sign>G</sign><line>2</line>'}</clef></attributes>`);
+      } else if (previousMeter[0] !== bar.meter[0] || previousMeter[1] !== bar.meter[1]) {
+        content.push(`<attributes><time><beats>${bar.meter[0]}</beats><beat-type>${bar.meter[1]}</beat-type></time></attributes>`);
+      }
+
+      for (const segment of segments[b]) {
+        const lyrics = [];
+        while (pending.length && pending[0].onset < segment.end - 1e-9) {
+          const annotation = pending.shift();
+          const offset = ticks(Math.max(0, annotation.onset - segment.start));
+          if (annotation.kind === 'lyric' && segment.note && segment.first && offset === 0) lyrics.push(annotation.text);
+          else if (annotation.kind === 'harmony') content.push(harmonyXML(annotation.chord, offset));
+          else content.push(directionXML({ placement: annotation.kind === 'lyric' ? 'below' : annotation.placement, text: annotation.text }, offset));
+        }
+        const i = flat.indexOf(segment);
+        content.push(...segmentXML(segment, lyrics, flat[i - 1]?.note, flat[i + 1]?.note, keySignatureMap));
+      }
+
+      const implicit = b === 0 && meter.pickup ? ' implicit="yes"' : '';
+      return `    <measure number="${firstNumber + b}"${implicit}>\n      ${content.join('\n      ')}\n    </measure>`;
+    });
+    return `  <part id="P${p + 1}">\n${measures.join('\n')}\n  </part>`;
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8" standalone="no"?>',
+    '<!DOCTYPE score-partwise PUBLIC "-//Recordare//DTD MusicXML 4.0 Partwise//EN" "http://www.musicxml.org/dtds/partwise.dtd">',
+    '<score-partwise version="4.0">',
+    title ? `  <work><work-title>${escapeXML(title)}</work-title></work>` : null,
+    '  <identification><encoding><software>Fugue Analyzer</software></encoding></identification>',
+    '  <part-list>',
+    ...parts.map((part, p) => `    <score-part id="P${p + 1}"><part-name>${escapeXML(part.name)}</part-name></score-part>`),
+    '  </part-list>',
+    ...partXML,
+    '</score-partwise>',
+    '',
+  ].filter((line) => line !== null).join('\n');
+}
+
+/**
+ * Parts for an annotated analysis score: the subject with its implied chords as <harmony> and the
+ * tonal mutation point, the answer with the mutation point, and each countersubject with its
+ * dissonance labels as lyrics and parallel perfects as directions, measured against its partner voice.
+ * @param {Object} analysis
+ * @param {NoteEvent[]} analysis.subject
+ * @param {NoteEvent[]} [analysis.answer] - The answer to write (e.g. the generated tonal or real answer)
+ * @param {'tonal'|'real'} [analysis.answerType='tonal'] - Which answer `answer` is; only a tonal one gets the mutation point
+ * @param {Array<{ name: string, notes: NoteEvent[], against: 'subject'|'answer' }>} [analysis.countersubjects]
+ * @param {number[]} analysis.meter
+ * @param {Object} analysis.formatter - BeatFormatter, for parallel-perfect descriptions
+ * @param {Object} [analysis.harmonicImplication] - testHarmonicImplication() result
+ * @param {Object} [analysis.tonalAnswer] - testTonalAnswer() result
+ * @returns {Array<{ name: string, notes: NoteEvent[], annotations: Array }>} Parts for writeMusicXML()
+ */
+export function annotatedAnalysisParts({ subject, answer, answerType = 'tonal', countersubjects = [], meter, formatter, harmonicImplication, tonalAnswer }) {
+  const subjectAnnotations = [];
+  for (const c of harmonicImplication?.chordAnalysis?.chords || []) {
+    // One symbol per chord: arpeggiated chains repeat it on every beat
+    if (c.chord && c.isChainStart) subjectAnnotations.push({ onset: Math.max(0, c.beat), kind: 'harmony', chord: c.chord });
+  }
+
+  const mutationPoint = tonalAnswer?.answerType === 'tonal' ? tonalAnswer.mutationPoint : null;
+  if (mutationPoint !== null && subject[mutationPoint]) {
+    subjectAnnotations.push({ onset: subject[mutationPoint].onset, kind: 'direction', text: 'Tonal mutation' });
+  }
+  const parts = [{ name: 'Subject', notes: subject, annotations: subjectAnnotations }];
+
+  if (answer?.length) {
+    const answerAnnotations = answerType === 'tonal' && mutationPoint !== null && answer[mutationPoint]
+      ? [{ onset: answer[mutationPoint].onset, kind: 'direction', text: 'Real transposition resumes' }]
+      : [];
+    parts.push({ name: 'Answer', notes: answer, annotations: answerAnnotations });
+  }
+
+  for (const cs of countersubjects) {
+    if (!cs.notes?.length) continue;
+    const partner = cs.against === 'answer' && answer?.length ? answer : subject;
+    const sims = findSimultaneities(partner, cs.notes, meter);
+    const annotations = analyzeAllDissonances(sims, { meter }).dissonances
+      .filter((d) => d.label)
+      .map((d) => ({ onset: d.onset, kind: 'lyric', text: d.label }));
+    for (const v of checkParallelPerfects(sims, formatter)) {
+      annotations.push({ onset: v.onset, kind: 'direction', text: v.description.split(':')[0] });
+    }
+    parts.push({ name: cs.name, notes: cs.notes, annotations });
+  }
+  return parts;
+}
@@ -0,0 +1,76 @@
+import { describe, expect, it } from 'vitest';
+import { annotatedAnalysisParts, writeMusicXML } from './musicXMLExport';
+import { parseMusicXML } from './musicXMLImport';
+import { BeatFormatter, withMeterChanges, withPickup } from './formatter';
+
+const note = (pitch, onset, duration, abcNote, extra = {}) => ({ pitch, onset, duration, abcNote, ...extra });
+const round = (x) => Math.round(x * 1e6) / 1e6;
+const timing = (notes) => notes.map((n) => [n.pitch, round(n.onset), round(n.duration)]);
+
+describe('writeMusicXML', () => {
+  it('round-trips spelling, ties across bar lines, tuplets, pickups and time changes', () => {
+    const meter = withPickup(withMeterChanges([4, 4], [{ onset: 5, meter: [3, 4] }]), 1);
+    const tuplet = (position) => ({ tuplet: { p: 3, q: 2, r: 3, group: 0, position } });
+    const notes = [
+      note(72, 0, 1, 'c2'),
+      note(73, 1, 1 / 3, '^c', tuplet(0)), note(75, 4 / 3, 1 / 3, '_e', tuplet(1)), note(77, 5 / 3, 1 / 3, 'f', tuplet(2)),
+      note(79, 2, 4, 'g8'),
+      note(66, 7, 1, '^F2'), note(71, 8, 1, '_c2'),
+    ];
+    const xml = writeMusicXML([{ name: 'Subject', notes }], { meter, key: 'G', mode: 'dorian', title: 'Fugue & co' });
+    const { key, mode, meter: readMeter, pickup, parts, title } = parseMusicXML(xml);
+
+    expect([title, key, mode, pickup]).toEqual(['Fugue & co', 'G', 'dorian', 1]);
+    expect(readMeter.changes).toEqual(meter.changes);
+    expect(xml).toContain('<measure number="0" implicit="yes">');
+    expect(timing(parts[0].notes)).toEqual(timing(notes));
+    expect(parts[0].notes[1].tuplet).toMatchObject({ p: 3, q: 2, r: 3 });
+    expect(xml).toContain('<step>C</step><alter>-1</alter><octave>5</octave>');
+    expect(xml.match(/<tie type="start"\/>/g)).toHaveLength(1);
+  });
+
+  it('writes lyrics on notes, directions and harmony with offsets', () => {
+    const xml = writeMusicXML([{
+      name: 'Alto',
+      notes: [note(60, 0, 2, 'C4'), note(62, 2, 2, 'D4')],
+      annotations: [
+        { onset: 0, kind: 'harmony', chord: { name: 'Bbmaj7', type: 'major_7' } },
+        { onset: 2, kind: 'lyric', text: 'PT' },
+        { onset: 3, kind: 'lyric', text: 'Sus' },
+        { onset: 1, kind: 'direction', text: 'Parallel 5ths' },
+      ],
+    }], { meter: [4, 4] });
+
+    expect(xml).toContain('<harmony><root><root-step>B</root-step><root-alter>-1</root-alter></root><kind text="maj7">major-seventh</kind></harmony>');
+    expect(xml).toContain('<direction placement="above"><direction-type><words>Parallel 5ths</words></direction-type><offset>480</offset></direction>');
+    expect(xml).toContain('<text>PT</text>');
+    expect(xml).toContain('<direction placement="below"><direction-type><words>Sus</words></direction-type><offset>480</offset></direction>');
+  });
+});
+
+describe('annotatedAnalysisParts', () => {
+  it('marks the mutation point, implied chords, dissonances and parallel perfects', () => {
+    const meter = [4, 4];
+    const subject = [note(60, 0, 1, 'C2'), note(67, 1, 1, 'G2'), note(65, 2, 1, 'F2'), note(64, 3, 1, 'E2')];
+    const answer = [note(67, 0, 1, 'G2'), note(72, 1, 1, 'c2'), note(72, 2, 1, 'c2'), note(71, 3, 1, 'B2')];
+    const cs = [note(64, 0, 1, 'E2'), note(74, 1, 1, 'd2'), note(72, 2, 1, 'c2'), note(74, 3, 1, 'd2')];
+    const parts = annotatedAnalysisParts({
+      subject,
+      answer,
+      countersubjects: [{ name: 'Countersubject', notes: cs, against: 'subject' }],
+      meter,
+      formatter: new BeatFormatter(1, meter),
+      harmonicImplication: { chordAnalysis: { chords: [{ beat: 0, chord: { name: 'C', type: 'major' }, isChainStart: true }] } },
+      tonalAnswer: { answerType: 'tonal', mutationPoint: 1 },
+    });
+
+    expect(parts.map((p) => p.name)).toEqual(['Subject', 'Answer', 'Countersubject']);
+    expect(parts[0].annotations).toEqual([
+      { onset: 0, kind: 'harmony', chord: { name: 'C', type: 'major' } },
+      { onset: 1, kind: 'direction', text: 'Tonal mutation' },
+    ]);
+    expect(parts[1].annotations).toEqual([{ onset: 1, kind: 'direction', text: 'Real transposition resumes' }]);
+    expect(parts[2].annotations.some((a) => a.kind === 'direction' && a.text === 'Parallel 5ths')).toBe(true);
+    expect(parts[2].annotations.filter((a) => a.kind === 'lyric').map((a) => a.onset)).toContain(3);
+  });
+});
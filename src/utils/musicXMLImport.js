@@ -0,0 +1,291 @@
+/**
+ * MusicXML (partwise) import: each part becomes a line of NoteEvents that keeps the engraved
+ * spelling, and is written back as ABC so the input textareas show what was imported.
+ */
+
+import { NoteEvent } from '../types';
+import { abcDurationSuffixFromQuarters, computeScaleDegree, formatSubjectABC, spelledToABC } from './abcParser';
+import { VOICE_SLOTS, slotFromName, stripLeadingRests } from './abcVoices';
+import { withMeterChanges, withPickup } from './formatter';
+import { getKeySignatureMap, keyToPitchClass } from './keySignature';
+import { MODE_HEADER_SUFFIX } from './modes';
+
+// Major key for a <fifths> value; other modes start on a later degree of the same scale
+const MAJOR_KEYS = { '-7': 'Cb', '-6': 'Gb', '-5': 'Db', '-4': 'Ab', '-3': 'Eb', '-2': 'Bb', '-1': 'F', 0: 'C', 1: 'G', 2: 'D', 3: 'A', 4: 'E', 5: 'B', 6: 'F#', 7: 'C#' };
+const XML_MODES = {
+  major: ['major', 0], ionian: ['major', 0], dorian: ['dorian', 1], phrygian: ['phrygian', 2], lydian: ['lydian', 3],
+  mixolydian: ['mixolydian', 4], minor: ['natural_minor', 5], aeolian: ['natural_minor', 5], locrian: ['locrian', 6],
+};
+const LETTERS = 'CDEFGAB';
+const STEP_SEMITONES = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+
+const child = (el, name) => [...el.children].find((c) => c.tagName === name) || null;
+const childText = (el, name) => child(el, name)?.textContent.trim() ?? null;
+
+/**
+ * Key, mode and key-signature map of a <key> element (C major without one)
+ */
+function keyFromElement(keyEl) {
+  const fifths = keyEl ? Math.max(-7, Math.min(7, parseInt(childText(keyEl, 'fifths'), 10) || 0)) : 0;
+  const [mode, degree] = XML_MODES[((keyEl && childText(keyEl, 'mode')) || 'major').toLowerCase()] || XML_MODES.major;
+  const major = MAJOR_KEYS[fifths];
+  const letter = LETTERS[(LETTERS.indexOf(major[0]) + degree) % 7];
+  const alteration = getKeySignatureMap(major, 'major')[letter] || 0;
+  const key = letter + (alteration > 0 ? '#' : alteration < 0 ? 'b' : '');
+  const suffix = MODE_HEADER_SUFFIX[mode] || '';
+  return {
+    key,
+    mode,
+    keySignatureMap: getKeySignatureMap(key, mode),
+    keyField: key + (suffix.length > 1 ? ` ${suffix}` : suffix),
+  };
+}
+
+/**
+ * Read one <part> into a single line of NoteEvents.
+ * The part's first voice is kept; of notes sounding together (chords) the highest is kept.
+ * Tied notes are merged, tuplets keep their ratio, and key/time changes go into each note's context.
+ */
+function readPart(partEl, unitLength, noteLengthFraction) {
+  let divisions = 1;
+  let key = keyFromElement(null);
+  let context = { tonic: keyToPitchClass(key.key), mode: key.mode, keyField: null, meter: [4, 4], meterOnset: 0, defaultNoteLength: unitLength, noteLengthFraction };
+  let opening = null;
+  const meterChanges = [];
+  const notes = [];
+  const measureLengths = [];
+  let droppedNotes = 0;
+  let voice = null;
+  let measureStart = 0;
+  let last = null; // { note, tokenBase, tieOpen }
+  let tuplet = null; // { p, q, group, count, notes, pendingRest }
+  let tupletGroups = 0;
+
+  const closeTuplet = () => {
+    if (!tuplet) return;
+    if (tuplet.pendingRest > 0 && tuplet.notes.length) tuplet.notes[tuplet.notes.length - 1].tuplet.restAfter = tuplet.pendingRest;
+    for (const n of tuplet.notes) n.tuplet.r = tuplet.count;
+    tuplet = null;
+  };
+
+  for (const measure of [...partEl.children].filter((c) => c.tagName === 'measure')) {
+    let cursor = 0;
+    let chordOnset = 0;
+    let length = 0;
+
+    for (const el of measure.children) {
+      if (el.tagName === 'attributes') {
+        const divisionsText = childText(el, 'divisions');
+        if (divisionsText) divisions = parseFloat(divisionsText) || divisions;
+        const onset = measureStart + cursor;
+        const keyEl = child(el, 'key');
+        if (keyEl) {
+          key = keyFromElement(keyEl);
+          context = { ...context, tonic: keyToPitchClass(key.key), mode: key.mode, keyField: opening ? key.keyField : null };
+        }
+        const timeEl = child(el, 'time');
+        if (timeEl && childText(timeEl, 'beats')) {
+          const meter = [parseInt(childText(timeEl, 'beats'), 10), parseInt(childText(timeEl, 'beat-type'), 10)];
+          if (opening && onset > 1e-9) meterChanges.push({ onset, meter });
+          context = { ...context, meter, meterOnset: opening ? onset : 0 };
+        }
+        if (!opening && (keyEl || timeEl)) opening = { key: key.key, mode: key.mode, meter: context.meter };
+      } else if (el.tagName === 'backup') {
+        cursor -= parseFloat(childText(el, 'duration')) / divisions;
+      } else if (el.tagName === 'forward') {
+        cursor += parseFloat(childText(el, 'duration')) / divisions;
+        length = Math.max(length, cursor);
+      } else if (el.tagName === 'note') {
+        if (child(el, 'grace')) continue;
+        const isChord = !!child(el, 'chord');
+        const duration = parseFloat(childText(el, 'duration') || '0') / divisions;
+        if (!isChord) {
+          chordOnset = cursor;
+          cursor += duration;
+          length = Math.max(length, cursor);
+        }
+        const noteVoice = childText(el, 'voice') || '1';
+        if (voice === null) voice = noteVoice;
+        if (noteVoice !== voice || child(el, 'cue')) {
+          if (!child(el, 'rest')) droppedNotes++;
+          continue;
+        }
+        const onset = measureStart + chordOnset;
+
+        const timeMod = child(el, 'time-modification');
+        const tupletMarks = [...el.getElementsByTagName('tuplet')].map((t) => t.getAttribute('type'));
+        if (!isChord && timeMod && (!tuplet || tupletMarks.includes('start'))) {
+          closeTuplet();
+          const p = parseInt(childText(timeMod, 'actual-notes'), 10);
+          const q = parseInt(childText(timeMod, 'normal-notes'), 10);
+          tuplet = { p, q, group: tupletGroups++, count: 0, notes: [], pendingRest: 0 };
+        } else if (!isChord && !timeMod) {
+          closeTuplet();
+        }
+        const scale = timeMod && tuplet ? tuplet.q / tuplet.p : 1;
+        if (tuplet && !isChord) tuplet.count++;
+
+        if (child(el, 'rest')) {
+          // A rest ends any tie; inside a tuplet it is written with the group
+          last = null;
+          if (tuplet) tuplet.pendingRest += duration / scale;
+          if (tupletMarks.includes('stop')) closeTuplet();
+          continue;
+        }
+
+        const pitchEl = child(el, 'pitch');
+        if (!pitchEl) continue;
+        const step = childText(pitchEl, 'step');
+        const alter = Math.round(parseFloat(childText(pitchEl, 'alter') || '0'));
+        const octave = parseInt(childText(pitchEl, 'octave'), 10);
+        const pitch = (octave + 1) * 12 + STEP_SEMITONES[step] + alter;
+        const tokenBase = spelledToABC(step, alter, octave, key.keySignatureMap);
+        const ties = [...el.children].filter((c) => c.tagName === 'tie').map((t) => t.getAttribute('type'));
+        const keyUsesFlats = Object.values(key.keySignatureMap).some((a) => a < 0);
+        const preferFlats = alter < 0 || (keyUsesFlats && !tokenBase.startsWith('^'));
+
+        if (isChord) {
+          // Keep the top note of a chord
+          droppedNotes++;
+          if (last && Math.abs(last.note.onset - onset) < 1e-9 && pitch > last.note.pitch) {
+            const n = last.note;
+            n.pitch = pitch;
+            n.scaleDegree = computeScaleDegree(pitch, context.tonic, context.mode);
+            n.abcNote = tokenBase + n.abcNote.replace(/^[_^=]*[A-Ga-g][,']*/, '');
+            n.preferFlats = preferFlats;
+            last = { note: n, tokenBase, tieOpen: ties.includes('start') };
+          }
+          continue;
+        }
+
+        const writtenScale = last?.note.tuplet ? last.note.tuplet.q / last.note.tuplet.p : 1;
+        if (ties.includes('stop') && last?.tieOpen && last.note.pitch === pitch && Math.abs(last.note.onset + last.note.duration - onset) < 1e-6) {
+          last.note.duration += duration;
+          last.note.abcNote = last.tokenBase + abcDurationSuffixFromQuarters(last.note.duration / writtenScale, unitLength);
+          last.tieOpen = ties.includes('start');
+          if (tuplet) tuplet.count--;
+        } else {
+          const note = new NoteEvent(
+            pitch,
+            duration,
+            onset,
+            computeScaleDegree(pitch, context.tonic, context.mode),
+            tokenBase + abcDurationSuffixFromQuarters(duration / scale, unitLength),
+            preferFlats
+          );
+          note.context = context;
+          if (tuplet) {
+            note.tuplet = { p: tuplet.p, q: tuplet.q, r: null, group: tuplet.group, position: tuplet.count - 1, restBefore: tuplet.pendingRest, restAfter: 0 };
+            tuplet.pendingRest = 0;
+            tuplet.notes.push(note);
+          }
+          notes.push(note);
+          last = { note, tokenBase, tieOpen: ties.includes('start') };
+        }
+        if (tupletMarks.includes('stop')) closeTuplet();
+      }
+    }
+
+    const barLength = (context.meter[0] * 4) / context.meter[1];
+    const measureLength = length > 1e-9 ? length : barLength;
+    measureLengths.push(measureLength);
+    measureStart += measureLength;
+  }
+  closeTuplet();
+
+  opening = opening || { key: 'C', mode: 'major', meter: [4, 4] };
+  return { notes, droppedNotes, measureLengths, meterChanges, opening };
+}
+
+/**
+ * Read a partwise MusicXML score into one line of NoteEvents per part.
+ * Spelling comes from <step>/<alter>, so each note's abcNote and preferFlats match the engraving.
+ * Ties are merged into single notes, tuplets keep their ratio, a short first measure is a pickup,
+ * and key/time changes are kept in each note's context (as parseABC does for inline fields).
+ * @param {string} text - MusicXML document (uncompressed .musicxml/.xml)
+ * @param {Object} [options]
+ * @param {number[]} [options.defaultNoteLength=[1, 8]] - ABC unit note length for the parts' ABC
+ * @returns {{ title: string|null, key: string, mode: string, meter: number[], pickup: number,
+ *   parts: Array<{ index: number, id: string, name: string|null, notes: NoteEvent[], droppedNotes: number, abc: string }> }}
+ *   `meter` carries `changes` and `pickup` (see withMeterChanges, withPickup); `droppedNotes` counts chord and other-voice notes
+ */
+export function parseMusicXML(text, { defaultNoteLength = [1, 8] } = {}) {
+  const doc = new DOMParser().parseFromString(text, 'application/xml');
+  if (doc.getElementsByTagName('parsererror').length) throw new Error('MusicXML import: the file is not well-formed XML');
+  const root = doc.documentElement;
+  if (root.tagName === 'score-timewise') throw new Error('MusicXML import: timewise scores are not supported; export the score as partwise MusicXML');
+  if (root.tagName !== 'score-partwise') throw new Error('MusicXML import: not a MusicXML score (compressed .mxl files need to be exported uncompressed)');
+
+  const partNames = Object.fromEntries([...root.getElementsByTagName('score-part')].map((sp) => [
+    sp.getAttribute('id'),
+    childText(sp, 'part-name') || childText(sp, 'part-abbreviation'),
+  ]));
+  const unitLength = defaultNoteLength[0] / defaultNoteLength[1];
+  const partEls = [...root.children].filter((c) => c.tagName === 'part');
+  if (!partEls.length) throw new Error('MusicXML import: the score has no parts');
+
+  const read = partEls.map((el) => readPart(el, unitLength, defaultNoteLength));
+  const { opening, measureLengths, meterChanges } = read[0];
+  const firstBar = (opening.meter[0] * 4) / opening.meter[1];
+  const pickup = measureLengths.length > 1 && measureLengths[0] < firstBar - 1e-9 ? measureLengths[0] : 0;
+  const meter = withPickup(withMeterChanges(opening.meter, meterChanges), pickup);
+
+  const parts = read
+    .map((part, index) => {
+      const id = partEls[index].getAttribute('id');
+      if (!part.notes.length) return null;
+      const abc = `M:${opening.meter[0]}/${opening.meter[1]}\n${formatSubjectABC(part.notes, opening, unitLength, meter, defaultNoteLength)}`;
+      return { index, id, name: partNames[id] || null, notes: part.notes, droppedNotes: part.droppedNotes, abc };
+    })
+    .filter(Boolean);
+
+  const title = childText(root, 'movement-title') || (child(root, 'work') && childText(child(root, 'work'), 'work-title')) || null;
+  return { title, key: opening.key, mode: opening.mode, meter, pickup, parts };
+}
+
+/**
+ * Read a MusicXML score and assign its parts to analyzer slots.
+ * Explicit assignments win; otherwise part names ("Subject", "Answer", "CS2", ...) then part order.
+ * A slot's ABC starts at the part's first note; `entryOffset` keeps where it entered.
+ * @param {string} text - MusicXML document
+ * @param {Object} [options]
+ * @param {number[]} [options.defaultNoteLength=[1, 8]] - ABC unit note length
+ * @param {Object<string, number>|null} [options.assignments] - Slot -> part index; parts left out aren't imported
+ * @returns {{ title, key, mode, meter, pickup, parts,
+ *   slots: Object<string, { partIndex: number, name: string|null, notes: NoteEvent[], abc: string, entryOffset: number, source: string }>,
+ *   unassigned: Array<{ partIndex: number, name: string|null }> }}  `source` is 'assigned', 'name' or 'order'
+ */
+export function importMusicXML(text, { defaultNoteLength = [1, 8], assignments = null } = {}) {
+  const score = parseMusicXML(text, { defaultNoteLength });
+  const { parts } = score;
+
+  const slots = {};
+  const assign = (part, slot, source) => {
+    slots[slot] = { partIndex: part.index, name: part.name, notes: part.notes, abc: stripLeadingRests(part.abc), entryOffset: part.notes[0].onset, source };
+  };
+
+  if (assignments) {
+    for (const [slot, partIndex] of Object.entries(assignments)) {
+      const part = parts.find((p) => p.index === partIndex);
+      if (part && VOICE_SLOTS.includes(slot)) assign(part, slot, 'assigned');
+    }
+    const used = new Set(Object.values(slots).map((s) => s.partIndex));
+    return { ...score, slots, unassigned: parts.filter((p) => !used.has(p.index)).map((p) => ({ partIndex: p.index, name: p.name })) };
+  }
+
+  const unnamed = [];
+  for (const part of parts) {
+    const named = slotFromName(part.name);
+    if (named && !slots[named]) assign(part, named, 'name');
+    else unnamed.push(part);
+  }
+
+  const unassigned = [];
+  for (const part of unnamed) {
+    const free = VOICE_SLOTS.find((slot) => !slots[slot]);
+    if (free) assign(part, free, 'order');
+    else unassigned.push({ partIndex: part.index, name: part.name });
+  }
+
+  return { ...score, slots, unassigned };
+}
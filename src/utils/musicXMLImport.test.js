@@ -0,0 +1,101 @@
+import { describe, expect, it } from 'vitest';
+import { importMusicXML, parseMusicXML } from './musicXMLImport';
+import { parseABC } from './abcParser';
+
+// Six divisions per quarter, so triplet eighths are 2
+const attributes = ({ fifths, mode = 'major', beats, beatType = 4 }) => (
+  `<attributes><divisions>6</divisions>${fifths !== undefined ? `<key><fifths>${fifths}</fifths><mode>${mode}</mode></key>` : ''}`
+  + `${beats ? `<time><beats>${beats}</beats><beat-type>${beatType}</beat-type></time>` : ''}</attributes>`
+);
+const note = (step, octave, duration, { alter, tie, chord, voice = 1, tuplet } = {}) => (
+  `<note>${chord ? '<chord/>' : ''}<pitch><step>${step}</step>${alter !== undefined ? `<alter>${alter}</alter>` : ''}<octave>${octave}</octave></pitch>`
+  + `<duration>${duration}</duration>${tie ? `<tie type="${tie}"/>` : ''}<voice>${voice}</voice>`
+  + `${tuplet ? '<time-modification><actual-notes>3</actual-notes><normal-notes>2</normal-notes></time-modification>' : ''}`
+  + `<notations>${tie ? `<tied type="${tie}"/>` : ''}${tuplet && tuplet !== 'middle' ? `<tuplet type="${tuplet}"/>` : ''}</notations></note>`
+);
+const round = (x) => Math.round(x * 1e6) / 1e6;
+const rest = (duration) => `<note><rest/><duration>${duration}</duration><voice>1</voice></note>`;
+const score = (parts) => `<?xml version="1.0" encoding="UTF-8"?>
+<score-partwise version="4.0"><part-list>${parts.map((p, i) => `<score-part id="P${i + 1}"><part-name>${p.name}</part-name></score-part>`).join('')}</part-list>
+${parts.map((p, i) => `<part id="P${i + 1}">${p.measures.map((m, j) => `<measure number="${j + 1}">${m}</measure>`).join('')}</part>`).join('\n')}
+</score-partwise>`;
+
+describe('parseMusicXML', () => {
+  it('keeps the engraved spelling and merges ties across bar lines', () => {
+    const { key, mode, meter, pickup, parts } = parseMusicXML(score([{
+      name: 'Subject',
+      measures: [
+        attributes({ fifths: -2, mode: 'minor', beats: 3 }) + note('G', 4, 6) + note('A', 4, 6) + note('B', 4, 6, { alter: -1 }),
+        note('F', 4, 12, { alter: 1, tie: 'start' }) + note('E', 4, 6, { alter: 0 }),
+        note('E', 4, 6, { alter: -1 }) + rest(6) + note('G', 4, 6),
+      ],
+    }]));
+
+    expect([key, mode, meter, pickup]).toEqual(['G', 'natural_minor', [3, 4], 0]);
+    const notes = parts[0].notes;
+    expect(notes.map((n) => [n.pitch, n.onset, n.duration, n.abcNote, n.preferFlats])).toEqual([
+      [67, 0, 1, 'G2', true], [69, 1, 1, 'A2', true], [70, 2, 1, 'B2', true],
+      [66, 3, 2, '^F4', false], [64, 5, 1, '=E2', true], [63, 6, 1, 'E2', true], [67, 8, 1, 'G2', true],
+    ]);
+    expect(notes[3].scaleDegree).toMatchObject({ degree: 7, alteration: 1 });
+    expect(parts[0].abc).toBe('M:3/4\nK:Gm\nL:1/8\nG2 A2 B2 |^F4 =E2 |E2 z2 G2 |]');
+  });
+
+  it('reads pickups, tuplets, chords, extra voices and key and time changes', () => {
+    const { meter, pickup, parts } = parseMusicXML(score([{
+      name: 'Violin',
+      measures: [
+        attributes({ fifths: 0, beats: 4 }) + note('C', 5, 6),
+        note('D', 5, 2, { tuplet: 'start' }) + note('E', 5, 2, { tuplet: 'middle' }) + note('F', 5, 2, { tuplet: 'stop' })
+          + note('G', 5, 18, { tie: 'start' }) + note('E', 5, 18, { chord: true })
+          + '<backup><duration>18</duration></backup>' + note('C', 4, 18, { voice: 2 }),
+        attributes({ fifths: 2, beats: 3 }) + note('G', 5, 6, { tie: 'stop' }) + note('F', 5, 6, { alter: 1 }) + note('E', 5, 6),
+      ],
+    }]));
+
+    expect(pickup).toBe(1);
+    expect(meter.changes).toEqual([{ onset: 5, meter: [3, 4] }]);
+    const [part] = parts;
+    expect(part.droppedNotes).toBe(2);
+    const timing = (notes) => notes.map((n) => [n.pitch, round(n.onset), round(n.duration)]);
+    expect(timing(part.notes)).toEqual([
+      [72, 0, 1], [74, 1, round(1 / 3)], [76, round(4 / 3), round(1 / 3)], [77, round(5 / 3), round(1 / 3)], [79, 2, 4], [78, 6, 1], [76, 7, 1],
+    ]);
+    expect(part.notes[1].tuplet).toMatchObject({ p: 3, q: 2, r: 3 });
+    expect(part.notes[5].context).toMatchObject({ keyField: 'D', meter: [3, 4] });
+    expect(part.abc).toBe('M:4/4\nK:C\nL:1/8\nc2 |(3 d e f g6- |[M:3/4] g2 [K:D] f2 e2 |]');
+
+    const reparsed = parseABC(part.abc, 60, 'major');
+    expect(timing(reparsed.notes)).toEqual(timing(part.notes));
+    expect(reparsed.meterChanges).toEqual(meter.changes);
+  });
+
+  it('rejects timewise scores and files that are not XML', () => {
+    expect(() => parseMusicXML('<score-timewise version="4.0"></score-timewise>')).toThrow('partwise');
+    expect(() => parseMusicXML('MThd')).toThrow('not well-formed XML');
+  });
+});
+
+describe('importMusicXML', () => {
+  const file = score([
+    { name: 'Alto', measures: [attributes({ fifths: 0, beats: 4 }) + rest(24), note('G', 4, 24)] },
+    { name: 'Soprano', measures: [attributes({ fifths: 0, beats: 4 }) + note('C', 5, 24), note('B', 4, 24)] },
+    { name: 'Answer', measures: [attributes({ fifths: 0, beats: 4 }) + rest(24), rest(24)] },
+  ]);
+
+  it('maps parts to slots by name, then order, skipping parts without notes', () => {
+    const { slots, unassigned, parts } = importMusicXML(file);
+
+    expect(parts.map((p) => p.name)).toEqual(['Alto', 'Soprano']);
+    expect(slots.subject).toMatchObject({ partIndex: 0, source: 'order', entryOffset: 4 });
+    expect(slots.answer).toMatchObject({ partIndex: 1, source: 'order' });
+    expect(slots.subject.abc).toBe('M:4/4\nK:C\nL:1/8\nG8 |]');
+    expect(unassigned).toEqual([]);
+  });
+
+  it('uses explicit assignments', () => {
+    const { slots, unassigned } = importMusicXML(file, { assignments: { subject: 1 } });
+    expect(Object.keys(slots)).toEqual(['subject']);
+    expect(unassigned).toEqual([{ partIndex: 0, name: 'Alto' }]);
+  });
+});
@@ -0,0 +1,48 @@
+/**
+ * Ornament metadata attached to NoteEvents by parseABC: grace notes and decorations.
+ * note.ornaments = { graceNotes: [{ pitch, duration, abcNote }], graceType, decorations: string[] } or null
+ */
+
+// ABC 2.1 single-character decoration shorthands
+export const DECORATION_SHORTHANDS = {
+  '~': 'roll',
+  '.': 'staccato',
+  H: 'fermata',
+  L: 'accent',
+  M: 'lowermordent',
+  O: 'coda',
+  P: 'uppermordent',
+  S: 'segno',
+  T: 'trill',
+  u: 'upbow',
+  v: 'downbow',
+};
+
+// Decorations that shake the written pitch with its upper or lower neighbour
+export const TRILL_DECORATIONS = new Set(['trill', 'trill(', 'trill)', 'lowermordent', 'uppermordent', 'mordent', 'pralltriller', 'turn', 'invertedturn']);
+
+/**
+ * Normalize a decoration written as !name!, +name+ or a shorthand character
+ */
+export function decorationName(token) {
+  return DECORATION_SHORTHANDS[token] || token.toLowerCase();
+}
+
+/**
+ * True if the note carries a trill-like decoration
+ */
+export function isTrilled(note) {
+  return !!note?.ornaments?.decorations.some((d) => TRILL_DECORATIONS.has(d));
+}
+
+/**
+ * The grace note of an appoggiatura that leans into its main note by step, or null.
+ * Acciaccaturas ({/g}) are crushed in before the beat and don't count.
+ */
+export function getSteppingAppoggiatura(note) {
+  const o = note?.ornaments;
+  if (!o || o.graceType !== 'appoggiatura' || !o.graceNotes.length) return null;
+  const grace = o.graceNotes[o.graceNotes.length - 1];
+  const step = Math.abs(grace.pitch - note.pitch);
+  return step >= 1 && step <= 2 ? grace : null;
+}
@@ -0,0 +1,229 @@
+/**
+ * Web Audio playback of analyzed voices with synthesized tones: each voice is an oscillator with
+ * its own waveform, panned to its own place and routed through its own gain (for solo and mute), notes
+ * are scheduled a little ahead of the audio clock, and the sounding position is reported in beats
+ * for the playhead.
+ */
+
+const LOOKAHEAD = 0.15;         // seconds of notes scheduled ahead of the audio clock
+const SCHEDULE_INTERVAL = 25;   // ms between scheduling passes
+const START_DELAY = 0.05;       // seconds between play() and the first note
+const PAN_WIDTH = 0.7;          // outermost voices sit at ±PAN_WIDTH
+const MIX_TIME_CONSTANT = 0.01; // seconds for a solo/mute change to settle, avoiding clicks
+
+// Seconds each tone takes to fade in and out (at most a third of a short note each)
+export const TONE_ATTACK = 0.01;
+export const TONE_RELEASE = 0.05;
+
+/**
+ * Frequency of a MIDI pitch: equal-tempered from A4 = 440 Hz, moved by the tuning's offset for its pitch class
+ * @param {number} pitch
+ * @param {number[]} [tuning] - Cents offsets per pitch class (see tuningOffsets)
+ * @returns {number} Hz
+ */
+export function midiToFrequency(pitch, tuning = null) {
+  const offset = tuning ? tuning[((pitch % 12) + 12) % 12] : 0;
+  return 440 * 2 ** ((pitch - 69 + offset / 100) / 12);
+}
+
+/**
+ * Oscillator waveforms a voice can sound with; voices without a timbre of their own take them in turn
+ */
+export const TIMBRES = ['triangle', 'sine', 'square', 'sawtooth'];
+
+// Level of each waveform relative to a triangle, so the brighter ones don't stand out
+export const TIMBRE_LEVELS = { triangle: 1, sine: 1, square: 0.4, sawtooth: 0.5 };
+
+/**
+ * Waveform a voice sounds with
+ * @param {Object} voice - { timbre?, notes }
+ * @param {number} index - Position of the voice in the played set
+ * @returns {string} One of TIMBRES
+ */
+export function voiceTimbre(voice, index) {
+  const timbre = voice.timbre ?? TIMBRES[index % TIMBRES.length];
+  if (!TIMBRES.includes(timbre)) throw new Error(`Playback: unknown timbre "${timbre}"`);
+  return timbre;
+}
+
+/**
+ * Stereo position of a voice, spreading the set evenly from left to right
+ * @param {number} index
+ * @param {number} count - Voices in the set
+ * @returns {number} -1 (left) to 1 (right)
+ */
+export function voicePan(index, count) {
+  return count > 1 ? PAN_WIDTH * (2 * index / (count - 1) - 1) : 0;
+}
+
+/**
+ * Notes of every voice that sound within a range, clipped to it and timed from its start
+ * @param {Array<{ notes: Array }>} voices
+ * @param {Object} [range]
+ * @param {number} [range.start=0] - Beat where playback starts
+ * @param {number} [range.end=Infinity] - Beat where playback stops
+ * @returns {Array<{ voice: number, pitch: number, onset: number, duration: number }>} In onset order
+ */
+export function playbackNotes(voices, { start = 0, end = Infinity } = {}) {
+  return voices
+    .flatMap((v, voice) => (v.notes || [])
+      .filter((n) => n.onset < end && n.onset + n.duration > start)
+      .map((n) => {
+        const onset = Math.max(n.onset, start);
+        return { voice, pitch: n.pitch, onset: onset - start, duration: Math.min(n.onset + n.duration, end) - onset };
+      }))
+    .sort((a, b) => a.onset - b.onset || a.voice - b.voice);
+}
+
+/**
+ * Which voices sound under a solo/mute setting: soloed voices if any are soloed, otherwise all but the muted
+ * @param {string[]} names - Names of the voices playing, in play() order
+ * @param {Object} mix
+ * @param {string[]} [mix.solo=[]]
+ * @param {string[]} [mix.muted=[]]
+ * @returns {boolean[]}
+ */
+export function audibleVoices(names, { solo = [], muted = [] } = {}) {
+  const soloed = names.some((name) => solo.includes(name));
+  return names.map((name) => (soloed ? solo.includes(name) : !muted.includes(name)));
+}
+
+/**
+ * Player for voice sets; one sounds at a time
+ * @param {Function} [AudioContextClass] - Web Audio context constructor (the browser's by default)
+ * @returns {{ play: Function, stop: Function, setMix: Function }}
+ */
+export function createPlayer(AudioContextClass = globalThis.AudioContext || globalThis.webkitAudioContext) {
+  let ctx = null;
+  let session = null;
+
+  const stop = () => {
+    if (!session) return;
+    clearInterval(session.timer);
+    cancelAnimationFrame(session.frame);
+    for (const source of session.sources) {
+      try {
+        source.stop();
+      } catch {
+        // Already stopped
+      }
+    }
+    session.master.disconnect();
+    session = null;
+  };
+
+  /**
+   * Turn voices of the current playback on or off without restarting it
+   * @param {boolean[]} audible - Per voice, in play() order (see audibleVoices)
+   */
+  const setMix = (audible) => {
+    session?.buses.forEach((bus, i) => bus.gain.setTargetAtTime(audible[i] === false ? 0 : 1, ctx.currentTime, MIX_TIME_CONSTANT));
+  };
+
+  const tone = (note, at, seconds, voiceCount) => {
+    const timbre = session.timbres[note.voice];
+    const osc = ctx.createOscillator();
+    osc.type = timbre;
+    osc.frequency.value = midiToFrequency(note.pitch, session.tuning);
+
+    const gain = ctx.createGain();
+    const level = TIMBRE_LEVELS[timbre];
+    const release = Math.min(TONE_RELEASE, seconds / 3);
+    gain.gain.setValueAtTime(0, at);
+    gain.gain.linearRampToValueAtTime(level, at + Math.min(TONE_ATTACK, seconds / 3));
+    gain.gain.setValueAtTime(level, at + seconds - release);
+    gain.gain.linearRampToValueAtTime(0, at + seconds);
+    osc.connect(gain);
+
+    let output = gain;
+    if (ctx.createStereoPanner && voiceCount > 1) {
+      const pan = ctx.createStereoPanner();
+      pan.pan.value = voicePan(note.voice, voiceCount);
+      gain.connect(pan);
+      output = pan;
+    }
+    output.connect(session.buses[note.voice]);
+
+    const sources = session.sources;
+    sources.add(osc);
+    osc.onended = () => sources.delete(osc);
+    osc.start(at);
+    osc.stop(at + seconds);
+  };
+
+  /**
+   * Play voices from a start beat, stopping whatever is playing
+   * @param {Array<{ notes: Array, timbre?: string }>} voices - Voices in the analysis time frame (beat 0 = start of the subject)
+   * @param {Object} options
+   * @param {number} [options.tempo=80] - Quarter notes per minute
+   * @param {number} [options.start=0] - First beat of the range
+   * @param {number} [options.end=Infinity] - Last beat of the range (clamped to the end of the voices)
+   * @param {boolean} [options.loop=false] - Repeat the range until stopped
+   * @param {boolean[]} [options.audible] - Per voice, whether it sounds (all by default)
+   * @param {number[]} [options.tuning] - Cents offsets per pitch class (equal temperament by default)
+   * @param {Function} [options.onPosition] - Called every frame with the sounding beat
+   * @param {Function} [options.onEnd] - Called when playback reaches the end of an unlooped range
+   */
+  const play = (voices, { tempo = 80, start = 0, end = Infinity, loop = false, audible = [], tuning = null, onPosition, onEnd } = {}) => {
+    if (!AudioContextClass) throw new Error('Playback: this browser has no Web Audio support');
+    stop();
+    const timbres = voices.map(voiceTimbre);
+
+    const voicesEnd = Math.max(0, ...voices.flatMap((v) => (v.notes || []).map((n) => n.onset + n.duration)));
+    const length = Math.min(end, voicesEnd) - start;
+    const notes = playbackNotes(voices, { start, end: start + length });
+    if (!(length > 0) || !notes.length) throw new Error('Playback: there are no notes in the chosen range');
+
+    ctx = ctx || new AudioContextClass();
+    if (ctx.state === 'suspended') ctx.resume();
+
+    const master = ctx.createGain();
+    master.gain.value = 0.6 / Math.sqrt(voices.length);
+    master.connect(ctx.destination);
+    const buses = voices.map((v, i) => {
+      const bus = ctx.createGain();
+      bus.gain.value = audible[i] === false ? 0 : 1;
+      bus.connect(master);
+      return bus;
+    });
+
+    const secondsPerBeat = 60 / tempo;
+    const startTime = ctx.currentTime + START_DELAY;
+    session = { master, buses, timbres, tuning, sources: new Set(), timer: null, frame: null };
+    let pass = 0;
+    let next = 0;
+
+    const schedule = () => {
+      const horizon = ctx.currentTime + LOOKAHEAD;
+      for (;;) {
+        if (next === notes.length) {
+          if (!loop) return;
+          pass += 1;
+          next = 0;
+        }
+        const note = notes[next];
+        const at = startTime + (pass * length + note.onset) * secondsPerBeat;
+        if (at > horizon) return;
+        tone(note, at, note.duration * secondsPerBeat, voices.length);
+        next += 1;
+      }
+    };
+
+    const frame = () => {
+      const elapsed = Math.max(0, (ctx.currentTime - startTime) / secondsPerBeat);
+      if (!loop && elapsed >= length) {
+        stop();
+        onEnd?.();
+        return;
+      }
+      onPosition?.(start + (loop ? elapsed % length : elapsed));
+      session.frame = requestAnimationFrame(frame);
+    };
+
+    schedule();
+    session.timer = setInterval(schedule, SCHEDULE_INTERVAL);
+    session.frame = requestAnimationFrame(frame);
+  };
+
+  return { play, stop, setMix };
+}
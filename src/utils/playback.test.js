@@ -0,0 +1,146 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { audibleVoices, createPlayer, midiToFrequency, playbackNotes } from './playback';
+
+// Audio context whose clock is set by the test; records every oscillator and gain created
+class FakeAudioContext {
+  constructor() {
+    this.currentTime = 0;
+    this.state = 'running';
+    this.destination = {};
+    this.started = [];
+    this.gains = [];
+  }
+
+  createGain() {
+    const param = { value: 1, setValueAtTime: vi.fn(), linearRampToValueAtTime: vi.fn(), setTargetAtTime: vi.fn() };
+    const gain = { gain: param, connect: vi.fn((node) => node), disconnect: vi.fn() };
+    this.gains.push(gain);
+    return gain;
+  }
+
+  createStereoPanner() {
+    return { pan: { value: 0 }, connect: vi.fn((node) => node) };
+  }
+
+  createOscillator() {
+    const osc = {
+      frequency: { value: 0 },
+      connect: vi.fn((node) => node),
+      start: (at) => this.started.push({ frequency: osc.frequency.value, at }),
+      stop: vi.fn(),
+    };
+    return osc;
+  }
+}
+
+const voices = [
+  { notes: [{ pitch: 60, onset: 0, duration: 1 }, { pitch: 62, onset: 1, duration: 1 }] },
+  { notes: [{ pitch: 69, onset: 0.5, duration: 2 }] },
+];
+
+describe('playback', () => {
+  let frames;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    frames = [];
+    vi.stubGlobal('requestAnimationFrame', (fn) => frames.push(fn));
+    vi.stubGlobal('cancelAnimationFrame', vi.fn());
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.unstubAllGlobals();
+  });
+
+  it('converts MIDI pitches to equal-tempered frequencies', () => {
+    expect(midiToFrequency(69)).toBe(440);
+    expect(midiToFrequency(81)).toBe(880);
+    expect(midiToFrequency(60)).toBeCloseTo(261.63, 2);
+  });
+
+  it('clips notes to the range and times them from its start', () => {
+    expect(playbackNotes(voices, { start: 1, end: 2 })).toEqual([
+      { voice: 0, pitch: 62, onset: 0, duration: 1 },
+      { voice: 1, pitch: 69, onset: 0, duration: 1 },
+    ]);
+  });
+
+  it('schedules notes ahead of the clock at the tempo and reports the position', () => {
+    let context;
+    const player = createPlayer(class extends FakeAudioContext {
+      constructor() {
+        super();
+        context = this;
+      }
+    });
+    const onPosition = vi.fn();
+    const onEnd = vi.fn();
+    player.play(voices, { tempo: 120, onPosition, onEnd });
+
+    expect(context.started).toEqual([{ frequency: 261.6255653005986, at: 0.05 }]);
+    context.currentTime = 0.2;
+    vi.advanceTimersByTime(25);
+    expect(context.started.map((s) => s.at)).toEqual([0.05, 0.3]);
+
+    frames.shift()();
+    expect(onPosition.mock.lastCall[0]).toBeCloseTo(0.3);
+
+    context.currentTime = 1.4;
+    frames.shift()();
+    expect(onEnd).toHaveBeenCalled();
+    expect(frames).toHaveLength(0);
+  });
+
+  it('repeats a looped range until stopped', () => {
+    let context;
+    const player = createPlayer(class extends FakeAudioContext {
+      constructor() {
+        super();
+        context = this;
+      }
+    });
+    const onPosition = vi.fn();
+    player.play(voices, { tempo: 60, start: 1, end: 2, loop: true, onPosition });
+
+    context.currentTime = 1.1;
+    vi.advanceTimersByTime(25);
+    expect(context.started.map((s) => s.at)).toEqual([0.05, 0.05, 1.05, 1.05]);
+    frames.shift()();
+    expect(onPosition.mock.calls[0][0]).toBeCloseTo(1.05);
+
+    player.stop();
+    context.currentTime = 5;
+    vi.advanceTimersByTime(100);
+    expect(context.started).toHaveLength(4);
+  });
+
+  it('solos and mutes voices through per-voice gains', () => {
+    expect(audibleVoices(['Subject', 'CS1'], { muted: ['CS1'] })).toEqual([true, false]);
+    expect(audibleVoices(['Subject', 'CS1'], { solo: ['CS1'], muted: ['CS1'] })).toEqual([false, true]);
+    expect(audibleVoices(['Subject', 'CS1'], { solo: ['Answer'] })).toEqual([true, true]);
+
+    let context;
+    const player = createPlayer(class extends FakeAudioContext {
+      constructor() {
+        super();
+        context = this;
+      }
+    });
+    player.play(voices, { audible: [true, false] });
+    // Master, then one bus per voice
+    const [, bus1, bus2] = context.gains;
+    expect([bus1.gain.value, bus2.gain.value]).toEqual([1, 0]);
+    expect(bus2.connect).toHaveBeenCalledWith(context.gains[0]);
+
+    player.setMix([false, true]);
+    expect(bus1.gain.setTargetAtTime.mock.lastCall[0]).toBe(0);
+    expect(bus2.gain.setTargetAtTime.mock.lastCall[0]).toBe(1);
+  });
+
+  it('rejects a range with no notes', () => {
+    const player = createPlayer(FakeAudioContext);
+    expect(() => player.play(voices, { start: 3 })).toThrow('no notes in the chosen range');
+    expect(() => createPlayer(null).play(voices)).toThrow('no Web Audio support');
+  });
+});
@@ -0,0 +1,124 @@
+/**
+ * Score layout shared by the notation exporters (MusicXML, LilyPond): bar grid, splitting voices
+ * at bar lines into tied pieces, written note values and pitch spelling.
+ */
+
+import { locateInMeter } from './formatter';
+
+const LETTERS = ['C', 'D', 'E', 'F', 'G', 'A', 'B'];
+const LETTER_SEMITONES = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+const SHARP_SPELLINGS = [['C', 0], ['C', 1], ['D', 0], ['D', 1], ['E', 0], ['F', 0], ['F', 1], ['G', 0], ['G', 1], ['A', 0], ['A', 1], ['B', 0]];
+const FLAT_SPELLINGS = [['C', 0], ['D', -1], ['D', 0], ['E', -1], ['E', 0], ['F', 0], ['G', -1], ['G', 0], ['A', -1], ['A', 0], ['B', -1], ['B', 0]];
+
+// Written note values as fractions of a whole note, longest first
+const NOTE_VALUES = [[4, 1], [2, 2], [1, 4], [0.5, 8], [0.25, 16], [0.125, 32], [0.0625, 64]];
+
+const mod12 = (n) => ((n % 12) + 12) % 12;
+
+/**
+ * Step, alter and octave (4 = middle-C octave) of a note.
+ * The letter of its ABC token is kept when that is at most a semitone from the key signature
+ * (so transposed copies that still carry the original token are re-spelled); otherwise the
+ * key-signature spelling of the pitch, then sharps or flats as the note or key prefers.
+ * @param {NoteEvent} note
+ * @param {Object} [keySignatureMap={}] - Letter → semitones, from getKeySignatureMap()
+ * @returns {{ step: string, alter: number, octave: number }}
+ */
+export function spellNote(note, keySignatureMap = {}) {
+  const spelled = (step, alter) => ({ step, alter, octave: Math.floor((note.pitch - alter) / 12) - 1 });
+
+  const m = (note.abcNote || '').match(/^(?:\^{1,2}|_{1,2}|=)?([A-Ga-g])/);
+  if (m) {
+    const step = m[1].toUpperCase();
+    const alter = mod12(note.pitch - LETTER_SEMITONES[step] + 6) - 6;
+    if (Math.abs(alter - (keySignatureMap[step] || 0)) <= 1) return spelled(step, alter);
+  }
+
+  const pc = mod12(note.pitch);
+  const diatonic = LETTERS.find((letter) => mod12(LETTER_SEMITONES[letter] + (keySignatureMap[letter] || 0)) === pc);
+  if (diatonic) return spelled(diatonic, keySignatureMap[diatonic] || 0);
+
+  const flats = note.preferFlats ?? Object.values(keySignatureMap).some((a) => a < 0);
+  return spelled(...(flats ? FLAT_SPELLINGS : SHARP_SPELLINGS)[pc]);
+}
+
+/**
+ * Split a length into written values (with up to two dots), longest first
+ * @param {number} quarters
+ * @returns {Array<{ length: number, denominator: number|null, dots: number }>} `denominator` is 4 for a
+ *   quarter, 8 for an eighth...; null for a remainder shorter than a 64th
+ */
+export function writtenValues(quarters) {
+  const values = [];
+  let remaining = quarters;
+  while (remaining > 1e-6) {
+    let value = null;
+    for (const [length, denominator] of NOTE_VALUES) {
+      for (const dots of [2, 1, 0]) {
+        const total = length * (2 - 1 / 2 ** dots);
+        if (total <= remaining + 1e-6) {
+          value = { length: total, denominator, dots };
+          break;
+        }
+      }
+      if (value) break;
+    }
+    if (!value) value = { length: remaining, denominator: null, dots: 0 };
+    values.push(value);
+    remaining -= value.length;
+  }
+  return values;
+}
+
+/**
+ * Measures covering [0, end): the first is the pickup, and a time change part-way through a bar closes it
+ * @param {number[]} meter - Time signature, optionally with `changes` and `pickup` (see formatter.js)
+ * @param {number} end - Last position to cover (quarter notes)
+ * @returns {Array<{ start: number, end: number, meter: number[] }>}
+ */
+export function measureBounds(meter, end) {
+  const bounds = [];
+  let pos = 0;
+  while (pos < end - 1e-9 || !bounds.length) {
+    const loc = locateInMeter(pos, meter);
+    let stop = loc.measureStart + (loc.meter[0] * 4) / loc.meter[1];
+    const change = (meter.changes || []).find((c) => c.onset > pos + 1e-9 && c.onset < stop - 1e-9);
+    if (change) stop = change.onset;
+    bounds.push({ start: pos, end: stop, meter: loc.meter });
+    pos = stop;
+  }
+  return bounds;
+}
+
+/**
+ * Notes and rests of a voice per measure, cut at the bar lines; a note crossing one becomes tied pieces
+ * (`first`/`last` mark the ends of the note). Tuplet notes are kept whole so their ratio still applies,
+ * and a note still sounding when the next starts is cut short, as one line per voice.
+ * @param {NoteEvent[]} notes
+ * @param {Array<{ start: number, end: number }>} bounds - From measureBounds()
+ * @returns {Array<Array<{ start: number, end: number, note: NoteEvent|null, first: boolean, last: boolean }>>}
+ */
+export function splitAtBarLines(notes, bounds) {
+  const sorted = [...notes].sort((a, b) => a.onset - b.onset);
+  const segments = bounds.map(() => []);
+  const push = (start, end, note) => {
+    let pos = start;
+    bounds.forEach((bar, b) => {
+      if (pos >= bar.end - 1e-9 || end <= bar.start + 1e-9) return;
+      const stop = note?.tuplet ? end : Math.min(end, bar.end);
+      segments[b].push({ start: pos, end: stop, note, first: pos === start, last: stop >= end - 1e-9 });
+      pos = stop;
+    });
+  };
+
+  let pos = 0;
+  sorted.forEach((note, i) => {
+    if (note.onset > pos + 1e-9) push(pos, note.onset, null);
+    const end = Math.min(note.onset + note.duration, sorted[i + 1]?.onset ?? Infinity);
+    push(note.onset, end, note);
+    pos = end;
+  });
+  const last = bounds[bounds.length - 1].end;
+  if (pos < last - 1e-9) push(pos, last, null);
+  return segments;
+}
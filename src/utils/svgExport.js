@@ -0,0 +1,149 @@
+/**
+ * Standalone image export of the visualizations: the drawn SVG with the styles it picks up from
+ * the page written onto its elements, a caption band describing the view (tab, transposition,
+ * selection) and a legend band, then optionally rasterized to PNG.
+ */
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// Presentation properties a chart can inherit or compute from the page rather than set itself
+const INLINED_PROPERTIES = [
+  'fill', 'fill-opacity', 'stroke', 'stroke-width', 'stroke-opacity', 'stroke-dasharray',
+  'opacity', 'font-family', 'font-size', 'font-weight', 'font-style', 'text-anchor', 'dominant-baseline',
+];
+
+const PADDING = 12;
+const TITLE_LINE = 20;
+const CAPTION_LINE = 15;
+const LEGEND_ROW = 18;
+
+const svgElement = (doc, name, attributes = {}, text = null) => {
+  const el = doc.createElementNS(SVG_NS, name);
+  for (const [key, value] of Object.entries(attributes)) el.setAttribute(key, value);
+  if (text !== null) el.textContent = text;
+  return el;
+};
+
+/**
+ * Write computed presentation styles onto the copy where the element doesn't set them itself
+ * and they differ from its parent's (so inherited values are written once, at the top)
+ */
+function inlineStyles(source, target, parentStyle = null) {
+  const view = source.ownerDocument.defaultView;
+  const computed = view.getComputedStyle(source);
+  for (const property of INLINED_PROPERTIES) {
+    const value = computed.getPropertyValue(property);
+    if (!value || target.hasAttribute(property) || target.style.getPropertyValue(property)) continue;
+    if (parentStyle && parentStyle.getPropertyValue(property) === value) continue;
+    target.style.setProperty(property, value);
+  }
+  [...source.children].forEach((child, i) => inlineStyles(child, target.children[i], computed));
+}
+
+/**
+ * Serialize a drawn chart as a standalone SVG document
+ * @param {SVGSVGElement} svg - The chart as rendered (its current state is kept)
+ * @param {Object} [options]
+ * @param {string} [options.title] - Heading above the chart
+ * @param {string[]} [options.caption] - Lines describing the view (tab, transposition, selection...)
+ * @param {Array<{ label: string, color: string, opacity?: number, dashed?: boolean }>} [options.legend]
+ * @returns {{ svg: string, width: number, height: number }}
+ */
+export function standaloneSVG(svg, { title = '', caption = [], legend = [] } = {}) {
+  if (!svg) throw new Error('SVG export: there is no chart to export');
+  const doc = svg.ownerDocument;
+  const chartWidth = parseFloat(svg.getAttribute('width'));
+  const chartHeight = parseFloat(svg.getAttribute('height'));
+  const lines = caption.filter(Boolean);
+
+  const headerHeight = (title ? TITLE_LINE : 0) + lines.length * CAPTION_LINE + (title || lines.length ? PADDING : 0);
+  const width = chartWidth + 2 * PADDING;
+
+  // Legend swatches flow left to right and wrap at the chart width
+  const legendItems = [];
+  let x = 0;
+  let row = 0;
+  for (const item of legend) {
+    const itemWidth = 20 + item.label.length * 6.5 + 14;
+    if (x > 0 && x + itemWidth > chartWidth) {
+      x = 0;
+      row += 1;
+    }
+    legendItems.push({ ...item, x, row });
+    x += itemWidth;
+  }
+  const legendHeight = legend.length ? (row + 1) * LEGEND_ROW + PADDING : 0;
+  const height = PADDING + headerHeight + chartHeight + legendHeight + PADDING;
+
+  const pageStyle = doc.defaultView.getComputedStyle(svg);
+  // The serializer writes the namespace declaration for the SVG namespace
+  const root = svgElement(doc, 'svg', {
+    width,
+    height,
+    viewBox: `0 0 ${width} ${height}`,
+    'font-family': pageStyle.getPropertyValue('font-family') || 'Georgia, serif',
+  });
+  root.appendChild(svgElement(doc, 'rect', { x: 0, y: 0, width, height, fill: '#ffffff' }));
+
+  let y = PADDING;
+  if (title) {
+    root.appendChild(svgElement(doc, 'text', { x: PADDING, y: y + 14, 'font-size': 14, 'font-weight': 600, fill: '#1f2937' }, title));
+    y += TITLE_LINE;
+  }
+  for (const line of lines) {
+    root.appendChild(svgElement(doc, 'text', { x: PADDING, y: y + 11, 'font-size': 11, fill: '#475569' }, line));
+    y += CAPTION_LINE;
+  }
+  if (title || lines.length) y += PADDING;
+
+  const chartBackground = pageStyle.getPropertyValue('background-color');
+  if (chartBackground && chartBackground !== 'transparent' && chartBackground !== 'rgba(0, 0, 0, 0)') {
+    root.appendChild(svgElement(doc, 'rect', { x: PADDING, y, width: chartWidth, height: chartHeight, fill: chartBackground }));
+  }
+  const chart = svg.cloneNode(true);
+  chart.removeAttribute('style');
+  inlineStyles(svg, chart);
+  chart.setAttribute('x', PADDING);
+  chart.setAttribute('y', y);
+  root.appendChild(chart);
+  y += chartHeight + PADDING;
+
+  for (const item of legendItems) {
+    const top = y + item.row * LEGEND_ROW;
+    root.appendChild(svgElement(doc, 'rect', {
+      x: PADDING + item.x,
+      y: top,
+      width: 12,
+      height: 12,
+      rx: 2,
+      ...(item.dashed
+        ? { fill: 'none', stroke: item.color, 'stroke-width': 2, 'stroke-dasharray': '3 2' }
+        : { fill: item.color, opacity: item.opacity ?? 1 }),
+    }));
+    root.appendChild(svgElement(doc, 'text', { x: PADDING + item.x + 18, y: top + 10, 'font-size': 11, fill: '#64748b' }, item.label));
+  }
+
+  const text = new doc.defaultView.XMLSerializer().serializeToString(root);
+  return { svg: `<?xml version="1.0" encoding="UTF-8"?>\n${text}\n`, width, height };
+}
+
+/**
+ * Rasterize a standalone SVG to PNG in the browser
+ * @param {{ svg: string, width: number, height: number }} image - From standaloneSVG()
+ * @param {number} [scale=2] - Pixels per SVG unit (2 = double resolution)
+ * @returns {Promise<Blob>}
+ */
+export function svgToPNG({ svg, width, height }, scale = 2) {
+  return new Promise((resolve, reject) => {
+    const image = new Image();
+    image.onload = () => {
+      const canvas = document.createElement('canvas');
+      canvas.width = Math.round(width * scale);
+      canvas.height = Math.round(height * scale);
+      canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+      canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error('SVG export: the PNG could not be encoded'))), 'image/png');
+    };
+    image.onerror = () => reject(new Error('SVG export: the chart could not be rasterized'));
+    image.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+  });
+}
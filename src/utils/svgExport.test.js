@@ -0,0 +1,48 @@
+import { describe, expect, it } from 'vitest';
+import { standaloneSVG } from './svgExport';
+
+function drawnChart() {
+  const holder = document.createElement('div');
+  holder.innerHTML = '<svg width="200" height="80" style="display: block"><g fill="#123456"><rect x="1" y="2" width="10" height="10"></rect></g><text x="5" y="40">P5</text></svg>';
+  document.body.appendChild(holder);
+  return holder.querySelector('svg');
+}
+
+describe('standalone SVG export', () => {
+  it('wraps the chart with its caption and legend in a sized SVG document', () => {
+    const svg = drawnChart();
+    const image = standaloneSVG(svg, {
+      title: 'Subject vs Countersubject',
+      caption: ['Countersubject displaced an octave', null, 'Selected: P5 at beat 2'],
+      legend: [{ label: 'Subject', color: '#5c6bc0' }, { label: 'Sequence', color: '#7c3aed', dashed: true }],
+    });
+
+    expect(image.svg.startsWith('<?xml')).toBe(true);
+    const doc = new DOMParser().parseFromString(image.svg, 'image/svg+xml');
+    const root = doc.documentElement;
+    expect(root.getAttribute('xmlns')).toBe('http://www.w3.org/2000/svg');
+    expect(Number(root.getAttribute('width'))).toBe(image.width);
+    expect(image.width).toBe(224);
+
+    const texts = [...root.querySelectorAll(':scope > text')].map((t) => t.textContent);
+    expect(texts).toEqual(['Subject vs Countersubject', 'Countersubject displaced an octave', 'Selected: P5 at beat 2', 'Subject', 'Sequence']);
+    expect(root.querySelector('rect[stroke-dasharray]').getAttribute('stroke')).toBe('#7c3aed');
+
+    const chart = root.querySelector(':scope > svg');
+    expect(chart.getAttribute('style')).toBeNull();
+    expect(chart.querySelector('text').textContent).toBe('P5');
+    expect(image.height).toBeGreaterThan(80 + 3 * 15);
+  });
+
+  it('leaves the chart on the page untouched', () => {
+    const svg = drawnChart();
+    const before = svg.outerHTML;
+    standaloneSVG(svg);
+
+    expect(svg.outerHTML).toBe(before);
+  });
+
+  it('fails when there is no chart', () => {
+    expect(() => standaloneSVG(null)).toThrow('no chart to export');
+  });
+});
@@ -0,0 +1,66 @@
+/**
+ * Tuning systems for playback and interval coloring: each is a set of cents offsets from equal
+ * temperament per pitch class, and a simultaneity's size under one is compared with the pure
+ * interval of the Interval class.
+ */
+
+import { Interval } from '../types';
+
+const PURE_FIFTH = 1200 * Math.log2(3 / 2);
+const SYNTONIC_COMMA = 1200 * Math.log2(81 / 80);
+
+// Werckmeister III ("correct temperament no. 1"), cents above C
+const WERCKMEISTER_III = [0, 90.225, 192.18, 294.135, 390.225, 498.045, 588.27, 696.09, 792.18, 888.27, 996.09, 1092.18];
+
+// Quarter-comma meantone on C: eleven fifths narrowed by a quarter comma, from E♭ up to G♯
+function meantoneOffsets() {
+  const fifth = PURE_FIFTH - SYNTONIC_COMMA / 4;
+  const offsets = new Array(12);
+  for (let n = -3; n <= 8; n++) {
+    const pc = ((7 * n) % 12 + 12) % 12;
+    const cents = ((n * fifth) % 1200 + 1200) % 1200;
+    offsets[pc] = cents - pc * 100;
+  }
+  return offsets;
+}
+
+/**
+ * Cents offsets from equal temperament of the twelve pitch classes (C = 0) in a tuning system.
+ * Meantone and Werckmeister are keyboard temperaments on C; just intonation is built on the tonic
+ * from the pure intervals above it.
+ * @param {'equal'|'meantone'|'werckmeister'|'just'} system
+ * @param {number} [tonic=0] - MIDI pitch (or pitch class) of the tonic, for just intonation
+ * @returns {number[]} Twelve offsets in cents
+ */
+export function tuningOffsets(system, tonic = 0) {
+  switch (system) {
+    case 'equal':
+      return new Array(12).fill(0);
+    case 'meantone':
+      return meantoneOffsets();
+    case 'werckmeister':
+      return WERCKMEISTER_III.map((cents, pc) => cents - pc * 100);
+    case 'just':
+      return Array.from({ length: 12 }, (_, pc) => {
+        const above = ((pc - tonic) % 12 + 12) % 12;
+        return new Interval(above).pureCents() - above * 100;
+      });
+    default:
+      throw new Error(`Tuning: unknown system "${system}"`);
+  }
+}
+
+/**
+ * Size of two sounding pitches under a tuning, against the pure interval of the same name
+ * @param {number} pitch1 - MIDI pitch
+ * @param {number} pitch2 - MIDI pitch
+ * @param {number[]} offsets - From tuningOffsets()
+ * @returns {{ tempered: number, pure: number, deviation: number }} Cents; deviation > 0 is wider than pure
+ */
+export function intervalCents(pitch1, pitch2, offsets) {
+  const low = Math.min(pitch1, pitch2);
+  const high = Math.max(pitch1, pitch2);
+  const tempered = (high - low) * 100 + offsets[high % 12] - offsets[low % 12];
+  const pure = Math.floor((high - low) / 12) * 1200 + new Interval(high - low).pureCents();
+  return { tempered, pure, deviation: tempered - pure };
+}
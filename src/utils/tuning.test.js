@@ -0,0 +1,33 @@
+import { describe, expect, it } from 'vitest';
+import { intervalCents, tuningOffsets } from './tuning';
+import { midiToFrequency } from './playback';
+
+describe('tuning systems', () => {
+  it('narrows meantone fifths by a quarter comma so its major thirds are pure', () => {
+    const meantone = tuningOffsets('meantone');
+    expect(meantone[0]).toBe(0);
+    expect(intervalCents(60, 67, meantone).tempered).toBeCloseTo(696.58, 2);
+    expect(intervalCents(60, 64, meantone).deviation).toBeCloseTo(0, 6);
+    // The wolf between G♯ and E♭
+    expect(intervalCents(68, 75, meantone).tempered).toBeCloseTo(737.64, 2);
+  });
+
+  it('gives Werckmeister III pure fifths away from C–G–D–A and B–F♯', () => {
+    const werckmeister = tuningOffsets('werckmeister');
+    expect(intervalCents(60, 67, werckmeister).deviation).toBeCloseTo(-5.87, 2);
+    expect(intervalCents(64, 71, werckmeister).deviation).toBeCloseTo(0, 4);
+  });
+
+  it('tunes just intonation on the tonic and measures compound intervals', () => {
+    const just = tuningOffsets('just', 62);
+    expect(intervalCents(62, 78, just).deviation).toBeCloseTo(0, 6); // D–F♯ a tenth
+    expect(intervalCents(62, 66, tuningOffsets('equal')).deviation).toBeCloseTo(13.69, 2);
+    expect(() => tuningOffsets('pythagorean')).toThrow('unknown system');
+  });
+
+  it('moves playback frequencies by the offset of each pitch class', () => {
+    const meantone = tuningOffsets('meantone');
+    expect(midiToFrequency(60, meantone)).toBeCloseTo(midiToFrequency(60), 6);
+    expect(midiToFrequency(64, meantone) / midiToFrequency(60, meantone)).toBeCloseTo(5 / 4, 6);
+  });
+});
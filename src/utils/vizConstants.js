@@ -2,6 +2,8 @@
  * Shared visualization constants and utilities
  */
 
+import { locateInMeter, meterGrid } from './formatter';
+
 // Unified semantic color scheme:
 // A) Dissonances: purple → red (based on TOTAL score = entry + exit + patterns)
 //    Purple = well-handled overall, red = poorly handled overall
@@ -101,6 +103,9 @@ export const VIZ_COLORS = {
   // Highlight
   highlight: '#fbbf24',           // Amber-400
 
+  // Playback position
+  playhead: '#e11d48',            // Rose-600
+
   // Sequence border
   sequenceBorder: '#8b5cf6',      // Violet-500 for sequence highlighting
 };
@@ -373,6 +378,7 @@ export function isMainBeat(onset, gridMetrics) {
 
 /**
  * Generate grid line data for a visualization
+ * Follows the meter's pickup and any [M:] changes (see withPickup, withMeterChanges)
  * @param {number} maxTime - Maximum time to show
  * @param {number[]} meter - [numerator, denominator]
  * @param {Object} options - { showSubdivisions: boolean }
@@ -380,31 +386,37 @@ export function isMainBeat(onset, gridMetrics) {
  */
 export function generateGridLines(maxTime, meter, options = {}) {
   const { showSubdivisions = false } = options;
-  const metrics = getGridMetrics(meter);
   const lines = [];
-
-  // Step size: smallest unit to show
-  const step = showSubdivisions
-    ? metrics.unitsPerBeat / metrics.subdivisionsPerBeat
-    : metrics.unitsPerBeat;
-
-  let measureNum = 1;
-
-  for (let t = 0; t <= maxTime + 0.01; t += step) {
-    const atDownbeat = isDownbeat(t, metrics.unitsPerMeasure);
-    const atMainBeat = isMainBeat(t, metrics);
-
-    if (atDownbeat && t > 0) {
-      measureNum++;
+  const firstMeasure = meter.pickup ? 0 : 1;
+
+  let t = 0;
+  while (t <= maxTime + 0.01) {
+    const located = locateInMeter(t, meter);
+    const grid = meterGrid(located.meter);
+
+    // Step size: smallest unit to show
+    const step = showSubdivisions
+      ? grid.internalUnitsPerBeat / grid.subdivisionsPerBeat
+      : grid.internalUnitsPerBeat;
+    const stepIndex = Math.round(located.posInMeasure / step);
+
+    // A pickup starting part-way into a beat puts its first note between grid lines
+    if (Math.abs(located.posInMeasure - stepIndex * step) < 0.01) {
+      const atDownbeat = stepIndex === 0;
+      const atMainBeat = Math.abs((stepIndex * step) % grid.internalUnitsPerBeat) < 0.01;
+      lines.push({
+        time: t,
+        isDownbeat: atDownbeat,
+        isMainBeat: atMainBeat,
+        measureNum: atDownbeat ? located.measureIndex + firstMeasure : null,
+        beatNum: atMainBeat && !atDownbeat ? Math.round((stepIndex * step) / grid.internalUnitsPerBeat) + 1 : null,
+      });
     }
 
-    lines.push({
-      time: t,
-      isDownbeat: atDownbeat,
-      isMainBeat: atMainBeat,
-      measureNum: atDownbeat ? measureNum : null,
-      beatNum: atMainBeat && !atDownbeat ? getBeatInMeasure(t, metrics) : null,
-    });
+    // Advance to the next grid line, stopping at bar ends and time-signature changes
+    const nextStep = located.measureStart + (Math.floor(located.posInMeasure / step + 0.01) + 1) * step;
+    const nextChange = (meter.changes || []).find((c) => c.onset > t + 1e-9);
+    t = Math.min(nextStep, located.measureStart + grid.internalUnitsPerMeasure, nextChange ? nextChange.onset : Infinity);
   }
 
   return lines;
@@ -0,0 +1,124 @@
+/**
+ * Counterpoint of three or more voices: vertical slices of everything sounding at once, measured up
+ * from the bass, and every voice pair checked with the two-voice dissonance scoring and parallel-perfect
+ * search, with a perfect fourth dissonant only when its lower note is the bass.
+ */
+
+import { VerticalSlice } from '../types';
+import { checkParallelPerfects, findSimultaneities } from './analysis';
+import { analyzeAllDissonances } from './dissonanceScoring';
+import { metricWeight } from './formatter';
+
+/**
+ * Find the vertical slices of a set of voices: one wherever a note starts or ends and at least two voices sound
+ * @param {NoteEvent[][]} voices - Notes of each voice
+ * @param {number[]} meter - Time signature [numerator, denominator]
+ * @returns {VerticalSlice[]} In time order, with one note (or null) per voice
+ */
+export function findVerticalSlices(voices, meter) {
+  if (!meter || !Array.isArray(meter) || meter.length < 2) {
+    throw new Error(`findVerticalSlices: meter is invalid (${JSON.stringify(meter)}). Caller must pass valid [numerator, denominator] array.`);
+  }
+  const times = [...new Set(voices.flatMap((notes) => notes.flatMap((n) => [n.onset, n.onset + n.duration])))]
+    .sort((a, b) => a - b);
+
+  const slices = [];
+  for (const t of times) {
+    const notes = voices.map((notes) => notes.find((n) => n.onset <= t && t < n.onset + n.duration) || null);
+    if (notes.filter(Boolean).length >= 2) slices.push(new VerticalSlice(t, notes, metricWeight(t, meter)));
+  }
+  return slices;
+}
+
+/**
+ * Mark each simultaneity of a voice pair with whether its lower note is the bass (see isP4DissonantInContext).
+ * Another voice can enter or drop out below the pair while it holds, so every slice the simultaneity spans
+ * is checked: it is against the bass if its lower note is the bass in any of them.
+ */
+function markAgainstBass(sims, slices) {
+  let s = 0;
+  for (const sim of sims) {
+    // Both notes sound at a simultaneity's onset, so a slice starts there
+    while (s + 1 < slices.length && slices[s + 1].onset <= sim.onset) s++;
+    const lower = Math.min(sim.voice1Note.pitch, sim.voice2Note.pitch);
+    const end = Math.min(sim.voice1Note.onset + sim.voice1Note.duration, sim.voice2Note.onset + sim.voice2Note.duration);
+    sim.againstBass = false;
+    for (let i = s; i < slices.length && slices[i].onset < end; i++) {
+      if (slices[i].bass.pitch === lower) {
+        sim.againstBass = true;
+        break;
+      }
+    }
+  }
+  return sims;
+}
+
+/**
+ * Test the counterpoint of a set of voices sounding together, such as answer + CS1 + CS2
+ * @param {Array<{ name: string, notes: NoteEvent[] }>} voices - In the analysis time frame
+ * @param {BeatFormatter} formatter
+ * @returns {Object} { voices (names of those sounding), slices, pairs, issues, observations }, or { error }
+ *   with fewer than two voices sounding
+ */
+export function testVoiceTexture(voices, formatter) {
+  const sounding = voices.filter((v) => v.notes?.length);
+  if (sounding.length < 2) return { error: 'Needs at least two voices' };
+
+  const meter = formatter.meter;
+  const slices = findVerticalSlices(sounding.map((v) => v.notes), meter);
+
+  const pairs = [];
+  sounding.forEach((v1, i) => sounding.slice(i + 1).forEach((v2) => {
+    const sims = markAgainstBass(findSimultaneities(v1.notes, v2.notes, meter), slices);
+    pairs.push({
+      voices: [v1.name, v2.name],
+      sims,
+      dissonanceScoring: analyzeAllDissonances(sims, { meter }),
+      parallels: checkParallelPerfects(sims, formatter),
+    });
+  }));
+
+  const issues = pairs.flatMap(({ voices: [name1, name2], sims, dissonanceScoring, parallels }) => [
+    ...parallels.map((v) => ({ ...v, voices: [name1, name2], description: `${name1} and ${name2}: ${v.description}` })),
+    ...dissonanceScoring.all
+      .map((scoring, i) => ({ scoring, sim: sims[i] }))
+      .filter(({ scoring }) => scoring.category === 'dissonant_bad')
+      .map(({ scoring, sim }) => ({
+        onset: sim.onset,
+        voices: [name1, name2],
+        description: `${sim.interval} between ${name1} and ${name2} at ${formatter.formatBeat(sim.onset)}${Number.isFinite(scoring.score) ? ` (score ${scoring.score.toFixed(1)})` : ''}`,
+      })),
+  ]).sort((a, b) => a.onset - b.onset);
+
+  const observations = [];
+  const full = slices.filter((s) => s.notes.every(Boolean)).length;
+  observations.push({
+    type: 'info',
+    description: `${sounding.map((v) => v.name).join(' + ')}: ${slices.length} vertical slices, ${full} with all ${sounding.length} voices sounding`,
+  });
+
+  if (slices.length) {
+    const bassShare = sounding
+      .map((v, i) => ({ name: v.name, count: slices.filter((s) => s.bassVoice === i).length }))
+      .filter((b) => b.count)
+      .map((b) => `${b.name} ${Math.round((b.count / slices.length) * 100)}%`);
+    observations.push({ type: 'info', description: `Bass: ${bassShare.join(', ')} of slices` });
+  }
+
+  const upperFourths = pairs.flatMap((p) => p.sims)
+    .filter((s) => s.interval.class === 4 && s.interval.quality === 'perfect' && !s.againstBass).length;
+  if (upperFourths) {
+    observations.push({
+      type: 'info',
+      description: `${upperFourths} perfect 4th${upperFourths === 1 ? '' : 's'} between upper voices, consonant above the bass`,
+    });
+  }
+
+  if (issues.length) {
+    for (const issue of issues) observations.push({ type: 'consideration', description: issue.description });
+  } else {
+    observations.push({ type: 'strength', description: 'No parallel perfects or poorly handled dissonances between any pair of voices' });
+  }
+
+  return { voices: sounding.map((v) => v.name), slices, pairs, issues, observations };
+}
@@ -0,0 +1,84 @@
+import { describe, expect, it } from 'vitest';
+import { findVerticalSlices, testVoiceTexture } from './voiceTexture';
+import { BeatFormatter } from './formatter';
+import { runDefaultAnalysis } from './defaultAnalysis';
+import { parseABC } from './abcParser';
+import { NoteEvent } from '../types';
+
+const formatter = new BeatFormatter(1 / 8, [4, 4]);
+const voice = (name, pitches, duration = 2) => ({ name, notes: pitches.map((pitch, i) => new NoteEvent(pitch, duration, i * duration)) });
+
+describe('voice texture', () => {
+  it('slices the voices wherever a note starts or ends and measures up from the bass', () => {
+    const slices = findVerticalSlices([
+      [new NoteEvent(72, 2, 0)],
+      [new NoteEvent(67, 1, 0), new NoteEvent(64, 1, 1)],
+      [new NoteEvent(48, 1, 0)],
+    ], [4, 4]);
+
+    expect(slices.map((s) => s.onset)).toEqual([0, 1]);
+    expect(slices[0].bassVoice).toBe(2);
+    expect(slices[0].intervals.map((i) => i.class)).toEqual([1, 5, 1]);
+    // The bass rests, so the middle voice takes over
+    expect(slices[1].bass.pitch).toBe(64);
+    expect(slices[1].intervals.map((i) => i?.toString() ?? null)).toEqual(['m6', 'P1', null]);
+    expect(() => findVerticalSlices([], null)).toThrow('meter is invalid');
+  });
+
+  it('hears a fourth between upper voices as consonant and one against the bass as dissonant', () => {
+    const alto = voice('Alto', [67]);
+    const soprano = voice('Soprano', [72]);
+
+    const three = testVoiceTexture([soprano, alto, voice('Bass', [48])], formatter);
+    const upper = three.pairs.find((p) => p.voices.join() === 'Soprano,Alto');
+    expect(upper.sims[0].againstBass).toBe(false);
+    expect(upper.dissonanceScoring.all[0].isConsonant).toBe(true);
+    expect(three.observations.map((o) => o.description)).toContain('1 perfect 4th between upper voices, consonant above the bass');
+
+    const two = testVoiceTexture([soprano, alto], formatter);
+    expect(two.pairs[0].sims[0].againstBass).toBe(true);
+    expect(two.pairs[0].dissonanceScoring.all[0].isConsonant).toBe(false);
+  });
+
+  it('hears a held fourth against the bass once the bass below it drops out', () => {
+    const alto = voice('Alto', [67]);
+    const soprano = voice('Soprano', [72]);
+    const bass = { name: 'Bass', notes: [new NoteEvent(48, 1, 0)] };
+
+    const texture = testVoiceTexture([soprano, alto, bass], formatter);
+    const upper = texture.pairs.find((p) => p.voices.join() === 'Soprano,Alto');
+    expect(upper.sims).toHaveLength(1);
+    expect(upper.sims[0].againstBass).toBe(true);
+    expect(upper.dissonanceScoring.all[0].isConsonant).toBe(false);
+  });
+
+  it('checks parallels across every pair of voices', () => {
+    const texture = testVoiceTexture([
+      voice('Soprano', [67, 69]),
+      voice('Alto', [64, 65]),
+      voice('Bass', [48, 50]),
+    ], formatter);
+
+    expect(texture.pairs.map((p) => p.voices.join(' & '))).toEqual(['Soprano & Alto', 'Soprano & Bass', 'Alto & Bass']);
+    expect(texture.issues).toHaveLength(1);
+    expect(texture.issues[0].voices).toEqual(['Soprano', 'Bass']);
+    expect(texture.issues[0].description).toMatch(/^Soprano and Bass: Parallel 5ths/);
+    expect(testVoiceTexture([voice('Soprano', [67])], formatter)).toEqual({ error: 'Needs at least two voices' });
+  });
+
+  it('combines the answer with both countersubjects', () => {
+    const { input, results } = runDefaultAnalysis();
+    const { tonic, mode, keySignature } = results.keyInfo;
+    const parse = (abc) => parseABC(abc, tonic, mode, results.defaultNoteLength, keySignature, { meter: results.meter }).notes;
+    const texture = testVoiceTexture([
+      { name: 'Answer', notes: parse(input.answer) },
+      { name: 'Countersubject 1', notes: results.countersubject },
+      { name: 'Countersubject 2', notes: parse(input.countersubject2) },
+    ], results.formatter);
+
+    expect(texture.pairs).toHaveLength(3);
+    expect(texture.slices.length).toBeGreaterThan(0);
+    expect(texture.slices.every((s) => s.intervals[s.bassVoice].semitones === 0)).toBe(true);
+    expect(texture.observations[0].description).toMatch(/^Answer \+ Countersubject 1 \+ Countersubject 2: \d+ vertical slices/);
+  });
+});
@@ -0,0 +1,94 @@
+/**
+ * Offline WAV rendering of analyzed voices: the playback engine's tones (same waveforms, envelope,
+ * panning and levels) computed sample by sample, so it runs without Web Audio in tests or a CLI.
+ */
+
+import { TIMBRE_LEVELS, TONE_ATTACK, TONE_RELEASE, midiToFrequency, playbackNotes, voicePan, voiceTimbre } from './playback';
+
+const TAIL = 0.1; // seconds of silence after the last note
+
+// One period of each waveform, for a phase from 0 to 1
+const WAVEFORMS = {
+  sine: (phase) => Math.sin(2 * Math.PI * phase),
+  triangle: (phase) => 1 - 4 * Math.abs(phase - 0.5),
+  square: (phase) => (phase < 0.5 ? 1 : -1),
+  sawtooth: (phase) => 2 * phase - 1,
+};
+
+/**
+ * Gain of a tone at a time into it, ramping up over the attack and down over the release
+ */
+function envelope(t, seconds) {
+  const attack = Math.min(TONE_ATTACK, seconds / 3);
+  const release = Math.min(TONE_RELEASE, seconds / 3);
+  if (t < attack) return t / attack;
+  if (t > seconds - release) return Math.max(0, (seconds - t) / release);
+  return 1;
+}
+
+/**
+ * Render voices to a 16-bit stereo WAV file
+ * @param {Array<{ notes: Array, timbre?: string }>} voices - Voices in the analysis time frame; a voice without
+ *   a timbre takes the next of TIMBRES, as in playback
+ * @param {Object} [options]
+ * @param {number} [options.tempo=80] - Quarter notes per minute
+ * @param {number} [options.start=0] - First beat rendered
+ * @param {number} [options.end=Infinity] - Last beat rendered (clamped to the end of the voices)
+ * @param {number} [options.sampleRate=44100]
+ * @param {number[]} [options.tuning] - Cents offsets per pitch class (equal temperament by default)
+ * @returns {Uint8Array}
+ */
+export function renderWAV(voices, { tempo = 80, start = 0, end = Infinity, sampleRate = 44100, tuning = null } = {}) {
+  if (!(tempo > 0)) throw new Error('WAV export: tempo must be positive');
+  const timbres = voices.map(voiceTimbre);
+  const voicesEnd = Math.max(0, ...voices.flatMap((v) => (v.notes || []).map((n) => n.onset + n.duration)));
+  const length = Math.min(end, voicesEnd) - start;
+  const notes = playbackNotes(voices, { start, end: start + length });
+  if (!(length > 0) || !notes.length) throw new Error('WAV export: there are no notes in the chosen range');
+
+  const secondsPerBeat = 60 / tempo;
+  const frames = Math.ceil((length * secondsPerBeat + TAIL) * sampleRate);
+  const left = new Float32Array(frames);
+  const right = new Float32Array(frames);
+  const master = 0.6 / Math.sqrt(voices.length);
+
+  for (const note of notes) {
+    const timbre = timbres[note.voice];
+    const wave = WAVEFORMS[timbre];
+    const frequency = midiToFrequency(note.pitch, tuning);
+    const seconds = note.duration * secondsPerBeat;
+    // Equal-power pan, as a StereoPannerNode does for a mono source
+    const angle = (voicePan(note.voice, voices.length) + 1) * Math.PI / 4;
+    const level = master * TIMBRE_LEVELS[timbre];
+    const first = Math.round(note.onset * secondsPerBeat * sampleRate);
+    const count = Math.min(Math.round(seconds * sampleRate), frames - first);
+    for (let i = 0; i < count; i++) {
+      const t = i / sampleRate;
+      const sample = level * envelope(t, seconds) * wave((frequency * t) % 1);
+      left[first + i] += sample * Math.cos(angle);
+      right[first + i] += sample * Math.sin(angle);
+    }
+  }
+
+  const dataSize = frames * 4;
+  const view = new DataView(new ArrayBuffer(44 + dataSize));
+  const ascii = (offset, text) => [...text].forEach((c, i) => view.setUint8(offset + i, c.charCodeAt(0)));
+  ascii(0, 'RIFF');
+  view.setUint32(4, 36 + dataSize, true);
+  ascii(8, 'WAVE');
+  ascii(12, 'fmt ');
+  view.setUint32(16, 16, true);             // fmt chunk size
+  view.setUint16(20, 1, true);              // PCM
+  view.setUint16(22, 2, true);              // channels
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * 4, true); // bytes per second
+  view.setUint16(32, 4, true);              // bytes per frame
+  view.setUint16(34, 16, true);             // bits per sample
+  ascii(36, 'data');
+  view.setUint32(40, dataSize, true);
+  for (let i = 0; i < frames; i++) {
+    view.setInt16(44 + i * 4, Math.round(Math.max(-1, Math.min(1, left[i])) * 32767), true);
+    view.setInt16(46 + i * 4, Math.round(Math.max(-1, Math.min(1, right[i])) * 32767), true);
+  }
+  return new Uint8Array(view.buffer);
+}
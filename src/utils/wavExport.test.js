@@ -0,0 +1,60 @@
+import { describe, expect, it } from 'vitest';
+import { renderWAV } from './wavExport';
+import { extractABCHeaders, parseABC } from './abcParser';
+
+const RATE = 8000;
+
+// Header fields and the left/right samples of a rendered file
+function readWAV(bytes) {
+  const view = new DataView(bytes.buffer);
+  const text = (offset) => String.fromCharCode(...bytes.slice(offset, offset + 4));
+  const frames = view.getUint32(40, true) / 4;
+  const channel = (c) => Array.from({ length: frames }, (_, i) => view.getInt16(44 + i * 4 + c * 2, true));
+  return {
+    riff: text(0),
+    wave: text(8),
+    channels: view.getUint16(22, true),
+    sampleRate: view.getUint32(24, true),
+    bits: view.getUint16(34, true),
+    left: channel(0),
+    right: channel(1),
+  };
+}
+
+const peak = (samples) => Math.max(...samples.map(Math.abs));
+
+describe('renderWAV', () => {
+  it('renders a parsed subject headless at the tempo of its Q: header', () => {
+    const abc = 'Q:1/4=120\nL:1/4\nK:C\nC D E F |]';
+    const { tempo } = extractABCHeaders(abc);
+    const { notes } = parseABC(abc, 60, 'major');
+    const wav = readWAV(renderWAV([{ notes }], { tempo, sampleRate: RATE }));
+
+    expect([wav.riff, wav.wave, wav.channels, wav.sampleRate, wav.bits]).toEqual(['RIFF', 'WAVE', 2, RATE, 16]);
+    // Four beats at 120 = 2 s, plus the tail
+    expect(wav.left).toHaveLength(2.1 * RATE);
+    expect(peak(wav.left.slice(0, 2 * RATE))).toBeGreaterThan(10000);
+    expect(peak(wav.left.slice(2 * RATE))).toBe(0);
+    // A single voice sits in the middle
+    expect(wav.left).toEqual(wav.right);
+  });
+
+  it('pans voices apart and gives each its own timbre', () => {
+    const voice = (pitch, timbre) => ({ timbre, notes: [{ pitch, onset: 0, duration: 1 }] });
+    const low = readWAV(renderWAV([voice(48, 'sine'), { notes: [] }], { tempo: 60, sampleRate: RATE }));
+    expect(peak(low.left)).toBeGreaterThan(3 * peak(low.right));
+
+    const sine = readWAV(renderWAV([voice(60, 'sine')], { sampleRate: RATE }));
+    const square = readWAV(renderWAV([voice(60, 'square')], { sampleRate: RATE }));
+    expect(sine.left).not.toEqual(square.left);
+    expect(() => renderWAV([voice(60, 'organ')])).toThrow('unknown timbre "organ"');
+  });
+
+  it('renders only the chosen range', () => {
+    const notes = [{ pitch: 60, onset: 0, duration: 1 }, { pitch: 64, onset: 1, duration: 1 }];
+    const wav = readWAV(renderWAV([{ notes }], { tempo: 60, start: 1, end: 2, sampleRate: RATE }));
+
+    expect(wav.left).toHaveLength(1.1 * RATE);
+    expect(() => renderWAV([{ notes }], { start: 4 })).toThrow('no notes in the chosen range');
+  });
+});